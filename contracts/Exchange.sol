@@ -3,8 +3,12 @@ pragma solidity ^0.8.1;
 
 import "@openzeppelin/contracts/utils/math/SafeMath.sol";
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/draft-IERC20Permit.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
 import './interfaces/IExchange.sol';
 import './interfaces/IFactory.sol';
+import './interfaces/IFlashSwapReceiver.sol';
+import './libraries/TransferHelper.sol';
 
 contract Exchange {
     
@@ -34,17 +38,80 @@ contract Exchange {
         uint256 indexed tokenAmount
     );
 
+    event FlashSwap(
+        address indexed sender,
+        address indexed receiver,
+        uint256 ethOut,
+        uint256 tokenOut,
+        uint256 ethIn,
+        uint256 tokenIn
+    );
+
+    event Transfer(
+        address indexed from,
+        address indexed to,
+        uint256 value
+    );
+
+    event Approval(
+        address indexed owner,
+        address indexed spender,
+        uint256 value
+    );
+
     bytes32 public name;
     bytes32 public symbol;
     uint256 public decimals;
     uint256 public totalSupply;
+    mapping(address => uint256) public balanceOf;
+    mapping(address => mapping(address => uint256)) public allowance;
     address public token;
     address public factory;
+    uint256 public ethPriceCumulativeLast;
+    uint256 public tokenPriceCumulativeLast;
+    uint256 public blockTimestampLast;
+    uint256 public ethReserveLast;
+    uint256 public tokenReserveLast;
+    uint256 public kLast;
+    bytes32 public DOMAIN_SEPARATOR;
+    mapping(address => uint256) public nonces;
+    bool private locked;
+    address private immutable template;
+
+    uint256 private constant PRICE_PRECISION = 1e18;
+    bytes32 public constant PERMIT_TYPEHASH = keccak256("Permit(address owner,address spender,uint256 value,uint256 nonce,uint256 deadline)");
+
+    /**
+     * @dev Prevents reentrancy into the functions that change the reserves, e.g. from a flash swap callback.
+     */
+    modifier lock() {
+        require(!locked, "exchange:lock reentrant call");
+        locked = true;
+        _;
+        locked = false;
+    }
+
+    /**
+     * @dev Prevents reading the reserves from a flash swap callback, while they are lent out.
+     */
+    modifier unlocked() {
+        require(!locked, "exchange:lock reentrant call");
+        _;
+    }
+
+    /**
+     * @dev Clones share the code of the template, so template is the address of the template in every clone too.
+     */
+    constructor() {
+        template = address(this);
+    }
 
     /**
      * @dev This function acts as a contract constructor. It is called once by the factory during contract creation.
+     *      The template itself can never be set up, so nobody can claim it.
      */
     function setup(address tokenAddr) external {
+        require(address(this) != template, "exchange:setup template cannot be set up");
         require(
             factory == address(0) && token == address(0),
             "exchange:setup factory and token already set"
@@ -54,6 +121,15 @@ contract Exchange {
         name = "UNI-V1";
         symbol = "UNIV1";
         decimals = 18;
+        DOMAIN_SEPARATOR = keccak256(
+            abi.encode(
+                keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"),
+                keccak256(bytes("UNI-V1")),
+                keccak256(bytes("1")),
+                block.chainid,
+                address(this)
+            )
+        );
     }
 
     /**
@@ -61,33 +137,72 @@ contract Exchange {
      * @dev minLiquidity does nothing when total UNI supply is 0.
      * @param minLiquidity Minimum number of UNI sender will mint if total UNI supply is greater than 0.
      * @param maxTokens Maximum number of tokens deposited. Deposits max amount if total UNI supply is 0.
-     * @param deadline Time after which this transaction can no longer be executed.
+     * @param deadline Unix timestamp after which this transaction can no longer be executed.
      * @return amount minted. 
      */
-    function addLiquidity(uint256 minLiquidity, uint256 maxTokens, uint256 deadline) external payable returns(uint256) {
-        require(deadline > block.number && maxTokens > 0 && msg.value > 0, "exchange:addLiquidity invalid parameters");
-        uint256 totalLiquidity = totalSupply;
-        if(totalLiquidity > 0) {
+    function addLiquidity(uint256 minLiquidity, uint256 maxTokens, uint256 deadline) public payable returns(uint256) {
+        return depositLiquidity(minLiquidity, maxTokens, deadline, false);
+    }
+
+    /**
+     * @notice Deposit ETH and Tokens that take a fee on transfer at current ratio to mint UNI tokens.
+     * @dev The provider pays the fee: UNI tokens are minted for the Tokens the exchange received, and the
+     *      ETH deposited in excess of them goes to all liquidity providers.
+     * @param minLiquidity Minimum number of UNI sender will mint if total UNI supply is greater than 0.
+     * @param maxTokens Maximum number of tokens sent. Sends max amount if total UNI supply is 0.
+     * @param deadline Unix timestamp after which this transaction can no longer be executed.
+     * @return amount minted.
+     */
+    function addLiquiditySupportingFeeOnTransferTokens(uint256 minLiquidity, uint256 maxTokens, uint256 deadline) external payable returns(uint256) {
+        return depositLiquidity(minLiquidity, maxTokens, deadline, true);
+    }
+
+    function depositLiquidity(uint256 minLiquidity, uint256 maxTokens, uint256 deadline, bool feeOnTransfer) private lock returns(uint256) {
+        require(deadline >= block.timestamp && maxTokens > 0 && msg.value > 0, "exchange:addLiquidity invalid parameters");
+        if(totalSupply > 0) {
             require(minLiquidity > 0, "exchange:addLiquidity minLiquidity must be greater than 0");
             uint256 ethReserve = address(this).balance.sub(msg.value);
             uint256 tokenReserve = IERC20(token).balanceOf(address(this));
+            updatePriceAccumulators();
+            bool feeOn = mintFee(ethReserve, tokenReserve);
+            uint256 totalLiquidity = totalSupply;
             uint256 tokenAmount = msg.value.mul(tokenReserve).div(ethReserve).add(1);
             uint256 liquidityMinted = msg.value.mul(totalLiquidity).div(ethReserve);
             require(maxTokens >= tokenAmount && liquidityMinted >= minLiquidity, "exchange:addLiquidity maxTokens or liquidityMinted is too low");
+            uint256 tokensReceived = receiveTokens(msg.sender, tokenAmount, feeOnTransfer, "exchange:addLiquidity failed to transfer tokens");
+            if(tokensReceived < tokenAmount) {
+                // Fee on transfer: the Tokens received are worth less than msg.value at the current ratio.
+                liquidityMinted = tokensReceived.mul(totalLiquidity).div(tokenReserve);
+                require(liquidityMinted >= minLiquidity, "exchange:addLiquidity maxTokens or liquidityMinted is too low");
+            }
             totalSupply = totalLiquidity.add(liquidityMinted);
-            require(IERC20(token).transferFrom(msg.sender, address(this), tokenAmount), "exchange:addLiquidity failed to transfer tokens");
-            emit AddLiquidity(msg.sender, msg.value, tokenAmount);
+            balanceOf[msg.sender] = balanceOf[msg.sender].add(liquidityMinted);
+            if(feeOn) {
+                kLast = address(this).balance.mul(IERC20(token).balanceOf(address(this)));
+            }
+            updateReserves();
+            emit AddLiquidity(msg.sender, msg.value, tokensReceived);
+            emit Transfer(address(0), msg.sender, liquidityMinted);
             return liquidityMinted;
         } else {
             require(
                 factory != address(0) && token != address(0) && msg.value >= 1000000000,
                 "exchange:addLiquidity factory and token not yet set and wrong msg.value"
             );
-            uint256 tokenAmount = maxTokens;
+            uint256 ethReserve = address(this).balance.sub(msg.value);
+            uint256 tokenReserve = IERC20(token).balanceOf(address(this));
+            updatePriceAccumulators();
+            bool feeOn = mintFee(ethReserve, tokenReserve);
+            uint256 tokenAmount = receiveTokens(msg.sender, maxTokens, feeOnTransfer, "exchange:addLiquidity failed to transfer tokens");
             uint256 initialLiquidity = address(this).balance;
             totalSupply = initialLiquidity;
-            require(IERC20(token).transferFrom(msg.sender, address(this), tokenAmount), "exchange:addLiquidity failed to transfer tokens");
+            balanceOf[msg.sender] = initialLiquidity;
+            if(feeOn) {
+                kLast = address(this).balance.mul(IERC20(token).balanceOf(address(this)));
+            }
+            updateReserves();
             emit AddLiquidity(msg.sender, msg.value, tokenAmount);
+            emit Transfer(address(0), msg.sender, initialLiquidity);
             return initialLiquidity;
         }
     }
@@ -97,25 +212,275 @@ contract Exchange {
      * @param amount Amount of UNI burned.
      * @param minEth Minimum ETH withdrawn.
      * @param minTokens Minimum Tokens withdrawn.
-     * @param deadline Time after which this transaction can no longer be executed.
+     * @param deadline Unix timestamp after which this transaction can no longer be executed.
      * @return The amount of ETH and Tokens withdrawn.
      */
-    function removeLiquidity(uint256 amount, uint256 minEth, uint256 minTokens, uint256 deadline) external returns(uint256, uint256) {
-        require(amount > 0 && deadline > block.number && minEth > 0 && minTokens > 0, "exchange:removeLiquidity invalid parameters");
-        uint256 totalLiquidity = totalSupply;
-        require(totalLiquidity > 0, "exchange:removeLiquidity totalLiquidity must be greater than 0");
+    function removeLiquidity(uint256 amount, uint256 minEth, uint256 minTokens, uint256 deadline) public lock returns(uint256, uint256) {
+        require(amount > 0 && deadline >= block.timestamp && minEth > 0 && minTokens > 0, "exchange:removeLiquidity invalid parameters");
+        require(totalSupply > 0, "exchange:removeLiquidity totalLiquidity must be greater than 0");
+        require(balanceOf[msg.sender] >= amount, "exchange:removeLiquidity amount exceeds balance");
         uint256 tokenReserve = IERC20(token).balanceOf(address(this));
+        updatePriceAccumulators();
+        bool feeOn = mintFee(address(this).balance, tokenReserve);
+        uint256 totalLiquidity = totalSupply;
         uint256 ethAmount = amount.mul(address(this).balance).div(totalLiquidity);
         uint256 tokenAmount = amount.mul(tokenReserve).div(totalLiquidity);
         require(ethAmount >= minEth && tokenAmount >= minTokens, "exchange:removeLiquidity minEth or minTokens amount too low");
+        balanceOf[msg.sender] = balanceOf[msg.sender].sub(amount);
         totalSupply = totalLiquidity.sub(amount);
         (bool success, ) = msg.sender.call{value: ethAmount}("");
         require(success, "exchange:removeLiquidity failed to send eth");
-        require(IERC20(token).transfer(msg.sender, tokenAmount), "exchange:removeLiquidity failed to transfer tokens");
+        TransferHelper.safeTransfer(token, msg.sender, tokenAmount, "exchange:removeLiquidity failed to transfer tokens");
+        if(feeOn) {
+            kLast = address(this).balance.mul(IERC20(token).balanceOf(address(this)));
+        }
+        updateReserves();
         emit RemoveLiquidity(msg.sender, ethAmount, tokenAmount);
+        emit Transfer(msg.sender, address(0), amount);
         return (ethAmount, tokenAmount);
     }
 
+    /**
+     * @notice Deposit ETH and Tokens at current ratio to mint UNI tokens, approving the Tokens with an EIP-2612 permit.
+     * @dev The permit allows this exchange to spend maxTokens of msg.sender and expires at deadline.
+     *      Reverts if the token does not support EIP-2612.
+     * @param minLiquidity Minimum number of UNI sender will mint if total UNI supply is greater than 0.
+     * @param maxTokens Maximum number of tokens deposited. Deposits max amount if total UNI supply is 0.
+     * @param deadline Unix timestamp after which this transaction can no longer be executed.
+     * @param v Recovery byte of the permit signature.
+     * @param r First half of the permit signature.
+     * @param s Second half of the permit signature.
+     * @return amount minted.
+     */
+    function addLiquidityWithPermit(uint256 minLiquidity, uint256 maxTokens, uint256 deadline, uint8 v, bytes32 r, bytes32 s) external payable returns(uint256) {
+        permitToken(maxTokens, deadline, v, r, s);
+        return addLiquidity(minLiquidity, maxTokens, deadline);
+    }
+
+    /**
+     * @notice Burn UNI tokens of provider to withdraw ETH and Tokens at current ratio, approved with an EIP-2612 permit.
+     * @dev The permit allows msg.sender to spend amount UNI of provider and expires at deadline.
+     *      It is skipped if the allowance already covers amount, so a front-run copy of the permit does not make this call revert.
+     *      The UNI tokens are transferred to msg.sender, who receives the ETH and Tokens withdrawn.
+     * @param amount Amount of UNI burned.
+     * @param minEth Minimum ETH withdrawn.
+     * @param minTokens Minimum Tokens withdrawn.
+     * @param deadline Unix timestamp after which this transaction can no longer be executed.
+     * @param provider The address that signed the permit and owns the UNI tokens.
+     * @param v Recovery byte of the permit signature.
+     * @param r First half of the permit signature.
+     * @param s Second half of the permit signature.
+     * @return The amount of ETH and Tokens withdrawn.
+     */
+    function removeLiquidityWithPermit(uint256 amount, uint256 minEth, uint256 minTokens, uint256 deadline, address provider, uint8 v, bytes32 r, bytes32 s) external returns(uint256, uint256) {
+        if(allowance[provider][msg.sender] < amount) {
+            permit(provider, msg.sender, amount, deadline, v, r, s);
+        }
+        spendAllowance(provider, msg.sender, amount);
+        transferShares(provider, msg.sender, amount);
+        return removeLiquidity(amount, minEth, minTokens, deadline);
+    }
+
+    /**
+     * @notice Transfer UNI tokens to another address.
+     * @param to The address that receives the UNI tokens.
+     * @param value Amount of UNI transferred.
+     * @return True if the transfer succeeded.
+     */
+    function transfer(address to, uint256 value) external returns(bool) {
+        transferShares(msg.sender, to, value);
+        return true;
+    }
+
+    /**
+     * @notice Transfer UNI tokens on behalf of another address.
+     * @dev Spends allowance granted by from to msg.sender.
+     * @param from The address whose UNI tokens are transferred.
+     * @param to The address that receives the UNI tokens.
+     * @param value Amount of UNI transferred.
+     * @return True if the transfer succeeded.
+     */
+    function transferFrom(address from, address to, uint256 value) external returns(bool) {
+        spendAllowance(from, msg.sender, value);
+        transferShares(from, to, value);
+        return true;
+    }
+
+    /**
+     * @notice Allow spender to transfer up to value UNI tokens of msg.sender.
+     * @param spender The address allowed to spend the UNI tokens.
+     * @param value Maximum amount of UNI spender can transfer.
+     * @return True if the approval succeeded.
+     */
+    function approve(address spender, uint256 value) external returns(bool) {
+        approveShares(msg.sender, spender, value);
+        return true;
+    }
+
+    /**
+     * @notice Allow spender to transfer up to value UNI tokens of owner, with a signature of owner (EIP-2612).
+     * @dev Each signature can be used once: it is bound to the current nonce of owner.
+     * @param owner The address that signed the permit.
+     * @param spender The address allowed to spend the UNI tokens.
+     * @param value Maximum amount of UNI spender can transfer.
+     * @param deadline Unix timestamp after which the signature can no longer be used.
+     * @param v Recovery byte of the signature.
+     * @param r First half of the signature.
+     * @param s Second half of the signature.
+     */
+    function permit(address owner, address spender, uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s) public {
+        require(deadline >= block.timestamp, "exchange:permit expired");
+        bytes32 digest = ECDSA.toTypedDataHash(
+            DOMAIN_SEPARATOR,
+            keccak256(abi.encode(PERMIT_TYPEHASH, owner, spender, value, nonces[owner]++, deadline))
+        );
+        require(ECDSA.recover(digest, v, r, s) == owner, "exchange:permit invalid signature");
+        approveShares(owner, spender, value);
+    }
+
+    function approveShares(address owner, address spender, uint256 value) private {
+        require(spender != address(0), "exchange:approve invalid spender address");
+        allowance[owner][spender] = value;
+        emit Approval(owner, spender, value);
+    }
+
+    function spendAllowance(address owner, address spender, uint256 value) private {
+        uint256 currentAllowance = allowance[owner][spender];
+        require(currentAllowance >= value, "exchange:transferFrom amount exceeds allowance");
+        if(currentAllowance != type(uint256).max) {
+            allowance[owner][spender] = currentAllowance.sub(value);
+        }
+    }
+
+    /**
+     * @dev Lets this exchange spend value Tokens of msg.sender with an EIP-2612 permit of the token.
+     *      The permit is skipped if the allowance already covers value: anyone can submit a signed permit,
+     *      and a front-run copy of it would otherwise make the call of msg.sender revert.
+     */
+    function permitToken(uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s) private {
+        if(IERC20(token).allowance(msg.sender, address(this)) < value) {
+            IERC20Permit(token).permit(msg.sender, address(this), value, deadline, v, r, s);
+        }
+    }
+
+    /**
+     * @dev Transfers amount Tokens of from to this exchange.
+     * @param feeOnTransfer Whether to measure the amount received, for tokens that take a fee on transfer.
+     * @return The amount of Tokens received: the change of the balance of this exchange if feeOnTransfer, amount otherwise.
+     */
+    function receiveTokens(address from, uint256 amount, bool feeOnTransfer, string memory errorMessage) private returns(uint256) {
+        uint256 balanceBefore = feeOnTransfer ? IERC20(token).balanceOf(address(this)) : 0;
+        TransferHelper.safeTransferFrom(token, from, address(this), amount, errorMessage);
+        return feeOnTransfer ? IERC20(token).balanceOf(address(this)).sub(balanceBefore) : amount;
+    }
+
+    function transferShares(address from, address to, uint256 value) private {
+        require(to != address(0) && to != address(this), "exchange:transfer invalid recipient address");
+        require(balanceOf[from] >= value, "exchange:transfer amount exceeds balance");
+        balanceOf[from] = balanceOf[from].sub(value);
+        balanceOf[to] = balanceOf[to].add(value);
+        emit Transfer(from, to, value);
+    }
+
+    /**
+     * @dev Mints the protocol fee to the feeTo address of the factory, if set: 1/6 of the growth of sqrt(k)
+     *      since the last liquidity event. Must be called with the reserves before any change of the current call.
+     * @param ethReserve Amount of ETH in exchange reserves.
+     * @param tokenReserve Amount of Tokens in exchange reserves.
+     * @return feeOn Whether the protocol fee is on, in which case kLast must be updated after the liquidity event.
+     */
+    function mintFee(uint256 ethReserve, uint256 tokenReserve) private returns(bool feeOn) {
+        address feeTo = IFactory(factory).feeTo();
+        feeOn = feeTo != address(0);
+        if(feeOn) {
+            uint256 liquidity = getFeeLiquidity(ethReserve, tokenReserve);
+            if(liquidity > 0) {
+                totalSupply = totalSupply.add(liquidity);
+                balanceOf[feeTo] = balanceOf[feeTo].add(liquidity);
+                emit Transfer(address(0), feeTo, liquidity);
+            }
+        } else if(kLast > 0) {
+            kLast = 0;
+        }
+    }
+
+    /**
+     * @dev Amount of UNI tokens mintFee mints to feeTo while the protocol fee is on.
+     * @param ethReserve Amount of ETH in exchange reserves.
+     * @param tokenReserve Amount of Tokens in exchange reserves.
+     */
+    function getFeeLiquidity(uint256 ethReserve, uint256 tokenReserve) private view returns(uint256) {
+        uint256 k = kLast;
+        if(k == 0) {
+            return 0;
+        }
+        uint256 rootK = sqrt(ethReserve.mul(tokenReserve));
+        uint256 rootKLast = sqrt(k);
+        if(rootK <= rootKLast) {
+            return 0;
+        }
+        uint256 numerator = totalSupply.mul(rootK.sub(rootKLast));
+        uint256 denominator = rootK.mul(5).add(rootKLast);
+        return numerator.div(denominator);
+    }
+
+    /**
+     * @dev Babylonian method, rounds down.
+     */
+    function sqrt(uint256 y) private pure returns(uint256 z) {
+        if(y > 3) {
+            z = y;
+            uint256 x = y / 2 + 1;
+            while(x < z) {
+                z = x;
+                x = (y / x + x) / 2;
+            }
+        } else if(y != 0) {
+            z = 1;
+        }
+    }
+
+    /**
+     * @dev Accumulates the prices of the reserves held since the last update. Must be called
+     *      before updateReserves saves the reserves of the current call.
+     */
+    function updatePriceAccumulators() private {
+        (ethPriceCumulativeLast, tokenPriceCumulativeLast) = accumulatePrices();
+        blockTimestampLast = block.timestamp;
+    }
+
+    /**
+     * @dev Saves the reserves at the end of a call that changed them. Prices accumulate from the saved
+     *      reserves rather than the balances, so Tokens or ETH sent to the exchange without a call,
+     *      right before an observation, do not count for the time elapsed since the last update.
+     */
+    function updateReserves() private {
+        ethReserveLast = address(this).balance;
+        tokenReserveLast = IERC20(token).balanceOf(address(this));
+    }
+
+    /**
+     * @dev Cumulative prices at the current block of the reserves saved by the last update.
+     * @return ethPriceCumulative Sum over every second of the price of 1 ETH in Tokens.
+     * @return tokenPriceCumulative Sum over every second of the price of 1 Token in ETH.
+     */
+    function accumulatePrices() private view returns(uint256 ethPriceCumulative, uint256 tokenPriceCumulative) {
+        ethPriceCumulative = ethPriceCumulativeLast;
+        tokenPriceCumulative = tokenPriceCumulativeLast;
+        uint256 ethReserve = ethReserveLast;
+        uint256 tokenReserve = tokenReserveLast;
+        uint256 timeElapsed = block.timestamp - blockTimestampLast;
+        if(timeElapsed > 0 && totalSupply > 0 && ethReserve > 0 && tokenReserve > 0) {
+            uint256 ethPrice = tokenReserve.mul(PRICE_PRECISION).div(ethReserve);
+            uint256 tokenPrice = ethReserve.mul(PRICE_PRECISION).div(tokenReserve);
+            // Overflow is desired, oracles only use the difference between two observations.
+            unchecked {
+                ethPriceCumulative += ethPrice * timeElapsed;
+                tokenPriceCumulative += tokenPrice * timeElapsed;
+            }
+        }
+    }
+
     /**
      * @dev Pricing function for converting between ETH and Tokens.
      * @param inputAmount Amount of ETH or Tokens being sold.
@@ -140,17 +505,20 @@ contract Exchange {
      */
     function getOutputPrice(uint256 outputAmount, uint256 inputReserve, uint256 outputReserve) private pure returns(uint256) {
         require(inputReserve > 0 && outputReserve > 0, "exchange:getOutputPrice invalid parameters");
+        require(outputAmount < outputReserve, "exchange:getOutputPrice outputAmount exceeds outputReserve");
         uint256 numerator = inputReserve.mul(outputAmount).mul(1000);
         uint256 denominator = (outputReserve.sub(outputAmount)).mul(997);
         return numerator.div(denominator).add(1);
     }
 
-    function ethToTokenInput(uint256 ethSold, uint256 minTokens, uint256 deadline, address buyer, address recipient) private returns(uint256) {
-        require(deadline >= block.number && ethSold > 0 && minTokens > 0, "exchange:ethToTokenInput invalid parameters");
+    function ethToTokenInput(uint256 ethSold, uint256 minTokens, uint256 deadline, address buyer, address recipient) private lock returns(uint256) {
+        require(deadline >= block.timestamp && ethSold > 0 && minTokens > 0, "exchange:ethToTokenInput invalid parameters");
         uint256 tokenReserve = IERC20(token).balanceOf(address(this));
+        updatePriceAccumulators();
         uint256 tokensBought = getInputPrice(ethSold, address(this).balance.sub(ethSold), tokenReserve);
         require(tokensBought >= minTokens, "exchange:ethToTokenInput failed to buy this amount of tokens");
-        require(IERC20(token).transfer(recipient, tokensBought), "exchange:ethToTokenInput failed to transfer tokens");
+        TransferHelper.safeTransfer(token, recipient, tokensBought, "exchange:ethToTokenInput failed to transfer tokens");
+        updateReserves();
         emit TokenPurchase(buyer, ethSold, tokensBought);
         return tokensBought;
     }
@@ -159,7 +527,7 @@ contract Exchange {
      * @notice Convert ETH to Tokens.
      * @dev User specifies exact input (msg.value) and minimum output.
      * @param minTokens Minimum Tokens bought.
-     * @param deadline Time after which this transaction can no longer be executed.
+     * @param deadline Unix timestamp after which this transaction can no longer be executed.
      * @return Amount of Tokens bought.
      */
     function ethToTokenSwapInput(uint256 minTokens, uint256 deadline) external payable returns(uint256) {
@@ -170,7 +538,7 @@ contract Exchange {
      * @notice Convert ETH to Tokens and transfers Tokens to recipient.
      * @dev User specifies exact input (msg.value) and minimum output
      * @param minTokens Minimum Tokens bought.
-     * @param deadline Time after which this transaction can no longer be executed.
+     * @param deadline Unix timestamp after which this transaction can no longer be executed.
      * @param recipient The address that receives output Tokens.
      * @return Amount of Tokens bought.
      */
@@ -179,16 +547,18 @@ contract Exchange {
         return ethToTokenInput(msg.value, minTokens, deadline, msg.sender, recipient);
     }
 
-    function ethToTokenOutput(uint256 tokensBought, uint256 maxEth, uint256 deadline, address buyer, address recipient) private returns(uint256) {
-        require(deadline >= block.number && tokensBought > 0 && maxEth > 0, "exchange:ethToTokenOutput invalid parameters");
+    function ethToTokenOutput(uint256 tokensBought, uint256 maxEth, uint256 deadline, address buyer, address recipient) private lock returns(uint256) {
+        require(deadline >= block.timestamp && tokensBought > 0 && maxEth > 0, "exchange:ethToTokenOutput invalid parameters");
         uint256 tokenReserve = IERC20(token).balanceOf(address(this));
+        updatePriceAccumulators();
         uint256 ethSold = getOutputPrice(tokensBought, address(this).balance.sub(maxEth), tokenReserve);
         uint256 ethRefund = maxEth.sub(ethSold);
         if(ethRefund > 0) {
             (bool success, ) = msg.sender.call{value: ethRefund}("");
             require(success, "exchange:ethToTokenOutput failed to send eth");
         }
-        require(IERC20(token).transfer(recipient, tokensBought), "exchange:ethToTokenOutput failed to transfer tokens");
+        TransferHelper.safeTransfer(token, recipient, tokensBought, "exchange:ethToTokenOutput failed to transfer tokens");
+        updateReserves();
         emit TokenPurchase(buyer, ethSold, tokensBought);
         return ethSold;
     }
@@ -197,7 +567,7 @@ contract Exchange {
      * @notice Convert ETH to Tokens.
      * @dev User specifies maximum input (msg.value) and exact output.
      * @param tokensBought Amount of tokens bought.
-     * @param deadline Time after which this transaction can no longer be executed.
+     * @param deadline Unix timestamp after which this transaction can no longer be executed.
      * @return Amount of ETH sold.
      */
     function ethToTokenSwapOutput(uint256 tokensBought, uint256 deadline) external payable returns(uint256) {
@@ -208,7 +578,7 @@ contract Exchange {
      * @notice Convert ETH to Tokens and transfers Tokens to recipient.
      * @dev User specifies maximum input (msg.value) and exact output.
      * @param tokensBought Amount of tokens bought.
-     * @param deadline Time after which this transaction can no longer be executed.
+     * @param deadline Unix timestamp after which this transaction can no longer be executed.
      * @param recipient The address that receives output Tokens.
      * @return Amount of ETH sold.
      */
@@ -217,14 +587,16 @@ contract Exchange {
         return ethToTokenOutput(tokensBought, msg.value, deadline, msg.sender, recipient);
     }
 
-    function tokenToEthInput(uint256 tokensSold, uint256 minEth, uint256 deadline, address buyer, address recipient) private returns(uint256) {
-        require(deadline >= block.number && tokensSold > 0 && minEth > 0, "exchange:tokenToEthInput invalid parameters");
+    function tokenToEthInput(uint256 tokensSold, uint256 minEth, uint256 deadline, address buyer, address recipient, bool feeOnTransfer) private lock returns(uint256) {
+        require(deadline >= block.timestamp && tokensSold > 0 && minEth > 0, "exchange:tokenToEthInput invalid parameters");
         uint256 tokenReserve = IERC20(token).balanceOf(address(this));
+        updatePriceAccumulators();
+        tokensSold = receiveTokens(buyer, tokensSold, feeOnTransfer, "exchange:tokenToEthInput failed to transfer tokens");
         uint256 ethBought = getInputPrice(tokensSold, tokenReserve, address(this).balance);
         require(ethBought >= minEth, "exchange:tokenToEthInput too low amount");
         (bool success, ) = recipient.call{value: ethBought}("");
         require(success, "exchange:tokenToEthInput failed to send eth");
-        require(IERC20(token).transferFrom(buyer, address(this), tokensSold), "exchange:tokenToEthInput failed to transfer tokens");
+        updateReserves();
         emit EthPurchase(buyer, tokensSold, ethBought);
         return ethBought;
     }
@@ -234,11 +606,11 @@ contract Exchange {
      * @dev User specifies exact input and minimum output.
      * @param tokensSold Amount of Tokens sold.
      * @param minEth Minimum ETH purchased.
-     * @param deadline Time after which this transaction can no longer be executed.
+     * @param deadline Unix timestamp after which this transaction can no longer be executed.
      * @return Amount of ETH bought.
      */
     function tokenToEthSwapInput(uint256 tokensSold, uint256 minEth, uint256 deadline) external returns(uint256) {
-        return tokenToEthInput(tokensSold, minEth, deadline, msg.sender, msg.sender);
+        return tokenToEthInput(tokensSold, minEth, deadline, msg.sender, msg.sender, false);
     }
 
     /**
@@ -246,23 +618,68 @@ contract Exchange {
      * @dev User specifies exact input and minimum output.
      * @param tokensSold Amount of Tokens sold.
      * @param minEth Minimum ETH purchased.
-     * @param deadline Time after which this transaction can no longer be executed.
+     * @param deadline Unix timestamp after which this transaction can no longer be executed.
      * @param recipient The address that receives output ETH.
      * @return Amount of ETH bought.
      */
     function tokenToEthTransferInput(uint256 tokensSold, uint256 minEth, uint256 deadline, address recipient) external returns(uint256) {
         require(recipient != address(0) && recipient != address(this), "exchange:tokenToEthTransferInput invalid recipient address");
-        return tokenToEthInput(tokensSold, minEth, deadline, msg.sender, recipient);
+        return tokenToEthInput(tokensSold, minEth, deadline, msg.sender, recipient, false);
+    }
+
+    /**
+     * @notice Convert Tokens to ETH, approving the Tokens with an EIP-2612 permit.
+     * @dev User specifies exact input and minimum output. The permit allows this exchange
+     *      to spend tokensSold of msg.sender and expires at deadline.
+     * @param tokensSold Amount of Tokens sold.
+     * @param minEth Minimum ETH purchased.
+     * @param deadline Unix timestamp after which this transaction can no longer be executed.
+     * @param v Recovery byte of the permit signature.
+     * @param r First half of the permit signature.
+     * @param s Second half of the permit signature.
+     * @return Amount of ETH bought.
+     */
+    function tokenToEthSwapInputWithPermit(uint256 tokensSold, uint256 minEth, uint256 deadline, uint8 v, bytes32 r, bytes32 s) external returns(uint256) {
+        permitToken(tokensSold, deadline, v, r, s);
+        return tokenToEthInput(tokensSold, minEth, deadline, msg.sender, msg.sender, false);
     }
 
-    function tokenToEthOutput(uint256 ethBought, uint256 maxTokens, uint256 deadline, address buyer, address recipient) private returns(uint256) {
-        require(deadline >= block.number && ethBought > 0, "exchange:tokenToEthOutput invalid parameters");
+    /**
+     * @notice Convert Tokens that take a fee on transfer to ETH.
+     * @dev User specifies exact input and minimum output. The price is that of the Tokens the exchange received.
+     * @param tokensSold Amount of Tokens sent.
+     * @param minEth Minimum ETH purchased.
+     * @param deadline Unix timestamp after which this transaction can no longer be executed.
+     * @return Amount of ETH bought.
+     */
+    function tokenToEthSwapInputSupportingFeeOnTransferTokens(uint256 tokensSold, uint256 minEth, uint256 deadline) external returns(uint256) {
+        return tokenToEthInput(tokensSold, minEth, deadline, msg.sender, msg.sender, true);
+    }
+
+    /**
+     * @notice Convert Tokens that take a fee on transfer to ETH and transfers ETH to recipient.
+     * @dev User specifies exact input and minimum output. The price is that of the Tokens the exchange received.
+     * @param tokensSold Amount of Tokens sent.
+     * @param minEth Minimum ETH purchased.
+     * @param deadline Unix timestamp after which this transaction can no longer be executed.
+     * @param recipient The address that receives output ETH.
+     * @return Amount of ETH bought.
+     */
+    function tokenToEthTransferInputSupportingFeeOnTransferTokens(uint256 tokensSold, uint256 minEth, uint256 deadline, address recipient) external returns(uint256) {
+        require(recipient != address(0) && recipient != address(this), "exchange:tokenToEthTransferInput invalid recipient address");
+        return tokenToEthInput(tokensSold, minEth, deadline, msg.sender, recipient, true);
+    }
+
+    function tokenToEthOutput(uint256 ethBought, uint256 maxTokens, uint256 deadline, address buyer, address recipient) private lock returns(uint256) {
+        require(deadline >= block.timestamp && ethBought > 0, "exchange:tokenToEthOutput invalid parameters");
         uint256 tokenReserve = IERC20(token).balanceOf(address(this));
+        updatePriceAccumulators();
         uint256 tokenSold = getOutputPrice(ethBought, tokenReserve, address(this).balance);
         require(maxTokens >= tokenSold, "exchange:tokenToEthOutput too high amount");
         (bool success, ) = recipient.call{value: ethBought}("");
         require(success, "exchange:tokenToEthOutput failed to send eth");
-        require(IERC20(token).transferFrom(buyer, address(this), tokenSold), "exchange:tokenToEthOutput failed to transfer tokens");
+        TransferHelper.safeTransferFrom(token, buyer, address(this), tokenSold, "exchange:tokenToEthOutput failed to transfer tokens");
+        updateReserves();
         emit EthPurchase(buyer, tokenSold, ethBought);
         return tokenSold;
     }
@@ -272,7 +689,7 @@ contract Exchange {
      * @dev User specifies maximum input and exact output.
      * @param ethBought Amount of ETH purchased.
      * @param maxTokens Maximum Tokens sold.
-     * @param deadline Time after which this transaction can no longer be executed.
+     * @param deadline Unix timestamp after which this transaction can no longer be executed.
      * @return Amount of Tokens sold.
      */
     function tokenToEthSwapOutput(uint256 ethBought, uint256 maxTokens, uint256 deadline) external returns(uint256) {
@@ -284,7 +701,7 @@ contract Exchange {
      * @dev User specifies maximum input and exact output.
      * @param ethBought Amount of ETH purchased.
      * @param maxTokens Maximum Tokens sold.
-     * @param deadline Time after which this transaction can no longer be executed.
+     * @param deadline Unix timestamp after which this transaction can no longer be executed.
      * @param recipient The address that receives output ETH.
      * @return Amount of Tokens sold.
      */
@@ -293,14 +710,33 @@ contract Exchange {
         return tokenToEthOutput(ethBought, maxTokens, deadline, msg.sender, recipient);
     }
 
-    function tokenToTokenInput(uint256 tokensSold, uint256 minTokensBought, uint256 minEthBought, uint256 deadline, address buyer, address recipient, address exchangeAddr) private returns(uint256) {
-        require(deadline >= block.number && tokensSold> 0 && minTokensBought > 0 && minEthBought > 0, "exchange:tokenToTokenInput invalid parameters");
+    /**
+     * @notice Convert Tokens to ETH, approving the Tokens with an EIP-2612 permit.
+     * @dev User specifies maximum input and exact output. The permit allows this exchange
+     *      to spend maxTokens of msg.sender and expires at deadline.
+     * @param ethBought Amount of ETH purchased.
+     * @param maxTokens Maximum Tokens sold.
+     * @param deadline Unix timestamp after which this transaction can no longer be executed.
+     * @param v Recovery byte of the permit signature.
+     * @param r First half of the permit signature.
+     * @param s Second half of the permit signature.
+     * @return Amount of Tokens sold.
+     */
+    function tokenToEthSwapOutputWithPermit(uint256 ethBought, uint256 maxTokens, uint256 deadline, uint8 v, bytes32 r, bytes32 s) external returns(uint256) {
+        permitToken(maxTokens, deadline, v, r, s);
+        return tokenToEthOutput(ethBought, maxTokens, deadline, msg.sender, msg.sender);
+    }
+
+    function tokenToTokenInput(uint256 tokensSold, uint256 minTokensBought, uint256 minEthBought, uint256 deadline, address buyer, address recipient, address exchangeAddr, bool feeOnTransfer) private lock returns(uint256) {
+        require(deadline >= block.timestamp && tokensSold> 0 && minTokensBought > 0 && minEthBought > 0, "exchange:tokenToTokenInput invalid parameters");
         require(exchangeAddr != address(this) && exchangeAddr != address(0), "exchange:tokenToTokenInput invalid exchange address");
         uint256 tokenReserve = IERC20(token).balanceOf(address(this));
+        updatePriceAccumulators();
+        tokensSold = receiveTokens(buyer, tokensSold, feeOnTransfer, "exchange:tokenToTokenInput failed to transfer tokens");
         uint256 ethBought = getInputPrice(tokensSold, tokenReserve, address(this).balance);
         require(ethBought >= minEthBought, "exchange:tokenToTokenInput too low amount");
-        require(IERC20(token).transferFrom(buyer, address(this), tokensSold), "exchange:tokenToTokenInput failed to transfer tokens");
         uint256 tokensBought = IExchange(exchangeAddr).ethToTokenTransferInput{value: ethBought}(minTokensBought, deadline, recipient);
+        updateReserves();
         emit EthPurchase(buyer, tokensSold, ethBought);
         return tokensBought;
     }
@@ -311,13 +747,13 @@ contract Exchange {
      * @param tokensSold Amount of Tokens sold.
      * @param minTokensBought Minimum Tokens (tokenAddr) purchased.
      * @param minEthBought Minimum ETH purchased as intermediary.
-     * @param deadline Time after which this transaction can no longer be executed.
+     * @param deadline Unix timestamp after which this transaction can no longer be executed.
      * @param tokenAddr The address of the token being purchased.
      * @return Amount of Tokens (tokenAddr) bought.
      */
     function tokenToTokenSwapInput(uint256 tokensSold, uint256 minTokensBought, uint256 minEthBought, uint256 deadline, address tokenAddr) external returns(uint256) {
         address exchangeAddr = IFactory(factory).getExchange(tokenAddr);
-        return tokenToTokenInput(tokensSold, minTokensBought, minEthBought, deadline, msg.sender, msg.sender, exchangeAddr);
+        return tokenToTokenInput(tokensSold, minTokensBought, minEthBought, deadline, msg.sender, msg.sender, exchangeAddr, false);
     }
 
     /**
@@ -327,25 +763,80 @@ contract Exchange {
      * @param tokenSold Amount of Tokens sold.
      * @param minTokensBought Minimum Tokens (tokenAddr) purchased.
      * @param minEthBought Minimum ETH purchased as intermediary.
-     * @param deadline Time after which this transaction can no longer be executed.
+     * @param deadline Unix timestamp after which this transaction can no longer be executed.
      * @param recipient The address that receives output ETH.
      * @param tokenAddr The address of the token being purchased.
      * @return Amount of Tokens (tokenAddr) bought.
      */
     function tokenToTokenTransferInput(uint256 tokenSold, uint256 minTokensBought, uint256 minEthBought, uint256 deadline, address recipient, address tokenAddr) external returns(uint256) {
         address exchangeAddr = IFactory(factory).getExchange(tokenAddr);
-        return tokenToTokenInput(tokenSold, minTokensBought, minEthBought, deadline, msg.sender, recipient, exchangeAddr);
+        return tokenToTokenInput(tokenSold, minTokensBought, minEthBought, deadline, msg.sender, recipient, exchangeAddr, false);
+    }
+
+    /**
+     * @notice Convert Tokens  to Tokens (tokenAddr), approving the Tokens sold with an EIP-2612 permit.
+     * @dev User specifies exact input and minimum output. The permit allows this exchange
+     *      to spend tokensSold of msg.sender and expires at deadline.
+     * @param tokensSold Amount of Tokens sold.
+     * @param minTokensBought Minimum Tokens (tokenAddr) purchased.
+     * @param minEthBought Minimum ETH purchased as intermediary.
+     * @param deadline Unix timestamp after which this transaction can no longer be executed.
+     * @param tokenAddr The address of the token being purchased.
+     * @param v Recovery byte of the permit signature.
+     * @param r First half of the permit signature.
+     * @param s Second half of the permit signature.
+     * @return Amount of Tokens (tokenAddr) bought.
+     */
+    function tokenToTokenSwapInputWithPermit(uint256 tokensSold, uint256 minTokensBought, uint256 minEthBought, uint256 deadline, address tokenAddr, uint8 v, bytes32 r, bytes32 s) external returns(uint256) {
+        permitToken(tokensSold, deadline, v, r, s);
+        return tokenToTokenInput(tokensSold, minTokensBought, minEthBought, deadline, msg.sender, msg.sender, IFactory(factory).getExchange(tokenAddr), false);
+    }
+
+    /**
+     * @notice Convert Tokens that take a fee on transfer to Tokens (tokenAddr).
+     * @dev User specifies exact input and minimum output. The price is that of the Tokens the exchange received.
+     *      minTokensBought is checked against the amount sent by the exchange of tokenAddr, before any fee of tokenAddr.
+     * @param tokensSold Amount of Tokens sent.
+     * @param minTokensBought Minimum Tokens (tokenAddr) purchased.
+     * @param minEthBought Minimum ETH purchased as intermediary.
+     * @param deadline Unix timestamp after which this transaction can no longer be executed.
+     * @param tokenAddr The address of the token being purchased.
+     * @return Amount of Tokens (tokenAddr) bought.
+     */
+    function tokenToTokenSwapInputSupportingFeeOnTransferTokens(uint256 tokensSold, uint256 minTokensBought, uint256 minEthBought, uint256 deadline, address tokenAddr) external returns(uint256) {
+        address exchangeAddr = IFactory(factory).getExchange(tokenAddr);
+        return tokenToTokenInput(tokensSold, minTokensBought, minEthBought, deadline, msg.sender, msg.sender, exchangeAddr, true);
+    }
+
+    /**
+     * @notice Convert Tokens that take a fee on transfer to Tokens (tokenAddr) and transfers
+     *         Tokens (tokenAddr) to recipient.
+     * @dev User specifies exact input and minimum output. The price is that of the Tokens the exchange received.
+     *      minTokensBought is checked against the amount sent by the exchange of tokenAddr, before any fee of tokenAddr.
+     * @param tokensSold Amount of Tokens sent.
+     * @param minTokensBought Minimum Tokens (tokenAddr) purchased.
+     * @param minEthBought Minimum ETH purchased as intermediary.
+     * @param deadline Unix timestamp after which this transaction can no longer be executed.
+     * @param recipient The address that receives output Tokens (tokenAddr).
+     * @param tokenAddr The address of the token being purchased.
+     * @return Amount of Tokens (tokenAddr) bought.
+     */
+    function tokenToTokenTransferInputSupportingFeeOnTransferTokens(uint256 tokensSold, uint256 minTokensBought, uint256 minEthBought, uint256 deadline, address recipient, address tokenAddr) external returns(uint256) {
+        address exchangeAddr = IFactory(factory).getExchange(tokenAddr);
+        return tokenToTokenInput(tokensSold, minTokensBought, minEthBought, deadline, msg.sender, recipient, exchangeAddr, true);
     }
 
-    function tokenToTokenOutput(uint256 tokensBought, uint256 maxTokensSold, uint256 maxEthSold, uint256 deadline, address buyer, address recipient, address exchangeAddr) private returns(uint256) {
-        require(deadline >= block.number && tokensBought > 0 && maxEthSold > 0, "exchange:tokenToTokenOutput invalid parameters");
+    function tokenToTokenOutput(uint256 tokensBought, uint256 maxTokensSold, uint256 maxEthSold, uint256 deadline, address buyer, address recipient, address exchangeAddr) private lock returns(uint256) {
+        require(deadline >= block.timestamp && tokensBought > 0 && maxEthSold > 0, "exchange:tokenToTokenOutput invalid parameters");
         require(exchangeAddr != address(this) && exchangeAddr != address(0), "exchange:tokenToTokenOutput invalid exchange address");
         uint256 ethBought = IExchange(exchangeAddr).getEthToTokenOutputPrice(tokensBought);
         uint256 tokenReserve = IERC20(token).balanceOf(address(this));
+        updatePriceAccumulators();
         uint256 tokensSold = getOutputPrice(ethBought, tokenReserve, address(this).balance);
         require(maxTokensSold >= tokensSold && maxEthSold >= ethBought, "exchange:tokenToTokenOutput too high amount");
-        require(IERC20(token).transferFrom(buyer, address(this), tokensSold), "exchange:tokenToTokenOutput failed to transfer tokens");
+        TransferHelper.safeTransferFrom(token, buyer, address(this), tokensSold, "exchange:tokenToTokenOutput failed to transfer tokens");
         IExchange(exchangeAddr).ethToTokenTransferOutput{value: ethBought}(tokensBought, deadline, recipient);
+        updateReserves();
         emit EthPurchase(buyer, tokensSold, ethBought);
         return tokensSold;
     }
@@ -356,7 +847,7 @@ contract Exchange {
      * @param tokensBought Amount of Tokens (tokenAddr) bought.
      * @param maxTokensSold Maximum Tokens  sold.
      * @param maxEthSold Maximum ETH purchased as intermediary.
-     * @param deadline Time after which this transaction can no longer be executed.
+     * @param deadline Unix timestamp after which this transaction can no longer be executed.
      * @param tokenAddr The address of the token being purchased.
      * @return Amount of Tokens  sold.
      */
@@ -372,7 +863,7 @@ contract Exchange {
      * @param tokensBought Amount of Tokens (tokenAddr) bought.
      * @param maxTokensSold Maximum Tokens  sold.
      * @param maxEthSold Maximum ETH purchased as intermediary.
-     * @param deadline Time after which this transaction can no longer be executed.
+     * @param deadline Unix timestamp after which this transaction can no longer be executed.
      * @param recipient The address that receives output ETH.
      * @param tokenAddr The address of the token being purchased.
      * @return Amount of Tokens  sold.
@@ -382,18 +873,38 @@ contract Exchange {
         return tokenToTokenOutput(tokensBought, maxTokensSold, maxEthSold, deadline, msg.sender, recipient, exchangeAddr);
     }
 
+    /**
+     * @notice Convert Tokens  to Tokens (tokenAddr), approving the Tokens sold with an EIP-2612 permit.
+     * @dev User specifies maximum input and exact output. The permit allows this exchange
+     *      to spend maxTokensSold of msg.sender and expires at deadline.
+     * @param tokensBought Amount of Tokens (tokenAddr) bought.
+     * @param maxTokensSold Maximum Tokens  sold.
+     * @param maxEthSold Maximum ETH purchased as intermediary.
+     * @param deadline Unix timestamp after which this transaction can no longer be executed.
+     * @param tokenAddr The address of the token being purchased.
+     * @param v Recovery byte of the permit signature.
+     * @param r First half of the permit signature.
+     * @param s Second half of the permit signature.
+     * @return Amount of Tokens  sold.
+     */
+    function tokenToTokenSwapOutputWithPermit(uint256 tokensBought, uint256 maxTokensSold, uint256 maxEthSold, uint256 deadline, address tokenAddr, uint8 v, bytes32 r, bytes32 s) external returns(uint256) {
+        permitToken(maxTokensSold, deadline, v, r, s);
+        return tokenToTokenOutput(tokensBought, maxTokensSold, maxEthSold, deadline, msg.sender, msg.sender, IFactory(factory).getExchange(tokenAddr));
+    }
+
     /**
      * @notice Convert Tokens  to Tokens (exchangeAddr.token).
      * @dev Allows trades through contracts that were not deployed from the same factory.
      * @dev User specifies exact input and minimum output.
      * @param tokensSold Amount of Tokens sold.
      * @param minTokensBought Minimum Tokens (tokenAddr) purchased.
-     * @param deadline Time after which this transaction can no longer be executed.
+     * @param minEthBought Minimum ETH purchased as intermediary.
+     * @param deadline Unix timestamp after which this transaction can no longer be executed.
      * @param exchangeAddr The address of the exchange for the token being purchased.
      * @return Amount of Tokens (exchangeAddr.token) bought.
      */
-    function tokenToExchangeSwapInput(uint256 tokensSold, uint256 minTokensBought, uint256 deadline, address exchangeAddr) external returns(uint256) {
-        return tokenToTokenInput(tokensSold, minTokensBought, minTokensBought, deadline, msg.sender, msg.sender, exchangeAddr);
+    function tokenToExchangeSwapInput(uint256 tokensSold, uint256 minTokensBought, uint256 minEthBought, uint256 deadline, address exchangeAddr) external returns(uint256) {
+        return tokenToTokenInput(tokensSold, minTokensBought, minEthBought, deadline, msg.sender, msg.sender, exchangeAddr, false);
     }
 
     /**
@@ -404,14 +915,47 @@ contract Exchange {
      * @param tokensSold Amount of Tokens sold.
      * @param minTokensBought Minimum Tokens (tokenAddr) purchased.
      * @param minEthBought Minimum ETH purchased as intermediary.
-     * @param deadline Time after which this transaction can no longer be executed.
+     * @param deadline Unix timestamp after which this transaction can no longer be executed.
      * @param recipient The address that receives output ETH.
      * @param exchangeAddr The address of the exchange for the token being purchased.
      * @return Amount of Tokens (exchangeAddr.token) bought.
      */
     function tokenToExchangeTransferInput(uint256 tokensSold, uint256 minTokensBought, uint256 minEthBought, uint256 deadline, address recipient, address exchangeAddr) external returns(uint256) {
         require(recipient != address(this), "exchange:tokenToExchangeTransferInput invalid recipient address");
-        return tokenToTokenInput(tokensSold, minTokensBought, minEthBought, deadline, msg.sender, recipient, exchangeAddr);
+        return tokenToTokenInput(tokensSold, minTokensBought, minEthBought, deadline, msg.sender, recipient, exchangeAddr, false);
+    }
+
+    /**
+     * @notice Convert Tokens that take a fee on transfer to Tokens (exchangeAddr.token).
+     * @dev Allows trades through contracts that were not deployed from the same factory.
+     * @dev User specifies exact input and minimum output. The price is that of the Tokens the exchange received.
+     * @param tokensSold Amount of Tokens sent.
+     * @param minTokensBought Minimum Tokens (exchangeAddr.token) purchased.
+     * @param minEthBought Minimum ETH purchased as intermediary.
+     * @param deadline Unix timestamp after which this transaction can no longer be executed.
+     * @param exchangeAddr The address of the exchange for the token being purchased.
+     * @return Amount of Tokens (exchangeAddr.token) bought.
+     */
+    function tokenToExchangeSwapInputSupportingFeeOnTransferTokens(uint256 tokensSold, uint256 minTokensBought, uint256 minEthBought, uint256 deadline, address exchangeAddr) external returns(uint256) {
+        return tokenToTokenInput(tokensSold, minTokensBought, minEthBought, deadline, msg.sender, msg.sender, exchangeAddr, true);
+    }
+
+    /**
+     * @notice Convert Tokens that take a fee on transfer to Tokens (exchangeAddr.token) and transfers
+     *         Tokens (exchangeAddr.token) to recipient.
+     * @dev Allows trades through contracts that were not deployed from the same factory.
+     * @dev User specifies exact input and minimum output. The price is that of the Tokens the exchange received.
+     * @param tokensSold Amount of Tokens sent.
+     * @param minTokensBought Minimum Tokens (exchangeAddr.token) purchased.
+     * @param minEthBought Minimum ETH purchased as intermediary.
+     * @param deadline Unix timestamp after which this transaction can no longer be executed.
+     * @param recipient The address that receives output Tokens (exchangeAddr.token).
+     * @param exchangeAddr The address of the exchange for the token being purchased.
+     * @return Amount of Tokens (exchangeAddr.token) bought.
+     */
+    function tokenToExchangeTransferInputSupportingFeeOnTransferTokens(uint256 tokensSold, uint256 minTokensBought, uint256 minEthBought, uint256 deadline, address recipient, address exchangeAddr) external returns(uint256) {
+        require(recipient != address(this), "exchange:tokenToExchangeTransferInput invalid recipient address");
+        return tokenToTokenInput(tokensSold, minTokensBought, minEthBought, deadline, msg.sender, recipient, exchangeAddr, true);
     }
 
     /**
@@ -421,7 +965,7 @@ contract Exchange {
      * @param tokensBought Amount of Tokens (tokenAddr) bought.
      * @param maxTokensSold Maximum Tokens  sold.
      * @param maxEthSold Maximum ETH purchased as intermediary.
-     * @param deadline Time after which this transaction can no longer be executed.
+     * @param deadline Unix timestamp after which this transaction can no longer be executed.
      * @param exchangeAddr The address of the exchange for the token being purchased.
      * @return Amount of Tokens  sold.
      */
@@ -437,7 +981,7 @@ contract Exchange {
      * @param tokensBought Amount of Tokens (tokenAddr) bought.
      * @param maxTokensSold Maximum Tokens  sold.
      * @param maxEthSold Maximum ETH purchased as intermediary.
-     * @param deadline Time after which this transaction can no longer be executed.
+     * @param deadline Unix timestamp after which this transaction can no longer be executed.
      * @param recipient The address that receives output ETH.
      * @return Amount of Tokens  sold.
      */
@@ -446,12 +990,48 @@ contract Exchange {
         return tokenToTokenOutput(tokensBought, maxTokensSold, maxEthSold, deadline, msg.sender, recipient, exchangeAddr);
     }
 
+    /**
+     * @notice Lend ETH and Tokens to receiver for the duration of a callback.
+     * @dev ethAmount and tokenAmount are sent along with a call to receiver.onFlashSwap. By the end of the callback
+     *      the exchange must have been paid back in ETH, Tokens or both so that the product of the reserves,
+     *      less the 0.3% fee on the amounts paid back, is not lower than before.
+     * @param ethAmount Amount of ETH lent.
+     * @param tokenAmount Amount of Tokens lent.
+     * @param receiver The contract that receives the ETH and Tokens and implements IFlashSwapReceiver.
+     * @param data Arbitrary data passed to receiver.onFlashSwap.
+     */
+    function flashSwap(uint256 ethAmount, uint256 tokenAmount, address receiver, bytes calldata data) external lock {
+        require(ethAmount > 0 || tokenAmount > 0, "exchange:flashSwap invalid parameters");
+        require(receiver != address(0) && receiver != address(this), "exchange:flashSwap invalid receiver address");
+        uint256 ethReserve = address(this).balance;
+        uint256 tokenReserve = IERC20(token).balanceOf(address(this));
+        require(ethAmount < ethReserve && tokenAmount < tokenReserve, "exchange:flashSwap insufficient reserves");
+        updatePriceAccumulators();
+        if(tokenAmount > 0) {
+            TransferHelper.safeTransfer(token, receiver, tokenAmount, "exchange:flashSwap failed to transfer tokens");
+        }
+        IFlashSwapReceiver(receiver).onFlashSwap{value: ethAmount}(msg.sender, ethAmount, tokenAmount, data);
+        uint256 ethBalance = address(this).balance;
+        uint256 tokenBalance = IERC20(token).balanceOf(address(this));
+        uint256 ethIn = ethBalance > ethReserve.sub(ethAmount) ? ethBalance.sub(ethReserve.sub(ethAmount)) : 0;
+        uint256 tokenIn = tokenBalance > tokenReserve.sub(tokenAmount) ? tokenBalance.sub(tokenReserve.sub(tokenAmount)) : 0;
+        require(ethIn > 0 || tokenIn > 0, "exchange:flashSwap nothing paid back");
+        uint256 ethBalanceAdjusted = ethBalance.mul(1000).sub(ethIn.mul(3));
+        uint256 tokenBalanceAdjusted = tokenBalance.mul(1000).sub(tokenIn.mul(3));
+        require(
+            ethBalanceAdjusted.mul(tokenBalanceAdjusted) >= ethReserve.mul(tokenReserve).mul(1000000),
+            "exchange:flashSwap invariant violated"
+        );
+        updateReserves();
+        emit FlashSwap(msg.sender, receiver, ethAmount, tokenAmount, ethIn, tokenIn);
+    }
+
     /**
      * @notice Public price function for ETH to Token trades with an exact input.
      * @param ethSold Amount of ETH sold.
      * @return Amount of Tokens that can be bought with input ETH.
      */
-    function getEthToTokenInputPrice(uint256 ethSold) external view returns(uint256) {
+    function getEthToTokenInputPrice(uint256 ethSold) external view unlocked returns(uint256) {
         require(ethSold > 0, "exchange:getEthToTokenInputPrice invalid parameters");
         uint256 tokenReserve = IERC20(token).balanceOf(address(this));
         return getInputPrice(ethSold, address(this).balance, tokenReserve);
@@ -462,7 +1042,7 @@ contract Exchange {
      * @param tokensBought Amount of Tokens bought.
      * @return Amount of ETH needed to buy output Tokens.
      */
-    function getEthToTokenOutputPrice(uint256 tokensBought) external view returns(uint256) {
+    function getEthToTokenOutputPrice(uint256 tokensBought) external view unlocked returns(uint256) {
         require(tokensBought > 0, "exchange:getEthToTokenOutputPrice invalid parameters");
         uint256 tokenReserve = IERC20(token).balanceOf(address(this));
         uint256 ethSold = getOutputPrice(tokensBought, address(this).balance, tokenReserve);
@@ -474,7 +1054,7 @@ contract Exchange {
      * @param tokensSold Amount of Tokens sold.
      * @return Amount of ETH that can be bought with input Tokens.
      */
-    function getTokenToEthInputPrice(uint256 tokensSold) external view returns(uint256){
+    function getTokenToEthInputPrice(uint256 tokensSold) external view unlocked returns(uint256){
         require(tokensSold > 0, "exchange:getTokenToEthInputPrice invalid parameters");
         uint256 tokenReserve = IERC20(token).balanceOf(address(this));
         uint256 ethBought = getInputPrice(tokensSold, tokenReserve, address(this).balance);
@@ -486,12 +1066,45 @@ contract Exchange {
      * @param ethBought Amount of output ETH.
      * @return Amount of Tokens needed to buy output ETH.    
      */
-    function getTokenToEthOutputPrice(uint256 ethBought) external view returns(uint256) {
+    function getTokenToEthOutputPrice(uint256 ethBought) external view unlocked returns(uint256) {
         require(ethBought > 0, "exchange:getTokenToEthOutputPrice invalid parameters");
         uint256 tokenReserve = IERC20(token).balanceOf(address(this));
         return getOutputPrice(ethBought, tokenReserve, address(this).balance);
     }
 
+    /**
+     * @notice Cumulative prices for time-weighted average price oracles.
+     * @dev Prices are fixed point numbers with 18 decimals. The average price between two observations
+     *      is the difference of the cumulative prices divided by the difference of the timestamps.
+     * @return ethPriceCumulative Sum over every second of the price of 1 ETH in Tokens.
+     * @return tokenPriceCumulative Sum over every second of the price of 1 Token in ETH.
+     * @return blockTimestamp Timestamp of the current block.
+     */
+    function getCumulativePrices() external view unlocked returns(uint256 ethPriceCumulative, uint256 tokenPriceCumulative, uint256 blockTimestamp) {
+        (ethPriceCumulative, tokenPriceCumulative) = accumulatePrices();
+        blockTimestamp = block.timestamp;
+    }
+
+    /**
+     * @notice Public price function for UNI tokens.
+     * @dev Same math as removeLiquidity, including the protocol fee it would mint first.
+     *      Reverts during a flash swap, when the reserves do not reflect the value of UNI tokens.
+     * @param amount Amount of UNI burned.
+     * @return ethAmount Amount of ETH that burning amount UNI would withdraw.
+     * @return tokenAmount Amount of Tokens that burning amount UNI would withdraw.
+     */
+    function getLiquidityValue(uint256 amount) external view unlocked returns(uint256 ethAmount, uint256 tokenAmount) {
+        require(amount > 0 && amount <= totalSupply, "exchange:getLiquidityValue invalid amount");
+        uint256 ethReserve = address(this).balance;
+        uint256 tokenReserve = IERC20(token).balanceOf(address(this));
+        uint256 totalLiquidity = totalSupply;
+        if(IFactory(factory).feeTo() != address(0)) {
+            totalLiquidity = totalLiquidity.add(getFeeLiquidity(ethReserve, tokenReserve));
+        }
+        ethAmount = amount.mul(ethReserve).div(totalLiquidity);
+        tokenAmount = amount.mul(tokenReserve).div(totalLiquidity);
+    }
+
     /**
      * @return Address of Token that is sold on this exchange.
      */
@@ -512,7 +1125,7 @@ contract Exchange {
      * @dev User cannot specify minimum output or deadline.
      */
     fallback() external payable {
-        ethToTokenInput(msg.value, 1, block.number, msg.sender, msg.sender);
+        ethToTokenInput(msg.value, 1, block.timestamp, msg.sender, msg.sender);
     }
 
     receive() external payable {}
@@ -0,0 +1,109 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.1;
+
+import "@openzeppelin/contracts/proxy/Clones.sol";
+import './interfaces/IExchange.sol';
+import './interfaces/IFactory.sol';
+
+contract Factory is IFactory {
+
+    event NewExchange(
+        address indexed token,
+        address indexed exchange
+    );
+
+    event FeeToChanged(
+        address indexed previousFeeTo,
+        address indexed newFeeTo
+    );
+
+    event OwnershipTransferred(
+        address indexed previousOwner,
+        address indexed newOwner
+    );
+
+    address public exchangeTemplate;
+    address public owner;
+    address public override feeTo;
+    uint256 public tokenCount;
+    mapping(address => address) private tokenToExchange;
+    mapping(address => address) private exchangeToToken;
+    mapping(uint256 => address) private idToToken;
+
+    /**
+     * @param template Address of the Exchange contract that every new exchange is cloned from.
+     */
+    constructor(address template) {
+        require(template != address(0), "factory:constructor invalid template address");
+        exchangeTemplate = template;
+        owner = msg.sender;
+        emit OwnershipTransferred(address(0), msg.sender);
+    }
+
+    modifier onlyOwner() {
+        require(msg.sender == owner, "factory:onlyOwner caller is not the owner");
+        _;
+    }
+
+    /**
+     * @notice Turn the protocol fee on or off.
+     * @dev While feeTo is set, exchanges mint 1/6 of the growth of their liquidity to it on every liquidity event.
+     * @param newFeeTo The address that receives the protocol fee, or the zero address to turn it off.
+     */
+    function setFeeTo(address newFeeTo) external onlyOwner {
+        emit FeeToChanged(feeTo, newFeeTo);
+        feeTo = newFeeTo;
+    }
+
+    /**
+     * @param newOwner The address allowed to set feeTo from now on.
+     */
+    function transferOwnership(address newOwner) external onlyOwner {
+        require(newOwner != address(0), "factory:transferOwnership invalid owner address");
+        emit OwnershipTransferred(owner, newOwner);
+        owner = newOwner;
+    }
+
+    /**
+     * @notice Deploy a new exchange for a token.
+     * @dev The exchange is a minimal proxy clone of the template. Only one exchange per token can exist.
+     * @param token Address of the ERC20 token traded on the new exchange.
+     * @return exchange Address of the new exchange.
+     */
+    function createExchange(address token) external override returns(address exchange) {
+        require(token != address(0), "factory:createExchange invalid token address");
+        require(tokenToExchange[token] == address(0), "factory:createExchange exchange already exists");
+        exchange = Clones.clone(exchangeTemplate);
+        IExchange(exchange).setup(token);
+        tokenToExchange[token] = exchange;
+        exchangeToToken[exchange] = token;
+        uint256 tokenId = tokenCount + 1;
+        tokenCount = tokenId;
+        idToToken[tokenId] = token;
+        emit NewExchange(token, exchange);
+    }
+
+    /**
+     * @param token Address of an ERC20 token.
+     * @return exchange Address of the exchange for token, or the zero address if there is none.
+     */
+    function getExchange(address token) external view override returns(address exchange) {
+        return tokenToExchange[token];
+    }
+
+    /**
+     * @param exchange Address of an exchange created by this factory.
+     * @return token Address of the token traded on exchange, or the zero address if unknown.
+     */
+    function getToken(address exchange) external view override returns(address token) {
+        return exchangeToToken[exchange];
+    }
+
+    /**
+     * @param tokenId Id assigned to the token when its exchange was created, starting from 1.
+     * @return token Address of the token with tokenId, or the zero address if unknown.
+     */
+    function getTokenWithId(uint256 tokenId) external view override returns(address token) {
+        return idToToken[tokenId];
+    }
+}
@@ -0,0 +1,272 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.1;
+
+import "@openzeppelin/contracts/utils/math/SafeMath.sol";
+import './interfaces/IExchange.sol';
+import './interfaces/IFactory.sol';
+import './libraries/TransferHelper.sol';
+
+/**
+ * @dev Swaps along a path of assets in one transaction, using the exchanges of one factory.
+ *      A path lists the assets traded in order: token addresses, or the zero address for ETH,
+ *      which can only be the first or the last asset. Assets cannot repeat.
+ *      Each hop between two tokens goes through ETH, so the exchange of an intermediate token
+ *      is used twice: it buys the token in one hop and sells it in the next.
+ *      The router holds no funds between transactions.
+ */
+contract Router {
+
+    using SafeMath for uint256;
+
+    address public factory;
+
+    /**
+     * @param factoryAddr Address of the factory whose exchanges the router trades on.
+     */
+    constructor(address factoryAddr) {
+        require(factoryAddr != address(0), "router:constructor invalid factory address");
+        factory = factoryAddr;
+    }
+
+    /**
+     * @dev Only exchanges of the factory send ETH to the router, in the middle of a swap.
+     */
+    receive() external payable {
+        require(IFactory(factory).getToken(msg.sender) != address(0), "router:receive sender is not an exchange");
+    }
+
+    /**
+     * @notice Swap an exact amount of the first asset of path for as much as possible of the last one.
+     * @dev Send amountIn as msg.value when the first asset is ETH. Otherwise the router must be approved to spend amountIn.
+     * @param path Assets traded in order, the zero address standing for ETH.
+     * @param amountIn Amount of the first asset sold.
+     * @param minAmountOut Minimum amount of the last asset bought.
+     * @param recipient The address that receives the last asset.
+     * @param deadline Unix timestamp after which this transaction can no longer be executed.
+     * @return amountOut Amount of the last asset bought.
+     */
+    function swapExactInput(address[] calldata path, uint256 amountIn, uint256 minAmountOut, address recipient, uint256 deadline) external payable returns(uint256 amountOut) {
+        checkSwap(path, recipient, deadline);
+        require(msg.value == (path[0] == address(0) ? amountIn : 0), "router:swapExactInput wrong msg.value");
+        amountOut = swapInput(path, amountIn, recipient, deadline);
+        require(amountOut >= minAmountOut, "router:swapExactInput too low amount");
+    }
+
+    /**
+     * @notice Swap as little as possible of the first asset of path for an exact amount of the last one.
+     * @dev Send at least maxAmountIn as msg.value when the first asset is ETH, the unspent ETH is refunded.
+     *      Otherwise the router must be approved to spend maxAmountIn.
+     *      Intermediate tokens left over by the exchanges are refunded to msg.sender.
+     * @param path Assets traded in order, the zero address standing for ETH.
+     * @param amountOut Amount of the last asset bought.
+     * @param maxAmountIn Maximum amount of the first asset sold.
+     * @param recipient The address that receives the last asset.
+     * @param deadline Unix timestamp after which this transaction can no longer be executed.
+     * @return amountIn Amount of the first asset sold.
+     */
+    function swapExactOutput(address[] calldata path, uint256 amountOut, uint256 maxAmountIn, address recipient, uint256 deadline) external payable returns(uint256 amountIn) {
+        checkSwap(path, recipient, deadline);
+        amountIn = swapOutput(path, amountOut, recipient, deadline);
+        require(amountIn <= maxAmountIn, "router:swapExactOutput too high amount");
+        refundEth(path[0], amountIn);
+    }
+
+    /**
+     * @notice Split an exact amount of the first asset between parallel paths, for as much as possible of the last asset.
+     * @dev Every path must start and end with the same assets. The paths are executed in order.
+     * @param paths Parallel paths of assets.
+     * @param amountsIn Amount of the first asset sold along each path.
+     * @param minAmountOut Minimum amount of the last asset bought along all paths.
+     * @param recipient The address that receives the last asset.
+     * @param deadline Unix timestamp after which this transaction can no longer be executed.
+     * @return amountOut Amount of the last asset bought along all paths.
+     */
+    function swapExactInputSplit(address[][] calldata paths, uint256[] calldata amountsIn, uint256 minAmountOut, address recipient, uint256 deadline) external payable returns(uint256 amountOut) {
+        require(paths.length > 0 && paths.length == amountsIn.length, "router:swapExactInputSplit invalid parameters");
+        uint256 totalIn;
+        for(uint256 i = 0; i < paths.length; i++) {
+            checkSplit(paths[0], paths[i], recipient, deadline);
+            totalIn = totalIn.add(amountsIn[i]);
+        }
+        require(msg.value == (paths[0][0] == address(0) ? totalIn : 0), "router:swapExactInputSplit wrong msg.value");
+        for(uint256 i = 0; i < paths.length; i++) {
+            amountOut = amountOut.add(swapInput(paths[i], amountsIn[i], recipient, deadline));
+        }
+        require(amountOut >= minAmountOut, "router:swapExactInputSplit too low amount");
+    }
+
+    /**
+     * @notice Split an exact amount of the last asset between parallel paths, for as little as possible of the first asset.
+     * @dev Every path must start and end with the same assets. The paths are executed in order,
+     *      so each one is quoted after the previous ones moved the reserves.
+     * @param paths Parallel paths of assets.
+     * @param amountsOut Amount of the last asset bought along each path.
+     * @param maxAmountIn Maximum amount of the first asset sold along all paths.
+     * @param recipient The address that receives the last asset.
+     * @param deadline Unix timestamp after which this transaction can no longer be executed.
+     * @return amountIn Amount of the first asset sold along all paths.
+     */
+    function swapExactOutputSplit(address[][] calldata paths, uint256[] calldata amountsOut, uint256 maxAmountIn, address recipient, uint256 deadline) external payable returns(uint256 amountIn) {
+        require(paths.length > 0 && paths.length == amountsOut.length, "router:swapExactOutputSplit invalid parameters");
+        for(uint256 i = 0; i < paths.length; i++) {
+            checkSplit(paths[0], paths[i], recipient, deadline);
+            amountIn = amountIn.add(swapOutput(paths[i], amountsOut[i], recipient, deadline));
+        }
+        require(amountIn <= maxAmountIn, "router:swapExactOutputSplit too high amount");
+        refundEth(paths[0][0], amountIn);
+    }
+
+    /**
+     * @notice Amounts of each asset of path traded for an exact input, quoting each hop with the current reserves.
+     * @dev Selling an intermediate token right after buying it gets a better price than quoted,
+     *      so a swap along path buys at least the last amount.
+     * @param path Assets traded in order, the zero address standing for ETH.
+     * @param amountIn Amount of the first asset sold.
+     * @return amounts Amount of each asset of path, starting with amountIn.
+     */
+    function getAmountsOut(address[] calldata path, uint256 amountIn) external view returns(uint256[] memory amounts) {
+        checkPath(path);
+        amounts = new uint256[](path.length);
+        amounts[0] = amountIn;
+        for(uint256 i = 0; i < path.length - 1; i++) {
+            amounts[i + 1] = getHopAmountOut(path[i], path[i + 1], amounts[i]);
+        }
+    }
+
+    /**
+     * @notice Amounts of each asset of path traded for an exact output, quoting each hop with the current reserves.
+     * @dev These are the amounts swapExactOutput trades along path, as maximum inputs of each hop.
+     * @param path Assets traded in order, the zero address standing for ETH.
+     * @param amountOut Amount of the last asset bought.
+     * @return amounts Amount of each asset of path, ending with amountOut.
+     */
+    function getAmountsIn(address[] calldata path, uint256 amountOut) public view returns(uint256[] memory amounts) {
+        checkPath(path);
+        amounts = new uint256[](path.length);
+        amounts[path.length - 1] = amountOut;
+        for(uint256 i = path.length - 1; i > 0; i--) {
+            amounts[i - 1] = getHopAmountIn(path[i - 1], path[i], amounts[i]);
+        }
+    }
+
+    function swapInput(address[] calldata path, uint256 amountIn, address recipient, uint256 deadline) private returns(uint256 amount) {
+        require(amountIn > 0, "router:swapInput invalid amount");
+        if(path[0] != address(0)) {
+            TransferHelper.safeTransferFrom(path[0], msg.sender, address(this), amountIn, "router:swapInput failed to transfer tokens");
+        }
+        amount = amountIn;
+        for(uint256 i = 0; i < path.length - 1; i++) {
+            address to = i == path.length - 2 ? recipient : address(this);
+            amount = swapHopInput(path[i], path[i + 1], amount, to, deadline);
+        }
+    }
+
+    function swapHopInput(address input, address output, uint256 amountIn, address to, uint256 deadline) private returns(uint256) {
+        if(input == address(0)) {
+            return IExchange(getExchange(output)).ethToTokenTransferInput{value: amountIn}(1, deadline, to);
+        }
+        address exchange = getExchange(input);
+        TransferHelper.safeApprove(input, exchange, amountIn, "router:swapHopInput failed to approve tokens");
+        if(output == address(0)) {
+            return IExchange(exchange).tokenToEthTransferInput(amountIn, 1, deadline, to);
+        }
+        return IExchange(exchange).tokenToExchangeTransferInput(amountIn, 1, 1, deadline, to, getExchange(output));
+    }
+
+    function swapOutput(address[] calldata path, uint256 amountOut, address recipient, uint256 deadline) private returns(uint256) {
+        require(amountOut > 0, "router:swapOutput invalid amount");
+        uint256[] memory amounts = getAmountsIn(path, amountOut);
+        if(path[0] == address(0)) {
+            // What is left of msg.value after the previous paths of a split.
+            require(address(this).balance >= amounts[0], "router:swapOutput too low msg.value");
+        } else {
+            TransferHelper.safeTransferFrom(path[0], msg.sender, address(this), amounts[0], "router:swapOutput failed to transfer tokens");
+        }
+        for(uint256 i = 0; i < path.length - 1; i++) {
+            address to = i == path.length - 2 ? recipient : address(this);
+            uint256 amountSold = swapHopOutput(path[i], path[i + 1], amounts[i + 1], amounts[i], to, deadline);
+            if(i > 0 && amountSold < amounts[i]) {
+                TransferHelper.safeTransfer(path[i], msg.sender, amounts[i] - amountSold, "router:swapOutput failed to refund tokens");
+            }
+        }
+        return amounts[0];
+    }
+
+    function swapHopOutput(address input, address output, uint256 amountOut, uint256 maxAmountIn, address to, uint256 deadline) private returns(uint256) {
+        if(input == address(0)) {
+            return IExchange(getExchange(output)).ethToTokenTransferOutput{value: maxAmountIn}(amountOut, deadline, to);
+        }
+        address exchange = getExchange(input);
+        TransferHelper.safeApprove(input, exchange, maxAmountIn, "router:swapHopOutput failed to approve tokens");
+        uint256 amountSold = output == address(0)
+            ? IExchange(exchange).tokenToEthTransferOutput(amountOut, maxAmountIn, deadline, to)
+            : IExchange(exchange).tokenToExchangeTransferOutput(amountOut, maxAmountIn, type(uint256).max, deadline, to, getExchange(output));
+        // The exchange may sell less than maxAmountIn: tokens that only approve from a zero allowance would reject the next approve.
+        if(amountSold < maxAmountIn) {
+            TransferHelper.safeApprove(input, exchange, 0, "router:swapHopOutput failed to reset allowance");
+        }
+        return amountSold;
+    }
+
+    function getHopAmountOut(address input, address output, uint256 amountIn) private view returns(uint256) {
+        if(input == address(0)) {
+            return IExchange(getExchange(output)).getEthToTokenInputPrice(amountIn);
+        }
+        uint256 ethBought = IExchange(getExchange(input)).getTokenToEthInputPrice(amountIn);
+        if(output == address(0)) {
+            return ethBought;
+        }
+        return IExchange(getExchange(output)).getEthToTokenInputPrice(ethBought);
+    }
+
+    function getHopAmountIn(address input, address output, uint256 amountOut) private view returns(uint256) {
+        if(input == address(0)) {
+            return IExchange(getExchange(output)).getEthToTokenOutputPrice(amountOut);
+        }
+        uint256 ethSold = output == address(0) ? amountOut : IExchange(getExchange(output)).getEthToTokenOutputPrice(amountOut);
+        return IExchange(getExchange(input)).getTokenToEthOutputPrice(ethSold);
+    }
+
+    function getExchange(address token) private view returns(address exchange) {
+        exchange = IFactory(factory).getExchange(token);
+        require(exchange != address(0), "router:getExchange no exchange for token");
+    }
+
+    /**
+     * @dev Sends back the ETH of msg.value that was not sold.
+     */
+    function refundEth(address input, uint256 amountIn) private {
+        if(input != address(0)) {
+            require(msg.value == 0, "router:refundEth unexpected msg.value");
+            return;
+        }
+        if(msg.value > amountIn) {
+            (bool success, ) = msg.sender.call{value: msg.value - amountIn}("");
+            require(success, "router:refundEth failed to send eth");
+        }
+    }
+
+    function checkSwap(address[] calldata path, address recipient, uint256 deadline) private view {
+        require(deadline >= block.timestamp, "router:checkSwap expired");
+        require(recipient != address(0) && recipient != address(this), "router:checkSwap invalid recipient address");
+        checkPath(path);
+    }
+
+    function checkSplit(address[] calldata firstPath, address[] calldata path, address recipient, uint256 deadline) private view {
+        checkSwap(path, recipient, deadline);
+        require(
+            path[0] == firstPath[0] && path[path.length - 1] == firstPath[firstPath.length - 1],
+            "router:checkSplit paths must start and end with the same assets"
+        );
+    }
+
+    function checkPath(address[] calldata path) private pure {
+        require(path.length >= 2, "router:checkPath invalid path");
+        for(uint256 i = 0; i < path.length; i++) {
+            require(path[i] != address(0) || i == 0 || i == path.length - 1, "router:checkPath ETH must be the first or last asset");
+            for(uint256 j = 0; j < i; j++) {
+                require(path[i] != path[j], "router:checkPath repeated asset");
+            }
+        }
+    }
+}
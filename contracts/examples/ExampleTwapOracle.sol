@@ -0,0 +1,67 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.1;
+
+import '../interfaces/IExchange.sol';
+
+/// @title Fixed window time-weighted average price oracle of an exchange. This is an example, do not use in production
+
+contract ExampleTwapOracle {
+
+    uint256 public constant PRICE_PRECISION = 1e18;
+
+    IExchange public immutable exchange;
+    uint256 public immutable period;
+
+    uint256 public ethPriceCumulativeLast;
+    uint256 public tokenPriceCumulativeLast;
+    uint256 public blockTimestampLast;
+    uint256 public ethPriceAverage;
+    uint256 public tokenPriceAverage;
+
+    /**
+     * @param exchangeAddr Address of the exchange observed by the oracle.
+     * @param periodSeconds Minimum number of seconds between two updates.
+     */
+    constructor(address exchangeAddr, uint256 periodSeconds) {
+        require(exchangeAddr != address(0) && periodSeconds > 0, "exampleTwapOracle:constructor invalid parameters");
+        exchange = IExchange(exchangeAddr);
+        period = periodSeconds;
+        (ethPriceCumulativeLast, tokenPriceCumulativeLast, blockTimestampLast) = IExchange(exchangeAddr).getCumulativePrices();
+    }
+
+    /**
+     * @notice Compute the average prices since the last update.
+     * @dev Can be called by anyone once every period.
+     */
+    function update() external {
+        (uint256 ethPriceCumulative, uint256 tokenPriceCumulative, uint256 blockTimestamp) = exchange.getCumulativePrices();
+        uint256 timeElapsed = blockTimestamp - blockTimestampLast;
+        require(timeElapsed >= period, "exampleTwapOracle:update period not elapsed");
+        // Cumulative prices are expected to overflow.
+        unchecked {
+            ethPriceAverage = (ethPriceCumulative - ethPriceCumulativeLast) / timeElapsed;
+            tokenPriceAverage = (tokenPriceCumulative - tokenPriceCumulativeLast) / timeElapsed;
+        }
+        ethPriceCumulativeLast = ethPriceCumulative;
+        tokenPriceCumulativeLast = tokenPriceCumulative;
+        blockTimestampLast = blockTimestamp;
+    }
+
+    /**
+     * @param ethAmount Amount of ETH.
+     * @return Amount of Tokens worth ethAmount at the average price of the last period.
+     */
+    function consultEthToToken(uint256 ethAmount) external view returns(uint256) {
+        require(ethPriceAverage > 0, "exampleTwapOracle:consultEthToToken no average price yet");
+        return ethAmount * ethPriceAverage / PRICE_PRECISION;
+    }
+
+    /**
+     * @param tokenAmount Amount of Tokens.
+     * @return Amount of ETH worth tokenAmount at the average price of the last period.
+     */
+    function consultTokenToEth(uint256 tokenAmount) external view returns(uint256) {
+        require(tokenPriceAverage > 0, "exampleTwapOracle:consultTokenToEth no average price yet");
+        return tokenAmount * tokenPriceAverage / PRICE_PRECISION;
+    }
+}
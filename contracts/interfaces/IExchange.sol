@@ -1,6 +1,10 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.1;
 
+/**
+ * @dev Every deadline is a Unix timestamp compared against block.timestamp.
+ *      A transaction can be executed up to and including its deadline.
+ */
 interface IExchange {
     function setup(address tokenAddr) external;
 
@@ -17,6 +21,36 @@ interface IExchange {
         uint256 deadline
     ) external returns (uint256, uint256);
 
+    function addLiquidityWithPermit(
+        uint256 minLiquidity,
+        uint256 maxTokens,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external payable returns (uint256);
+
+    function removeLiquidityWithPermit(
+        uint256 amount,
+        uint256 minEth,
+        uint256 minTokens,
+        uint256 deadline,
+        address provider,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external returns (uint256, uint256);
+
+    function permit(
+        address owner,
+        address spender,
+        uint256 value,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external;
+
     function ethToTokenSwapInput(uint256 minTokens, uint256 deadline)
         external
         payable
@@ -65,6 +99,24 @@ interface IExchange {
         address recipient
     ) external returns (uint256);
 
+    function tokenToEthSwapInputWithPermit(
+        uint256 tokensSold,
+        uint256 minEth,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external returns (uint256);
+
+    function tokenToEthSwapOutputWithPermit(
+        uint256 ethBought,
+        uint256 maxTokens,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external returns (uint256);
+
     function tokenToTokenSwapInput(
         uint256 tokensSold,
         uint256 minTokensBought,
@@ -96,7 +148,29 @@ interface IExchange {
         uint256 max_eth_sold,
         uint256 deadline,
         address recipient,
-        uint256 token_addr
+        address token_addr
+    ) external returns (uint256);
+
+    function tokenToTokenSwapInputWithPermit(
+        uint256 tokensSold,
+        uint256 minTokensBought,
+        uint256 minEthBought,
+        uint256 deadline,
+        address tokenAddr,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external returns (uint256);
+
+    function tokenToTokenSwapOutputWithPermit(
+        uint256 tokensBought,
+        uint256 maxTokensSold,
+        uint256 maxEthSold,
+        uint256 deadline,
+        address tokenAddr,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
     ) external returns (uint256);
 
     function tokenToExchangeSwapInput(
@@ -133,6 +207,66 @@ interface IExchange {
         address exchangeAddr
     ) external returns (uint256);
 
+    function addLiquiditySupportingFeeOnTransferTokens(
+        uint256 minLiquidity,
+        uint256 maxTokens,
+        uint256 deadline
+    ) external payable returns (uint256);
+
+    function tokenToEthSwapInputSupportingFeeOnTransferTokens(
+        uint256 tokensSold,
+        uint256 minEth,
+        uint256 deadline
+    ) external returns (uint256);
+
+    function tokenToEthTransferInputSupportingFeeOnTransferTokens(
+        uint256 tokensSold,
+        uint256 minEth,
+        uint256 deadline,
+        address recipient
+    ) external returns (uint256);
+
+    function tokenToTokenSwapInputSupportingFeeOnTransferTokens(
+        uint256 tokensSold,
+        uint256 minTokensBought,
+        uint256 minEthBought,
+        uint256 deadline,
+        address tokenAddr
+    ) external returns (uint256);
+
+    function tokenToTokenTransferInputSupportingFeeOnTransferTokens(
+        uint256 tokensSold,
+        uint256 minTokensBought,
+        uint256 minEthBought,
+        uint256 deadline,
+        address recipient,
+        address tokenAddr
+    ) external returns (uint256);
+
+    function tokenToExchangeSwapInputSupportingFeeOnTransferTokens(
+        uint256 tokensSold,
+        uint256 minTokensBought,
+        uint256 minEthBought,
+        uint256 deadline,
+        address exchangeAddr
+    ) external returns (uint256);
+
+    function tokenToExchangeTransferInputSupportingFeeOnTransferTokens(
+        uint256 tokensSold,
+        uint256 minTokensBought,
+        uint256 minEthBought,
+        uint256 deadline,
+        address recipient,
+        address exchangeAddr
+    ) external returns (uint256);
+
+    function flashSwap(
+        uint256 ethAmount,
+        uint256 tokenAmount,
+        address receiver,
+        bytes calldata data
+    ) external;
+
     function getEthToTokenInputPrice(uint256 ethSold)
         external
         view
@@ -153,6 +287,20 @@ interface IExchange {
         view
         returns (uint256);
 
+    function getCumulativePrices()
+        external
+        view
+        returns (
+            uint256 ethPriceCumulative,
+            uint256 tokenPriceCumulative,
+            uint256 blockTimestamp
+        );
+
+    function getLiquidityValue(uint256 amount)
+        external
+        view
+        returns (uint256 ethAmount, uint256 tokenAmount);
+
     function tokenAddress() external view returns (address);
 
     function factoryAddress() external view returns (address);
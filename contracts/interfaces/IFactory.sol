@@ -15,4 +15,6 @@ interface IFactory {
         external
         view
         returns (address token);
+
+    function feeTo() external view returns (address);
 }
@@ -0,0 +1,19 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.1;
+
+interface IFlashSwapReceiver {
+    /**
+     * @dev Called by the exchange during flashSwap, after the Tokens were transferred and with the ETH as msg.value.
+     *      The exchange must be paid back before returning, by sending ETH to it or transferring Tokens to it.
+     * @param sender The address that called flashSwap.
+     * @param ethAmount Amount of ETH lent.
+     * @param tokenAmount Amount of Tokens lent.
+     * @param data Arbitrary data passed to flashSwap.
+     */
+    function onFlashSwap(
+        address sender,
+        uint256 ethAmount,
+        uint256 tokenAmount,
+        bytes calldata data
+    ) external payable;
+}
@@ -0,0 +1,29 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.1;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+
+/**
+ * @dev ERC-20 calls that work with tokens returning a bool as well as tokens returning nothing, e.g. USDT.
+ *      Each call reverts with errorMessage if the token is not a contract, the call reverts or it returns false.
+ */
+library TransferHelper {
+
+    function safeTransfer(address token, address to, uint256 value, string memory errorMessage) internal {
+        callToken(token, abi.encodeWithSelector(IERC20.transfer.selector, to, value), errorMessage);
+    }
+
+    function safeTransferFrom(address token, address from, address to, uint256 value, string memory errorMessage) internal {
+        callToken(token, abi.encodeWithSelector(IERC20.transferFrom.selector, from, to, value), errorMessage);
+    }
+
+    function safeApprove(address token, address spender, uint256 value, string memory errorMessage) internal {
+        callToken(token, abi.encodeWithSelector(IERC20.approve.selector, spender, value), errorMessage);
+    }
+
+    function callToken(address token, bytes memory data, string memory errorMessage) private {
+        require(token.code.length > 0, errorMessage);
+        (bool success, bytes memory returndata) = token.call(data);
+        require(success && (returndata.length == 0 || abi.decode(returndata, (bool))), errorMessage);
+    }
+}
@@ -0,0 +1,23 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.1;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+/// @title This is a demo token contract that burns 2% of every transfer. Do not use in production
+
+contract DeflationaryToken is ERC20 {
+    /// @dev Burn rate in basis points, taken out of the amount transferred.
+    uint256 public constant BURN = 200;
+
+    constructor(string memory name, string memory symbol) ERC20(name, symbol) {}
+
+    function mint(address account, uint256 amount) external {
+        _mint(account, amount);
+    }
+
+    function _transfer(address from, address to, uint256 amount) internal override {
+        uint256 burned = amount * BURN / 10000;
+        _burn(from, burned);
+        super._transfer(from, to, amount - burned);
+    }
+}
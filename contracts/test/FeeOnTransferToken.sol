@@ -0,0 +1,23 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.1;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+/// @title This is a demo token contract that keeps 1% of every transfer as a fee. Do not use in production
+
+contract FeeOnTransferToken is ERC20 {
+    /// @dev Fee in basis points, paid to the token contract out of the amount transferred.
+    uint256 public constant FEE = 100;
+
+    constructor(string memory name, string memory symbol) ERC20(name, symbol) {}
+
+    function mint(address account, uint256 amount) external {
+        _mint(account, amount);
+    }
+
+    function _transfer(address from, address to, uint256 amount) internal override {
+        uint256 fee = amount * FEE / 10000;
+        super._transfer(from, address(this), fee);
+        super._transfer(from, to, amount - fee);
+    }
+}
@@ -0,0 +1,43 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.1;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import '../interfaces/IExchange.sol';
+import '../interfaces/IFlashSwapReceiver.sol';
+
+/// @title Sample flash swap receiver that arbitrages a token between two exchanges. Do not use in production
+
+contract FlashSwapArbitrageur is IFlashSwapReceiver {
+
+    address private pendingExchange;
+
+    /**
+     * @notice Borrow Tokens from cheapExchange, sell them on expensiveExchange and pay back cheapExchange in ETH.
+     * @dev Both exchanges must trade the same token. The profit in ETH is sent to msg.sender.
+     * @param cheapExchange The exchange where the token is cheaper in ETH.
+     * @param expensiveExchange The exchange where the token is more expensive in ETH.
+     * @param tokenAmount Amount of Tokens borrowed and sold.
+     * @return profit Amount of ETH earned.
+     */
+    function arbitrage(address cheapExchange, address expensiveExchange, uint256 tokenAmount) external returns(uint256 profit) {
+        uint256 ethRepay = IExchange(cheapExchange).getEthToTokenOutputPrice(tokenAmount);
+        pendingExchange = cheapExchange;
+        IExchange(cheapExchange).flashSwap(0, tokenAmount, address(this), abi.encode(expensiveExchange, ethRepay));
+        pendingExchange = address(0);
+        profit = address(this).balance;
+        (bool success, ) = msg.sender.call{value: profit}("");
+        require(success, "flashSwapArbitrageur:arbitrage failed to send eth");
+    }
+
+    function onFlashSwap(address sender, uint256, uint256 tokenAmount, bytes calldata data) external payable override {
+        require(msg.sender == pendingExchange && sender == address(this), "flashSwapArbitrageur:onFlashSwap unexpected flash swap");
+        (address expensiveExchange, uint256 ethRepay) = abi.decode(data, (address, uint256));
+        IERC20(IExchange(msg.sender).tokenAddress()).approve(expensiveExchange, tokenAmount);
+        // Reverts unless selling the Tokens pays back at least the loan.
+        IExchange(expensiveExchange).tokenToEthSwapInput(tokenAmount, ethRepay, block.timestamp);
+        (bool success, ) = msg.sender.call{value: ethRepay}("");
+        require(success, "flashSwapArbitrageur:onFlashSwap failed to pay back eth");
+    }
+
+    receive() external payable {}
+}
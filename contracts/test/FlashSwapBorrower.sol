@@ -0,0 +1,55 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.1;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import '../interfaces/IExchange.sol';
+import '../interfaces/IFlashSwapReceiver.sol';
+
+/// @title Flash swap receiver with configurable repayment and reentrancy, for tests. Do not use in production
+
+contract FlashSwapBorrower is IFlashSwapReceiver {
+
+    uint256 public ethRepay;
+    uint256 public tokenRepay;
+    address public reenterTarget;
+    uint256 public reenterValue;
+    bytes public reenterData;
+
+    function setRepayment(uint256 ethAmount, uint256 tokenAmount) external {
+        ethRepay = ethAmount;
+        tokenRepay = tokenAmount;
+    }
+
+    /**
+     * @dev The callback calls target with data and value before paying back, and bubbles up its revert.
+     */
+    function setReentry(address target, uint256 value, bytes calldata data) external {
+        reenterTarget = target;
+        reenterValue = value;
+        reenterData = data;
+    }
+
+    function borrow(address exchange, uint256 ethAmount, uint256 tokenAmount) external {
+        IExchange(exchange).flashSwap(ethAmount, tokenAmount, address(this), "");
+    }
+
+    function onFlashSwap(address, uint256, uint256, bytes calldata) external payable override {
+        if(reenterTarget != address(0)) {
+            (bool reentered, bytes memory result) = reenterTarget.call{value: reenterValue}(reenterData);
+            if(!reentered) {
+                assembly {
+                    revert(add(result, 32), mload(result))
+                }
+            }
+        }
+        if(tokenRepay > 0) {
+            require(IERC20(IExchange(msg.sender).tokenAddress()).transfer(msg.sender, tokenRepay), "flashSwapBorrower:onFlashSwap failed to transfer tokens");
+        }
+        if(ethRepay > 0) {
+            (bool success, ) = msg.sender.call{value: ethRepay}("");
+            require(success, "flashSwapBorrower:onFlashSwap failed to send eth");
+        }
+    }
+
+    receive() external payable {}
+}
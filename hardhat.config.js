@@ -1,4 +1,5 @@
 require("@nomiclabs/hardhat-waffle");
+require("./tasks/pools");
 
 module.exports = {
   solidity: {
@@ -1,19 +1,67 @@
+const fs = require("fs");
+const path = require("path");
+
+// Comma separated list of ERC20 token addresses to create exchanges for, e.g.
+// TOKENS=0xabc...,0xdef... npx hardhat run scripts/deploy.js --network <network>
+const tokens = (process.env.TOKENS || "")
+    .split(",")
+    .map((address) => address.trim())
+    .filter((address) => address.length > 0);
+
 async function main() {
     const [deployer] = await ethers.getSigners();
-  
+
     console.log("Deploying contracts with the account:", deployer.address);
-  
+
     console.log("Account balance:", (await deployer.getBalance()).toString());
-  
+
     const Exchange = await ethers.getContractFactory("Exchange");
-    const exchange = await Exchange.deploy();
-  
-    console.log("Exchange address:", exchange.address);
-  }
-  
-  main()
+    const template = await Exchange.deploy();
+    await template.deployed();
+
+    console.log("Exchange template address:", template.address);
+
+    const Factory = await ethers.getContractFactory("Factory");
+    const factory = await Factory.deploy(template.address);
+    await factory.deployed();
+
+    console.log("Factory address:", factory.address);
+
+    const Router = await ethers.getContractFactory("Router");
+    const router = await Router.deploy(factory.address);
+    await router.deployed();
+
+    console.log("Router address:", router.address);
+
+    const exchanges = {};
+    for (const token of tokens) {
+        const tx = await factory.createExchange(token);
+        await tx.wait();
+        exchanges[token] = await factory.getExchange(token);
+        console.log(`Exchange for token ${token}:`, exchanges[token]);
+    }
+
+    const manifest = {
+        network: network.name,
+        chainId: (await ethers.provider.getNetwork()).chainId,
+        deployer: deployer.address,
+        exchangeTemplate: template.address,
+        factory: factory.address,
+        router: router.address,
+        exchanges
+    };
+
+    const dir = path.join(__dirname, "..", "deployments");
+    fs.mkdirSync(dir, { recursive: true });
+    const file = path.join(dir, `${network.name}.json`);
+    fs.writeFileSync(file, JSON.stringify(manifest, null, 2));
+
+    console.log("Deployment manifest written to:", file);
+}
+
+main()
     .then(() => process.exit(0))
     .catch((error) => {
-      console.error(error);
-      process.exit(1);
-    });
\ No newline at end of file
+        console.error(error);
+        process.exit(1);
+    });
@@ -0,0 +1,330 @@
+const { ethers } = require("ethers");
+const { EXCHANGE_ABI, ERC20_ABI } = require("./abi");
+
+const BPS = 10000;
+const DEFAULT_SLIPPAGE_BPS = 50;
+const DEFAULT_TTL = 1200;
+
+/**
+ * Lower bound of amount after applying a slippage tolerance.
+ * @param {ethers.BigNumberish} amount Quoted amount.
+ * @param {number} slippageBps Slippage tolerance in basis points.
+ * @returns {ethers.BigNumber}
+ */
+function minimumAmount(amount, slippageBps) {
+    return ethers.BigNumber.from(amount).mul(BPS - slippageBps).div(BPS);
+}
+
+/**
+ * Upper bound of amount after applying a slippage tolerance.
+ * @param {ethers.BigNumberish} amount Quoted amount.
+ * @param {number} slippageBps Slippage tolerance in basis points.
+ * @returns {ethers.BigNumber}
+ */
+function maximumAmount(amount, slippageBps) {
+    return ethers.BigNumber.from(amount).mul(BPS + slippageBps).div(BPS);
+}
+
+/**
+ * The Exchange contract requires every bound to be greater than 0.
+ */
+function nonZero(amount) {
+    return amount.isZero() ? ethers.BigNumber.from(1) : amount;
+}
+
+class ExchangeClient {
+
+    /**
+     * @param {string} address Address of the exchange.
+     * @param {ethers.Signer|ethers.providers.Provider} signerOrProvider Signer used to send transactions, or a provider for read only access.
+     * @param {object} [options]
+     * @param {number} [options.slippageBps=50] Slippage tolerance in basis points applied to every quote.
+     * @param {number} [options.ttl=1200] Number of seconds after the latest block until a transaction expires.
+     */
+    constructor(address, signerOrProvider, options = {}) {
+        this.address = address;
+        this.signer = ethers.Signer.isSigner(signerOrProvider) ? signerOrProvider : null;
+        this.provider = this.signer ? this.signer.provider : signerOrProvider;
+        this.contract = new ethers.Contract(address, EXCHANGE_ABI, signerOrProvider);
+        this.slippageBps = options.slippageBps === undefined ? DEFAULT_SLIPPAGE_BPS : options.slippageBps;
+        this.ttl = options.ttl === undefined ? DEFAULT_TTL : options.ttl;
+        if (this.slippageBps < 0 || this.slippageBps >= BPS) {
+            throw new Error("exchangeClient:constructor invalid slippage tolerance");
+        }
+        this._token = null;
+    }
+
+    /**
+     * @returns {Promise<ethers.Contract>} The ERC20 token traded on the exchange.
+     */
+    async token() {
+        if (!this._token) {
+            const tokenAddr = await this.contract.tokenAddress();
+            this._token = new ethers.Contract(tokenAddr, ERC20_ABI, this.signer || this.provider);
+        }
+        return this._token;
+    }
+
+    /**
+     * @returns {Promise<string>} Address of the ERC20 token traded on the exchange.
+     */
+    async tokenAddress() {
+        return (await this.token()).address;
+    }
+
+    /**
+     * @returns {Promise<{ethReserve: ethers.BigNumber, tokenReserve: ethers.BigNumber}>}
+     */
+    async getReserves() {
+        const token = await this.token();
+        const [ethReserve, tokenReserve] = await Promise.all([
+            this.provider.getBalance(this.address),
+            token.balanceOf(this.address)
+        ]);
+        return { ethReserve, tokenReserve };
+    }
+
+    /**
+     * @returns {Promise<number>} Unix timestamp deadline of a transaction sent now.
+     */
+    async getDeadline() {
+        const block = await this.provider.getBlock("latest");
+        return block.timestamp + this.ttl;
+    }
+
+    getEthToTokenInputPrice(ethSold) {
+        return this.contract.getEthToTokenInputPrice(ethSold);
+    }
+
+    getEthToTokenOutputPrice(tokensBought) {
+        return this.contract.getEthToTokenOutputPrice(tokensBought);
+    }
+
+    getTokenToEthInputPrice(tokensSold) {
+        return this.contract.getTokenToEthInputPrice(tokensSold);
+    }
+
+    getTokenToEthOutputPrice(ethBought) {
+        return this.contract.getTokenToEthOutputPrice(ethBought);
+    }
+
+    async quoteEthToTokenInput(ethSold) {
+        const tokensBought = await this.getEthToTokenInputPrice(ethSold);
+        return { ethSold: ethers.BigNumber.from(ethSold), tokensBought, minTokens: nonZero(minimumAmount(tokensBought, this.slippageBps)) };
+    }
+
+    async quoteEthToTokenOutput(tokensBought) {
+        const ethSold = await this.getEthToTokenOutputPrice(tokensBought);
+        return { tokensBought: ethers.BigNumber.from(tokensBought), ethSold, maxEth: maximumAmount(ethSold, this.slippageBps) };
+    }
+
+    async quoteTokenToEthInput(tokensSold) {
+        const ethBought = await this.getTokenToEthInputPrice(tokensSold);
+        return { tokensSold: ethers.BigNumber.from(tokensSold), ethBought, minEth: nonZero(minimumAmount(ethBought, this.slippageBps)) };
+    }
+
+    async quoteTokenToEthOutput(ethBought) {
+        const tokensSold = await this.getTokenToEthOutputPrice(ethBought);
+        return { ethBought: ethers.BigNumber.from(ethBought), tokensSold, maxTokens: maximumAmount(tokensSold, this.slippageBps) };
+    }
+
+    /**
+     * @param {ethers.BigNumberish} tokensSold Amount of tokens of this exchange sold.
+     * @param {ExchangeClient} outputExchange Exchange of the token being purchased.
+     */
+    async quoteTokenToTokenInput(tokensSold, outputExchange) {
+        const ethBought = await this.getTokenToEthInputPrice(tokensSold);
+        const tokensBought = await outputExchange.getEthToTokenInputPrice(ethBought);
+        return {
+            tokensSold: ethers.BigNumber.from(tokensSold),
+            ethBought,
+            tokensBought,
+            minEthBought: nonZero(minimumAmount(ethBought, this.slippageBps)),
+            minTokensBought: nonZero(minimumAmount(tokensBought, this.slippageBps))
+        };
+    }
+
+    /**
+     * @param {ethers.BigNumberish} tokensBought Amount of tokens of outputExchange bought.
+     * @param {ExchangeClient} outputExchange Exchange of the token being purchased.
+     */
+    async quoteTokenToTokenOutput(tokensBought, outputExchange) {
+        const ethSold = await outputExchange.getEthToTokenOutputPrice(tokensBought);
+        const tokensSold = await this.getTokenToEthOutputPrice(ethSold);
+        return {
+            tokensBought: ethers.BigNumber.from(tokensBought),
+            ethSold,
+            tokensSold,
+            maxEthSold: maximumAmount(ethSold, this.slippageBps),
+            maxTokensSold: maximumAmount(tokensSold, this.slippageBps)
+        };
+    }
+
+    /**
+     * @notice Approve the exchange to spend amount tokens of the signer if the current allowance is lower.
+     * @dev A non-zero allowance is reset to 0 first, for tokens like USDT that refuse to change it to another non-zero value.
+     * @returns {Promise<ethers.ContractTransaction|null>} The mined approval of amount, or null when none was needed.
+     */
+    async approveIfNeeded(amount) {
+        const signer = this.requireSigner("approveIfNeeded");
+        const token = await this.token();
+        const allowance = await token.allowance(await signer.getAddress(), this.address);
+        if (allowance.gte(amount)) {
+            return null;
+        }
+        if (!allowance.isZero()) {
+            await (await token.approve(this.address, 0)).wait();
+        }
+        const tx = await token.approve(this.address, amount);
+        await tx.wait();
+        return tx;
+    }
+
+    /**
+     * @notice Deposit ETH and tokens at the current ratio.
+     * @param {object} params
+     * @param {ethers.BigNumberish} params.ethAmount Amount of ETH deposited.
+     * @param {ethers.BigNumberish} [params.tokenAmount] Amount of tokens deposited. Required only for the first deposit, which sets the price.
+     */
+    async addLiquidity({ ethAmount, tokenAmount, overrides = {} }) {
+        this.requireSigner("addLiquidity");
+        const totalSupply = await this.contract.totalSupply();
+        let minLiquidity = ethers.BigNumber.from(0);
+        let maxTokens;
+        if (totalSupply.isZero()) {
+            if (tokenAmount === undefined) {
+                throw new Error("exchangeClient:addLiquidity tokenAmount is required for the first deposit");
+            }
+            maxTokens = ethers.BigNumber.from(tokenAmount);
+        } else {
+            const { ethReserve, tokenReserve } = await this.getReserves();
+            const liquidityMinted = ethers.BigNumber.from(ethAmount).mul(totalSupply).div(ethReserve);
+            minLiquidity = nonZero(minimumAmount(liquidityMinted, this.slippageBps));
+            maxTokens = maximumAmount(ethers.BigNumber.from(ethAmount).mul(tokenReserve).div(ethReserve).add(1), this.slippageBps);
+        }
+        await this.approveIfNeeded(maxTokens);
+        return this.contract.addLiquidity(minLiquidity, maxTokens, await this.getDeadline(), { ...overrides, value: ethAmount });
+    }
+
+    /**
+     * @notice Burn UNI tokens to withdraw ETH and tokens at the current ratio.
+     * @param {object} params
+     * @param {ethers.BigNumberish} params.amount Amount of UNI burned.
+     */
+    async removeLiquidity({ amount, overrides = {} }) {
+        this.requireSigner("removeLiquidity");
+        const totalSupply = await this.contract.totalSupply();
+        if (totalSupply.isZero()) {
+            throw new Error("exchangeClient:removeLiquidity exchange has no liquidity");
+        }
+        const { ethReserve, tokenReserve } = await this.getReserves();
+        const minEth = nonZero(minimumAmount(ethers.BigNumber.from(amount).mul(ethReserve).div(totalSupply), this.slippageBps));
+        const minTokens = nonZero(minimumAmount(ethers.BigNumber.from(amount).mul(tokenReserve).div(totalSupply), this.slippageBps));
+        return this.contract.removeLiquidity(amount, minEth, minTokens, await this.getDeadline(), overrides);
+    }
+
+    /**
+     * @notice Convert ETH to tokens.
+     * @dev Exactly one of ethSold (exact input) and tokensBought (exact output) must be set.
+     *      The Transfer entry point is used when recipient is set.
+     * @param {object} params
+     * @param {ethers.BigNumberish} [params.ethSold] Exact amount of ETH sold.
+     * @param {ethers.BigNumberish} [params.tokensBought] Exact amount of tokens bought.
+     * @param {string} [params.recipient] The address that receives the tokens.
+     */
+    async ethToToken({ ethSold, tokensBought, recipient, overrides = {} }) {
+        this.requireSigner("ethToToken");
+        const exactInput = this.checkExactAmount("ethToToken", ethSold, tokensBought);
+        const deadline = await this.getDeadline();
+        if (exactInput) {
+            const { minTokens } = await this.quoteEthToTokenInput(ethSold);
+            const value = { ...overrides, value: ethSold };
+            return recipient
+                ? this.contract.ethToTokenTransferInput(minTokens, deadline, recipient, value)
+                : this.contract.ethToTokenSwapInput(minTokens, deadline, value);
+        }
+        const { maxEth } = await this.quoteEthToTokenOutput(tokensBought);
+        const value = { ...overrides, value: maxEth };
+        return recipient
+            ? this.contract.ethToTokenTransferOutput(tokensBought, deadline, recipient, value)
+            : this.contract.ethToTokenSwapOutput(tokensBought, deadline, value);
+    }
+
+    /**
+     * @notice Convert tokens to ETH, approving the exchange first if needed.
+     * @dev Exactly one of tokensSold (exact input) and ethBought (exact output) must be set.
+     *      The Transfer entry point is used when recipient is set.
+     * @param {object} params
+     * @param {ethers.BigNumberish} [params.tokensSold] Exact amount of tokens sold.
+     * @param {ethers.BigNumberish} [params.ethBought] Exact amount of ETH bought.
+     * @param {string} [params.recipient] The address that receives the ETH.
+     */
+    async tokenToEth({ tokensSold, ethBought, recipient, overrides = {} }) {
+        this.requireSigner("tokenToEth");
+        const exactInput = this.checkExactAmount("tokenToEth", tokensSold, ethBought);
+        if (exactInput) {
+            const { minEth } = await this.quoteTokenToEthInput(tokensSold);
+            await this.approveIfNeeded(tokensSold);
+            const deadline = await this.getDeadline();
+            return recipient
+                ? this.contract.tokenToEthTransferInput(tokensSold, minEth, deadline, recipient, overrides)
+                : this.contract.tokenToEthSwapInput(tokensSold, minEth, deadline, overrides);
+        }
+        const { maxTokens } = await this.quoteTokenToEthOutput(ethBought);
+        await this.approveIfNeeded(maxTokens);
+        const deadline = await this.getDeadline();
+        return recipient
+            ? this.contract.tokenToEthTransferOutput(ethBought, maxTokens, deadline, recipient, overrides)
+            : this.contract.tokenToEthSwapOutput(ethBought, maxTokens, deadline, overrides);
+    }
+
+    /**
+     * @notice Convert tokens of this exchange to tokens of outputExchange, approving this exchange first if needed.
+     * @dev Exactly one of tokensSold (exact input) and tokensBought (exact output) must be set.
+     *      The Transfer entry point is used when recipient is set.
+     * @param {object} params
+     * @param {ExchangeClient} params.outputExchange Exchange of the token being purchased. Must be registered in the same factory.
+     * @param {ethers.BigNumberish} [params.tokensSold] Exact amount of tokens sold.
+     * @param {ethers.BigNumberish} [params.tokensBought] Exact amount of tokens bought.
+     * @param {string} [params.recipient] The address that receives the output tokens.
+     */
+    async tokenToToken({ outputExchange, tokensSold, tokensBought, recipient, overrides = {} }) {
+        this.requireSigner("tokenToToken");
+        const exactInput = this.checkExactAmount("tokenToToken", tokensSold, tokensBought);
+        const tokenAddr = await outputExchange.tokenAddress();
+        if (exactInput) {
+            const { minTokensBought, minEthBought } = await this.quoteTokenToTokenInput(tokensSold, outputExchange);
+            await this.approveIfNeeded(tokensSold);
+            const deadline = await this.getDeadline();
+            return recipient
+                ? this.contract.tokenToTokenTransferInput(tokensSold, minTokensBought, minEthBought, deadline, recipient, tokenAddr, overrides)
+                : this.contract.tokenToTokenSwapInput(tokensSold, minTokensBought, minEthBought, deadline, tokenAddr, overrides);
+        }
+        const { maxTokensSold, maxEthSold } = await this.quoteTokenToTokenOutput(tokensBought, outputExchange);
+        await this.approveIfNeeded(maxTokensSold);
+        const deadline = await this.getDeadline();
+        return recipient
+            ? this.contract.tokenToTokenTransferOutput(tokensBought, maxTokensSold, maxEthSold, deadline, recipient, tokenAddr, overrides)
+            : this.contract.tokenToTokenSwapOutput(tokensBought, maxTokensSold, maxEthSold, deadline, tokenAddr, overrides);
+    }
+
+    requireSigner(method) {
+        if (!this.signer) {
+            throw new Error(`exchangeClient:${method} a signer is required to send transactions`);
+        }
+        return this.signer;
+    }
+
+    checkExactAmount(method, input, output) {
+        if ((input === undefined) === (output === undefined)) {
+            throw new Error(`exchangeClient:${method} exactly one of the input and output amounts must be set`);
+        }
+        return input !== undefined;
+    }
+}
+
+module.exports = {
+    ExchangeClient,
+    minimumAmount,
+    maximumAmount
+};
@@ -0,0 +1,66 @@
+const { ethers } = require("ethers");
+const { FACTORY_ABI } = require("./abi");
+const { ExchangeClient } = require("./ExchangeClient");
+
+class FactoryClient {
+
+    /**
+     * @param {string} address Address of the factory.
+     * @param {ethers.Signer|ethers.providers.Provider} signerOrProvider Signer used to send transactions, or a provider for read only access.
+     * @param {object} [options] Options passed to every ExchangeClient created by this factory client.
+     */
+    constructor(address, signerOrProvider, options = {}) {
+        this.address = address;
+        this.signerOrProvider = signerOrProvider;
+        this.options = options;
+        this.contract = new ethers.Contract(address, FACTORY_ABI, signerOrProvider);
+    }
+
+    /**
+     * @returns {Promise<string|null>} Address of the exchange for token, or null if there is none.
+     */
+    async getExchange(token) {
+        const exchangeAddr = await this.contract.getExchange(token);
+        return exchangeAddr === ethers.constants.AddressZero ? null : exchangeAddr;
+    }
+
+    /**
+     * @returns {Promise<string|null>} Address of the token traded on exchange, or null if the exchange is unknown.
+     */
+    async getToken(exchange) {
+        const tokenAddr = await this.contract.getToken(exchange);
+        return tokenAddr === ethers.constants.AddressZero ? null : tokenAddr;
+    }
+
+    /**
+     * @returns {Promise<number>} Number of exchanges created by the factory.
+     */
+    async tokenCount() {
+        return (await this.contract.tokenCount()).toNumber();
+    }
+
+    /**
+     * @returns {Promise<ExchangeClient>} Client of the exchange for token.
+     */
+    async getExchangeClient(token) {
+        const exchangeAddr = await this.getExchange(token);
+        if (!exchangeAddr) {
+            throw new Error(`factoryClient:getExchangeClient no exchange for token ${token}`);
+        }
+        return new ExchangeClient(exchangeAddr, this.signerOrProvider, this.options);
+    }
+
+    /**
+     * @notice Create the exchange for token and wait until it is mined.
+     * @returns {Promise<ExchangeClient>} Client of the new exchange.
+     */
+    async createExchange(token) {
+        const tx = await this.contract.createExchange(token);
+        await tx.wait();
+        return this.getExchangeClient(token);
+    }
+}
+
+module.exports = {
+    FactoryClient
+};
@@ -0,0 +1,587 @@
+const fs = require("fs");
+const path = require("path");
+const { EventEmitter } = require("events");
+const { ethers } = require("ethers");
+const { EXCHANGE_ABI, FACTORY_ABI, ERC20_ABI } = require("./abi");
+const pricing = require("./pricing");
+
+const { BigNumber } = ethers;
+const STORE_VERSION = 1;
+const DEFAULT_BATCH_SIZE = 2000;
+const DEFAULT_ADDRESS_BATCH_SIZE = 500;
+const DEFAULT_POLL_INTERVAL = 4000;
+const RESERVE_EVENTS = ["TokenPurchase", "EthPurchase", "AddLiquidity", "RemoveLiquidity", "FlashSwap"];
+const EXCHANGE_EVENTS = [...RESERVE_EVENTS, "Transfer"];
+
+const exchangeInterface = new ethers.utils.Interface(EXCHANGE_ABI);
+const factoryInterface = new ethers.utils.Interface(FACTORY_ABI);
+const reserveTopics = new Set(RESERVE_EVENTS.map(name => exchangeInterface.getEventTopic(name)));
+
+/**
+ * Trading fee of the exchanges: 0.3% of the input amount.
+ */
+function tradingFee(amount) {
+    return BigNumber.from(amount).mul(3).div(1000);
+}
+
+function sum(records, field) {
+    return records.reduce((total, record) => total.add(record[field]), BigNumber.from(0));
+}
+
+function inRange(record, { from, to } = {}) {
+    return (from === undefined || record.timestamp >= from) && (to === undefined || record.timestamp < to);
+}
+
+/**
+ * Persists the state of an Indexer as a JSON file. Amounts are stored as decimal strings.
+ */
+class JsonStore {
+
+    /**
+     * @param {string} file Path of the JSON file, created on the first save.
+     */
+    constructor(file) {
+        this.file = file;
+    }
+
+    /**
+     * @returns {object|null} The saved state, or null if nothing was saved yet.
+     */
+    load() {
+        if (!fs.existsSync(this.file)) {
+            return null;
+        }
+        return JSON.parse(fs.readFileSync(this.file, "utf8"));
+    }
+
+    /**
+     * @notice Write state to a temporary file first, so that an interrupted save never corrupts the store.
+     */
+    save(state) {
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        const tmp = `${this.file}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify(state));
+        fs.renameSync(tmp, this.file);
+    }
+}
+
+/**
+ * Rebuilds the history of every exchange of a factory from its events: trades, liquidity deposits and withdrawals,
+ * flash swaps, and the reserves after each of them.
+ * @dev Reserves follow the amounts of the events within a block, and are read from the chain after the last event of each
+ *      exchange in the block. So the reserves recorded for that event include the tokens kept by a fee on transfer, which the
+ *      events do not report, and ETH or tokens sent directly to the exchange since its previous event. Reading them needs
+ *      the state of past blocks, as from an archive node.
+ *      Emits "sync" with the last indexed block after each sync, and "error" when a sync started by start() fails.
+ */
+class Indexer extends EventEmitter {
+
+    /**
+     * @param {string} factoryAddress Address of the factory whose exchanges are indexed.
+     * @param {ethers.providers.JsonRpcProvider} provider Provider used to read the logs. Logs of several exchanges are read
+     *        with a single eth_getLogs request, which ethers' getLogs does not support.
+     * @param {object} [options]
+     * @param {JsonStore} [options.store] Store of the indexed events. The state is kept in memory only if not set.
+     * @param {number} [options.fromBlock=0] First block indexed by a new store.
+     * @param {number} [options.batchSize=2000] Maximum number of blocks read by a single eth_getLogs request.
+     * @param {number} [options.addressBatchSize=500] Maximum number of exchanges read by a single eth_getLogs request.
+     * @param {number} [options.confirmations=0] Number of blocks behind the latest block to stay, to avoid indexing reorged blocks.
+     * @param {number} [options.pollInterval=4000] Number of milliseconds between two syncs started by start().
+     */
+    constructor(factoryAddress, provider, options = {}) {
+        super();
+        this.provider = provider;
+        this.factory = new ethers.Contract(ethers.utils.getAddress(factoryAddress), FACTORY_ABI, provider);
+        this.store = options.store || null;
+        this.fromBlock = options.fromBlock || 0;
+        this.batchSize = options.batchSize || DEFAULT_BATCH_SIZE;
+        this.addressBatchSize = options.addressBatchSize || DEFAULT_ADDRESS_BATCH_SIZE;
+        this.confirmations = options.confirmations || 0;
+        this.pollInterval = options.pollInterval || DEFAULT_POLL_INTERVAL;
+        if (this.batchSize < 1) {
+            throw new Error("indexer:constructor invalid batchSize");
+        }
+        if (this.addressBatchSize < 1) {
+            throw new Error("indexer:constructor invalid addressBatchSize");
+        }
+        this.state = null;
+        this.timer = null;
+        this.syncing = null;
+    }
+
+    /**
+     * @notice Load the state from the store, or start a new one at fromBlock.
+     * @dev Exchanges created before fromBlock are read from the factory, with their reserves at the block before.
+     */
+    async load() {
+        if (this.state) {
+            return this.state;
+        }
+        const saved = this.store ? this.store.load() : null;
+        if (saved) {
+            if (saved.version !== STORE_VERSION || saved.factory !== this.factory.address) {
+                throw new Error("indexer:load store belongs to another factory or version");
+            }
+            this.state = saved;
+            return this.state;
+        }
+        const state = {
+            version: STORE_VERSION,
+            factory: this.factory.address,
+            lastBlock: this.fromBlock - 1,
+            exchanges: {},
+            trades: [],
+            liquidity: [],
+            flashSwaps: [],
+            reserves: []
+        };
+        if (this.fromBlock > 0) {
+            const blockTag = this.fromBlock - 1;
+            const tokenCount = (await this.factory.tokenCount({ blockTag })).toNumber();
+            for (let tokenId = 1; tokenId <= tokenCount; tokenId++) {
+                const token = await this.factory.getTokenWithId(tokenId, { blockTag });
+                const exchange = await this.factory.getExchange(token, { blockTag });
+                const [ethReserve, tokenReserve] = await Promise.all([
+                    this.provider.getBalance(exchange, blockTag),
+                    new ethers.Contract(token, ERC20_ABI, this.provider).balanceOf(exchange, { blockTag })
+                ]);
+                state.exchanges[exchange] = { token, ethReserve: ethReserve.toString(), tokenReserve: tokenReserve.toString() };
+            }
+        }
+        this.state = state;
+        return this.state;
+    }
+
+    /**
+     * @notice Index every block up to the latest block minus confirmations, then save the state.
+     * @dev Concurrent calls share the same sync.
+     * @returns {Promise<number>} The last indexed block.
+     */
+    sync() {
+        if (!this.syncing) {
+            this.syncing = this.syncBlocks().finally(() => {
+                this.syncing = null;
+            });
+        }
+        return this.syncing;
+    }
+
+    async syncBlocks() {
+        const state = await this.load();
+        const toBlock = (await this.provider.getBlockNumber()) - this.confirmations;
+        while (state.lastBlock < toBlock) {
+            const fromBlock = state.lastBlock + 1;
+            const batchEnd = Math.min(toBlock, fromBlock + this.batchSize - 1);
+            await this.indexBlocks(fromBlock, batchEnd);
+            state.lastBlock = batchEnd;
+            if (this.store) {
+                this.store.save(state);
+            }
+        }
+        this.emit("sync", state.lastBlock);
+        return state.lastBlock;
+    }
+
+    /**
+     * @notice Sync now, then again every pollInterval milliseconds until stop() is called.
+     */
+    start() {
+        if (this.timer) {
+            return;
+        }
+        const poll = async () => {
+            try {
+                await this.sync();
+            } catch (error) {
+                this.emit("error", error);
+            }
+            if (this.timer) {
+                this.timer = setTimeout(poll, this.pollInterval);
+            }
+        };
+        this.timer = setTimeout(poll, 0);
+    }
+
+    /**
+     * @notice Stop following new blocks. Resolves once the sync in progress, if any, is over.
+     */
+    async stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        if (this.syncing) {
+            await this.syncing.catch(() => {});
+        }
+    }
+
+    async indexBlocks(fromBlock, toBlock) {
+        const factoryLogs = await this.provider.getLogs({
+            address: this.factory.address,
+            topics: [factoryInterface.getEventTopic("NewExchange")],
+            fromBlock,
+            toBlock
+        });
+        // Exchanges created in the batch emit events in it too.
+        const created = new Map(factoryLogs.map(log => {
+            const { args } = factoryInterface.parseLog(log);
+            return [args.exchange, args.token];
+        }));
+        const exchangeLogs = await this.getExchangeLogs([...Object.keys(this.state.exchanges), ...created.keys()], fromBlock, toBlock);
+        const logs = [...factoryLogs, ...exchangeLogs].sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+        // Read everything before changing the state, so that a failed request leaves the batch unindexed rather than half indexed.
+        const timestamps = new Map();
+        for (const blockNumber of new Set(logs.map(log => log.blockNumber))) {
+            timestamps.set(blockNumber, (await this.provider.getBlock(blockNumber)).timestamp);
+        }
+        const reserves = await this.getBlockReserves(exchangeLogs, created);
+        // Trades and liquidity events of the batch by transaction: the events matched together are emitted by the same transaction.
+        const transactions = new Map();
+        for (const log of logs) {
+            if (!transactions.has(log.transactionHash)) {
+                transactions.set(log.transactionHash, []);
+            }
+            this.indexLog(log, timestamps.get(log.blockNumber), transactions.get(log.transactionHash), reserves.get(log));
+        }
+    }
+
+    /**
+     * @notice Read the reserves of exchanges at the end of each block, for the last event that changed them in the block.
+     * @param {Map<string, string>} created Tokens of the exchanges created in the batch, by exchange.
+     * @returns {Promise<Map<object, {ethReserve: ethers.BigNumber, tokenReserve: ethers.BigNumber}>>} Reserves by log.
+     */
+    async getBlockReserves(exchangeLogs, created) {
+        const lastLogs = new Map();
+        for (const log of exchangeLogs.filter(log => reserveTopics.has(log.topics[0]))) {
+            lastLogs.set(`${log.address}:${log.blockNumber}`, log);
+        }
+        const reserves = new Map();
+        for (const log of lastLogs.values()) {
+            const token = created.get(log.address) || this.state.exchanges[log.address].token;
+            const [ethReserve, tokenReserve] = await Promise.all([
+                this.provider.getBalance(log.address, log.blockNumber),
+                new ethers.Contract(token, ERC20_ABI, this.provider).balanceOf(log.address, { blockTag: log.blockNumber })
+            ]);
+            reserves.set(log, { ethReserve, tokenReserve });
+        }
+        return reserves;
+    }
+
+    /**
+     * @notice Read the events of exchanges, addressBatchSize exchanges per request.
+     */
+    async getExchangeLogs(exchanges, fromBlock, toBlock) {
+        const topics = [EXCHANGE_EVENTS.map(name => exchangeInterface.getEventTopic(name))];
+        const logs = [];
+        for (let i = 0; i < exchanges.length; i += this.addressBatchSize) {
+            const batch = await this.provider.send("eth_getLogs", [{
+                address: exchanges.slice(i, i + this.addressBatchSize),
+                topics,
+                fromBlock: ethers.utils.hexValue(fromBlock),
+                toBlock: ethers.utils.hexValue(toBlock)
+            }]);
+            logs.push(...batch.map(log => this.provider.formatter.filterLog(log)));
+        }
+        return logs;
+    }
+
+    /**
+     * @param {object[]} records Trades and liquidity events already indexed from the transaction of log.
+     * @param {{ethReserve: ethers.BigNumber, tokenReserve: ethers.BigNumber}} [reserves] Reserves read from the chain after log.
+     */
+    indexLog(log, timestamp, records, reserves) {
+        const state = this.state;
+        if (log.address === this.factory.address) {
+            const { args } = factoryInterface.parseLog(log);
+            state.exchanges[args.exchange] = { token: args.token, ethReserve: "0", tokenReserve: "0" };
+            return;
+        }
+        const { name, args } = exchangeInterface.parseLog(log);
+        const base = { exchange: log.address, blockNumber: log.blockNumber, timestamp, transactionHash: log.transactionHash, logIndex: log.logIndex };
+        switch (name) {
+            case "TokenPurchase": {
+                const trade = { ...base, type: "ethToToken", trader: args.buyer, ethAmount: args.ethSold.toString(), tokenAmount: args.tokensBought.toString(), route: null };
+                state.trades.push(trade);
+                records.push(trade);
+                this.updateReserves(base, args.ethSold, args.tokensBought.mul(-1), reserves);
+                break;
+            }
+            case "EthPurchase": {
+                const trade = { ...base, type: "tokenToEth", trader: args.buyer, ethAmount: args.ethBought.toString(), tokenAmount: args.tokensSold.toString(), route: null };
+                this.pairTokenToToken(trade, records);
+                state.trades.push(trade);
+                records.push(trade);
+                this.updateReserves(base, args.ethBought.mul(-1), args.tokensSold, reserves);
+                break;
+            }
+            case "AddLiquidity": {
+                const record = { ...base, type: "add", provider: args.provider, ethAmount: args.ethAmount.toString(), tokenAmount: args.tokenAmount.toString(), liquidity: null };
+                state.liquidity.push(record);
+                records.push(record);
+                this.updateReserves(base, args.ethAmount, args.tokenAmount, reserves);
+                break;
+            }
+            case "RemoveLiquidity": {
+                const record = { ...base, type: "remove", provider: args.provider, ethAmount: args.ethAmount.toString(), tokenAmount: args.tokenAmount.toString(), liquidity: null };
+                state.liquidity.push(record);
+                records.push(record);
+                this.updateReserves(base, args.ethAmount.mul(-1), args.tokenAmount.mul(-1), reserves);
+                break;
+            }
+            case "FlashSwap":
+                state.flashSwaps.push({
+                    ...base,
+                    sender: args.sender,
+                    receiver: args.receiver,
+                    ethOut: args.ethOut.toString(),
+                    tokenOut: args.tokenOut.toString(),
+                    ethIn: args.ethIn.toString(),
+                    tokenIn: args.tokenIn.toString()
+                });
+                this.updateReserves(base, args.ethIn.sub(args.ethOut), args.tokenIn.sub(args.tokenOut), reserves);
+                break;
+            case "Transfer":
+                this.matchLiquidity(base, args, records);
+                break;
+        }
+    }
+
+    /**
+     * @notice Link the two legs of a token to token trade.
+     * @dev The input exchange buys ETH with the tokens sold and spends it on the output exchange, which emits TokenPurchase
+     *      with the input exchange as buyer. The input exchange emits EthPurchase afterwards, with the same fields as a
+     *      token to ETH trade and the actual trader as buyer. Both legs get the trader and the route of the whole trade.
+     */
+    pairTokenToToken(trade, records) {
+        const leg = records.find(other =>
+            other.type === "ethToToken"
+            && other.route === null
+            && other.trader === trade.exchange
+            && other.ethAmount === trade.ethAmount
+        );
+        if (!leg) {
+            return;
+        }
+        const route = {
+            inputExchange: trade.exchange,
+            outputExchange: leg.exchange,
+            inputToken: this.state.exchanges[trade.exchange].token,
+            outputToken: this.state.exchanges[leg.exchange].token,
+            tokensSold: trade.tokenAmount,
+            ethAmount: trade.ethAmount,
+            tokensBought: leg.tokenAmount
+        };
+        leg.trader = trade.trader;
+        leg.route = route;
+        trade.route = route;
+    }
+
+    /**
+     * @notice Record the UNI minted or burned by a liquidity event, which emits Transfer from or to the zero address right after.
+     * @dev Mints of the protocol fee happen before AddLiquidity is emitted, so they are never matched.
+     */
+    matchLiquidity(base, { from, to, value }, records) {
+        const mint = from === ethers.constants.AddressZero;
+        if (!mint && to !== ethers.constants.AddressZero) {
+            return;
+        }
+        const record = records.find(other =>
+            other.exchange === base.exchange
+            && other.liquidity === null
+            && other.type === (mint ? "add" : "remove")
+            && other.provider === (mint ? to : from)
+        );
+        if (record) {
+            record.liquidity = value.toString();
+        }
+    }
+
+    /**
+     * @notice Apply the amounts of an event to the reserves of its exchange, or replace them with reserves read from the chain.
+     */
+    updateReserves(base, ethDelta, tokenDelta, reserves) {
+        const exchange = this.state.exchanges[base.exchange];
+        if (reserves) {
+            exchange.ethReserve = reserves.ethReserve.toString();
+            exchange.tokenReserve = reserves.tokenReserve.toString();
+        } else {
+            exchange.ethReserve = BigNumber.from(exchange.ethReserve).add(ethDelta).toString();
+            exchange.tokenReserve = BigNumber.from(exchange.tokenReserve).add(tokenDelta).toString();
+        }
+        this.state.reserves.push({ ...base, ethReserve: exchange.ethReserve, tokenReserve: exchange.tokenReserve });
+    }
+
+    requireExchange(method, exchange) {
+        if (!this.state) {
+            throw new Error(`indexer:${method} not loaded, call sync first`);
+        }
+        const address = ethers.utils.getAddress(exchange);
+        if (!this.state.exchanges[address]) {
+            throw new Error(`indexer:${method} unknown exchange ${exchange}`);
+        }
+        return address;
+    }
+
+    /**
+     * @returns {{exchange: string, token: string, ethReserve: ethers.BigNumber, tokenReserve: ethers.BigNumber}[]}
+     *          Indexed exchanges with their reserves at the last indexed block.
+     */
+    getExchanges() {
+        if (!this.state) {
+            throw new Error("indexer:getExchanges not loaded, call sync first");
+        }
+        return Object.entries(this.state.exchanges).map(([exchange, { token, ethReserve, tokenReserve }]) => ({
+            exchange,
+            token,
+            ethReserve: BigNumber.from(ethReserve),
+            tokenReserve: BigNumber.from(tokenReserve)
+        }));
+    }
+
+    /**
+     * @param {string} exchange Address of the exchange.
+     * @param {{from?: number, to?: number}} [range] Timestamps of the first included and the first excluded second.
+     * @returns {object[]} Trades of exchange, in chain order. Each leg of a token to token trade is a trade of its exchange,
+     *          with the trader of the whole trade and a route describing it.
+     */
+    getTrades(exchange, range) {
+        exchange = this.requireExchange("getTrades", exchange);
+        return this.state.trades.filter(trade => trade.exchange === exchange && inRange(trade, range));
+    }
+
+    /**
+     * @returns {{trades: number, ethVolume: ethers.BigNumber, tokenVolume: ethers.BigNumber}} Number of trades and amounts
+     *          of ETH and tokens traded by exchange, in both directions.
+     */
+    getVolume(exchange, range) {
+        const trades = this.getTrades(exchange, range);
+        return { trades: trades.length, ethVolume: sum(trades, "ethAmount"), tokenVolume: sum(trades, "tokenAmount") };
+    }
+
+    /**
+     * @returns {{ethFees: ethers.BigNumber, tokenFees: ethers.BigNumber}} Fees earned by the liquidity providers of exchange,
+     *          i.e. 0.3% of the ETH and tokens sold to it by trades and paid back by flash swaps.
+     */
+    getFees(exchange, range) {
+        exchange = this.requireExchange("getFees", exchange);
+        let ethFees = BigNumber.from(0);
+        let tokenFees = BigNumber.from(0);
+        for (const trade of this.getTrades(exchange, range)) {
+            if (trade.type === "ethToToken") {
+                ethFees = ethFees.add(tradingFee(trade.ethAmount));
+            } else {
+                tokenFees = tokenFees.add(tradingFee(trade.tokenAmount));
+            }
+        }
+        for (const flashSwap of this.state.flashSwaps.filter(other => other.exchange === exchange && inRange(other, range))) {
+            ethFees = ethFees.add(tradingFee(flashSwap.ethIn));
+            tokenFees = tokenFees.add(tradingFee(flashSwap.tokenIn));
+        }
+        return { ethFees, tokenFees };
+    }
+
+    /**
+     * @returns {{blockNumber: number, logIndex: number, timestamp: number, ethReserve: ethers.BigNumber, tokenReserve: ethers.BigNumber}[]}
+     *          Reserves of exchange after each event that changed them.
+     */
+    getReserveHistory(exchange, range) {
+        exchange = this.requireExchange("getReserveHistory", exchange);
+        return this.state.reserves
+            .filter(snapshot => snapshot.exchange === exchange && inRange(snapshot, range))
+            .map(({ blockNumber, logIndex, timestamp, ethReserve, tokenReserve }) => ({
+                blockNumber,
+                logIndex,
+                timestamp,
+                ethReserve: BigNumber.from(ethReserve),
+                tokenReserve: BigNumber.from(tokenReserve)
+            }));
+    }
+
+    /**
+     * @param {object} [filter]
+     * @param {string} [filter.exchange] Only the events of this exchange.
+     * @param {string} [filter.provider] Only the events of this liquidity provider.
+     * @returns {object[]} Deposits ("add") and withdrawals ("remove") with the amount of UNI minted or burned, in chain order.
+     */
+    getLiquidityEvents({ exchange, provider } = {}) {
+        exchange = exchange === undefined ? undefined : this.requireExchange("getLiquidityEvents", exchange);
+        provider = provider === undefined ? undefined : ethers.utils.getAddress(provider);
+        return this.state.liquidity.filter(record =>
+            (exchange === undefined || record.exchange === exchange) && (provider === undefined || record.provider === provider)
+        );
+    }
+
+    /**
+     * @returns {Object<string, {ethDeposited: ethers.BigNumber, tokensDeposited: ethers.BigNumber, liquidityMinted: ethers.BigNumber,
+     *          ethWithdrawn: ethers.BigNumber, tokensWithdrawn: ethers.BigNumber, liquidityBurned: ethers.BigNumber}>}
+     *          Totals of the deposits and withdrawals of each liquidity provider of exchange, by address.
+     */
+    getLiquidityFlows(exchange) {
+        const flows = {};
+        for (const record of this.getLiquidityEvents({ exchange })) {
+            const zero = BigNumber.from(0);
+            const flow = flows[record.provider] = flows[record.provider] || {
+                ethDeposited: zero, tokensDeposited: zero, liquidityMinted: zero,
+                ethWithdrawn: zero, tokensWithdrawn: zero, liquidityBurned: zero
+            };
+            const liquidity = record.liquidity || "0";
+            if (record.type === "add") {
+                flow.ethDeposited = flow.ethDeposited.add(record.ethAmount);
+                flow.tokensDeposited = flow.tokensDeposited.add(record.tokenAmount);
+                flow.liquidityMinted = flow.liquidityMinted.add(liquidity);
+            } else {
+                flow.ethWithdrawn = flow.ethWithdrawn.add(record.ethAmount);
+                flow.tokensWithdrawn = flow.tokensWithdrawn.add(record.tokenAmount);
+                flow.liquidityBurned = flow.liquidityBurned.add(liquidity);
+            }
+        }
+        return flows;
+    }
+
+    /**
+     * Candles of the spot price of 1 token in ETH, as a fixed point number with 18 decimals, after each change of the reserves.
+     * @param {string} exchange Address of the exchange.
+     * @param {number} interval Duration of a candle in seconds. Candles start at multiples of interval.
+     * @param {{from?: number, to?: number}} [range] Timestamps of the first included and the first excluded second.
+     * @returns {{timestamp: number, open: ethers.BigNumber, high: ethers.BigNumber, low: ethers.BigNumber, close: ethers.BigNumber,
+     *          trades: number, ethVolume: ethers.BigNumber, tokenVolume: ethers.BigNumber}[]} One candle per interval between the
+     *          first and the last change of the reserves, intervals without changes repeating the previous close.
+     */
+    getCandles(exchange, interval, range) {
+        if (!(interval > 0)) {
+            throw new Error("indexer:getCandles invalid interval");
+        }
+        const trades = this.getTrades(exchange, range);
+        const snapshots = this.getReserveHistory(exchange, range).filter(({ ethReserve, tokenReserve }) => !ethReserve.isZero() && !tokenReserve.isZero());
+        const candles = [];
+        for (const { timestamp, ethReserve, tokenReserve } of snapshots) {
+            const start = timestamp - (timestamp % interval);
+            const price = pricing.getSpotPrice(tokenReserve, ethReserve);
+            let candle = candles[candles.length - 1];
+            while (candle && candle.timestamp < start) {
+                const close = candle.close;
+                candle = { timestamp: candle.timestamp + interval, open: close, high: close, low: close, close, trades: 0, ethVolume: BigNumber.from(0), tokenVolume: BigNumber.from(0) };
+                candles.push(candle);
+            }
+            if (!candle) {
+                candle = { timestamp: start, open: price, high: price, low: price, close: price, trades: 0, ethVolume: BigNumber.from(0), tokenVolume: BigNumber.from(0) };
+                candles.push(candle);
+            }
+            candle.high = candle.high.gt(price) ? candle.high : price;
+            candle.low = candle.low.lt(price) ? candle.low : price;
+            candle.close = price;
+        }
+        for (const trade of trades) {
+            const candle = candles.find(other => trade.timestamp >= other.timestamp && trade.timestamp < other.timestamp + interval);
+            if (candle) {
+                candle.trades += 1;
+                candle.ethVolume = candle.ethVolume.add(trade.ethAmount);
+                candle.tokenVolume = candle.tokenVolume.add(trade.tokenAmount);
+            }
+        }
+        return candles;
+    }
+}
+
+module.exports = {
+    Indexer,
+    JsonStore
+};
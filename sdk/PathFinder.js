@@ -0,0 +1,229 @@
+const { ethers } = require("ethers");
+const { FACTORY_ABI, ROUTER_ABI, ERC20_ABI } = require("./abi");
+const { minimumAmount, maximumAmount } = require("./ExchangeClient");
+const pricing = require("./pricing");
+
+const ETH = ethers.constants.AddressZero;
+const DEFAULT_MAX_HOPS = 3;
+const DEFAULT_SLIPPAGE_BPS = 50;
+const DEFAULT_TTL = 1200;
+
+/**
+ * Amounts of each asset of path traded for an exact input, replaying every trade on a copy of the reserves.
+ * Matches what Router.swapExactInput buys, including the second trade on the exchange of each intermediate token.
+ * @returns {ethers.BigNumber[]|null} null if a trade is not possible.
+ */
+function simulateExactInput(pools, path, amountIn) {
+    const reserves = new Map();
+    const poolOf = token => {
+        if (!reserves.has(token)) {
+            reserves.set(token, { ...pools.get(token) });
+        }
+        return reserves.get(token);
+    };
+    const amounts = [ethers.BigNumber.from(amountIn)];
+    try {
+        for (let i = 0; i < path.length - 1; i++) {
+            let amount = amounts[i];
+            if (path[i] !== ETH) {
+                const pool = poolOf(path[i]);
+                const ethBought = pricing.getTokenToEthInputPrice(amount, pool);
+                pool.tokenReserve = pool.tokenReserve.add(amount);
+                pool.ethReserve = pool.ethReserve.sub(ethBought);
+                amount = ethBought;
+            }
+            if (path[i + 1] !== ETH) {
+                const pool = poolOf(path[i + 1]);
+                const tokensBought = pricing.getEthToTokenInputPrice(amount, pool);
+                pool.ethReserve = pool.ethReserve.add(amount);
+                pool.tokenReserve = pool.tokenReserve.sub(tokensBought);
+                amount = tokensBought;
+            }
+            amounts.push(amount);
+        }
+    } catch (error) {
+        return null;
+    }
+    return amounts;
+}
+
+/**
+ * Amounts of each asset of path traded for an exact output, quoting each hop with the current reserves.
+ * Mirrors Router.getAmountsIn.
+ * @returns {ethers.BigNumber[]|null} null if a trade is not possible.
+ */
+function quoteExactOutput(pools, path, amountOut) {
+    const amounts = [ethers.BigNumber.from(amountOut)];
+    try {
+        for (let i = path.length - 1; i > 0; i--) {
+            let amount = amounts[0];
+            if (path[i] !== ETH) {
+                amount = pricing.getEthToTokenOutputPrice(amount, pools.get(path[i]));
+            }
+            if (path[i - 1] !== ETH) {
+                amount = pricing.getTokenToEthOutputPrice(amount, pools.get(path[i - 1]));
+            }
+            amounts.unshift(amount);
+        }
+    } catch (error) {
+        return null;
+    }
+    return amounts;
+}
+
+class PathFinder {
+
+    /**
+     * @param {string} routerAddress Address of the router, which trades on the exchanges of its factory.
+     * @param {ethers.providers.Provider} provider Provider used to read the factory and the exchanges.
+     * @param {object} [options]
+     * @param {number} [options.maxHops=3] Maximum number of hops of a path, a hop being a trade between two assets.
+     * @param {number} [options.slippageBps=50] Slippage tolerance in basis points applied to every quote.
+     * @param {number} [options.ttl=1200] Number of seconds after the latest block until a transaction expires.
+     */
+    constructor(routerAddress, provider, options = {}) {
+        this.provider = provider;
+        this.router = new ethers.Contract(routerAddress, ROUTER_ABI, provider);
+        this.maxHops = options.maxHops === undefined ? DEFAULT_MAX_HOPS : options.maxHops;
+        this.slippageBps = options.slippageBps === undefined ? DEFAULT_SLIPPAGE_BPS : options.slippageBps;
+        this.ttl = options.ttl === undefined ? DEFAULT_TTL : options.ttl;
+        if (this.maxHops < 1) {
+            throw new Error("pathFinder:constructor invalid maxHops");
+        }
+    }
+
+    /**
+     * Enumerate the exchanges of the factory of the router, skipping the ones without liquidity.
+     * @returns {Promise<Map<string, {exchange: string, ethReserve: ethers.BigNumber, tokenReserve: ethers.BigNumber}>>}
+     *          Exchange and reserves by token address.
+     */
+    async getPools() {
+        const factory = new ethers.Contract(await this.router.factory(), FACTORY_ABI, this.provider);
+        const tokenCount = (await factory.tokenCount()).toNumber();
+        const pools = new Map();
+        for (let tokenId = 1; tokenId <= tokenCount; tokenId++) {
+            const token = await factory.getTokenWithId(tokenId);
+            const exchange = await factory.getExchange(token);
+            const [ethReserve, tokenReserve] = await Promise.all([
+                this.provider.getBalance(exchange),
+                new ethers.Contract(token, ERC20_ABI, this.provider).balanceOf(exchange)
+            ]);
+            if (!ethReserve.isZero() && !tokenReserve.isZero()) {
+                pools.set(token, { exchange, ethReserve, tokenReserve });
+            }
+        }
+        return pools;
+    }
+
+    /**
+     * Every path from input to output through the pools, with at most maxHops hops.
+     * @param {Map<string, object>} pools Pools returned by getPools.
+     * @param {string} input Address of the token sold, or the zero address for ETH.
+     * @param {string} output Address of the token bought, or the zero address for ETH.
+     * @returns {string[][]} Paths of assets, as expected by the router.
+     */
+    getPaths(pools, input, output) {
+        if (input === output || ![input, output].every(asset => asset === ETH || pools.has(asset))) {
+            return [];
+        }
+        const intermediates = [...pools.keys()].filter(token => token !== input && token !== output);
+        const paths = [];
+        const extend = path => {
+            if (path.length > this.maxHops) {
+                return;
+            }
+            paths.push([...path, output]);
+            for (const token of intermediates) {
+                if (!path.includes(token)) {
+                    extend([...path, token]);
+                }
+            }
+        };
+        extend([input]);
+        return paths;
+    }
+
+    /**
+     * @returns {Promise<number>} Deadline of a transaction sent now.
+     */
+    async getDeadline() {
+        const block = await this.provider.getBlock("latest");
+        return block.timestamp + this.ttl;
+    }
+
+    /**
+     * Find the path that buys the most for an exact input, and the router transaction that executes it.
+     * @param {string} input Address of the token sold, or the zero address for ETH.
+     * @param {string} output Address of the token bought, or the zero address for ETH.
+     * @param {ethers.BigNumberish} amountIn Amount of input sold.
+     * @param {string} recipient The address that receives the output.
+     * @returns {Promise<{path: string[], amounts: ethers.BigNumber[], amountIn: ethers.BigNumber, amountOut: ethers.BigNumber,
+     *          minAmountOut: ethers.BigNumber, transaction: {to: string, data: string, value: ethers.BigNumber}}|null>}
+     *          The best route, or null if there is none.
+     */
+    async findBestExactInput(input, output, amountIn, recipient) {
+        input = ethers.utils.getAddress(input);
+        output = ethers.utils.getAddress(output);
+        const pools = await this.getPools();
+        let best = null;
+        for (const path of this.getPaths(pools, input, output)) {
+            const amounts = simulateExactInput(pools, path, amountIn);
+            if (amounts && (!best || amounts[amounts.length - 1].gt(best.amounts[best.amounts.length - 1]))) {
+                best = { path, amounts };
+            }
+        }
+        if (!best) {
+            return null;
+        }
+        const amountOut = best.amounts[best.amounts.length - 1];
+        const minAmountOut = minimumAmount(amountOut, this.slippageBps);
+        const data = this.router.interface.encodeFunctionData("swapExactInput", [best.path, amountIn, minAmountOut, recipient, await this.getDeadline()]);
+        return {
+            ...best,
+            amountIn: ethers.BigNumber.from(amountIn),
+            amountOut,
+            minAmountOut,
+            transaction: { to: this.router.address, data, value: ethers.BigNumber.from(input === ETH ? amountIn : 0) }
+        };
+    }
+
+    /**
+     * Find the path that sells the least for an exact output, and the router transaction that executes it.
+     * @param {string} input Address of the token sold, or the zero address for ETH.
+     * @param {string} output Address of the token bought, or the zero address for ETH.
+     * @param {ethers.BigNumberish} amountOut Amount of output bought.
+     * @param {string} recipient The address that receives the output.
+     * @returns {Promise<{path: string[], amounts: ethers.BigNumber[], amountIn: ethers.BigNumber, amountOut: ethers.BigNumber,
+     *          maxAmountIn: ethers.BigNumber, transaction: {to: string, data: string, value: ethers.BigNumber}}|null>}
+     *          The best route, or null if there is none.
+     */
+    async findBestExactOutput(input, output, amountOut, recipient) {
+        input = ethers.utils.getAddress(input);
+        output = ethers.utils.getAddress(output);
+        const pools = await this.getPools();
+        let best = null;
+        for (const path of this.getPaths(pools, input, output)) {
+            const amounts = quoteExactOutput(pools, path, amountOut);
+            if (amounts && (!best || amounts[0].lt(best.amounts[0]))) {
+                best = { path, amounts };
+            }
+        }
+        if (!best) {
+            return null;
+        }
+        const amountIn = best.amounts[0];
+        const maxAmountIn = maximumAmount(amountIn, this.slippageBps);
+        const data = this.router.interface.encodeFunctionData("swapExactOutput", [best.path, amountOut, maxAmountIn, recipient, await this.getDeadline()]);
+        return {
+            ...best,
+            amountIn,
+            amountOut: ethers.BigNumber.from(amountOut),
+            maxAmountIn,
+            transaction: { to: this.router.address, data, value: input === ETH ? maxAmountIn : ethers.BigNumber.from(0) }
+        };
+    }
+}
+
+module.exports = {
+    PathFinder
+};
@@ -0,0 +1,1353 @@
+const { ethers } = require("ethers");
+const pricing = require("./pricing");
+const { PERMIT_TYPES } = require("./permit");
+
+const { BigNumber } = ethers;
+const { AddressZero, MaxUint256, WeiPerEther, Zero } = ethers.constants;
+const UINT256_MODULUS = MaxUint256.add(1);
+const PANIC_ARITHMETIC = 0x11;
+const PANIC_DIVISION_BY_ZERO = 0x12;
+// Signatures with a higher s are malleable, ECDSA.recover rejects them.
+const ECDSA_MAX_S = BigNumber.from("0x7fffffffffffffffffffffffffffffff5d576e7357a4501ddfe92f46681b20a0");
+
+/**
+ * Solidity reverts with a Panic, not a reason string, when checked arithmetic fails.
+ */
+function panic(code) {
+    return new Error(`panic:0x${code.toString(16)}`);
+}
+
+// Stands for the require statements of the contracts.
+function check(condition, message) {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+function add(a, b) {
+    const c = BigNumber.from(a).add(b);
+    if (c.gt(MaxUint256)) {
+        throw panic(PANIC_ARITHMETIC);
+    }
+    return c;
+}
+
+function sub(a, b) {
+    const c = BigNumber.from(a).sub(b);
+    if (c.isNegative()) {
+        throw panic(PANIC_ARITHMETIC);
+    }
+    return c;
+}
+
+function mul(a, b) {
+    const c = BigNumber.from(a).mul(b);
+    if (c.gt(MaxUint256)) {
+        throw panic(PANIC_ARITHMETIC);
+    }
+    return c;
+}
+
+function div(a, b) {
+    if (BigNumber.from(b).isZero()) {
+        throw panic(PANIC_DIVISION_BY_ZERO);
+    }
+    return BigNumber.from(a).div(b);
+}
+
+/**
+ * Arguments are ABI encoded as uint256 by ethers, which rejects what does not fit.
+ */
+function uint(value) {
+    value = BigNumber.from(value);
+    if (value.isNegative() || value.gt(MaxUint256)) {
+        throw new Error(`simulator:uint ${value} is out of range`);
+    }
+    return value;
+}
+
+// Mirrors Exchange.sqrt, rounds down.
+function sqrt(y) {
+    let z = Zero;
+    if (y.gt(3)) {
+        z = y;
+        let x = y.div(2).add(1);
+        while (x.lt(z)) {
+            z = x;
+            x = y.div(x).add(x).div(2);
+        }
+    } else if (!y.isZero()) {
+        z = BigNumber.from(1);
+    }
+    return z;
+}
+
+function minimum(a, b) {
+    return a.lt(b) ? a : BigNumber.from(b);
+}
+
+/**
+ * Address that signed an EIP-2612 permit of contract, which uses up the current nonce of owner.
+ * Mirrors ECDSA.recover of OpenZeppelin 4.8, which exchanges and tokens use.
+ */
+function recoverPermit(contract, owner, spender, value, deadline, v, r, s) {
+    const nonce = contract.nonces(owner);
+    contract.state.nonces.set(owner, nonce.add(1));
+    const digest = ethers.utils._TypedDataEncoder.hash(contract.domain(), PERMIT_TYPES, { owner, spender, value, nonce, deadline });
+    check(BigNumber.from(s).lte(ECDSA_MAX_S), "ECDSA: invalid signature 's' value");
+    let signer = AddressZero;
+    if (Number(v) === 27 || Number(v) === 28) {
+        try {
+            signer = ethers.utils.recoverAddress(digest, { v: Number(v), r, s });
+        } catch (error) {
+            // ecrecover returns the zero address for signatures that are not on the curve.
+        }
+    }
+    check(signer !== AddressZero, "ECDSA: invalid signature");
+    return signer;
+}
+
+// Shallow copy of the state of a contract: amounts are immutable, mappings are copied.
+function copyState(state) {
+    const copy = {};
+    for (const [key, value] of Object.entries(state)) {
+        copy[key] = value instanceof Map ? new Map(value) : value;
+    }
+    return copy;
+}
+
+class SimulatedContract {
+
+    constructor(simulator, address) {
+        this.simulator = simulator;
+        this.address = address;
+    }
+
+    /**
+     * Runs callback as a call of this contract from overrides.from, after paying it overrides.value.
+     */
+    call(overrides = {}, payable, callback) {
+        return this.simulator.execute(() => {
+            if (overrides.from === undefined) {
+                throw new Error("simulator:call from is required");
+            }
+            const sender = ethers.utils.getAddress(overrides.from);
+            const value = uint(overrides.value === undefined ? 0 : overrides.value);
+            if (value.gt(0)) {
+                if (!payable) {
+                    throw new Error("simulator:call non-payable function");
+                }
+                if (!this.simulator.transferEth(sender, this.address, value)) {
+                    throw new Error("simulator:call insufficient funds");
+                }
+            }
+            return callback(sender, value);
+        });
+    }
+}
+
+/**
+ * ERC20 token with the behavior of OpenZeppelin ERC20Permit, e.g. the PermitToken used in tests.
+ * On chain, a token without permit reverts when the WithPermit functions of an exchange need the permit, which is not modeled.
+ */
+class SimulatedToken extends SimulatedContract {
+
+    constructor(simulator, address, name) {
+        super(simulator, address);
+        this.name = name === undefined ? "" : name;
+        this.state = { totalSupply: Zero, balances: new Map(), allowances: new Map(), nonces: new Map() };
+    }
+
+    /**
+     * @returns {object} EIP-712 domain of the permits of the token, with the name of the token.
+     */
+    domain() {
+        return { name: this.name, version: "1", chainId: this.simulator.chainId, verifyingContract: this.address };
+    }
+
+    DOMAIN_SEPARATOR() {
+        return ethers.utils._TypedDataEncoder.hashDomain(this.domain());
+    }
+
+    nonces(owner) {
+        return this.state.nonces.get(ethers.utils.getAddress(owner)) || Zero;
+    }
+
+    totalSupply() {
+        return this.state.totalSupply;
+    }
+
+    balanceOf(account) {
+        return this.state.balances.get(ethers.utils.getAddress(account)) || Zero;
+    }
+
+    allowance(owner, spender) {
+        return this.state.allowances.get(`${ethers.utils.getAddress(owner)}:${ethers.utils.getAddress(spender)}`) || Zero;
+    }
+
+    mint(account, amount) {
+        return this.simulator.execute(() => {
+            account = ethers.utils.getAddress(account);
+            amount = uint(amount);
+            check(account !== AddressZero, "ERC20: mint to the zero address");
+            this.state.totalSupply = add(this.state.totalSupply, amount);
+            this.state.balances.set(account, this.balanceOf(account).add(amount));
+        });
+    }
+
+    approve(spender, amount, overrides) {
+        return this.call(overrides, false, sender => {
+            this.setAllowance(sender, ethers.utils.getAddress(spender), uint(amount));
+            return true;
+        });
+    }
+
+    transfer(to, amount, overrides) {
+        return this.call(overrides, false, sender => {
+            this.move(sender, ethers.utils.getAddress(to), uint(amount));
+            return true;
+        });
+    }
+
+    transferFrom(from, to, amount, overrides) {
+        return this.call(overrides, false, sender => {
+            from = ethers.utils.getAddress(from);
+            amount = uint(amount);
+            const currentAllowance = this.allowance(from, sender);
+            if (!currentAllowance.eq(MaxUint256)) {
+                check(currentAllowance.gte(amount), "ERC20: insufficient allowance");
+                this.setAllowance(from, sender, currentAllowance.sub(amount));
+            }
+            this.move(from, ethers.utils.getAddress(to), amount);
+            return true;
+        });
+    }
+
+    permit(owner, spender, value, deadline, v, r, s, overrides) {
+        return this.call(overrides, false, () => {
+            [owner, spender] = [owner, spender].map(address => ethers.utils.getAddress(address));
+            [value, deadline] = [value, deadline].map(uint);
+            check(deadline.gte(this.simulator.timestamp), "ERC20Permit: expired deadline");
+            check(recoverPermit(this, owner, spender, value, deadline, v, r, s) === owner, "ERC20Permit: invalid signature");
+            this.setAllowance(owner, spender, value);
+        });
+    }
+
+    setAllowance(owner, spender, amount) {
+        check(owner !== AddressZero, "ERC20: approve from the zero address");
+        check(spender !== AddressZero, "ERC20: approve to the zero address");
+        this.state.allowances.set(`${owner}:${spender}`, amount);
+    }
+
+    move(from, to, amount) {
+        check(from !== AddressZero, "ERC20: transfer from the zero address");
+        check(to !== AddressZero, "ERC20: transfer to the zero address");
+        const fromBalance = this.balanceOf(from);
+        check(fromBalance.gte(amount), "ERC20: transfer amount exceeds balance");
+        this.state.balances.set(from, fromBalance.sub(amount));
+        this.state.balances.set(to, this.balanceOf(to).add(amount));
+    }
+}
+
+/**
+ * Mirrors Factory: exchanges get the addresses the contract would create them at.
+ */
+class SimulatedFactory extends SimulatedContract {
+
+    constructor(simulator, address, owner) {
+        super(simulator, address);
+        this.state = {
+            owner,
+            feeTo: AddressZero,
+            tokenCount: Zero,
+            // Contracts start with nonce 1 (EIP-161), every clone created increments it.
+            nonce: 1,
+            tokenToExchange: new Map(),
+            exchangeToToken: new Map(),
+            idToToken: new Map()
+        };
+    }
+
+    owner() {
+        return this.state.owner;
+    }
+
+    feeTo() {
+        return this.state.feeTo;
+    }
+
+    tokenCount() {
+        return this.state.tokenCount;
+    }
+
+    setFeeTo(newFeeTo, overrides) {
+        return this.call(overrides, false, sender => {
+            check(sender === this.state.owner, "factory:onlyOwner caller is not the owner");
+            this.state.feeTo = ethers.utils.getAddress(newFeeTo);
+        });
+    }
+
+    transferOwnership(newOwner, overrides) {
+        return this.call(overrides, false, sender => {
+            check(sender === this.state.owner, "factory:onlyOwner caller is not the owner");
+            newOwner = ethers.utils.getAddress(newOwner);
+            check(newOwner !== AddressZero, "factory:transferOwnership invalid owner address");
+            this.state.owner = newOwner;
+        });
+    }
+
+    createExchange(token, overrides) {
+        return this.call(overrides, false, () => {
+            token = ethers.utils.getAddress(token);
+            check(token !== AddressZero, "factory:createExchange invalid token address");
+            check(!this.state.tokenToExchange.has(token), "factory:createExchange exchange already exists");
+            const address = ethers.utils.getContractAddress({ from: this.address, nonce: this.state.nonce });
+            this.state.nonce++;
+            this.simulator.addContract(new SimulatedExchange(this.simulator, address, this, this.simulator.getToken(token)));
+            this.state.tokenToExchange.set(token, address);
+            this.state.exchangeToToken.set(address, token);
+            this.state.tokenCount = this.state.tokenCount.add(1);
+            this.state.idToToken.set(this.state.tokenCount.toString(), token);
+            return address;
+        });
+    }
+
+    getExchange(token) {
+        return this.state.tokenToExchange.get(ethers.utils.getAddress(token)) || AddressZero;
+    }
+
+    getToken(exchange) {
+        return this.state.exchangeToToken.get(ethers.utils.getAddress(exchange)) || AddressZero;
+    }
+
+    getTokenWithId(tokenId) {
+        return this.state.idToToken.get(BigNumber.from(tokenId).toString()) || AddressZero;
+    }
+}
+
+/**
+ * Mirrors Exchange line by line: same integer rounding, same order of checks and the same revert reasons.
+ * State changing functions take the overrides of an ethers call last, with the sender as from.
+ * Permits are signed for the chainId of the simulator, and flash swaps lend to receivers created with createFlashSwapReceiver.
+ */
+class SimulatedExchange extends SimulatedContract {
+
+    constructor(simulator, address, factory, token) {
+        super(simulator, address);
+        this.factory = factory;
+        this.token = token;
+        this.state = {
+            totalSupply: Zero,
+            balances: new Map(),
+            ethPriceCumulativeLast: Zero,
+            tokenPriceCumulativeLast: Zero,
+            blockTimestampLast: Zero,
+            ethReserveLast: Zero,
+            tokenReserveLast: Zero,
+            kLast: Zero,
+            allowances: new Map(),
+            nonces: new Map(),
+            locked: false
+        };
+    }
+
+    totalSupply() {
+        return this.state.totalSupply;
+    }
+
+    balanceOf(account) {
+        return this.state.balances.get(ethers.utils.getAddress(account)) || Zero;
+    }
+
+    allowance(owner, spender) {
+        return this.state.allowances.get(`${ethers.utils.getAddress(owner)}:${ethers.utils.getAddress(spender)}`) || Zero;
+    }
+
+    nonces(owner) {
+        return this.state.nonces.get(ethers.utils.getAddress(owner)) || Zero;
+    }
+
+    /**
+     * @returns {object} EIP-712 domain of the permits of UNI tokens.
+     */
+    domain() {
+        return { name: "UNI-V1", version: "1", chainId: this.simulator.chainId, verifyingContract: this.address };
+    }
+
+    DOMAIN_SEPARATOR() {
+        return ethers.utils._TypedDataEncoder.hashDomain(this.domain());
+    }
+
+    ethPriceCumulativeLast() {
+        return this.state.ethPriceCumulativeLast;
+    }
+
+    tokenPriceCumulativeLast() {
+        return this.state.tokenPriceCumulativeLast;
+    }
+
+    blockTimestampLast() {
+        return this.state.blockTimestampLast;
+    }
+
+    ethReserveLast() {
+        return this.state.ethReserveLast;
+    }
+
+    tokenReserveLast() {
+        return this.state.tokenReserveLast;
+    }
+
+    kLast() {
+        return this.state.kLast;
+    }
+
+    tokenAddress() {
+        return this.token.address;
+    }
+
+    factoryAddress() {
+        return this.factory.address;
+    }
+
+    /**
+     * @returns {{ethReserve: ethers.BigNumber, tokenReserve: ethers.BigNumber}} Balances of the exchange, as read by pricing.
+     */
+    getReserves() {
+        return { ethReserve: this.ethBalance(), tokenReserve: this.tokenBalance() };
+    }
+
+    ethBalance() {
+        return this.simulator.getBalance(this.address);
+    }
+
+    tokenBalance() {
+        return this.token.balanceOf(this.address);
+    }
+
+    addLiquidity(minLiquidity, maxTokens, deadline, overrides) {
+        return this.call(overrides, true, (sender, value) =>
+            this.depositLiquidity(sender, value, uint(minLiquidity), uint(maxTokens), uint(deadline), false));
+    }
+
+    addLiquiditySupportingFeeOnTransferTokens(minLiquidity, maxTokens, deadline, overrides) {
+        return this.call(overrides, true, (sender, value) =>
+            this.depositLiquidity(sender, value, uint(minLiquidity), uint(maxTokens), uint(deadline), true));
+    }
+
+    depositLiquidity(sender, value, minLiquidity, maxTokens, deadline, feeOnTransfer) {
+        return this.lock(() => {
+            check(deadline.gte(this.simulator.timestamp) && maxTokens.gt(0) && value.gt(0), "exchange:addLiquidity invalid parameters");
+            if (this.state.totalSupply.gt(0)) {
+                check(minLiquidity.gt(0), "exchange:addLiquidity minLiquidity must be greater than 0");
+                const ethReserve = sub(this.ethBalance(), value);
+                const tokenReserve = this.tokenBalance();
+                this.updatePriceAccumulators();
+                const feeOn = this.mintFee(ethReserve, tokenReserve);
+                const totalLiquidity = this.state.totalSupply;
+                const tokenAmount = add(div(mul(value, tokenReserve), ethReserve), 1);
+                let liquidityMinted = div(mul(value, totalLiquidity), ethReserve);
+                check(maxTokens.gte(tokenAmount) && liquidityMinted.gte(minLiquidity), "exchange:addLiquidity maxTokens or liquidityMinted is too low");
+                const tokensReceived = this.receiveTokens(sender, tokenAmount, feeOnTransfer, "exchange:addLiquidity failed to transfer tokens");
+                if (tokensReceived.lt(tokenAmount)) {
+                    liquidityMinted = div(mul(tokensReceived, totalLiquidity), tokenReserve);
+                    check(liquidityMinted.gte(minLiquidity), "exchange:addLiquidity maxTokens or liquidityMinted is too low");
+                }
+                this.state.totalSupply = add(totalLiquidity, liquidityMinted);
+                this.state.balances.set(sender, add(this.balanceOf(sender), liquidityMinted));
+                if (feeOn) {
+                    this.state.kLast = mul(this.ethBalance(), this.tokenBalance());
+                }
+                this.updateReserves();
+                return liquidityMinted;
+            } else {
+                check(value.gte(1000000000), "exchange:addLiquidity factory and token not yet set and wrong msg.value");
+                const ethReserve = sub(this.ethBalance(), value);
+                const tokenReserve = this.tokenBalance();
+                this.updatePriceAccumulators();
+                const feeOn = this.mintFee(ethReserve, tokenReserve);
+                this.receiveTokens(sender, maxTokens, feeOnTransfer, "exchange:addLiquidity failed to transfer tokens");
+                const initialLiquidity = this.ethBalance();
+                this.state.totalSupply = initialLiquidity;
+                this.state.balances.set(sender, initialLiquidity);
+                if (feeOn) {
+                    this.state.kLast = mul(this.ethBalance(), this.tokenBalance());
+                }
+                this.updateReserves();
+                return initialLiquidity;
+            }
+        });
+    }
+
+    removeLiquidity(amount, minEth, minTokens, deadline, overrides) {
+        return this.call(overrides, false, sender =>
+            this.withdrawLiquidity(sender, uint(amount), uint(minEth), uint(minTokens), uint(deadline)));
+    }
+
+    withdrawLiquidity(sender, amount, minEth, minTokens, deadline) {
+        return this.lock(() => {
+            check(amount.gt(0) && deadline.gte(this.simulator.timestamp) && minEth.gt(0) && minTokens.gt(0), "exchange:removeLiquidity invalid parameters");
+            check(this.state.totalSupply.gt(0), "exchange:removeLiquidity totalLiquidity must be greater than 0");
+            check(this.balanceOf(sender).gte(amount), "exchange:removeLiquidity amount exceeds balance");
+            const tokenReserve = this.tokenBalance();
+            this.updatePriceAccumulators();
+            const feeOn = this.mintFee(this.ethBalance(), tokenReserve);
+            const totalLiquidity = this.state.totalSupply;
+            const ethAmount = div(mul(amount, this.ethBalance()), totalLiquidity);
+            const tokenAmount = div(mul(amount, tokenReserve), totalLiquidity);
+            check(ethAmount.gte(minEth) && tokenAmount.gte(minTokens), "exchange:removeLiquidity minEth or minTokens amount too low");
+            this.state.balances.set(sender, sub(this.balanceOf(sender), amount));
+            this.state.totalSupply = sub(totalLiquidity, amount);
+            this.sendEth(sender, ethAmount, "exchange:removeLiquidity failed to send eth");
+            this.safeTransfer(sender, tokenAmount, "exchange:removeLiquidity failed to transfer tokens");
+            if (feeOn) {
+                this.state.kLast = mul(this.ethBalance(), this.tokenBalance());
+            }
+            this.updateReserves();
+            return [ethAmount, tokenAmount];
+        });
+    }
+
+    addLiquidityWithPermit(minLiquidity, maxTokens, deadline, v, r, s, overrides) {
+        return this.call(overrides, true, (sender, value) => {
+            [minLiquidity, maxTokens, deadline] = [minLiquidity, maxTokens, deadline].map(uint);
+            this.permitToken(sender, maxTokens, deadline, v, r, s);
+            return this.depositLiquidity(sender, value, minLiquidity, maxTokens, deadline, false);
+        });
+    }
+
+    removeLiquidityWithPermit(amount, minEth, minTokens, deadline, provider, v, r, s, overrides) {
+        return this.call(overrides, false, sender => {
+            [amount, minEth, minTokens, deadline] = [amount, minEth, minTokens, deadline].map(uint);
+            provider = ethers.utils.getAddress(provider);
+            if (this.allowance(provider, sender).lt(amount)) {
+                this.permitShares(provider, sender, amount, deadline, v, r, s);
+            }
+            this.spendAllowance(provider, sender, amount);
+            this.transferShares(provider, sender, amount);
+            return this.withdrawLiquidity(sender, amount, minEth, minTokens, deadline);
+        });
+    }
+
+    transfer(to, value, overrides) {
+        return this.call(overrides, false, sender => {
+            this.transferShares(sender, ethers.utils.getAddress(to), uint(value));
+            return true;
+        });
+    }
+
+    transferFrom(from, to, value, overrides) {
+        return this.call(overrides, false, sender => {
+            [from, to] = [from, to].map(address => ethers.utils.getAddress(address));
+            value = uint(value);
+            this.spendAllowance(from, sender, value);
+            this.transferShares(from, to, value);
+            return true;
+        });
+    }
+
+    approve(spender, value, overrides) {
+        return this.call(overrides, false, sender => {
+            this.approveShares(sender, ethers.utils.getAddress(spender), uint(value));
+            return true;
+        });
+    }
+
+    permit(owner, spender, value, deadline, v, r, s, overrides) {
+        return this.call(overrides, false, () =>
+            this.permitShares(ethers.utils.getAddress(owner), ethers.utils.getAddress(spender), uint(value), uint(deadline), v, r, s));
+    }
+
+    permitShares(owner, spender, value, deadline, v, r, s) {
+        check(deadline.gte(this.simulator.timestamp), "exchange:permit expired");
+        check(recoverPermit(this, owner, spender, value, deadline, v, r, s) === owner, "exchange:permit invalid signature");
+        this.approveShares(owner, spender, value);
+    }
+
+    approveShares(owner, spender, value) {
+        check(spender !== AddressZero, "exchange:approve invalid spender address");
+        this.state.allowances.set(`${owner}:${spender}`, value);
+    }
+
+    spendAllowance(owner, spender, value) {
+        const currentAllowance = this.allowance(owner, spender);
+        check(currentAllowance.gte(value), "exchange:transferFrom amount exceeds allowance");
+        if (!currentAllowance.eq(MaxUint256)) {
+            this.state.allowances.set(`${owner}:${spender}`, currentAllowance.sub(value));
+        }
+    }
+
+    transferShares(from, to, value) {
+        check(to !== AddressZero && to !== this.address, "exchange:transfer invalid recipient address");
+        check(this.balanceOf(from).gte(value), "exchange:transfer amount exceeds balance");
+        this.state.balances.set(from, this.balanceOf(from).sub(value));
+        this.state.balances.set(to, this.balanceOf(to).add(value));
+    }
+
+    // Skipped if the allowance already covers value, so that a front-run copy of the permit does not revert the call.
+    permitToken(sender, value, deadline, v, r, s) {
+        if (this.token.allowance(sender, this.address).lt(value)) {
+            this.token.permit(sender, this.address, value, deadline, v, r, s, { from: this.address });
+        }
+    }
+
+    // Mirrors the lock modifier, which flash swap receivers run into when they call the exchange back.
+    lock(callback) {
+        check(!this.state.locked, "exchange:lock reentrant call");
+        this.state.locked = true;
+        try {
+            return callback();
+        } finally {
+            this.state.locked = false;
+        }
+    }
+
+    // Mirrors the unlocked modifier of the views.
+    unlocked() {
+        check(!this.state.locked, "exchange:lock reentrant call");
+    }
+
+    receiveTokens(from, amount, feeOnTransfer, errorMessage) {
+        const balanceBefore = feeOnTransfer ? this.tokenBalance() : Zero;
+        this.safeTransferFrom(from, amount, errorMessage);
+        return feeOnTransfer ? sub(this.tokenBalance(), balanceBefore) : amount;
+    }
+
+    // TransferHelper replaces the reason of any failure of the token with errorMessage.
+    safeTransfer(to, amount, errorMessage) {
+        try {
+            this.token.transfer(to, amount, { from: this.address });
+        } catch (error) {
+            throw new Error(errorMessage);
+        }
+    }
+
+    safeTransferFrom(from, amount, errorMessage) {
+        try {
+            this.token.transferFrom(from, this.address, amount, { from: this.address });
+        } catch (error) {
+            throw new Error(errorMessage);
+        }
+    }
+
+    sendEth(to, amount, errorMessage) {
+        check(this.simulator.transferEth(this.address, to, amount), errorMessage);
+    }
+
+    mintFee(ethReserve, tokenReserve) {
+        const feeTo = this.factory.feeTo();
+        const feeOn = feeTo !== AddressZero;
+        if (feeOn) {
+            const liquidity = this.getFeeLiquidity(ethReserve, tokenReserve);
+            if (liquidity.gt(0)) {
+                this.state.totalSupply = add(this.state.totalSupply, liquidity);
+                this.state.balances.set(feeTo, add(this.balanceOf(feeTo), liquidity));
+            }
+        } else if (this.state.kLast.gt(0)) {
+            this.state.kLast = Zero;
+        }
+        return feeOn;
+    }
+
+    getFeeLiquidity(ethReserve, tokenReserve) {
+        const k = this.state.kLast;
+        if (k.isZero()) {
+            return Zero;
+        }
+        const rootK = sqrt(mul(ethReserve, tokenReserve));
+        const rootKLast = sqrt(k);
+        if (rootK.lte(rootKLast)) {
+            return Zero;
+        }
+        const numerator = mul(this.state.totalSupply, sub(rootK, rootKLast));
+        const denominator = add(mul(rootK, 5), rootKLast);
+        return div(numerator, denominator);
+    }
+
+    updatePriceAccumulators() {
+        [this.state.ethPriceCumulativeLast, this.state.tokenPriceCumulativeLast] = this.accumulatePrices();
+        this.state.blockTimestampLast = BigNumber.from(this.simulator.timestamp);
+    }
+
+    updateReserves() {
+        this.state.ethReserveLast = this.ethBalance();
+        this.state.tokenReserveLast = this.tokenBalance();
+    }
+
+    accumulatePrices() {
+        let ethPriceCumulative = this.state.ethPriceCumulativeLast;
+        let tokenPriceCumulative = this.state.tokenPriceCumulativeLast;
+        const ethReserve = this.state.ethReserveLast;
+        const tokenReserve = this.state.tokenReserveLast;
+        const timeElapsed = BigNumber.from(this.simulator.timestamp).sub(this.state.blockTimestampLast);
+        if (timeElapsed.gt(0) && this.state.totalSupply.gt(0) && ethReserve.gt(0) && tokenReserve.gt(0)) {
+            const ethPrice = div(mul(tokenReserve, WeiPerEther), ethReserve);
+            const tokenPrice = div(mul(ethReserve, WeiPerEther), tokenReserve);
+            // Unchecked in the contract: the accumulators wrap around.
+            ethPriceCumulative = ethPriceCumulative.add(ethPrice.mul(timeElapsed)).mod(UINT256_MODULUS);
+            tokenPriceCumulative = tokenPriceCumulative.add(tokenPrice.mul(timeElapsed)).mod(UINT256_MODULUS);
+        }
+        return [ethPriceCumulative, tokenPriceCumulative];
+    }
+
+    getInputPrice(inputAmount, inputReserve, outputReserve) {
+        check(inputReserve.gt(0) && outputReserve.gt(0), "exchange:getInputPrice invalid parameters");
+        const inputAmountWithFee = mul(inputAmount, 997);
+        const numerator = mul(inputAmountWithFee, outputReserve);
+        const denominator = add(mul(inputReserve, 1000), inputAmountWithFee);
+        return div(numerator, denominator);
+    }
+
+    getOutputPrice(outputAmount, inputReserve, outputReserve) {
+        check(inputReserve.gt(0) && outputReserve.gt(0), "exchange:getOutputPrice invalid parameters");
+        check(outputAmount.lt(outputReserve), "exchange:getOutputPrice outputAmount exceeds outputReserve");
+        const numerator = mul(mul(inputReserve, outputAmount), 1000);
+        const denominator = mul(sub(outputReserve, outputAmount), 997);
+        return add(div(numerator, denominator), 1);
+    }
+
+    ethToTokenInput(ethSold, minTokens, deadline, buyer, recipient) {
+        return this.lock(() => {
+            check(deadline.gte(this.simulator.timestamp) && ethSold.gt(0) && minTokens.gt(0), "exchange:ethToTokenInput invalid parameters");
+            const tokenReserve = this.tokenBalance();
+            this.updatePriceAccumulators();
+            const tokensBought = this.getInputPrice(ethSold, sub(this.ethBalance(), ethSold), tokenReserve);
+            check(tokensBought.gte(minTokens), "exchange:ethToTokenInput failed to buy this amount of tokens");
+            this.safeTransfer(recipient, tokensBought, "exchange:ethToTokenInput failed to transfer tokens");
+            this.updateReserves();
+            return tokensBought;
+        });
+    }
+
+    ethToTokenSwapInput(minTokens, deadline, overrides) {
+        return this.call(overrides, true, (sender, value) =>
+            this.ethToTokenInput(value, uint(minTokens), uint(deadline), sender, sender));
+    }
+
+    ethToTokenTransferInput(minTokens, deadline, recipient, overrides) {
+        return this.call(overrides, true, (sender, value) => {
+            recipient = ethers.utils.getAddress(recipient);
+            check(recipient !== AddressZero && recipient !== this.address, "exchange:ethToTokenTransferInput invalid recipient address");
+            return this.ethToTokenInput(value, uint(minTokens), uint(deadline), sender, recipient);
+        });
+    }
+
+    ethToTokenOutput(tokensBought, maxEth, deadline, buyer, recipient) {
+        return this.lock(() => {
+            check(deadline.gte(this.simulator.timestamp) && tokensBought.gt(0) && maxEth.gt(0), "exchange:ethToTokenOutput invalid parameters");
+            const tokenReserve = this.tokenBalance();
+            this.updatePriceAccumulators();
+            const ethSold = this.getOutputPrice(tokensBought, sub(this.ethBalance(), maxEth), tokenReserve);
+            const ethRefund = sub(maxEth, ethSold);
+            if (ethRefund.gt(0)) {
+                this.sendEth(buyer, ethRefund, "exchange:ethToTokenOutput failed to send eth");
+            }
+            this.safeTransfer(recipient, tokensBought, "exchange:ethToTokenOutput failed to transfer tokens");
+            this.updateReserves();
+            return ethSold;
+        });
+    }
+
+    ethToTokenSwapOutput(tokensBought, deadline, overrides) {
+        return this.call(overrides, true, (sender, value) =>
+            this.ethToTokenOutput(uint(tokensBought), value, uint(deadline), sender, sender));
+    }
+
+    ethToTokenTransferOutput(tokensBought, deadline, recipient, overrides) {
+        return this.call(overrides, true, (sender, value) => {
+            recipient = ethers.utils.getAddress(recipient);
+            check(recipient !== AddressZero && recipient !== this.address, "exchange:ethToTokenTransferOutput invalid recipient address");
+            return this.ethToTokenOutput(uint(tokensBought), value, uint(deadline), sender, recipient);
+        });
+    }
+
+    tokenToEthInput(tokensSold, minEth, deadline, buyer, recipient, feeOnTransfer) {
+        return this.lock(() => {
+            check(deadline.gte(this.simulator.timestamp) && tokensSold.gt(0) && minEth.gt(0), "exchange:tokenToEthInput invalid parameters");
+            const tokenReserve = this.tokenBalance();
+            this.updatePriceAccumulators();
+            tokensSold = this.receiveTokens(buyer, tokensSold, feeOnTransfer, "exchange:tokenToEthInput failed to transfer tokens");
+            const ethBought = this.getInputPrice(tokensSold, tokenReserve, this.ethBalance());
+            check(ethBought.gte(minEth), "exchange:tokenToEthInput too low amount");
+            this.sendEth(recipient, ethBought, "exchange:tokenToEthInput failed to send eth");
+            this.updateReserves();
+            return ethBought;
+        });
+    }
+
+    tokenToEthSwapInput(tokensSold, minEth, deadline, overrides) {
+        return this.call(overrides, false, sender =>
+            this.tokenToEthInput(uint(tokensSold), uint(minEth), uint(deadline), sender, sender, false));
+    }
+
+    tokenToEthTransferInput(tokensSold, minEth, deadline, recipient, overrides) {
+        return this.call(overrides, false, sender => {
+            recipient = this.checkRecipient(recipient, "tokenToEthTransferInput");
+            return this.tokenToEthInput(uint(tokensSold), uint(minEth), uint(deadline), sender, recipient, false);
+        });
+    }
+
+    tokenToEthSwapInputWithPermit(tokensSold, minEth, deadline, v, r, s, overrides) {
+        return this.call(overrides, false, sender => {
+            [tokensSold, minEth, deadline] = [tokensSold, minEth, deadline].map(uint);
+            this.permitToken(sender, tokensSold, deadline, v, r, s);
+            return this.tokenToEthInput(tokensSold, minEth, deadline, sender, sender, false);
+        });
+    }
+
+    tokenToEthSwapInputSupportingFeeOnTransferTokens(tokensSold, minEth, deadline, overrides) {
+        return this.call(overrides, false, sender =>
+            this.tokenToEthInput(uint(tokensSold), uint(minEth), uint(deadline), sender, sender, true));
+    }
+
+    tokenToEthTransferInputSupportingFeeOnTransferTokens(tokensSold, minEth, deadline, recipient, overrides) {
+        return this.call(overrides, false, sender => {
+            recipient = this.checkRecipient(recipient, "tokenToEthTransferInput");
+            return this.tokenToEthInput(uint(tokensSold), uint(minEth), uint(deadline), sender, recipient, true);
+        });
+    }
+
+    tokenToEthOutput(ethBought, maxTokens, deadline, buyer, recipient) {
+        return this.lock(() => {
+            check(deadline.gte(this.simulator.timestamp) && ethBought.gt(0), "exchange:tokenToEthOutput invalid parameters");
+            const tokenReserve = this.tokenBalance();
+            this.updatePriceAccumulators();
+            const tokenSold = this.getOutputPrice(ethBought, tokenReserve, this.ethBalance());
+            check(maxTokens.gte(tokenSold), "exchange:tokenToEthOutput too high amount");
+            this.sendEth(recipient, ethBought, "exchange:tokenToEthOutput failed to send eth");
+            this.safeTransferFrom(buyer, tokenSold, "exchange:tokenToEthOutput failed to transfer tokens");
+            this.updateReserves();
+            return tokenSold;
+        });
+    }
+
+    tokenToEthSwapOutput(ethBought, maxTokens, deadline, overrides) {
+        return this.call(overrides, false, sender =>
+            this.tokenToEthOutput(uint(ethBought), uint(maxTokens), uint(deadline), sender, sender));
+    }
+
+    tokenToEthTransferOutput(ethBought, maxTokens, deadline, recipient, overrides) {
+        return this.call(overrides, false, sender => {
+            recipient = this.checkRecipient(recipient, "tokenToEthTransferOutput");
+            return this.tokenToEthOutput(uint(ethBought), uint(maxTokens), uint(deadline), sender, recipient);
+        });
+    }
+
+    tokenToEthSwapOutputWithPermit(ethBought, maxTokens, deadline, v, r, s, overrides) {
+        return this.call(overrides, false, sender => {
+            [ethBought, maxTokens, deadline] = [ethBought, maxTokens, deadline].map(uint);
+            this.permitToken(sender, maxTokens, deadline, v, r, s);
+            return this.tokenToEthOutput(ethBought, maxTokens, deadline, sender, sender);
+        });
+    }
+
+    tokenToTokenInput(tokensSold, minTokensBought, minEthBought, deadline, buyer, recipient, exchangeAddr, feeOnTransfer) {
+        return this.lock(() => {
+            check(deadline.gte(this.simulator.timestamp) && tokensSold.gt(0) && minTokensBought.gt(0) && minEthBought.gt(0), "exchange:tokenToTokenInput invalid parameters");
+            check(exchangeAddr !== this.address && exchangeAddr !== AddressZero, "exchange:tokenToTokenInput invalid exchange address");
+            const tokenReserve = this.tokenBalance();
+            this.updatePriceAccumulators();
+            tokensSold = this.receiveTokens(buyer, tokensSold, feeOnTransfer, "exchange:tokenToTokenInput failed to transfer tokens");
+            const ethBought = this.getInputPrice(tokensSold, tokenReserve, this.ethBalance());
+            check(ethBought.gte(minEthBought), "exchange:tokenToTokenInput too low amount");
+            const tokensBought = this.simulator.getExchangeAt(exchangeAddr).ethToTokenTransferInput(minTokensBought, deadline, recipient, { from: this.address, value: ethBought });
+            this.updateReserves();
+            return tokensBought;
+        });
+    }
+
+    tokenToTokenSwapInput(tokensSold, minTokensBought, minEthBought, deadline, tokenAddr, overrides) {
+        return this.call(overrides, false, sender =>
+            this.tokenToTokenInput(uint(tokensSold), uint(minTokensBought), uint(minEthBought), uint(deadline), sender, sender, this.factory.getExchange(tokenAddr), false));
+    }
+
+    tokenToTokenTransferInput(tokensSold, minTokensBought, minEthBought, deadline, recipient, tokenAddr, overrides) {
+        return this.call(overrides, false, sender =>
+            this.tokenToTokenInput(uint(tokensSold), uint(minTokensBought), uint(minEthBought), uint(deadline), sender, recipient, this.factory.getExchange(tokenAddr), false));
+    }
+
+    tokenToTokenSwapInputWithPermit(tokensSold, minTokensBought, minEthBought, deadline, tokenAddr, v, r, s, overrides) {
+        return this.call(overrides, false, sender => {
+            [tokensSold, minTokensBought, minEthBought, deadline] = [tokensSold, minTokensBought, minEthBought, deadline].map(uint);
+            this.permitToken(sender, tokensSold, deadline, v, r, s);
+            return this.tokenToTokenInput(tokensSold, minTokensBought, minEthBought, deadline, sender, sender, this.factory.getExchange(tokenAddr), false);
+        });
+    }
+
+    tokenToTokenSwapInputSupportingFeeOnTransferTokens(tokensSold, minTokensBought, minEthBought, deadline, tokenAddr, overrides) {
+        return this.call(overrides, false, sender =>
+            this.tokenToTokenInput(uint(tokensSold), uint(minTokensBought), uint(minEthBought), uint(deadline), sender, sender, this.factory.getExchange(tokenAddr), true));
+    }
+
+    tokenToTokenTransferInputSupportingFeeOnTransferTokens(tokensSold, minTokensBought, minEthBought, deadline, recipient, tokenAddr, overrides) {
+        return this.call(overrides, false, sender =>
+            this.tokenToTokenInput(uint(tokensSold), uint(minTokensBought), uint(minEthBought), uint(deadline), sender, recipient, this.factory.getExchange(tokenAddr), true));
+    }
+
+    tokenToTokenOutput(tokensBought, maxTokensSold, maxEthSold, deadline, buyer, recipient, exchangeAddr) {
+        return this.lock(() => {
+            check(deadline.gte(this.simulator.timestamp) && tokensBought.gt(0) && maxEthSold.gt(0), "exchange:tokenToTokenOutput invalid parameters");
+            check(exchangeAddr !== this.address && exchangeAddr !== AddressZero, "exchange:tokenToTokenOutput invalid exchange address");
+            const exchange = this.simulator.getExchangeAt(exchangeAddr);
+            const ethBought = exchange.getEthToTokenOutputPrice(tokensBought);
+            const tokenReserve = this.tokenBalance();
+            this.updatePriceAccumulators();
+            const tokensSold = this.getOutputPrice(ethBought, tokenReserve, this.ethBalance());
+            check(maxTokensSold.gte(tokensSold) && maxEthSold.gte(ethBought), "exchange:tokenToTokenOutput too high amount");
+            this.safeTransferFrom(buyer, tokensSold, "exchange:tokenToTokenOutput failed to transfer tokens");
+            exchange.ethToTokenTransferOutput(tokensBought, deadline, recipient, { from: this.address, value: ethBought });
+            this.updateReserves();
+            return tokensSold;
+        });
+    }
+
+    tokenToTokenSwapOutput(tokensBought, maxTokensSold, maxEthSold, deadline, tokenAddr, overrides) {
+        return this.call(overrides, false, sender =>
+            this.tokenToTokenOutput(uint(tokensBought), uint(maxTokensSold), uint(maxEthSold), uint(deadline), sender, sender, this.factory.getExchange(tokenAddr)));
+    }
+
+    tokenToTokenTransferOutput(tokensBought, maxTokensSold, maxEthSold, deadline, recipient, tokenAddr, overrides) {
+        return this.call(overrides, false, sender =>
+            this.tokenToTokenOutput(uint(tokensBought), uint(maxTokensSold), uint(maxEthSold), uint(deadline), sender, recipient, this.factory.getExchange(tokenAddr)));
+    }
+
+    tokenToTokenSwapOutputWithPermit(tokensBought, maxTokensSold, maxEthSold, deadline, tokenAddr, v, r, s, overrides) {
+        return this.call(overrides, false, sender => {
+            [tokensBought, maxTokensSold, maxEthSold, deadline] = [tokensBought, maxTokensSold, maxEthSold, deadline].map(uint);
+            this.permitToken(sender, maxTokensSold, deadline, v, r, s);
+            return this.tokenToTokenOutput(tokensBought, maxTokensSold, maxEthSold, deadline, sender, sender, this.factory.getExchange(tokenAddr));
+        });
+    }
+
+    tokenToExchangeSwapInput(tokensSold, minTokensBought, minEthBought, deadline, exchangeAddr, overrides) {
+        return this.call(overrides, false, sender =>
+            this.tokenToTokenInput(uint(tokensSold), uint(minTokensBought), uint(minEthBought), uint(deadline), sender, sender, ethers.utils.getAddress(exchangeAddr), false));
+    }
+
+    tokenToExchangeTransferInput(tokensSold, minTokensBought, minEthBought, deadline, recipient, exchangeAddr, overrides) {
+        return this.call(overrides, false, sender => {
+            check(ethers.utils.getAddress(recipient) !== this.address, "exchange:tokenToExchangeTransferInput invalid recipient address");
+            return this.tokenToTokenInput(uint(tokensSold), uint(minTokensBought), uint(minEthBought), uint(deadline), sender, recipient, ethers.utils.getAddress(exchangeAddr), false);
+        });
+    }
+
+    tokenToExchangeSwapInputSupportingFeeOnTransferTokens(tokensSold, minTokensBought, minEthBought, deadline, exchangeAddr, overrides) {
+        return this.call(overrides, false, sender =>
+            this.tokenToTokenInput(uint(tokensSold), uint(minTokensBought), uint(minEthBought), uint(deadline), sender, sender, ethers.utils.getAddress(exchangeAddr), true));
+    }
+
+    tokenToExchangeTransferInputSupportingFeeOnTransferTokens(tokensSold, minTokensBought, minEthBought, deadline, recipient, exchangeAddr, overrides) {
+        return this.call(overrides, false, sender => {
+            check(ethers.utils.getAddress(recipient) !== this.address, "exchange:tokenToExchangeTransferInput invalid recipient address");
+            return this.tokenToTokenInput(uint(tokensSold), uint(minTokensBought), uint(minEthBought), uint(deadline), sender, recipient, ethers.utils.getAddress(exchangeAddr), true);
+        });
+    }
+
+    tokenToExchangeSwapOutput(tokensBought, maxTokensSold, maxEthSold, deadline, exchangeAddr, overrides) {
+        return this.call(overrides, false, sender =>
+            this.tokenToTokenOutput(uint(tokensBought), uint(maxTokensSold), uint(maxEthSold), uint(deadline), sender, sender, ethers.utils.getAddress(exchangeAddr)));
+    }
+
+    tokenToExchangeTransferOutput(tokensBought, maxTokensSold, maxEthSold, deadline, recipient, exchangeAddr, overrides) {
+        return this.call(overrides, false, sender => {
+            check(ethers.utils.getAddress(recipient) !== this.address, "exchange:tokenToExchangeTransferOutput invalid recipient address");
+            return this.tokenToTokenOutput(uint(tokensBought), uint(maxTokensSold), uint(maxEthSold), uint(deadline), sender, recipient, ethers.utils.getAddress(exchangeAddr));
+        });
+    }
+
+    /**
+     * Lends ETH and Tokens to receiver for the duration of its onFlashSwap callback.
+     * @param {string} receiver Address of a receiver created with Simulator.createFlashSwapReceiver.
+     */
+    flashSwap(ethAmount, tokenAmount, receiver, data, overrides) {
+        return this.call(overrides, false, sender => {
+            [ethAmount, tokenAmount] = [ethAmount, tokenAmount].map(uint);
+            receiver = ethers.utils.getAddress(receiver);
+            return this.lock(() => {
+                check(ethAmount.gt(0) || tokenAmount.gt(0), "exchange:flashSwap invalid parameters");
+                check(receiver !== AddressZero && receiver !== this.address, "exchange:flashSwap invalid receiver address");
+                const ethReserve = this.ethBalance();
+                const tokenReserve = this.tokenBalance();
+                check(ethAmount.lt(ethReserve) && tokenAmount.lt(tokenReserve), "exchange:flashSwap insufficient reserves");
+                this.updatePriceAccumulators();
+                if (tokenAmount.gt(0)) {
+                    this.safeTransfer(receiver, tokenAmount, "exchange:flashSwap failed to transfer tokens");
+                }
+                this.simulator.getFlashSwapReceiverAt(receiver).onFlashSwap(sender, ethAmount, tokenAmount, data, { from: this.address, value: ethAmount });
+                const ethBalance = this.ethBalance();
+                const tokenBalance = this.tokenBalance();
+                const ethIn = ethBalance.gt(sub(ethReserve, ethAmount)) ? sub(ethBalance, sub(ethReserve, ethAmount)) : Zero;
+                const tokenIn = tokenBalance.gt(sub(tokenReserve, tokenAmount)) ? sub(tokenBalance, sub(tokenReserve, tokenAmount)) : Zero;
+                check(ethIn.gt(0) || tokenIn.gt(0), "exchange:flashSwap nothing paid back");
+                const ethBalanceAdjusted = sub(mul(ethBalance, 1000), mul(ethIn, 3));
+                const tokenBalanceAdjusted = sub(mul(tokenBalance, 1000), mul(tokenIn, 3));
+                check(mul(ethBalanceAdjusted, tokenBalanceAdjusted).gte(mul(mul(ethReserve, tokenReserve), 1000000)), "exchange:flashSwap invariant violated");
+                this.updateReserves();
+            });
+        });
+    }
+
+    checkRecipient(recipient, method) {
+        recipient = ethers.utils.getAddress(recipient);
+        check(recipient !== AddressZero && recipient !== this.address, `exchange:${method} invalid recipient address`);
+        return recipient;
+    }
+
+    getEthToTokenInputPrice(ethSold) {
+        this.unlocked();
+        ethSold = uint(ethSold);
+        check(ethSold.gt(0), "exchange:getEthToTokenInputPrice invalid parameters");
+        return this.getInputPrice(ethSold, this.ethBalance(), this.tokenBalance());
+    }
+
+    getEthToTokenOutputPrice(tokensBought) {
+        this.unlocked();
+        tokensBought = uint(tokensBought);
+        check(tokensBought.gt(0), "exchange:getEthToTokenOutputPrice invalid parameters");
+        return this.getOutputPrice(tokensBought, this.ethBalance(), this.tokenBalance());
+    }
+
+    getTokenToEthInputPrice(tokensSold) {
+        this.unlocked();
+        tokensSold = uint(tokensSold);
+        check(tokensSold.gt(0), "exchange:getTokenToEthInputPrice invalid parameters");
+        return this.getInputPrice(tokensSold, this.tokenBalance(), this.ethBalance());
+    }
+
+    getTokenToEthOutputPrice(ethBought) {
+        this.unlocked();
+        ethBought = uint(ethBought);
+        check(ethBought.gt(0), "exchange:getTokenToEthOutputPrice invalid parameters");
+        return this.getOutputPrice(ethBought, this.tokenBalance(), this.ethBalance());
+    }
+
+    getCumulativePrices() {
+        this.unlocked();
+        return [...this.accumulatePrices(), BigNumber.from(this.simulator.timestamp)];
+    }
+
+    getLiquidityValue(amount) {
+        this.unlocked();
+        amount = uint(amount);
+        check(amount.gt(0) && amount.lte(this.state.totalSupply), "exchange:getLiquidityValue invalid amount");
+        const ethReserve = this.ethBalance();
+        const tokenReserve = this.tokenBalance();
+        let totalLiquidity = this.state.totalSupply;
+        if (this.factory.feeTo() !== AddressZero) {
+            totalLiquidity = add(totalLiquidity, this.getFeeLiquidity(ethReserve, tokenReserve));
+        }
+        return [div(mul(amount, ethReserve), totalLiquidity), div(mul(amount, tokenReserve), totalLiquidity)];
+    }
+}
+
+/**
+ * Contract that receives flash swaps, running a callback in place of IFlashSwapReceiver.onFlashSwap.
+ */
+class SimulatedFlashSwapReceiver extends SimulatedContract {
+
+    constructor(simulator, address, onFlashSwap) {
+        super(simulator, address);
+        this.callback = onFlashSwap;
+        this.state = {};
+    }
+
+    onFlashSwap(sender, ethAmount, tokenAmount, data, overrides) {
+        return this.call(overrides, true, caller => {
+            this.callback(this, { caller, sender: ethers.utils.getAddress(sender), ethAmount: uint(ethAmount), tokenAmount: uint(tokenAmount), data });
+        });
+    }
+}
+
+/**
+ * Deterministic in-memory chain of tokens, factories and exchanges, to backtest strategies without a node.
+ * Every call is atomic like a transaction: if it throws, the state is left as it was before.
+ */
+class Simulator {
+
+    /**
+     * @param {object} [options]
+     * @param {number} [options.timestamp=0] Timestamp of the block every call is executed in, until the time is changed.
+     * @param {number} [options.chainId=1] Chain id of the EIP-712 domains of permits, e.g. that of the chain the simulation mirrors.
+     */
+    constructor(options = {}) {
+        this.timestamp = options.timestamp === undefined ? 0 : options.timestamp;
+        this.chainId = options.chainId === undefined ? 1 : options.chainId;
+        this.balances = new Map();
+        this.contracts = new Map();
+        this.nonce = 0;
+        this.depth = 0;
+    }
+
+    /**
+     * @param {object} [options]
+     * @param {string} [options.address] Address of the token, e.g. the one deployed on a chain the simulation mirrors.
+     * @param {string} [options.name]
+     * @returns {SimulatedToken}
+     */
+    createToken(options = {}) {
+        return this.addContract(new SimulatedToken(this, this.newAddress(options.address), options.name));
+    }
+
+    /**
+     * @param {object} options
+     * @param {string} options.owner Address allowed to set feeTo.
+     * @param {string} [options.address] Address of the factory, which determines the addresses of its exchanges.
+     * @returns {SimulatedFactory}
+     */
+    createFactory(options) {
+        return this.addContract(new SimulatedFactory(this, this.newAddress(options.address), ethers.utils.getAddress(options.owner)));
+    }
+
+    /**
+     * @param {object} options
+     * @param {function(SimulatedFlashSwapReceiver, {caller: string, sender: string, ethAmount: ethers.BigNumber, tokenAmount: ethers.BigNumber, data: string})} options.onFlashSwap
+     *        Called by the exchange (caller) that lends, after sending the Tokens and with the ETH. It must pay the exchange back
+     *        before returning, e.g. with transferEth from the receiver or a transfer of the token. Throwing reverts the flash swap,
+     *        but state the callback keeps itself is not reverted.
+     * @param {string} [options.address] Address of the receiver, e.g. the one deployed on a chain the simulation mirrors.
+     * @returns {SimulatedFlashSwapReceiver}
+     */
+    createFlashSwapReceiver(options) {
+        return this.addContract(new SimulatedFlashSwapReceiver(this, this.newAddress(options.address), options.onFlashSwap));
+    }
+
+    newAddress(address) {
+        if (address !== undefined) {
+            address = ethers.utils.getAddress(address);
+            if (this.contracts.has(address)) {
+                throw new Error(`simulator:newAddress ${address} is already used`);
+            }
+            return address;
+        }
+        return ethers.utils.getContractAddress({ from: AddressZero, nonce: this.nonce++ });
+    }
+
+    addContract(contract) {
+        this.contracts.set(contract.address, contract);
+        return contract;
+    }
+
+    getToken(address) {
+        const contract = this.contracts.get(ethers.utils.getAddress(address));
+        if (!(contract instanceof SimulatedToken)) {
+            throw new Error(`simulator:getToken no token at ${address}`);
+        }
+        return contract;
+    }
+
+    /**
+     * @dev Calling an address that is not an exchange reverts without a reason on chain.
+     */
+    getExchangeAt(address) {
+        const contract = this.contracts.get(ethers.utils.getAddress(address));
+        if (!(contract instanceof SimulatedExchange)) {
+            throw new Error(`simulator:getExchangeAt no exchange at ${address}`);
+        }
+        return contract;
+    }
+
+    /**
+     * @dev Calling onFlashSwap of an address without it reverts without a reason on chain.
+     */
+    getFlashSwapReceiverAt(address) {
+        const contract = this.contracts.get(ethers.utils.getAddress(address));
+        if (!(contract instanceof SimulatedFlashSwapReceiver)) {
+            throw new Error(`simulator:getFlashSwapReceiverAt no flash swap receiver at ${address}`);
+        }
+        return contract;
+    }
+
+    /**
+     * @param {string} address
+     * @returns {ethers.BigNumber} ETH balance of address.
+     */
+    getBalance(address) {
+        return this.balances.get(ethers.utils.getAddress(address)) || Zero;
+    }
+
+    /**
+     * Like hardhat_setBalance, e.g. to fund the accounts of a simulation.
+     */
+    setBalance(address, amount) {
+        this.balances.set(ethers.utils.getAddress(address), uint(amount));
+    }
+
+    /**
+     * @param {number} timestamp Timestamp of the following calls, which cannot go back in time.
+     */
+    setTimestamp(timestamp) {
+        if (timestamp < this.timestamp) {
+            throw new Error("simulator:setTimestamp timestamp is before the current one");
+        }
+        this.timestamp = timestamp;
+    }
+
+    increaseTime(seconds) {
+        this.setTimestamp(this.timestamp + seconds);
+    }
+
+    /**
+     * Moves ETH like a call with value. Tokens have no receive function and reject it.
+     * @returns {boolean} Whether the transfer succeeded.
+     */
+    transferEth(from, to, amount) {
+        to = ethers.utils.getAddress(to);
+        const balance = this.getBalance(from);
+        if (balance.lt(amount) || this.contracts.get(to) instanceof SimulatedToken) {
+            return false;
+        }
+        this.balances.set(ethers.utils.getAddress(from), balance.sub(amount));
+        this.balances.set(to, this.getBalance(to).add(amount));
+        return true;
+    }
+
+    /**
+     * Runs callback as a transaction: nested calls share it, and any error reverts all of them.
+     */
+    execute(callback) {
+        if (this.depth > 0) {
+            return callback();
+        }
+        const snapshot = this.snapshot();
+        this.depth++;
+        try {
+            return callback();
+        } catch (error) {
+            this.revert(snapshot);
+            throw error;
+        } finally {
+            this.depth--;
+        }
+    }
+
+    /**
+     * @returns {object} Copy of the whole state, to go back to with revert.
+     */
+    snapshot() {
+        return {
+            timestamp: this.timestamp,
+            nonce: this.nonce,
+            balances: new Map(this.balances),
+            contracts: new Map(this.contracts),
+            states: new Map([...this.contracts.values()].map(contract => [contract, copyState(contract.state)]))
+        };
+    }
+
+    revert(snapshot) {
+        this.timestamp = snapshot.timestamp;
+        this.nonce = snapshot.nonce;
+        this.balances = new Map(snapshot.balances);
+        this.contracts = new Map(snapshot.contracts);
+        for (const [contract, state] of snapshot.states) {
+            contract.state = copyState(state);
+        }
+    }
+}
+
+/**
+ * Arbitrageur that trades an exchange of a simulation back to an external price, keeping what it earns.
+ * @dev Buying x ETH worth of Tokens is worth it until the marginal price (ethReserve + 0.997x)^2 / (0.997 * k) reaches the
+ *      external price, so the optimal x solves ethReserve + 0.997x = sqrt(0.997 * k * price), and likewise when selling.
+ */
+class ArbitrageAgent {
+
+    /**
+     * @param {SimulatedExchange} exchange Exchange traded on.
+     * @param {string} account Address that trades and holds the ETH and Tokens of the agent.
+     * @param {object} [options]
+     * @param {ethers.BigNumberish} [options.minProfit=0] Trades earning at most this much ETH, valued at the external price, are skipped.
+     */
+    constructor(exchange, account, options = {}) {
+        this.exchange = exchange;
+        this.simulator = exchange.simulator;
+        this.account = ethers.utils.getAddress(account);
+        this.minProfit = BigNumber.from(options.minProfit === undefined ? 0 : options.minProfit);
+    }
+
+    /**
+     * Most profitable trade against the current reserves, limited by the balances of the agent.
+     * @param {ethers.BigNumberish} price External price of 1 Token in ETH, as a fixed point number with 18 decimals.
+     * @returns {{method: string, amountIn: ethers.BigNumber, amountOut: ethers.BigNumber, profit: ethers.BigNumber}|null}
+     *          null if no trade earns more than minProfit.
+     */
+    getTrade(price) {
+        price = BigNumber.from(price);
+        if (price.lte(0)) {
+            throw new Error("arbitrageAgent:getTrade invalid price");
+        }
+        const pool = this.exchange.getReserves();
+        if (pool.ethReserve.isZero() || pool.tokenReserve.isZero()) {
+            return null;
+        }
+        const k = pool.ethReserve.mul(pool.tokenReserve);
+        let trade;
+        const ethTarget = sqrt(k.mul(price).mul(997).div(WeiPerEther.mul(1000)));
+        const tokenTarget = sqrt(k.mul(WeiPerEther).mul(997).div(price.mul(1000)));
+        if (ethTarget.gt(pool.ethReserve)) {
+            const amountIn = minimum(ethTarget.sub(pool.ethReserve).mul(1000).div(997), this.simulator.getBalance(this.account));
+            const amountOut = amountIn.isZero() ? Zero : pricing.getEthToTokenInputPrice(amountIn, pool);
+            trade = { method: "ethToTokenSwapInput", amountIn, amountOut, profit: amountOut.mul(price).div(WeiPerEther).sub(amountIn) };
+        } else if (tokenTarget.gt(pool.tokenReserve)) {
+            const amountIn = minimum(tokenTarget.sub(pool.tokenReserve).mul(1000).div(997), this.exchange.token.balanceOf(this.account));
+            const amountOut = amountIn.isZero() ? Zero : pricing.getTokenToEthInputPrice(amountIn, pool);
+            trade = { method: "tokenToEthSwapInput", amountIn, amountOut, profit: amountOut.sub(amountIn.mul(price).div(WeiPerEther)) };
+        }
+        return trade && trade.amountOut.gt(0) && trade.profit.gt(this.minProfit) ? trade : null;
+    }
+
+    /**
+     * Send the trade of getTrade, if any, approving the exchange first when selling Tokens.
+     * @param {ethers.BigNumberish} price External price of 1 Token in ETH, as a fixed point number with 18 decimals.
+     * @returns {{method: string, amountIn: ethers.BigNumber, amountOut: ethers.BigNumber, profit: ethers.BigNumber}|null} The trade sent.
+     */
+    act(price) {
+        const trade = this.getTrade(price);
+        if (trade === null) {
+            return null;
+        }
+        const overrides = { from: this.account };
+        const deadline = this.simulator.timestamp;
+        if (trade.method === "ethToTokenSwapInput") {
+            this.exchange.ethToTokenSwapInput(trade.amountOut, deadline, { ...overrides, value: trade.amountIn });
+        } else {
+            const { token } = this.exchange;
+            if (token.allowance(this.account, this.exchange.address).lt(trade.amountIn)) {
+                token.approve(this.exchange.address, MaxUint256, overrides);
+            }
+            this.exchange.tokenToEthSwapInput(trade.amountIn, trade.amountOut, deadline, overrides);
+        }
+        return trade;
+    }
+
+    /**
+     * @param {ethers.BigNumberish} price External price of 1 Token in ETH, as a fixed point number with 18 decimals.
+     * @returns {ethers.BigNumber} ETH and Tokens of the agent, valued in ETH at price.
+     */
+    getValue(price) {
+        return this.simulator.getBalance(this.account).add(this.exchange.token.balanceOf(this.account).mul(price).div(WeiPerEther));
+    }
+
+    /**
+     * Backtest the agent on a price feed, acting once at each of its timestamps.
+     * @param {{timestamp: number, price: ethers.BigNumberish}[]} feed External prices in increasing time order.
+     * @returns {{timestamp: number, price: ethers.BigNumber, trade: object|null, ethReserve: ethers.BigNumber,
+     *          tokenReserve: ethers.BigNumber, value: ethers.BigNumber}[]} The trade sent at each step, and the reserves and
+     *          the value of the agent after it.
+     */
+    run(feed) {
+        return feed.map(({ timestamp, price }) => {
+            this.simulator.setTimestamp(timestamp);
+            const trade = this.act(price);
+            return { timestamp, price: BigNumber.from(price), trade, ...this.exchange.getReserves(), value: this.getValue(price) };
+        });
+    }
+}
+
+module.exports = {
+    Simulator,
+    ArbitrageAgent,
+    SimulatedFactory,
+    SimulatedExchange,
+    SimulatedToken,
+    SimulatedFlashSwapReceiver
+};
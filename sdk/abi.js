@@ -0,0 +1,101 @@
+// Human-readable ABI fragments of the contracts used by the SDK.
+
+const EXCHANGE_ABI = [
+    "event TokenPurchase(address indexed buyer, uint256 indexed ethSold, uint256 indexed tokensBought)",
+    "event EthPurchase(address indexed buyer, uint256 indexed tokensSold, uint256 indexed ethBought)",
+    "event AddLiquidity(address indexed provider, uint256 indexed ethAmount, uint256 indexed tokenAmount)",
+    "event RemoveLiquidity(address indexed provider, uint256 indexed ethAmount, uint256 indexed tokenAmount)",
+    "event FlashSwap(address indexed sender, address indexed receiver, uint256 ethOut, uint256 tokenOut, uint256 ethIn, uint256 tokenIn)",
+    "event Transfer(address indexed from, address indexed to, uint256 value)",
+    "event Approval(address indexed owner, address indexed spender, uint256 value)",
+    "function name() view returns (bytes32)",
+    "function symbol() view returns (bytes32)",
+    "function decimals() view returns (uint256)",
+    "function totalSupply() view returns (uint256)",
+    "function balanceOf(address owner) view returns (uint256)",
+    "function allowance(address owner, address spender) view returns (uint256)",
+    "function transfer(address to, uint256 value) returns (bool)",
+    "function transferFrom(address from, address to, uint256 value) returns (bool)",
+    "function approve(address spender, uint256 value) returns (bool)",
+    "function DOMAIN_SEPARATOR() view returns (bytes32)",
+    "function nonces(address owner) view returns (uint256)",
+    "function permit(address owner, address spender, uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s)",
+    "function tokenAddress() view returns (address)",
+    "function factoryAddress() view returns (address)",
+    "function addLiquidity(uint256 minLiquidity, uint256 maxTokens, uint256 deadline) payable returns (uint256)",
+    "function removeLiquidity(uint256 amount, uint256 minEth, uint256 minTokens, uint256 deadline) returns (uint256, uint256)",
+    "function addLiquidityWithPermit(uint256 minLiquidity, uint256 maxTokens, uint256 deadline, uint8 v, bytes32 r, bytes32 s) payable returns (uint256)",
+    "function removeLiquidityWithPermit(uint256 amount, uint256 minEth, uint256 minTokens, uint256 deadline, address provider, uint8 v, bytes32 r, bytes32 s) returns (uint256, uint256)",
+    "function addLiquiditySupportingFeeOnTransferTokens(uint256 minLiquidity, uint256 maxTokens, uint256 deadline) payable returns (uint256)",
+    "function ethToTokenSwapInput(uint256 minTokens, uint256 deadline) payable returns (uint256)",
+    "function ethToTokenTransferInput(uint256 minTokens, uint256 deadline, address recipient) payable returns (uint256)",
+    "function ethToTokenSwapOutput(uint256 tokensBought, uint256 deadline) payable returns (uint256)",
+    "function ethToTokenTransferOutput(uint256 tokensBought, uint256 deadline, address recipient) payable returns (uint256)",
+    "function tokenToEthSwapInput(uint256 tokensSold, uint256 minEth, uint256 deadline) returns (uint256)",
+    "function tokenToEthTransferInput(uint256 tokensSold, uint256 minEth, uint256 deadline, address recipient) returns (uint256)",
+    "function tokenToEthSwapOutput(uint256 ethBought, uint256 maxTokens, uint256 deadline) returns (uint256)",
+    "function tokenToEthTransferOutput(uint256 ethBought, uint256 maxTokens, uint256 deadline, address recipient) returns (uint256)",
+    "function tokenToEthSwapInputWithPermit(uint256 tokensSold, uint256 minEth, uint256 deadline, uint8 v, bytes32 r, bytes32 s) returns (uint256)",
+    "function tokenToEthSwapOutputWithPermit(uint256 ethBought, uint256 maxTokens, uint256 deadline, uint8 v, bytes32 r, bytes32 s) returns (uint256)",
+    "function tokenToEthSwapInputSupportingFeeOnTransferTokens(uint256 tokensSold, uint256 minEth, uint256 deadline) returns (uint256)",
+    "function tokenToEthTransferInputSupportingFeeOnTransferTokens(uint256 tokensSold, uint256 minEth, uint256 deadline, address recipient) returns (uint256)",
+    "function tokenToTokenSwapInput(uint256 tokensSold, uint256 minTokensBought, uint256 minEthBought, uint256 deadline, address tokenAddr) returns (uint256)",
+    "function tokenToTokenTransferInput(uint256 tokensSold, uint256 minTokensBought, uint256 minEthBought, uint256 deadline, address recipient, address tokenAddr) returns (uint256)",
+    "function tokenToTokenSwapOutput(uint256 tokensBought, uint256 maxTokensSold, uint256 maxEthSold, uint256 deadline, address tokenAddr) returns (uint256)",
+    "function tokenToTokenTransferOutput(uint256 tokensBought, uint256 maxTokensSold, uint256 maxEthSold, uint256 deadline, address recipient, address tokenAddr) returns (uint256)",
+    "function tokenToTokenSwapInputWithPermit(uint256 tokensSold, uint256 minTokensBought, uint256 minEthBought, uint256 deadline, address tokenAddr, uint8 v, bytes32 r, bytes32 s) returns (uint256)",
+    "function tokenToTokenSwapOutputWithPermit(uint256 tokensBought, uint256 maxTokensSold, uint256 maxEthSold, uint256 deadline, address tokenAddr, uint8 v, bytes32 r, bytes32 s) returns (uint256)",
+    "function tokenToTokenSwapInputSupportingFeeOnTransferTokens(uint256 tokensSold, uint256 minTokensBought, uint256 minEthBought, uint256 deadline, address tokenAddr) returns (uint256)",
+    "function tokenToTokenTransferInputSupportingFeeOnTransferTokens(uint256 tokensSold, uint256 minTokensBought, uint256 minEthBought, uint256 deadline, address recipient, address tokenAddr) returns (uint256)",
+    "function getEthToTokenInputPrice(uint256 ethSold) view returns (uint256)",
+    "function getEthToTokenOutputPrice(uint256 tokensBought) view returns (uint256)",
+    "function getTokenToEthInputPrice(uint256 tokensSold) view returns (uint256)",
+    "function getTokenToEthOutputPrice(uint256 ethBought) view returns (uint256)",
+    "function getCumulativePrices() view returns (uint256 ethPriceCumulative, uint256 tokenPriceCumulative, uint256 blockTimestamp)",
+    "function getLiquidityValue(uint256 amount) view returns (uint256 ethAmount, uint256 tokenAmount)"
+];
+
+const FACTORY_ABI = [
+    "event NewExchange(address indexed token, address indexed exchange)",
+    "function exchangeTemplate() view returns (address)",
+    "function owner() view returns (address)",
+    "function feeTo() view returns (address)",
+    "function tokenCount() view returns (uint256)",
+    "function createExchange(address token) returns (address)",
+    "function getExchange(address token) view returns (address)",
+    "function getToken(address exchange) view returns (address)",
+    "function getTokenWithId(uint256 tokenId) view returns (address)"
+];
+
+const ROUTER_ABI = [
+    "function factory() view returns (address)",
+    "function swapExactInput(address[] path, uint256 amountIn, uint256 minAmountOut, address recipient, uint256 deadline) payable returns (uint256 amountOut)",
+    "function swapExactOutput(address[] path, uint256 amountOut, uint256 maxAmountIn, address recipient, uint256 deadline) payable returns (uint256 amountIn)",
+    "function swapExactInputSplit(address[][] paths, uint256[] amountsIn, uint256 minAmountOut, address recipient, uint256 deadline) payable returns (uint256 amountOut)",
+    "function swapExactOutputSplit(address[][] paths, uint256[] amountsOut, uint256 maxAmountIn, address recipient, uint256 deadline) payable returns (uint256 amountIn)",
+    "function getAmountsOut(address[] path, uint256 amountIn) view returns (uint256[] amounts)",
+    "function getAmountsIn(address[] path, uint256 amountOut) view returns (uint256[] amounts)"
+];
+
+const ERC20_ABI = [
+    "function symbol() view returns (string)",
+    "function decimals() view returns (uint8)",
+    "function balanceOf(address owner) view returns (uint256)",
+    "function allowance(address owner, address spender) view returns (uint256)",
+    "function approve(address spender, uint256 value) returns (bool)"
+];
+
+const ERC20_PERMIT_ABI = [
+    "function name() view returns (string)",
+    "function nonces(address owner) view returns (uint256)",
+    "function DOMAIN_SEPARATOR() view returns (bytes32)",
+    "function permit(address owner, address spender, uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s)"
+];
+
+module.exports = {
+    EXCHANGE_ABI,
+    FACTORY_ABI,
+    ROUTER_ABI,
+    ERC20_ABI,
+    ERC20_PERMIT_ABI
+};
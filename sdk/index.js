@@ -0,0 +1,31 @@
+const { EXCHANGE_ABI, FACTORY_ABI, ROUTER_ABI, ERC20_ABI, ERC20_PERMIT_ABI } = require("./abi");
+const { ExchangeClient, minimumAmount, maximumAmount } = require("./ExchangeClient");
+const { FactoryClient } = require("./FactoryClient");
+const { PathFinder } = require("./PathFinder");
+const { Indexer, JsonStore } = require("./Indexer");
+const { Simulator, ArbitrageAgent } = require("./Simulator");
+const pricing = require("./pricing");
+const oracle = require("./oracle");
+const permit = require("./permit");
+const position = require("./position");
+
+module.exports = {
+    ExchangeClient,
+    FactoryClient,
+    PathFinder,
+    Indexer,
+    JsonStore,
+    Simulator,
+    ArbitrageAgent,
+    minimumAmount,
+    maximumAmount,
+    pricing,
+    oracle,
+    permit,
+    position,
+    EXCHANGE_ABI,
+    FACTORY_ABI,
+    ROUTER_ABI,
+    ERC20_ABI,
+    ERC20_PERMIT_ABI
+};
@@ -0,0 +1,46 @@
+const { ethers } = require("ethers");
+
+const { BigNumber } = ethers;
+const UINT256_MODULUS = BigNumber.from(2).pow(256);
+
+/**
+ * Read the cumulative prices of an exchange.
+ * @param {ethers.Contract|import("./ExchangeClient").ExchangeClient} exchange Exchange contract or client.
+ * @param {ethers.CallOverrides} [overrides] Call overrides, e.g. a blockTag to observe the past.
+ * @returns {Promise<{ethPriceCumulative: ethers.BigNumber, tokenPriceCumulative: ethers.BigNumber, timestamp: number}>}
+ */
+async function observe(exchange, overrides = {}) {
+    const contract = exchange.contract || exchange;
+    const [ethPriceCumulative, tokenPriceCumulative, blockTimestamp] = await contract.getCumulativePrices(overrides);
+    return { ethPriceCumulative, tokenPriceCumulative, timestamp: blockTimestamp.toNumber() };
+}
+
+/**
+ * Difference between two cumulative prices, which are allowed to overflow in the contract.
+ */
+function cumulativeDelta(older, newer) {
+    return BigNumber.from(newer).sub(older).add(UINT256_MODULUS).mod(UINT256_MODULUS);
+}
+
+/**
+ * Time-weighted average prices between two observations of the same exchange.
+ * @param {{ethPriceCumulative: ethers.BigNumberish, tokenPriceCumulative: ethers.BigNumberish, timestamp: number}} older First observation.
+ * @param {{ethPriceCumulative: ethers.BigNumberish, tokenPriceCumulative: ethers.BigNumberish, timestamp: number}} newer Second observation.
+ * @returns {{ethPrice: ethers.BigNumber, tokenPrice: ethers.BigNumber}} Average price of 1 ETH in tokens and of 1 token in ETH,
+ *          as fixed point numbers with 18 decimals.
+ */
+function computeTwap(older, newer) {
+    const timeElapsed = newer.timestamp - older.timestamp;
+    if (timeElapsed <= 0) {
+        throw new Error("oracle:computeTwap observations must be in increasing time order");
+    }
+    return {
+        ethPrice: cumulativeDelta(older.ethPriceCumulative, newer.ethPriceCumulative).div(timeElapsed),
+        tokenPrice: cumulativeDelta(older.tokenPriceCumulative, newer.tokenPriceCumulative).div(timeElapsed)
+    };
+}
+
+module.exports = {
+    observe,
+    computeTwap
+};
@@ -0,0 +1,91 @@
+const { ethers } = require("ethers");
+const { ERC20_PERMIT_ABI } = require("./abi");
+
+const PERMIT_TYPES = {
+    Permit: [
+        { name: "owner", type: "address" },
+        { name: "spender", type: "address" },
+        { name: "value", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" }
+    ]
+};
+
+/**
+ * Name of an EIP-2612 token, which is the name of its EIP-712 domain.
+ * Exchanges return their name as bytes32, which does not decode as a string.
+ */
+async function readName(contract) {
+    try {
+        return await contract.name();
+    } catch (error) {
+        const bytes32Contract = new ethers.Contract(contract.address, ["function name() view returns (bytes32)"], contract.provider);
+        return ethers.utils.parseBytes32String(await bytes32Contract.name());
+    }
+}
+
+/**
+ * EIP-712 typed data of an EIP-2612 permit, ready to be signed with signer._signTypedData.
+ * Works with exchanges (UNI tokens) and with tokens that support EIP-2612.
+ * @param {string|ethers.Contract} token Address or contract of the token.
+ * @param {ethers.providers.Provider} provider Provider used to read the token and the chain id.
+ * @param {object} permit
+ * @param {string} permit.owner The address that signs the permit.
+ * @param {string} permit.spender The address allowed to spend the tokens.
+ * @param {ethers.BigNumberish} permit.value Maximum amount spender can transfer.
+ * @param {ethers.BigNumberish} permit.deadline Unix timestamp after which the signature can no longer be used.
+ * @param {ethers.BigNumberish} [permit.nonce] Nonce of owner, read from the token by default.
+ * @param {object} [options]
+ * @param {string} [options.name] Name of the EIP-712 domain, read from the token by default.
+ * @param {string} [options.version="1"] Version of the EIP-712 domain.
+ * @returns {Promise<{domain: object, types: object, message: object}>}
+ */
+async function buildPermit(token, provider, { owner, spender, value, deadline, nonce }, options = {}) {
+    const contract = new ethers.Contract(token.address || token, ERC20_PERMIT_ABI, provider);
+    const [name, permitNonce, { chainId }] = await Promise.all([
+        options.name === undefined ? readName(contract) : options.name,
+        nonce === undefined ? contract.nonces(owner) : nonce,
+        provider.getNetwork()
+    ]);
+    return {
+        domain: {
+            name,
+            version: options.version === undefined ? "1" : options.version,
+            chainId,
+            verifyingContract: contract.address
+        },
+        types: PERMIT_TYPES,
+        message: {
+            owner,
+            spender,
+            value: ethers.BigNumber.from(value),
+            nonce: ethers.BigNumber.from(permitNonce),
+            deadline: ethers.BigNumber.from(deadline)
+        }
+    };
+}
+
+/**
+ * Sign an EIP-2612 permit.
+ * @param {ethers.Signer} signer Owner of the tokens.
+ * @param {string|ethers.Contract} token Address or contract of the token.
+ * @param {object} permit Same as buildPermit, the owner is the address of signer.
+ * @param {object} [options] Same as buildPermit.
+ * @returns {Promise<{owner: string, spender: string, value: ethers.BigNumber, deadline: ethers.BigNumber, v: number, r: string, s: string}>}
+ *          Arguments of the permit function of the token.
+ */
+async function signPermit(signer, token, { spender, value, deadline, nonce }, options = {}) {
+    if (!signer.provider) {
+        throw new Error("permit:signPermit signer must be connected to a provider");
+    }
+    const owner = await signer.getAddress();
+    const { domain, types, message } = await buildPermit(token, signer.provider, { owner, spender, value, deadline, nonce }, options);
+    const { v, r, s } = ethers.utils.splitSignature(await signer._signTypedData(domain, types, message));
+    return { owner, spender, value: message.value, deadline: message.deadline, v, r, s };
+}
+
+module.exports = {
+    PERMIT_TYPES,
+    buildPermit,
+    signPermit
+};
@@ -0,0 +1,178 @@
+const { ethers } = require("ethers");
+const { ERC20_ABI } = require("./abi");
+
+const { BigNumber } = ethers;
+const WAD = ethers.constants.WeiPerEther;
+
+/**
+ * Integer square root. Mirrors Exchange.sqrt, rounds down.
+ */
+function sqrt(y) {
+    y = BigNumber.from(y);
+    let z = BigNumber.from(0);
+    if (y.gt(3)) {
+        z = y;
+        let x = y.div(2).add(1);
+        while (x.lt(z)) {
+            z = x;
+            x = y.div(x).add(x).div(2);
+        }
+    } else if (!y.isZero()) {
+        z = BigNumber.from(1);
+    }
+    return z;
+}
+
+/**
+ * Amounts of ETH and Tokens withdrawn by burning liquidity. Mirrors Exchange.removeLiquidity, without the protocol fee
+ * it may mint first: use Exchange.getLiquidityValue to include it.
+ * @param {ethers.BigNumberish} liquidity Amount of UNI burned.
+ * @param {{ethReserve: ethers.BigNumberish, tokenReserve: ethers.BigNumberish, totalSupply: ethers.BigNumberish}} pool
+ * @returns {{ethAmount: ethers.BigNumber, tokenAmount: ethers.BigNumber}}
+ */
+function getLiquidityValue(liquidity, { ethReserve, tokenReserve, totalSupply }) {
+    liquidity = BigNumber.from(liquidity);
+    totalSupply = BigNumber.from(totalSupply);
+    if (liquidity.lte(0) || liquidity.gt(totalSupply)) {
+        throw new Error("position:getLiquidityValue invalid parameters");
+    }
+    return {
+        ethAmount: liquidity.mul(ethReserve).div(totalSupply),
+        tokenAmount: liquidity.mul(tokenReserve).div(totalSupply)
+    };
+}
+
+/**
+ * Impermanent loss of a position without fees compared with holding what was deposited: 2 * sqrt(r) / (1 + r) - 1,
+ * where r is the ratio between the current and the entry prices.
+ * @param {ethers.BigNumberish} entryPrice Price of 1 Token in ETH at entry, as a fixed point number with 18 decimals.
+ * @param {ethers.BigNumberish} price Current price of 1 Token in ETH, as a fixed point number with 18 decimals.
+ * @returns {ethers.BigNumber} Loss as a negative fixed point number with 18 decimals, e.g. -0.0572e18 when the price doubled.
+ */
+function getImpermanentLoss(entryPrice, price) {
+    entryPrice = BigNumber.from(entryPrice);
+    price = BigNumber.from(price);
+    if (entryPrice.lte(0) || price.lte(0)) {
+        throw new Error("position:getImpermanentLoss invalid parameters");
+    }
+    // 2 * sqrt(r) / (1 + r) - 1 = (2 * sqrt(entryPrice * price) - entryPrice - price) / (entryPrice + price)
+    return sqrt(entryPrice.mul(price)).mul(2).sub(entryPrice).sub(price).mul(WAD).div(entryPrice.add(price));
+}
+
+/**
+ * Split the PnL of a liquidity position since entry into impermanent loss and fee income, valued in ETH at the current price.
+ * @dev Withdrawals reduce the deposits pro rata. Trades at a 0.3% fee are the only way the share of sqrt(k) of a position
+ *      grows, and a deposit of ethAmount and tokenAmount starts with a share of sqrt(ethAmount * tokenAmount), so the
+ *      position without fees is the current one divided by the growth of its share of sqrt(k).
+ *      UNI transferred to or from the provider outside of liquidity events is not accounted for.
+ * @param {{type: string, ethAmount: ethers.BigNumberish, tokenAmount: ethers.BigNumberish, liquidity: ethers.BigNumberish}[]} events
+ *        Deposits ("add") and withdrawals ("remove") of the provider in chain order, e.g. from Indexer.getLiquidityEvents.
+ * @param {object} current
+ * @param {ethers.BigNumberish} current.ethAmount Amount of ETH the remaining liquidity of the provider withdraws now.
+ * @param {ethers.BigNumberish} current.tokenAmount Amount of Tokens the remaining liquidity of the provider withdraws now.
+ * @param {ethers.BigNumberish} current.ethReserve Amount of ETH in exchange reserves, to price the Tokens.
+ * @param {ethers.BigNumberish} current.tokenReserve Amount of Tokens in exchange reserves, to price the Tokens.
+ * @returns {{liquidity: ethers.BigNumber, ethDeposited: ethers.BigNumber, tokensDeposited: ethers.BigNumber,
+ *          ethAmount: ethers.BigNumber, tokenAmount: ethers.BigNumber, value: ethers.BigNumber, holdValue: ethers.BigNumber,
+ *          pnl: ethers.BigNumber, impermanentLoss: ethers.BigNumber, feeIncome: ethers.BigNumber, feeGrowth: ethers.BigNumber}}
+ *          Remaining liquidity and deposits, amounts withdrawable now, their value and the value of the deposits held instead,
+ *          in ETH, pnl = value - holdValue = impermanentLoss + feeIncome, and the growth of the share of sqrt(k) as a fixed
+ *          point number with 18 decimals.
+ */
+function analyzePosition(events, { ethAmount, tokenAmount, ethReserve, tokenReserve }) {
+    let liquidity = BigNumber.from(0);
+    let ethDeposited = BigNumber.from(0);
+    let tokensDeposited = BigNumber.from(0);
+    let rootKShare = BigNumber.from(0);
+    for (const event of events) {
+        if (event.liquidity === null || event.liquidity === undefined) {
+            throw new Error("position:analyzePosition missing liquidity of event");
+        }
+        if (event.type === "add") {
+            liquidity = liquidity.add(event.liquidity);
+            ethDeposited = ethDeposited.add(event.ethAmount);
+            tokensDeposited = tokensDeposited.add(event.tokenAmount);
+            rootKShare = rootKShare.add(sqrt(BigNumber.from(event.ethAmount).mul(event.tokenAmount)));
+        } else {
+            const burned = BigNumber.from(event.liquidity);
+            if (burned.gt(liquidity)) {
+                throw new Error("position:analyzePosition withdrawals exceed deposits");
+            }
+            ethDeposited = ethDeposited.sub(ethDeposited.mul(burned).div(liquidity));
+            tokensDeposited = tokensDeposited.sub(tokensDeposited.mul(burned).div(liquidity));
+            rootKShare = rootKShare.sub(rootKShare.mul(burned).div(liquidity));
+            liquidity = liquidity.sub(burned);
+        }
+    }
+    ethAmount = BigNumber.from(ethAmount);
+    tokenAmount = BigNumber.from(tokenAmount);
+    const toEth = amount => amount.mul(ethReserve).div(tokenReserve);
+    const value = ethAmount.add(toEth(tokenAmount));
+    const holdValue = ethDeposited.add(toEth(tokensDeposited));
+    const currentRootKShare = sqrt(ethAmount.mul(tokenAmount));
+    const valueWithoutFees = currentRootKShare.isZero() ? value : value.mul(rootKShare).div(currentRootKShare);
+    return {
+        liquidity,
+        ethDeposited,
+        tokensDeposited,
+        ethAmount,
+        tokenAmount,
+        value,
+        holdValue,
+        pnl: value.sub(holdValue),
+        impermanentLoss: valueWithoutFees.sub(holdValue),
+        feeIncome: value.sub(valueWithoutFees),
+        feeGrowth: rootKShare.isZero() ? WAD : currentRootKShare.mul(WAD).div(rootKShare)
+    };
+}
+
+/**
+ * Read the liquidity events of provider and analyze its position in exchange.
+ * @param {ethers.Contract|import("./ExchangeClient").ExchangeClient} exchange Exchange contract or client.
+ * @param {string} provider Address of the liquidity provider.
+ * @returns {Promise<object>} The position, as returned by analyzePosition, with the events it was built from.
+ */
+async function getPosition(exchange, provider) {
+    const contract = exchange.contract || exchange;
+    provider = ethers.utils.getAddress(provider);
+    const { AddressZero } = ethers.constants;
+    const [deposits, withdrawals, mints, burns] = await Promise.all([
+        contract.queryFilter(contract.filters.AddLiquidity(provider)),
+        contract.queryFilter(contract.filters.RemoveLiquidity(provider)),
+        contract.queryFilter(contract.filters.Transfer(AddressZero, provider)),
+        contract.queryFilter(contract.filters.Transfer(provider, AddressZero))
+    ]);
+    // Liquidity events are directly followed by the Transfer of the UNI minted or burned.
+    const liquidityOf = (event, transfers) => {
+        const transfer = transfers.find(other => other.transactionHash === event.transactionHash && other.logIndex === event.logIndex + 1);
+        return transfer ? transfer.args.value : null;
+    };
+    const events = [
+        ...deposits.map(event => ({ event, type: "add", liquidity: liquidityOf(event, mints) })),
+        ...withdrawals.map(event => ({ event, type: "remove", liquidity: liquidityOf(event, burns) }))
+    ]
+        .sort((a, b) => a.event.blockNumber - b.event.blockNumber || a.event.logIndex - b.event.logIndex)
+        .map(({ event, type, liquidity }) => ({
+            type,
+            blockNumber: event.blockNumber,
+            transactionHash: event.transactionHash,
+            ethAmount: event.args.ethAmount,
+            tokenAmount: event.args.tokenAmount,
+            liquidity
+        }));
+    const token = new ethers.Contract(await contract.tokenAddress(), ERC20_ABI, contract.provider);
+    const [ethReserve, tokenReserve] = await Promise.all([
+        contract.provider.getBalance(contract.address),
+        token.balanceOf(contract.address)
+    ]);
+    const { liquidity } = analyzePosition(events, { ethAmount: 0, tokenAmount: 0, ethReserve, tokenReserve });
+    const [ethAmount, tokenAmount] = liquidity.isZero() ? [0, 0] : await contract.getLiquidityValue(liquidity);
+    return { ...analyzePosition(events, { ethAmount, tokenAmount, ethReserve, tokenReserve }), events };
+}
+
+module.exports = {
+    getLiquidityValue,
+    getImpermanentLoss,
+    analyzePosition,
+    getPosition
+};
@@ -0,0 +1,177 @@
+const { ethers } = require("ethers");
+
+const { BigNumber } = ethers;
+const WAD = ethers.constants.WeiPerEther;
+
+/**
+ * Pricing function for converting between ETH and Tokens. Mirrors Exchange.getInputPrice.
+ * @param {ethers.BigNumberish} inputAmount Amount of ETH or Tokens being sold.
+ * @param {ethers.BigNumberish} inputReserve Amount of ETH or Tokens (input type) in exchange reserves.
+ * @param {ethers.BigNumberish} outputReserve Amount of ETH or Tokens (output type) in exchange reserves.
+ * @returns {ethers.BigNumber} Amount of ETH or Tokens bought.
+ */
+function getInputPrice(inputAmount, inputReserve, outputReserve) {
+    inputAmount = BigNumber.from(inputAmount);
+    inputReserve = BigNumber.from(inputReserve);
+    outputReserve = BigNumber.from(outputReserve);
+    if (inputReserve.lte(0) || outputReserve.lte(0)) {
+        throw new Error("pricing:getInputPrice invalid parameters");
+    }
+    const inputAmountWithFee = inputAmount.mul(997);
+    const numerator = inputAmountWithFee.mul(outputReserve);
+    const denominator = inputReserve.mul(1000).add(inputAmountWithFee);
+    return numerator.div(denominator);
+}
+
+/**
+ * Pricing function for converting between ETH and Tokens. Mirrors Exchange.getOutputPrice.
+ * @param {ethers.BigNumberish} outputAmount Amount of ETH or Tokens being bought.
+ * @param {ethers.BigNumberish} inputReserve Amount of ETH or Tokens (input type) in exchange reserves.
+ * @param {ethers.BigNumberish} outputReserve Amount of ETH or Tokens (output type) in exchange reserves.
+ * @returns {ethers.BigNumber} Amount of ETH or Tokens sold.
+ */
+function getOutputPrice(outputAmount, inputReserve, outputReserve) {
+    outputAmount = BigNumber.from(outputAmount);
+    inputReserve = BigNumber.from(inputReserve);
+    outputReserve = BigNumber.from(outputReserve);
+    if (inputReserve.lte(0) || outputReserve.lte(0)) {
+        throw new Error("pricing:getOutputPrice invalid parameters");
+    }
+    // Mirrors the require of the contract that outputAmount is below outputReserve.
+    if (outputAmount.gte(outputReserve)) {
+        throw new Error("pricing:getOutputPrice outputAmount exceeds outputReserve");
+    }
+    const numerator = inputReserve.mul(outputAmount).mul(1000);
+    const denominator = outputReserve.sub(outputAmount).mul(997);
+    return numerator.div(denominator).add(1);
+}
+
+/**
+ * Mirrors Exchange.getEthToTokenInputPrice.
+ * @param {ethers.BigNumberish} ethSold Amount of ETH sold.
+ * @param {{ethReserve: ethers.BigNumberish, tokenReserve: ethers.BigNumberish}} pool Reserves of the exchange.
+ * @returns {ethers.BigNumber} Amount of Tokens that can be bought with input ETH.
+ */
+function getEthToTokenInputPrice(ethSold, { ethReserve, tokenReserve }) {
+    return getInputPrice(ethSold, ethReserve, tokenReserve);
+}
+
+/**
+ * Mirrors Exchange.getEthToTokenOutputPrice.
+ * @param {ethers.BigNumberish} tokensBought Amount of Tokens bought.
+ * @param {{ethReserve: ethers.BigNumberish, tokenReserve: ethers.BigNumberish}} pool Reserves of the exchange.
+ * @returns {ethers.BigNumber} Amount of ETH needed to buy output Tokens.
+ */
+function getEthToTokenOutputPrice(tokensBought, { ethReserve, tokenReserve }) {
+    return getOutputPrice(tokensBought, ethReserve, tokenReserve);
+}
+
+/**
+ * Mirrors Exchange.getTokenToEthInputPrice.
+ * @param {ethers.BigNumberish} tokensSold Amount of Tokens sold.
+ * @param {{ethReserve: ethers.BigNumberish, tokenReserve: ethers.BigNumberish}} pool Reserves of the exchange.
+ * @returns {ethers.BigNumber} Amount of ETH that can be bought with input Tokens.
+ */
+function getTokenToEthInputPrice(tokensSold, { ethReserve, tokenReserve }) {
+    return getInputPrice(tokensSold, tokenReserve, ethReserve);
+}
+
+/**
+ * Mirrors Exchange.getTokenToEthOutputPrice.
+ * @param {ethers.BigNumberish} ethBought Amount of output ETH.
+ * @param {{ethReserve: ethers.BigNumberish, tokenReserve: ethers.BigNumberish}} pool Reserves of the exchange.
+ * @returns {ethers.BigNumber} Amount of Tokens needed to buy output ETH.
+ */
+function getTokenToEthOutputPrice(ethBought, { ethReserve, tokenReserve }) {
+    return getOutputPrice(ethBought, tokenReserve, ethReserve);
+}
+
+/**
+ * Quote of Exchange.tokenToTokenSwapInput: Tokens of inputPool are sold for ETH, which buys Tokens of outputPool.
+ * @param {ethers.BigNumberish} tokensSold Amount of Tokens (inputPool) sold.
+ * @param {{ethReserve: ethers.BigNumberish, tokenReserve: ethers.BigNumberish}} inputPool Reserves of the exchange of the sold token.
+ * @param {{ethReserve: ethers.BigNumberish, tokenReserve: ethers.BigNumberish}} outputPool Reserves of the exchange of the bought token.
+ * @returns {{ethBought: ethers.BigNumber, tokensBought: ethers.BigNumber}} Intermediary ETH and Tokens (outputPool) bought.
+ */
+function getTokenToTokenInputPrice(tokensSold, inputPool, outputPool) {
+    const ethBought = getTokenToEthInputPrice(tokensSold, inputPool);
+    const tokensBought = getEthToTokenInputPrice(ethBought, outputPool);
+    return { ethBought, tokensBought };
+}
+
+/**
+ * Quote of Exchange.tokenToTokenSwapOutput: ETH needed by outputPool is bought with Tokens of inputPool.
+ * @param {ethers.BigNumberish} tokensBought Amount of Tokens (outputPool) bought.
+ * @param {{ethReserve: ethers.BigNumberish, tokenReserve: ethers.BigNumberish}} inputPool Reserves of the exchange of the sold token.
+ * @param {{ethReserve: ethers.BigNumberish, tokenReserve: ethers.BigNumberish}} outputPool Reserves of the exchange of the bought token.
+ * @returns {{ethSold: ethers.BigNumber, tokensSold: ethers.BigNumber}} Intermediary ETH and Tokens (inputPool) sold.
+ */
+function getTokenToTokenOutputPrice(tokensBought, inputPool, outputPool) {
+    const ethSold = getEthToTokenOutputPrice(tokensBought, outputPool);
+    const tokensSold = getTokenToEthOutputPrice(ethSold, inputPool);
+    return { ethSold, tokensSold };
+}
+
+/**
+ * Marginal price of the input asset before any trade, ignoring the fee.
+ * @returns {ethers.BigNumber} Output per input as a fixed point number with 18 decimals.
+ */
+function getSpotPrice(inputReserve, outputReserve) {
+    inputReserve = BigNumber.from(inputReserve);
+    if (inputReserve.lte(0)) {
+        throw new Error("pricing:getSpotPrice invalid parameters");
+    }
+    return BigNumber.from(outputReserve).mul(WAD).div(inputReserve);
+}
+
+/**
+ * Price actually paid by a trade.
+ * @returns {ethers.BigNumber} Output per input as a fixed point number with 18 decimals.
+ */
+function getEffectivePrice(inputAmount, outputAmount) {
+    inputAmount = BigNumber.from(inputAmount);
+    if (inputAmount.lte(0)) {
+        throw new Error("pricing:getEffectivePrice invalid parameters");
+    }
+    return BigNumber.from(outputAmount).mul(WAD).div(inputAmount);
+}
+
+/**
+ * Relative difference between the spot price and the effective price of selling inputAmount, fee included.
+ * @returns {ethers.BigNumber} Price impact as a fixed point number with 18 decimals, 1e18 being 100%.
+ */
+function getPriceImpact(inputAmount, inputReserve, outputReserve) {
+    const spotPrice = getSpotPrice(inputReserve, outputReserve);
+    const effectivePrice = getEffectivePrice(inputAmount, getInputPrice(inputAmount, inputReserve, outputReserve));
+    if (spotPrice.isZero()) {
+        return BigNumber.from(0);
+    }
+    return spotPrice.sub(effectivePrice).mul(WAD).div(spotPrice);
+}
+
+/**
+ * Amount of output that has to be sold back to the exchange, right after selling inputAmount,
+ * to get inputAmount back. Any output above it is the profit of the round trip.
+ * @returns {ethers.BigNumber} Break-even output amount.
+ */
+function getBreakEvenOutput(inputAmount, inputReserve, outputReserve) {
+    const outputAmount = getInputPrice(inputAmount, inputReserve, outputReserve);
+    const newInputReserve = BigNumber.from(inputReserve).add(inputAmount);
+    const newOutputReserve = BigNumber.from(outputReserve).sub(outputAmount);
+    return getOutputPrice(inputAmount, newOutputReserve, newInputReserve);
+}
+
+module.exports = {
+    getInputPrice,
+    getOutputPrice,
+    getEthToTokenInputPrice,
+    getEthToTokenOutputPrice,
+    getTokenToEthInputPrice,
+    getTokenToEthOutputPrice,
+    getTokenToTokenInputPrice,
+    getTokenToTokenOutputPrice,
+    getSpotPrice,
+    getEffectivePrice,
+    getPriceImpact,
+    getBreakEvenOutput
+};
@@ -0,0 +1,287 @@
+const fs = require("fs");
+const path = require("path");
+const { task, types } = require("hardhat/config");
+const { FactoryClient, ERC20_ABI, pricing } = require("../sdk");
+
+const ETH = "eth";
+const ETH_DECIMALS = 18;
+
+/**
+ * Path of the deployment manifest written by scripts/deploy.js for the current network, unless overridden.
+ */
+function manifestPath(hre, file) {
+    return file ? path.resolve(file) : path.join(hre.config.paths.root, "deployments", `${hre.network.name}.json`);
+}
+
+function readManifest(hre, file) {
+    const manifestFile = manifestPath(hre, file);
+    if (!fs.existsSync(manifestFile)) {
+        throw new Error(`tasks:readManifest no deployment manifest at ${manifestFile}, run scripts/deploy.js first`);
+    }
+    const manifest = JSON.parse(fs.readFileSync(manifestFile, "utf8"));
+    if (!manifest.factory) {
+        throw new Error(`tasks:readManifest no factory address in ${manifestFile}`);
+    }
+    return { manifest, manifestFile };
+}
+
+function writeManifest(manifestFile, manifest) {
+    fs.writeFileSync(manifestFile, JSON.stringify(manifest, null, 2));
+}
+
+/**
+ * @param {number} slippage Slippage tolerance in percent, e.g. 0.5.
+ * @returns {number} Slippage tolerance in basis points.
+ */
+function slippageBps(slippage) {
+    if (!(slippage >= 0 && slippage < 100)) {
+        throw new Error("tasks:slippageBps slippage must be a percentage between 0 and 100");
+    }
+    return Math.round(slippage * 100);
+}
+
+async function getFactory(hre, file, options = {}) {
+    const { manifest, manifestFile } = readManifest(hre, file);
+    const [signer] = await hre.ethers.getSigners();
+    return { factory: new FactoryClient(manifest.factory, signer, options), signer, manifest, manifestFile };
+}
+
+async function getExchange(factory, token) {
+    const exchange = await factory.getExchange(token);
+    if (!exchange) {
+        throw new Error(`tasks:getExchange no exchange for token ${token}`);
+    }
+    return factory.getExchangeClient(token);
+}
+
+/**
+ * Symbol and decimals of token, falling back to 18 decimals for tokens without the optional ERC20 metadata.
+ */
+async function tokenInfo(hre, token) {
+    const contract = new hre.ethers.Contract(token, ERC20_ABI, hre.ethers.provider);
+    const [symbol, decimals] = await Promise.all([
+        contract.symbol().catch(() => "?"),
+        contract.decimals().catch(() => ETH_DECIMALS)
+    ]);
+    return { symbol, decimals };
+}
+
+function parseAmount(hre, name, value, decimals) {
+    try {
+        return hre.ethers.utils.parseUnits(value, decimals);
+    } catch (error) {
+        throw new Error(`tasks:parseAmount invalid ${name} ${value}`);
+    }
+}
+
+/**
+ * Events of the given name emitted by exchange in receipt, in log order.
+ */
+function parseEvents(exchange, receipt, name) {
+    const topic = exchange.contract.interface.getEventTopic(name);
+    return receipt.logs
+        .filter(log => log.address === exchange.address && log.topics[0] === topic)
+        .map(log => exchange.contract.interface.parseLog(log));
+}
+
+function formatTable(rows) {
+    if (rows.length === 0) {
+        return "(empty)";
+    }
+    const columns = Object.keys(rows[0]);
+    const widths = columns.map(column => Math.max(column.length, ...rows.map(row => String(row[column]).length)));
+    const line = values => values.map((value, i) => String(value).padEnd(widths[i])).join("  ").trimEnd();
+    return [
+        line(columns),
+        line(widths.map(width => "-".repeat(width))),
+        ...rows.map(row => line(columns.map(column => row[column])))
+    ].join("\n");
+}
+
+/**
+ * Print result as JSON, or as a table with one row per item of a list or one row per field of an object.
+ */
+function print(result, json) {
+    if (json) {
+        console.log(JSON.stringify(result, null, 2));
+    } else if (Array.isArray(result)) {
+        console.log(formatTable(result));
+    } else {
+        console.log(formatTable(Object.entries(result).map(([field, value]) => ({ field, value }))));
+    }
+    return result;
+}
+
+function poolTask(name, description) {
+    return task(name, description)
+        .addOptionalParam("manifest", "Deployment manifest, defaults to deployments/<network>.json", undefined, types.string)
+        .addFlag("json", "Print the result as JSON");
+}
+
+poolTask("pool:create", "Create the exchange of a token")
+    .addParam("token", "Address of the ERC20 token")
+    .setAction(async ({ token, manifest: file, json }, hre) => {
+        const { factory, manifest, manifestFile } = await getFactory(hre, file);
+        token = hre.ethers.utils.getAddress(token);
+        const exchange = await factory.createExchange(token);
+        manifest.exchanges = { ...manifest.exchanges, [token]: exchange.address };
+        writeManifest(manifestFile, manifest);
+        return print({ token, exchange: exchange.address }, json);
+    });
+
+poolTask("pool:add-liquidity", "Deposit ETH and tokens into the exchange of a token")
+    .addParam("token", "Address of the ERC20 token")
+    .addParam("eth", "Amount of ETH deposited")
+    .addOptionalParam("tokens", "Amount of tokens deposited, required only for the first deposit", undefined, types.string)
+    .addOptionalParam("slippage", "Slippage tolerance in percent", 0.5, types.float)
+    .setAction(async ({ token, eth, tokens, slippage, manifest: file, json }, hre) => {
+        const { factory, signer } = await getFactory(hre, file, { slippageBps: slippageBps(slippage) });
+        const exchange = await getExchange(factory, token);
+        const { symbol, decimals } = await tokenInfo(hre, token);
+        const tx = await exchange.addLiquidity({
+            ethAmount: parseAmount(hre, "eth", eth, ETH_DECIMALS),
+            tokenAmount: tokens === undefined ? undefined : parseAmount(hre, "tokens", tokens, decimals)
+        });
+        const receipt = await tx.wait();
+        const [deposit] = parseEvents(exchange, receipt, "AddLiquidity");
+        const minted = parseEvents(exchange, receipt, "Transfer")
+            .find(event => event.args.from === hre.ethers.constants.AddressZero && event.args.to === signer.address);
+        return print({
+            transaction: receipt.transactionHash,
+            exchange: exchange.address,
+            symbol,
+            eth: hre.ethers.utils.formatUnits(deposit.args.ethAmount, ETH_DECIMALS),
+            tokens: hre.ethers.utils.formatUnits(deposit.args.tokenAmount, decimals),
+            liquidityMinted: hre.ethers.utils.formatUnits(minted.args.value, ETH_DECIMALS)
+        }, json);
+    });
+
+poolTask("pool:remove-liquidity", "Burn UNI shares to withdraw ETH and tokens from the exchange of a token")
+    .addParam("token", "Address of the ERC20 token")
+    .addOptionalParam("amount", "Amount of UNI burned, defaults to the whole balance of the caller", undefined, types.string)
+    .addOptionalParam("slippage", "Slippage tolerance in percent", 0.5, types.float)
+    .setAction(async ({ token, amount, slippage, manifest: file, json }, hre) => {
+        const { factory, signer } = await getFactory(hre, file, { slippageBps: slippageBps(slippage) });
+        const exchange = await getExchange(factory, token);
+        const { symbol, decimals } = await tokenInfo(hre, token);
+        const liquidity = amount === undefined
+            ? await exchange.contract.balanceOf(signer.address)
+            : parseAmount(hre, "amount", amount, ETH_DECIMALS);
+        if (liquidity.isZero()) {
+            throw new Error("tasks:removeLiquidity nothing to withdraw");
+        }
+        const receipt = await (await exchange.removeLiquidity({ amount: liquidity })).wait();
+        const [withdrawal] = parseEvents(exchange, receipt, "RemoveLiquidity");
+        return print({
+            transaction: receipt.transactionHash,
+            exchange: exchange.address,
+            symbol,
+            liquidityBurned: hre.ethers.utils.formatUnits(liquidity, ETH_DECIMALS),
+            eth: hre.ethers.utils.formatUnits(withdrawal.args.ethAmount, ETH_DECIMALS),
+            tokens: hre.ethers.utils.formatUnits(withdrawal.args.tokenAmount, decimals)
+        }, json);
+    });
+
+poolTask("swap", "Trade ETH and tokens on the exchanges of the factory")
+    .addParam("from", "Asset sold: \"eth\" or the address of a token")
+    .addParam("to", "Asset bought: \"eth\" or the address of a token")
+    .addOptionalParam("amountIn", "Exact amount sold", undefined, types.string)
+    .addOptionalParam("amountOut", "Exact amount bought", undefined, types.string)
+    .addOptionalParam("recipient", "Address that receives the output, uses the Transfer variants when set", undefined, types.string)
+    .addOptionalParam("slippage", "Slippage tolerance in percent", 0.5, types.float)
+    .setAction(async ({ from, to, amountIn, amountOut, recipient, slippage, manifest: file, json }, hre) => {
+        if ((amountIn === undefined) === (amountOut === undefined)) {
+            throw new Error("tasks:swap exactly one of --amount-in and --amount-out must be set");
+        }
+        from = from.toLowerCase();
+        to = to.toLowerCase();
+        if (from === to) {
+            throw new Error("tasks:swap --from and --to must be different assets");
+        }
+        const { factory, signer } = await getFactory(hre, file, { slippageBps: slippageBps(slippage) });
+        const input = from === ETH ? { symbol: "ETH", decimals: ETH_DECIMALS } : await tokenInfo(hre, from);
+        const output = to === ETH ? { symbol: "ETH", decimals: ETH_DECIMALS } : await tokenInfo(hre, to);
+        const exactIn = amountIn === undefined ? undefined : parseAmount(hre, "amount-in", amountIn, input.decimals);
+        const exactOut = amountOut === undefined ? undefined : parseAmount(hre, "amount-out", amountOut, output.decimals);
+        recipient = recipient === undefined ? undefined : hre.ethers.utils.getAddress(recipient);
+
+        let tx;
+        let inputExchange;
+        let outputExchange;
+        if (from === ETH) {
+            outputExchange = await getExchange(factory, to);
+            tx = await outputExchange.ethToToken({ ethSold: exactIn, tokensBought: exactOut, recipient });
+        } else if (to === ETH) {
+            inputExchange = await getExchange(factory, from);
+            tx = await inputExchange.tokenToEth({ tokensSold: exactIn, ethBought: exactOut, recipient });
+        } else {
+            inputExchange = await getExchange(factory, from);
+            outputExchange = await getExchange(factory, to);
+            tx = await inputExchange.tokenToToken({ outputExchange, tokensSold: exactIn, tokensBought: exactOut, recipient });
+        }
+        const receipt = await tx.wait();
+
+        // A token to token trade emits EthPurchase on the input exchange, then TokenPurchase on the output exchange.
+        const [sold] = inputExchange
+            ? parseEvents(inputExchange, receipt, "EthPurchase")
+            : parseEvents(outputExchange, receipt, "TokenPurchase");
+        const [bought] = outputExchange ? parseEvents(outputExchange, receipt, "TokenPurchase") : [sold];
+        return print({
+            transaction: receipt.transactionHash,
+            recipient: recipient || signer.address,
+            input: input.symbol,
+            amountIn: hre.ethers.utils.formatUnits(inputExchange ? sold.args.tokensSold : sold.args.ethSold, input.decimals),
+            output: output.symbol,
+            amountOut: hre.ethers.utils.formatUnits(outputExchange ? bought.args.tokensBought : bought.args.ethBought, output.decimals)
+        }, json);
+    });
+
+poolTask("pool:info", "Show the reserves, spot prices and liquidity of the exchange of a token")
+    .addParam("token", "Address of the ERC20 token")
+    .setAction(async ({ token, manifest: file, json }, hre) => {
+        const { factory, signer } = await getFactory(hre, file);
+        const exchange = await getExchange(factory, token);
+        const { symbol, decimals } = await tokenInfo(hre, token);
+        const { ethReserve, tokenReserve } = await exchange.getReserves();
+        const [totalSupply, balance] = await Promise.all([
+            exchange.contract.totalSupply(),
+            exchange.contract.balanceOf(signer.address)
+        ]);
+        const empty = ethReserve.isZero() || tokenReserve.isZero();
+        return print({
+            token: hre.ethers.utils.getAddress(token),
+            symbol,
+            exchange: exchange.address,
+            ethReserve: hre.ethers.utils.formatUnits(ethReserve, ETH_DECIMALS),
+            tokenReserve: hre.ethers.utils.formatUnits(tokenReserve, decimals),
+            // Spot prices are 18 decimals fixed point numbers of raw amounts, scaled here to whole units of each asset.
+            tokensPerEth: empty ? "-" : hre.ethers.utils.formatUnits(pricing.getSpotPrice(ethReserve, tokenReserve), decimals),
+            ethPerToken: empty ? "-" : hre.ethers.utils.formatUnits(pricing.getSpotPrice(tokenReserve, ethReserve), 2 * ETH_DECIMALS - decimals),
+            totalSupply: hre.ethers.utils.formatUnits(totalSupply, ETH_DECIMALS),
+            account: signer.address,
+            liquidity: hre.ethers.utils.formatUnits(balance, ETH_DECIMALS),
+            share: totalSupply.isZero() ? "0%" : `${hre.ethers.utils.formatUnits(balance.mul(10000).div(totalSupply), 2)}%`
+        }, json);
+    });
+
+poolTask("pool:list", "List the exchanges of the factory")
+    .setAction(async ({ manifest: file, json }, hre) => {
+        const { factory } = await getFactory(hre, file);
+        const rows = [];
+        const tokenCount = await factory.tokenCount();
+        for (let tokenId = 1; tokenId <= tokenCount; tokenId++) {
+            const token = await factory.contract.getTokenWithId(tokenId);
+            const exchange = await getExchange(factory, token);
+            const { symbol, decimals } = await tokenInfo(hre, token);
+            const { ethReserve, tokenReserve } = await exchange.getReserves();
+            rows.push({
+                id: tokenId,
+                token,
+                symbol,
+                exchange: exchange.address,
+                ethReserve: hre.ethers.utils.formatUnits(ethReserve, ETH_DECIMALS),
+                tokenReserve: hre.ethers.utils.formatUnits(tokenReserve, decimals)
+            });
+        }
+        return print(rows, json);
+    });
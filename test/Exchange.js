@@ -1,8 +1,19 @@
 const { expect } = require("chai");
+const { pricing } = require("../sdk");
+const { deployFactory, deployToken, createPool } = require("./helpers/pools");
 
 describe("Uniswap-V1", function () {
 
+    // fee: part of every transfer the recipient does not receive, in basis points.
+    const TOKENS = [
+        { contract: "Token", fee: 0 },
+        { contract: "NoReturnToken", fee: 0 },
+        { contract: "FeeOnTransferToken", fee: 100 },
+        { contract: "DeflationaryToken", fee: 200 }
+    ]
+
     let Token;
+    let factory;
     let owner;
     let addr1;
     let addrs;
@@ -11,7 +22,12 @@ describe("Uniswap-V1", function () {
     const provider = waffle.provider;
     let token;
     let tokenAddress;
-    let furureDeadline = 29617966;
+    let futureDeadline;
+
+    async function increaseTime(seconds) {
+        await provider.send("evm_increaseTime", [seconds]);
+        await provider.send("evm_mine", []);
+    }
 
     function getTransactionGas(receipt) {
         return ethers.utils.parseEther(ethers.utils.formatEther(receipt.gasUsed.mul(receipt.effectiveGasPrice)))
@@ -21,13 +37,14 @@ describe("Uniswap-V1", function () {
         Exchange = await ethers.getContractFactory("Exchange");
         Token = await ethers.getContractFactory("Token");
         [owner, addr1, ...addrs] = await ethers.getSigners();
-        exchange = await Exchange.deploy();
-        await exchange.deployed();
+        factory = await deployFactory();
         token = await Token.deploy("test token", "test");
         await token.deployed();
         tokenAddress = token.address
-        await exchange.setup(tokenAddress)
+        await factory.createExchange(tokenAddress)
+        exchange = Exchange.attach(await factory.getExchange(tokenAddress))
         await token.mint(owner.address, TWO_TOKENS);
+        futureDeadline = (await provider.getBlock("latest")).timestamp + 3600;
         provider.pollingInterval = 100;
     });
 
@@ -38,7 +55,7 @@ describe("Uniswap-V1", function () {
         });
 
         it("Should check Factory address", async function () {
-            expect(owner.address).to.equal(await exchange.factoryAddress())
+            expect(factory.address).to.equal(await exchange.factoryAddress())
         });
 
         it("Should add liquidity of 2 tokens", async function () {
@@ -50,7 +67,7 @@ describe("Uniswap-V1", function () {
                 })).to.be.revertedWith("exchange:addLiquidity invalid parameters")
 
             await exchange
-                .addLiquidity(0, TWO_TOKENS, furureDeadline, {
+                .addLiquidity(0, TWO_TOKENS, futureDeadline, {
                     value: TWO_ETH
                 })
 
@@ -64,24 +81,24 @@ describe("Uniswap-V1", function () {
             expect(ethBalance.toBigInt()).to.equal(TWO_ETH.toBigInt())
 
             await expect(exchange
-                .addLiquidity(0, 1, furureDeadline, {
+                .addLiquidity(0, 1, futureDeadline, {
                     value: 1
                 })).to.be.revertedWith("exchange:addLiquidity minLiquidity must be greater than 0")
 
             await expect(exchange
-                .addLiquidity(1, 1, furureDeadline, {
+                .addLiquidity(1, 1, futureDeadline, {
                     value: 1
                 })).to.be.revertedWith("exchange:addLiquidity maxTokens or liquidityMinted is too low")
         });
 
         it("Should remove liquidity of 2 tokens", async function () {
             await expect(exchange
-                .removeLiquidity(TWO_TOKENS, TWO_TOKENS, TWO_TOKENS, furureDeadline)).to.be.revertedWith("exchange:removeLiquidity totalLiquidity must be greater than 0")
+                .removeLiquidity(TWO_TOKENS, TWO_TOKENS, TWO_TOKENS, futureDeadline)).to.be.revertedWith("exchange:removeLiquidity totalLiquidity must be greater than 0")
 
             await token.approve(exchange.address, TWO_TOKENS);
 
             await exchange
-                .addLiquidity(0, TWO_TOKENS, furureDeadline, {
+                .addLiquidity(0, TWO_TOKENS, futureDeadline, {
                     value: TWO_ETH
                 })
 
@@ -98,307 +115,684 @@ describe("Uniswap-V1", function () {
                 .removeLiquidity(0, 0, 0, 0)).to.be.revertedWith("exchange:removeLiquidity invalid parameters")
 
             await expect(exchange
-                .removeLiquidity(TWO_TOKENS, ethers.utils.parseUnits('200000'), TWO_TOKENS, furureDeadline)).to.be.revertedWith("exchange:removeLiquidity minEth or minTokens amount too low")
+                .removeLiquidity(TWO_TOKENS, ethers.utils.parseUnits('200000'), TWO_TOKENS, futureDeadline)).to.be.revertedWith("exchange:removeLiquidity minEth or minTokens amount too low")
 
             await exchange
-                .removeLiquidity(TWO_TOKENS, TWO_TOKENS, TWO_TOKENS, furureDeadline)
+                .removeLiquidity(TWO_TOKENS, TWO_TOKENS, TWO_TOKENS, futureDeadline)
 
             const balanceAfterRemove = await token.balanceOf(exchange.address)
             expect(balanceAfterRemove.toBigInt()).to.equal(BigInt(0))
         });
 
-        it("Should execute ethToTokenSwapInput", async function () {
+        it("Should mint liquidity shares to the provider", async function () {
             await token.approve(exchange.address, TWO_TOKENS);
-            await exchange
-                .addLiquidity(0, TWO_TOKENS, furureDeadline, {
+
+            await expect(exchange
+                .addLiquidity(0, TWO_TOKENS, futureDeadline, {
                     value: TWO_ETH
-                })
+                })).to.emit(exchange, "Transfer").withArgs(ethers.constants.AddressZero, owner.address, TWO_ETH)
 
-            const supply = await exchange.totalSupply()
-            expect(supply.toBigInt()).to.equal(TWO_TOKENS.toBigInt())
+            expect(await exchange.balanceOf(owner.address)).to.equal(TWO_ETH)
 
-            const balance = await token.balanceOf(exchange.address)
-            expect(balance.toBigInt()).to.equal(TWO_TOKENS.toBigInt())
+            await token.mint(addr1.address, TWO_TOKENS);
+            await token.connect(addr1).approve(exchange.address, TWO_TOKENS);
+            await exchange.connect(addr1)
+                .addLiquidity(1, TWO_TOKENS, futureDeadline, {
+                    value: ethers.utils.parseEther('1')
+                })
 
-            const ethBalanceExchange = await provider.getBalance(exchange.address)
-            const ethBalanceOwner = await provider.getBalance(owner.address)
-            expect(ethBalanceExchange.toBigInt()).to.equal(TWO_ETH.toBigInt())
+            expect(await exchange.balanceOf(addr1.address)).to.equal(ethers.utils.parseEther('1'))
+            expect(await exchange.totalSupply()).to.equal(ethers.utils.parseEther('3'))
+        });
+
+        it("Should not remove liquidity of another provider", async function () {
+            await token.approve(exchange.address, TWO_TOKENS);
+            await exchange
+                .addLiquidity(0, TWO_TOKENS, futureDeadline, {
+                    value: TWO_ETH
+                })
 
-            const exchangeBalanceBefore = await token.balanceOf(exchange.address)
-            const ownerBalanceBefore = await token.balanceOf(owner.address)
-            var tx = await exchange.ethToTokenSwapInput(1, furureDeadline, {
-                value: ethers.utils.parseEther('1')
-            })
-            const receipt = await tx.wait()
+            await expect(exchange.connect(addr1)
+                .removeLiquidity(TWO_TOKENS, 1, 1, futureDeadline)).to.be.revertedWith("exchange:removeLiquidity amount exceeds balance")
 
-            const event = receipt.events.find(event => event.event === 'TokenPurchase');
-            const [buyer, ethSold, tokensBought] = event.args;
+            await expect(exchange
+                .removeLiquidity(TWO_TOKENS.add(1), 1, 1, futureDeadline)).to.be.revertedWith("exchange:removeLiquidity amount exceeds balance")
 
-            expect(buyer).to.equal(owner.address);
+            await expect(exchange
+                .removeLiquidity(TWO_TOKENS, 1, 1, futureDeadline)).to.emit(exchange, "Transfer").withArgs(owner.address, ethers.constants.AddressZero, TWO_TOKENS)
 
-            expect(await token.balanceOf(owner.address)).to.equal(ownerBalanceBefore.toBigInt() + tokensBought.toBigInt())
-            expect(await token.balanceOf(exchange.address)).to.equal(exchangeBalanceBefore.toBigInt() - tokensBought.toBigInt())
-            expect(await provider.getBalance(exchange.address)).to.equal(ethBalanceExchange.toBigInt() + ethSold.toBigInt())
-            expect(await provider.getBalance(owner.address)).to.equal(ethBalanceOwner.toBigInt() - ethSold.toBigInt() - getTransactionGas(receipt).toBigInt())
+            expect(await exchange.balanceOf(owner.address)).to.equal(0)
+            expect(await exchange.totalSupply()).to.equal(0)
         });
 
-        it("Should execute ethToTokenTransferInput", async function () {
+        it("Should transfer liquidity shares and redeem them", async function () {
             await token.approve(exchange.address, TWO_TOKENS);
             await exchange
-                .addLiquidity(0, TWO_TOKENS, furureDeadline, {
+                .addLiquidity(0, TWO_TOKENS, futureDeadline, {
                     value: TWO_ETH
                 })
 
-            const supply = await exchange.totalSupply()
-            expect(supply.toBigInt()).to.equal(TWO_TOKENS.toBigInt())
+            const ONE_SHARE = ethers.utils.parseEther('1')
 
-            const balance = await token.balanceOf(exchange.address)
-            expect(balance.toBigInt()).to.equal(TWO_TOKENS.toBigInt())
-
-            const ethBalanceExchange = await provider.getBalance(exchange.address)
-            const ethBalanceOwner = await provider.getBalance(owner.address)
-            expect(ethBalanceExchange.toBigInt()).to.equal(TWO_ETH.toBigInt())
+            await expect(exchange.transfer(addr1.address, ONE_SHARE))
+                .to.emit(exchange, "Transfer").withArgs(owner.address, addr1.address, ONE_SHARE)
+            expect(await exchange.balanceOf(owner.address)).to.equal(ONE_SHARE)
+            expect(await exchange.balanceOf(addr1.address)).to.equal(ONE_SHARE)
 
-            const exchangeBalanceBefore = await token.balanceOf(exchange.address)
-            const receiverBalanceBefore = await token.balanceOf(addr1.address)
-            var tx = await exchange.ethToTokenTransferInput(1, furureDeadline, addr1.address, {
-                value: ethers.utils.parseEther('1')
-            })
-            const receipt = await tx.wait()
+            await expect(exchange.transfer(addr1.address, TWO_ETH)).to.be.revertedWith("exchange:transfer amount exceeds balance")
+            await expect(exchange.transfer(exchange.address, 1)).to.be.revertedWith("exchange:transfer invalid recipient address")
 
-            const event = receipt.events.find(event => event.event === 'TokenPurchase');
-            const [buyer, ethSold, tokensBought] = event.args;
+            const tokenBalanceBefore = await token.balanceOf(addr1.address)
+            await exchange.connect(addr1).removeLiquidity(ONE_SHARE, 1, 1, futureDeadline)
 
-            expect(buyer).to.equal(owner.address);
-
-            expect(await token.balanceOf(addr1.address)).to.equal(receiverBalanceBefore.toBigInt() + tokensBought.toBigInt())
-            expect(await token.balanceOf(exchange.address)).to.equal(exchangeBalanceBefore.toBigInt() - tokensBought.toBigInt())
-            expect(await provider.getBalance(exchange.address)).to.equal(ethBalanceExchange.toBigInt() + ethSold.toBigInt())
-            expect(await provider.getBalance(owner.address)).to.equal(ethBalanceOwner.toBigInt() - ethSold.toBigInt() - getTransactionGas(receipt).toBigInt())
+            expect(await exchange.balanceOf(addr1.address)).to.equal(0)
+            expect(await token.balanceOf(addr1.address)).to.equal(tokenBalanceBefore.add(ethers.utils.parseUnits('1')))
+            expect(await exchange.totalSupply()).to.equal(ONE_SHARE)
         });
 
-        it("Should execute ethToTokenSwapOutput", async function () {
+        it("Should transfer liquidity shares with allowance", async function () {
             await token.approve(exchange.address, TWO_TOKENS);
             await exchange
-                .addLiquidity(0, TWO_TOKENS, furureDeadline, {
+                .addLiquidity(0, TWO_TOKENS, futureDeadline, {
                     value: TWO_ETH
                 })
 
-            const supply = await exchange.totalSupply()
-            expect(supply.toBigInt()).to.equal(TWO_TOKENS.toBigInt())
+            const ONE_SHARE = ethers.utils.parseEther('1')
 
-            const balanceExchange = await token.balanceOf(exchange.address)
-            const balanceOwner = await token.balanceOf(owner.address)
-            expect(balanceExchange.toBigInt()).to.equal(TWO_TOKENS.toBigInt())
+            await expect(exchange.connect(addr1).transferFrom(owner.address, addr1.address, ONE_SHARE))
+                .to.be.revertedWith("exchange:transferFrom amount exceeds allowance")
 
-            const ethBalance = await provider.getBalance(exchange.address)
-            expect(ethBalance.toBigInt()).to.equal(TWO_ETH.toBigInt())
+            await expect(exchange.approve(addr1.address, ONE_SHARE))
+                .to.emit(exchange, "Approval").withArgs(owner.address, addr1.address, ONE_SHARE)
+            expect(await exchange.allowance(owner.address, addr1.address)).to.equal(ONE_SHARE)
 
-            let tokenNum = BigInt(10)
+            await exchange.connect(addr1).transferFrom(owner.address, addr1.address, ONE_SHARE)
+            expect(await exchange.allowance(owner.address, addr1.address)).to.equal(0)
+            expect(await exchange.balanceOf(addr1.address)).to.equal(ONE_SHARE)
 
-            await exchange.ethToTokenSwapOutput(tokenNum, furureDeadline, {
-                value: ethers.utils.parseEther('1')
-            })
-            expect(await token.balanceOf(exchange.address)).to.equal(balanceExchange.toBigInt() - tokenNum)
-            expect(await token.balanceOf(owner.address)).to.equal(balanceOwner.toBigInt() + tokenNum)
+            await exchange.approve(addr1.address, ethers.constants.MaxUint256)
+            await exchange.connect(addr1).transferFrom(owner.address, addr1.address, ONE_SHARE)
+            expect(await exchange.allowance(owner.address, addr1.address)).to.equal(ethers.constants.MaxUint256)
+            expect(await exchange.balanceOf(owner.address)).to.equal(0)
         });
 
-        it("Should execute ethToTokenTransferOutput", async function () {
+        it("Should accept a deadline equal to the block timestamp", async function () {
             await token.approve(exchange.address, TWO_TOKENS);
+            const deadline = (await provider.getBlock("latest")).timestamp + 100;
+            await provider.send("evm_setNextBlockTimestamp", [deadline]);
+
             await exchange
-                .addLiquidity(0, TWO_TOKENS, furureDeadline, {
+                .addLiquidity(0, TWO_TOKENS, deadline, {
                     value: TWO_ETH
                 })
 
-            const supply = await exchange.totalSupply()
-            expect(supply.toBigInt()).to.equal(TWO_TOKENS.toBigInt())
+            expect(await exchange.totalSupply()).to.equal(TWO_ETH)
+        });
 
-            const balanceExchange = await token.balanceOf(exchange.address)
-            const balanceReceiver = await token.balanceOf(addr1.address)
-            expect(balanceExchange.toBigInt()).to.equal(TWO_TOKENS.toBigInt())
+        it("Should revert liquidity changes after the deadline", async function () {
+            await token.approve(exchange.address, TWO_TOKENS);
+            await exchange
+                .addLiquidity(0, TWO_TOKENS, futureDeadline, {
+                    value: TWO_ETH
+                })
 
-            const ethBalance = await provider.getBalance(exchange.address)
-            expect(ethBalance.toBigInt()).to.equal(TWO_ETH.toBigInt())
+            await increaseTime(3601);
 
-            let tokenNum = BigInt(10)
+            await expect(exchange
+                .addLiquidity(1, TWO_TOKENS, futureDeadline, {
+                    value: TWO_ETH
+                })).to.be.revertedWith("exchange:addLiquidity invalid parameters")
 
-            await exchange.ethToTokenTransferOutput(tokenNum, furureDeadline, addr1.address, {
-                value: ethers.utils.parseEther('1')
-            })
-            expect(await token.balanceOf(exchange.address)).to.equal(balanceExchange.toBigInt() - tokenNum)
-            expect(await token.balanceOf(addr1.address)).to.equal(balanceReceiver.toBigInt() + tokenNum)
+            await expect(exchange
+                .removeLiquidity(TWO_TOKENS, 1, 1, futureDeadline)).to.be.revertedWith("exchange:removeLiquidity invalid parameters")
         });
 
-        it("Should execute tokenToEthSwapInput", async function () {
+        it("Should revert swaps after the deadline", async function () {
             await token.mint(owner.address, ethers.utils.parseUnits('10'));
-            await token.approve(exchange.address, TWO_TOKENS);
+            await token.approve(exchange.address, ethers.utils.parseUnits('12'));
             await exchange
-                .addLiquidity(0, TWO_TOKENS, furureDeadline, {
+                .addLiquidity(0, TWO_TOKENS, futureDeadline, {
                     value: TWO_ETH
                 })
 
-            const supply = await exchange.totalSupply()
-            expect(supply.toBigInt()).to.equal(TWO_TOKENS.toBigInt())
+            await increaseTime(3601);
+
+            const ONE_ETH = ethers.utils.parseEther('1')
+            const ONE_TOKEN = ethers.utils.parseUnits('1')
+
+            await expect(exchange.ethToTokenSwapInput(1, futureDeadline, { value: ONE_ETH }))
+                .to.be.revertedWith("exchange:ethToTokenInput invalid parameters")
+            await expect(exchange.ethToTokenTransferInput(1, futureDeadline, addr1.address, { value: ONE_ETH }))
+                .to.be.revertedWith("exchange:ethToTokenInput invalid parameters")
+            await expect(exchange.ethToTokenSwapOutput(10, futureDeadline, { value: ONE_ETH }))
+                .to.be.revertedWith("exchange:ethToTokenOutput invalid parameters")
+            await expect(exchange.ethToTokenTransferOutput(10, futureDeadline, addr1.address, { value: ONE_ETH }))
+                .to.be.revertedWith("exchange:ethToTokenOutput invalid parameters")
+            await expect(exchange.tokenToEthSwapInput(ONE_TOKEN, 1, futureDeadline))
+                .to.be.revertedWith("exchange:tokenToEthInput invalid parameters")
+            await expect(exchange.tokenToEthTransferInput(ONE_TOKEN, 1, futureDeadline, addr1.address))
+                .to.be.revertedWith("exchange:tokenToEthInput invalid parameters")
+            await expect(exchange.tokenToEthSwapOutput(10, ONE_TOKEN, futureDeadline))
+                .to.be.revertedWith("exchange:tokenToEthOutput invalid parameters")
+            await expect(exchange.tokenToEthTransferOutput(10, ONE_TOKEN, futureDeadline, addr1.address))
+                .to.be.revertedWith("exchange:tokenToEthOutput invalid parameters")
+            await expect(exchange.tokenToExchangeSwapInput(ONE_TOKEN, 1, 1, futureDeadline, addr1.address))
+                .to.be.revertedWith("exchange:tokenToTokenInput invalid parameters")
+            await expect(exchange.tokenToExchangeSwapOutput(10, ONE_TOKEN, ONE_ETH, futureDeadline, addr1.address))
+                .to.be.revertedWith("exchange:tokenToTokenOutput invalid parameters")
+        });
 
-            const balance = await token.balanceOf(exchange.address)
-            expect(balance.toBigInt()).to.equal(TWO_TOKENS.toBigInt())
+        it("Should revert output swaps that buy a whole reserve", async function () {
+            await token.mint(owner.address, ethers.utils.parseUnits('10'));
+            await token.approve(exchange.address, ethers.utils.parseUnits('12'));
+            await exchange
+                .addLiquidity(0, TWO_TOKENS, futureDeadline, {
+                    value: TWO_ETH
+                })
 
-            const ethBalance = await provider.getBalance(exchange.address)
-            expect(ethBalance.toBigInt()).to.equal(TWO_ETH.toBigInt())
+            await expect(exchange.getEthToTokenOutputPrice(TWO_TOKENS))
+                .to.be.revertedWith("exchange:getOutputPrice outputAmount exceeds outputReserve")
+            await expect(exchange.getTokenToEthOutputPrice(TWO_ETH.add(1)))
+                .to.be.revertedWith("exchange:getOutputPrice outputAmount exceeds outputReserve")
+            await expect(exchange.ethToTokenSwapOutput(TWO_TOKENS, futureDeadline, { value: TWO_ETH.mul(1000) }))
+                .to.be.revertedWith("exchange:getOutputPrice outputAmount exceeds outputReserve")
+            await expect(exchange.tokenToEthSwapOutput(TWO_ETH, ethers.utils.parseUnits('10'), futureDeadline))
+                .to.be.revertedWith("exchange:getOutputPrice outputAmount exceeds outputReserve")
+
+            // Leaving a single unit of the reserve is allowed.
+            expect(await exchange.getEthToTokenOutputPrice(TWO_TOKENS.sub(1))).to.equal(TWO_ETH.mul(TWO_TOKENS.sub(1)).mul(1000).div(997).add(1))
+        });
+    });
 
-            await token.approve(exchange.address, ethers.utils.parseUnits('1'));
+    for (const { contract, fee } of TOKENS) {
+
+        describe(`Exchange swaps with ${contract}`, function () {
+
+            const ETH = ethers.constants.AddressZero;
+            const ONE_ETH = ethers.utils.parseEther('1')
+            const ONE_TOKEN = ethers.utils.parseUnits('1')
+            const MAX = ethers.constants.MaxUint256
+            let router;
+            let tokenB;
+            let exchangeB;
+
+            const afterFee = amount => ethers.BigNumber.from(amount).sub(ethers.BigNumber.from(amount).mul(fee).div(10000))
+
+            beforeEach(async function () {
+                const SwapToken = await ethers.getContractFactory(contract);
+                token = await SwapToken.deploy("test token", "test");
+                await token.deployed();
+                tokenAddress = token.address
+                await factory.createExchange(tokenAddress)
+                exchange = Exchange.attach(await factory.getExchange(tokenAddress))
+                await token.mint(owner.address, TWO_TOKENS);
+            });
+
+            // A pool of 10 ETH and 20 tokens, a pool of 5 ETH and 50 Tokens, and the tokens of owner approved to both exchanges and the router.
+            async function createPools() {
+                const Router = await ethers.getContractFactory("Router");
+                router = await Router.deploy(factory.address);
+                await router.deployed();
+                await token.mint(owner.address, ethers.utils.parseUnits('1000'))
+                await token.approve(exchange.address, MAX)
+                await exchange.addLiquiditySupportingFeeOnTransferTokens(0, ethers.utils.parseUnits('20'), futureDeadline, { value: ethers.utils.parseEther('10') })
+                tokenB = await deployToken("other")
+                exchangeB = await createPool(factory, tokenB, ethers.utils.parseEther('5'), ethers.utils.parseUnits('50'))
+                for (const poolToken of [token, tokenB]) {
+                    await poolToken.approve(router.address, MAX)
+                }
+            }
+
+            async function getReserves(pool, poolToken) {
+                return {
+                    ethReserve: await provider.getBalance(pool.address),
+                    tokenReserve: await poolToken.balanceOf(pool.address)
+                }
+            }
+
+            // tokensSent leave the balance of owner, the exchange receives them minus the fee and prices tokensSold.
+            async function expectTokenToEthTrade(sendTx, recipient, tokensSent, tokensSold, ethBought) {
+                const pool = await getReserves(exchange, token)
+                const ownerBalanceBefore = await token.balanceOf(owner.address)
+                const recipientEthBefore = await provider.getBalance(recipient)
+
+                const tx = await sendTx()
+                await expect(tx).to.emit(exchange, "EthPurchase").withArgs(owner.address, tokensSold, ethBought)
+
+                const gas = recipient === owner.address ? getTransactionGas(await tx.wait()) : 0
+                expect(await provider.getBalance(recipient)).to.equal(recipientEthBefore.add(ethBought).sub(gas))
+                expect(await token.balanceOf(owner.address)).to.equal(ownerBalanceBefore.sub(tokensSent))
+                expect(await getReserves(exchange, token)).to.deep.equal({
+                    ethReserve: pool.ethReserve.sub(ethBought),
+                    tokenReserve: pool.tokenReserve.add(afterFee(tokensSent))
+                })
+            }
+
+            // Sells ONE_TOKEN, the exchange prices tokensSold.
+            async function expectTokenToTokenTrade(sendTx, recipient, tokensSold) {
+                const poolA = await getReserves(exchange, token)
+                const poolB = await getReserves(exchangeB, tokenB)
+                const { ethBought, tokensBought } = pricing.getTokenToTokenInputPrice(tokensSold, poolA, poolB)
+                const ownerBalanceBefore = await token.balanceOf(owner.address)
+                const recipientBalanceBefore = await tokenB.balanceOf(recipient)
+
+                const tx = await sendTx()
+                await expect(tx).to.emit(exchange, "EthPurchase").withArgs(owner.address, tokensSold, ethBought)
+                await expect(tx).to.emit(exchangeB, "TokenPurchase").withArgs(exchange.address, ethBought, tokensBought)
+
+                expect(await token.balanceOf(owner.address)).to.equal(ownerBalanceBefore.sub(ONE_TOKEN))
+                expect(await tokenB.balanceOf(recipient)).to.equal(recipientBalanceBefore.add(tokensBought))
+                expect(await getReserves(exchange, token)).to.deep.equal({
+                    ethReserve: poolA.ethReserve.sub(ethBought),
+                    tokenReserve: poolA.tokenReserve.add(afterFee(ONE_TOKEN))
+                })
+            }
 
-            var _minEth = BigInt(10)
-            var _tokensSold = ethers.utils.parseUnits('1')
+            it("Should execute ethToTokenSwapInput", async function () {
+                await token.approve(exchange.address, TWO_TOKENS);
+                await exchange
+                    .addLiquidity(0, TWO_TOKENS, futureDeadline, {
+                        value: TWO_ETH
+                    })
 
-            var recipientTokenBalanceBefore = await token.balanceOf(owner.address)
-            var recipientEthBalanceBefore = await provider.getBalance(owner.address)
+                const supply = await exchange.totalSupply()
+                expect(supply.toBigInt()).to.equal(TWO_TOKENS.toBigInt())
 
-            var exchangeTokenBalanceBefore = await token.balanceOf(exchange.address)
-            var exchangeEthBalanceBefore = await provider.getBalance(exchange.address)
+                const balance = await token.balanceOf(exchange.address)
+                expect(balance.toBigInt()).to.equal(afterFee(TWO_TOKENS).toBigInt())
 
-            var tx = await exchange.tokenToEthSwapInput(_tokensSold, _minEth, furureDeadline)
-            const receipt = await tx.wait()
+                const ethBalanceExchange = await provider.getBalance(exchange.address)
+                const ethBalanceOwner = await provider.getBalance(owner.address)
+                expect(ethBalanceExchange.toBigInt()).to.equal(TWO_ETH.toBigInt())
 
-            const event = receipt.events.find(event => event.event === 'EthPurchase');
-            const [buyer, tokensSold, ethBought] = event.args;
+                const exchangeBalanceBefore = await token.balanceOf(exchange.address)
+                const ownerBalanceBefore = await token.balanceOf(owner.address)
+                var tx = await exchange.ethToTokenSwapInput(1, futureDeadline, {
+                    value: ethers.utils.parseEther('1')
+                })
+                const receipt = await tx.wait()
 
-            expect(buyer).to.equal(owner.address);
-            expect(tokensSold.toBigInt()).to.equal(_tokensSold.toBigInt());
+                const event = receipt.events.find(event => event.event === 'TokenPurchase');
+                const [buyer, ethSold, tokensBought] = event.args;
 
-            expect(await token.balanceOf(owner.address)).to.equal(recipientTokenBalanceBefore.toBigInt() - _tokensSold.toBigInt());
-            expect(await token.balanceOf(exchange.address)).to.equal(exchangeTokenBalanceBefore.toBigInt() + _tokensSold.toBigInt());
+                expect(buyer).to.equal(owner.address);
 
-            expect(await provider.getBalance(owner.address)).to.equal(recipientEthBalanceBefore.toBigInt() + ethBought.toBigInt() - getTransactionGas(receipt).toBigInt());
-            expect(await provider.getBalance(exchange.address)).to.equal(exchangeEthBalanceBefore.toBigInt() - ethBought.toBigInt());
-        });
+                expect(await token.balanceOf(owner.address)).to.equal(ownerBalanceBefore.toBigInt() + afterFee(tokensBought).toBigInt())
+                expect(await token.balanceOf(exchange.address)).to.equal(exchangeBalanceBefore.toBigInt() - tokensBought.toBigInt())
+                expect(await provider.getBalance(exchange.address)).to.equal(ethBalanceExchange.toBigInt() + ethSold.toBigInt())
+                expect(await provider.getBalance(owner.address)).to.equal(ethBalanceOwner.toBigInt() - ethSold.toBigInt() - getTransactionGas(receipt).toBigInt())
+            });
 
-        it("Should execute tokenToEthTransferInput", async function () {
-            await token.mint(owner.address, ethers.utils.parseUnits('10'));
-            await token.approve(exchange.address, TWO_TOKENS);
-            await exchange
-                .addLiquidity(0, TWO_TOKENS, furureDeadline, {
-                    value: TWO_ETH
+            it("Should execute ethToTokenTransferInput", async function () {
+                await token.approve(exchange.address, TWO_TOKENS);
+                await exchange
+                    .addLiquidity(0, TWO_TOKENS, futureDeadline, {
+                        value: TWO_ETH
+                    })
+
+                const supply = await exchange.totalSupply()
+                expect(supply.toBigInt()).to.equal(TWO_TOKENS.toBigInt())
+
+                const balance = await token.balanceOf(exchange.address)
+                expect(balance.toBigInt()).to.equal(afterFee(TWO_TOKENS).toBigInt())
+
+                const ethBalanceExchange = await provider.getBalance(exchange.address)
+                const ethBalanceOwner = await provider.getBalance(owner.address)
+                expect(ethBalanceExchange.toBigInt()).to.equal(TWO_ETH.toBigInt())
+
+                const exchangeBalanceBefore = await token.balanceOf(exchange.address)
+                const receiverBalanceBefore = await token.balanceOf(addr1.address)
+                var tx = await exchange.ethToTokenTransferInput(1, futureDeadline, addr1.address, {
+                    value: ethers.utils.parseEther('1')
                 })
+                const receipt = await tx.wait()
 
-            const supply = await exchange.totalSupply()
-            expect(supply.toBigInt()).to.equal(TWO_TOKENS.toBigInt())
+                const event = receipt.events.find(event => event.event === 'TokenPurchase');
+                const [buyer, ethSold, tokensBought] = event.args;
 
-            const balance = await token.balanceOf(exchange.address)
-            expect(balance.toBigInt()).to.equal(TWO_TOKENS.toBigInt())
+                expect(buyer).to.equal(owner.address);
 
-            const ethBalance = await provider.getBalance(exchange.address)
-            expect(ethBalance.toBigInt()).to.equal(TWO_ETH.toBigInt())
+                expect(await token.balanceOf(addr1.address)).to.equal(receiverBalanceBefore.toBigInt() + afterFee(tokensBought).toBigInt())
+                expect(await token.balanceOf(exchange.address)).to.equal(exchangeBalanceBefore.toBigInt() - tokensBought.toBigInt())
+                expect(await provider.getBalance(exchange.address)).to.equal(ethBalanceExchange.toBigInt() + ethSold.toBigInt())
+                expect(await provider.getBalance(owner.address)).to.equal(ethBalanceOwner.toBigInt() - ethSold.toBigInt() - getTransactionGas(receipt).toBigInt())
+            });
 
-            await token.approve(exchange.address, ethers.utils.parseUnits('1'));
+            it("Should execute ethToTokenSwapOutput", async function () {
+                await token.approve(exchange.address, TWO_TOKENS);
+                await exchange
+                    .addLiquidity(0, TWO_TOKENS, futureDeadline, {
+                        value: TWO_ETH
+                    })
 
-            var _minEth = BigInt(10)
-            var _tokensSold = ethers.utils.parseUnits('1')
+                const supply = await exchange.totalSupply()
+                expect(supply.toBigInt()).to.equal(TWO_TOKENS.toBigInt())
 
-            var recipientTokenBalanceBefore = await token.balanceOf(owner.address)
-            var recipientEthBalanceBefore = await provider.getBalance(addr1.address)
+                const balanceExchange = await token.balanceOf(exchange.address)
+                const balanceOwner = await token.balanceOf(owner.address)
+                expect(balanceExchange.toBigInt()).to.equal(afterFee(TWO_TOKENS).toBigInt())
 
-            var exchangeTokenBalanceBefore = await token.balanceOf(exchange.address)
-            var exchangeEthBalanceBefore = await provider.getBalance(exchange.address)
+                const ethBalance = await provider.getBalance(exchange.address)
+                expect(ethBalance.toBigInt()).to.equal(TWO_ETH.toBigInt())
 
-            var tx = await exchange.tokenToEthTransferInput(_tokensSold, _minEth, furureDeadline, addr1.address)
-            const receipt = await tx.wait()
+                let tokenNum = ethers.utils.parseUnits('0.1').toBigInt()
 
-            const event = receipt.events.find(event => event.event === 'EthPurchase');
-            const [buyer, tokensSold, ethBought] = event.args;
+                await exchange.ethToTokenSwapOutput(tokenNum, futureDeadline, {
+                    value: ethers.utils.parseEther('1')
+                })
+                expect(await token.balanceOf(exchange.address)).to.equal(balanceExchange.toBigInt() - tokenNum)
+                expect(await token.balanceOf(owner.address)).to.equal(balanceOwner.toBigInt() + afterFee(tokenNum).toBigInt())
+            });
 
-            expect(buyer).to.equal(owner.address);
-            expect(tokensSold.toBigInt()).to.equal(_tokensSold.toBigInt());
+            it("Should execute ethToTokenTransferOutput", async function () {
+                await token.approve(exchange.address, TWO_TOKENS);
+                await exchange
+                    .addLiquidity(0, TWO_TOKENS, futureDeadline, {
+                        value: TWO_ETH
+                    })
 
-            expect(await token.balanceOf(owner.address)).to.equal(recipientTokenBalanceBefore.toBigInt() - _tokensSold.toBigInt());
-            expect(await token.balanceOf(exchange.address)).to.equal(exchangeTokenBalanceBefore.toBigInt() + _tokensSold.toBigInt());
+                const supply = await exchange.totalSupply()
+                expect(supply.toBigInt()).to.equal(TWO_TOKENS.toBigInt())
 
-            expect(await provider.getBalance(addr1.address)).to.equal(recipientEthBalanceBefore.toBigInt() + ethBought.toBigInt());
-            expect(await provider.getBalance(exchange.address)).to.equal(exchangeEthBalanceBefore.toBigInt() - ethBought.toBigInt());
-        });
+                const balanceExchange = await token.balanceOf(exchange.address)
+                const balanceReceiver = await token.balanceOf(addr1.address)
+                expect(balanceExchange.toBigInt()).to.equal(afterFee(TWO_TOKENS).toBigInt())
 
-        it("Should execute tokenToEthSwapOutput", async function () {
-            await token.mint(owner.address, ethers.utils.parseUnits('10000000000000000000000'));
+                const ethBalance = await provider.getBalance(exchange.address)
+                expect(ethBalance.toBigInt()).to.equal(TWO_ETH.toBigInt())
 
-            await token.approve(exchange.address, TWO_TOKENS);
+                let tokenNum = ethers.utils.parseUnits('0.1').toBigInt()
 
-            await exchange
-                .addLiquidity(0, TWO_TOKENS, furureDeadline, {
-                    value: TWO_ETH
+                await exchange.ethToTokenTransferOutput(tokenNum, futureDeadline, addr1.address, {
+                    value: ethers.utils.parseEther('1')
                 })
+                expect(await token.balanceOf(exchange.address)).to.equal(balanceExchange.toBigInt() - tokenNum)
+                expect(await token.balanceOf(addr1.address)).to.equal(balanceReceiver.toBigInt() + afterFee(tokenNum).toBigInt())
+            });
 
-            const supply = await exchange.totalSupply()
-            expect(supply.toBigInt()).to.equal(TWO_TOKENS.toBigInt())
+            it("Should execute tokenToEthSwapInput", async function () {
+                await token.mint(owner.address, ethers.utils.parseUnits('10'));
+                await token.approve(exchange.address, TWO_TOKENS);
+                await exchange
+                    .addLiquidity(0, TWO_TOKENS, futureDeadline, {
+                        value: TWO_ETH
+                    })
 
-            const balance = await token.balanceOf(exchange.address)
-            expect(balance.toBigInt()).to.equal(TWO_TOKENS.toBigInt())
+                const supply = await exchange.totalSupply()
+                expect(supply.toBigInt()).to.equal(TWO_TOKENS.toBigInt())
 
-            const ethBalance = await provider.getBalance(exchange.address)
-            expect(ethBalance.toBigInt()).to.equal(TWO_ETH.toBigInt())
+                const balance = await token.balanceOf(exchange.address)
+                expect(balance.toBigInt()).to.equal(afterFee(TWO_TOKENS).toBigInt())
 
-            await token.approve(exchange.address, ethers.utils.parseUnits('100000000000000000000000'));
+                const ethBalance = await provider.getBalance(exchange.address)
+                expect(ethBalance.toBigInt()).to.equal(TWO_ETH.toBigInt())
 
-            var recipientTokenBalanceBefore = await token.balanceOf(owner.address)
+                await token.approve(exchange.address, ethers.utils.parseUnits('1'));
 
-            var exchangeTokenBalanceBefore = await token.balanceOf(exchange.address)
-            var exchangeEthBalanceBefore = await provider.getBalance(exchange.address)
+                var _minEth = BigInt(10)
+                var _tokensSold = ethers.utils.parseUnits('1')
 
-            await expect(exchange.tokenToEthSwapOutput(ethers.utils.parseEther('0'), ethers.utils.parseUnits('0'), 0)).to.be.revertedWith("exchange:tokenToEthOutput invalid parameters")
-            var tx = await exchange.tokenToEthSwapOutput(ethers.utils.parseEther('1'), ethers.utils.parseUnits('20'), furureDeadline)
-            const receipt = await tx.wait()
+                var recipientTokenBalanceBefore = await token.balanceOf(owner.address)
+                var recipientEthBalanceBefore = await provider.getBalance(owner.address)
 
-            const event = receipt.events.find(event => event.event === 'EthPurchase');
-            const [buyer, tokensSold, ethBought] = event.args;
+                var exchangeTokenBalanceBefore = await token.balanceOf(exchange.address)
+                var exchangeEthBalanceBefore = await provider.getBalance(exchange.address)
 
-            expect(buyer).to.equal(owner.address);
+                var tx = await exchange.tokenToEthSwapInput(_tokensSold, _minEth, futureDeadline)
+                const receipt = await tx.wait()
 
-            expect(await token.balanceOf(owner.address)).to.equal(recipientTokenBalanceBefore.toBigInt() - tokensSold.toBigInt());
-            expect(await token.balanceOf(exchange.address)).to.equal(exchangeTokenBalanceBefore.toBigInt() + tokensSold.toBigInt());
-            expect(await provider.getBalance(exchange.address)).to.equal(exchangeEthBalanceBefore.toBigInt() - ethBought.toBigInt());
-        });
+                const event = receipt.events.find(event => event.event === 'EthPurchase');
+                const [buyer, tokensSold, ethBought] = event.args;
 
-        it("Should execute tokenToEthTransferOutput", async function () {
-            await token.mint(owner.address, ethers.utils.parseUnits('10000000000000000000000'));
+                expect(buyer).to.equal(owner.address);
+                // The exchange prices the tokens sent, not what it receives: tokens that take a fee need the SupportingFeeOnTransferTokens functions.
+                expect(tokensSold.toBigInt()).to.equal(_tokensSold.toBigInt());
 
-            await token.approve(exchange.address, TWO_TOKENS);
+                expect(await token.balanceOf(owner.address)).to.equal(recipientTokenBalanceBefore.toBigInt() - _tokensSold.toBigInt());
+                expect(await token.balanceOf(exchange.address)).to.equal(exchangeTokenBalanceBefore.toBigInt() + afterFee(_tokensSold).toBigInt());
 
-            await exchange
-                .addLiquidity(0, TWO_TOKENS, furureDeadline, {
-                    value: TWO_ETH
-                })
+                expect(await provider.getBalance(owner.address)).to.equal(recipientEthBalanceBefore.toBigInt() + ethBought.toBigInt() - getTransactionGas(receipt).toBigInt());
+                expect(await provider.getBalance(exchange.address)).to.equal(exchangeEthBalanceBefore.toBigInt() - ethBought.toBigInt());
+            });
 
-            const supply = await exchange.totalSupply()
-            expect(supply.toBigInt()).to.equal(TWO_TOKENS.toBigInt())
+            it("Should execute tokenToEthTransferInput", async function () {
+                await token.mint(owner.address, ethers.utils.parseUnits('10'));
+                await token.approve(exchange.address, TWO_TOKENS);
+                await exchange
+                    .addLiquidity(0, TWO_TOKENS, futureDeadline, {
+                        value: TWO_ETH
+                    })
 
-            const balance = await token.balanceOf(exchange.address)
-            expect(balance.toBigInt()).to.equal(TWO_TOKENS.toBigInt())
+                const supply = await exchange.totalSupply()
+                expect(supply.toBigInt()).to.equal(TWO_TOKENS.toBigInt())
 
-            const ethBalance = await provider.getBalance(exchange.address)
-            expect(ethBalance.toBigInt()).to.equal(TWO_ETH.toBigInt())
+                const balance = await token.balanceOf(exchange.address)
+                expect(balance.toBigInt()).to.equal(afterFee(TWO_TOKENS).toBigInt())
+
+                const ethBalance = await provider.getBalance(exchange.address)
+                expect(ethBalance.toBigInt()).to.equal(TWO_ETH.toBigInt())
+
+                await token.approve(exchange.address, ethers.utils.parseUnits('1'));
+
+                var _minEth = BigInt(10)
+                var _tokensSold = ethers.utils.parseUnits('1')
+
+                var recipientTokenBalanceBefore = await token.balanceOf(owner.address)
+                var recipientEthBalanceBefore = await provider.getBalance(addr1.address)
+
+                var exchangeTokenBalanceBefore = await token.balanceOf(exchange.address)
+                var exchangeEthBalanceBefore = await provider.getBalance(exchange.address)
+
+                var tx = await exchange.tokenToEthTransferInput(_tokensSold, _minEth, futureDeadline, addr1.address)
+                const receipt = await tx.wait()
+
+                const event = receipt.events.find(event => event.event === 'EthPurchase');
+                const [buyer, tokensSold, ethBought] = event.args;
 
-            await token.approve(exchange.address, ethers.utils.parseUnits('100000000000000000000000'));
+                expect(buyer).to.equal(owner.address);
+                // The exchange prices the tokens sent, not what it receives: tokens that take a fee need the SupportingFeeOnTransferTokens functions.
+                expect(tokensSold.toBigInt()).to.equal(_tokensSold.toBigInt());
 
-            var recipientTokenBalanceBefore = await token.balanceOf(owner.address)
-            var recipientEthBalanceBefore = await provider.getBalance(addr1.address)
+                expect(await token.balanceOf(owner.address)).to.equal(recipientTokenBalanceBefore.toBigInt() - _tokensSold.toBigInt());
+                expect(await token.balanceOf(exchange.address)).to.equal(exchangeTokenBalanceBefore.toBigInt() + afterFee(_tokensSold).toBigInt());
 
-            var exchangeTokenBalanceBefore = await token.balanceOf(exchange.address)
-            var exchangeEthBalanceBefore = await provider.getBalance(exchange.address)
+                expect(await provider.getBalance(addr1.address)).to.equal(recipientEthBalanceBefore.toBigInt() + ethBought.toBigInt());
+                expect(await provider.getBalance(exchange.address)).to.equal(exchangeEthBalanceBefore.toBigInt() - ethBought.toBigInt());
+            });
 
-            await expect(exchange.tokenToEthTransferOutput(ethers.utils.parseEther('1'), ethers.utils.parseUnits('20'), furureDeadline, exchange.address)).to.be.revertedWith("exchange:tokenToEthTransferOutput invalid recipient address")
-            await expect(exchange.tokenToEthTransferOutput(ethers.utils.parseEther('0'), ethers.utils.parseUnits('0'), 0, addr1.address)).to.be.revertedWith("exchange:tokenToEthOutput invalid parameters")
-            var tx = await exchange.tokenToEthTransferOutput(ethers.utils.parseEther('1'), ethers.utils.parseUnits('20'), furureDeadline, addr1.address)
-            const receipt = await tx.wait()
+            it("Should execute tokenToEthSwapOutput", async function () {
+                await token.mint(owner.address, ethers.utils.parseUnits('10000000000000000000000'));
 
-            const event = receipt.events.find(event => event.event === 'EthPurchase');
-            const [buyer, tokensSold, ethBought] = event.args;
+                await token.approve(exchange.address, TWO_TOKENS);
 
-            expect(buyer).to.equal(owner.address);
+                await exchange
+                    .addLiquidity(0, TWO_TOKENS, futureDeadline, {
+                        value: TWO_ETH
+                    })
 
-            expect(await token.balanceOf(owner.address)).to.equal(recipientTokenBalanceBefore.toBigInt() - tokensSold.toBigInt());
-            expect(await token.balanceOf(exchange.address)).to.equal(exchangeTokenBalanceBefore.toBigInt() + tokensSold.toBigInt());
+                const supply = await exchange.totalSupply()
+                expect(supply.toBigInt()).to.equal(TWO_TOKENS.toBigInt())
 
-            expect(await provider.getBalance(addr1.address)).to.equal(recipientEthBalanceBefore.toBigInt() + ethBought.toBigInt());
-            expect(await provider.getBalance(exchange.address)).to.equal(exchangeEthBalanceBefore.toBigInt() - ethBought.toBigInt());
+                const balance = await token.balanceOf(exchange.address)
+                expect(balance.toBigInt()).to.equal(afterFee(TWO_TOKENS).toBigInt())
+
+                const ethBalance = await provider.getBalance(exchange.address)
+                expect(ethBalance.toBigInt()).to.equal(TWO_ETH.toBigInt())
+
+                await token.approve(exchange.address, ethers.utils.parseUnits('100000000000000000000000'));
+
+                var recipientTokenBalanceBefore = await token.balanceOf(owner.address)
+
+                var exchangeTokenBalanceBefore = await token.balanceOf(exchange.address)
+                var exchangeEthBalanceBefore = await provider.getBalance(exchange.address)
+
+                await expect(exchange.tokenToEthSwapOutput(ethers.utils.parseEther('0'), ethers.utils.parseUnits('0'), 0)).to.be.revertedWith("exchange:tokenToEthOutput invalid parameters")
+                var tx = await exchange.tokenToEthSwapOutput(ethers.utils.parseEther('1'), ethers.utils.parseUnits('20'), futureDeadline)
+                const receipt = await tx.wait()
+
+                const event = receipt.events.find(event => event.event === 'EthPurchase');
+                const [buyer, tokensSold, ethBought] = event.args;
+
+                expect(buyer).to.equal(owner.address);
+
+                expect(await token.balanceOf(owner.address)).to.equal(recipientTokenBalanceBefore.toBigInt() - tokensSold.toBigInt());
+                expect(await token.balanceOf(exchange.address)).to.equal(exchangeTokenBalanceBefore.toBigInt() + afterFee(tokensSold).toBigInt());
+                expect(await provider.getBalance(exchange.address)).to.equal(exchangeEthBalanceBefore.toBigInt() - ethBought.toBigInt());
+            });
+
+            it("Should execute tokenToEthTransferOutput", async function () {
+                await token.mint(owner.address, ethers.utils.parseUnits('10000000000000000000000'));
+
+                await token.approve(exchange.address, TWO_TOKENS);
+
+                await exchange
+                    .addLiquidity(0, TWO_TOKENS, futureDeadline, {
+                        value: TWO_ETH
+                    })
+
+                const supply = await exchange.totalSupply()
+                expect(supply.toBigInt()).to.equal(TWO_TOKENS.toBigInt())
+
+                const balance = await token.balanceOf(exchange.address)
+                expect(balance.toBigInt()).to.equal(afterFee(TWO_TOKENS).toBigInt())
+
+                const ethBalance = await provider.getBalance(exchange.address)
+                expect(ethBalance.toBigInt()).to.equal(TWO_ETH.toBigInt())
+
+                await token.approve(exchange.address, ethers.utils.parseUnits('100000000000000000000000'));
+
+                var recipientTokenBalanceBefore = await token.balanceOf(owner.address)
+                var recipientEthBalanceBefore = await provider.getBalance(addr1.address)
+
+                var exchangeTokenBalanceBefore = await token.balanceOf(exchange.address)
+                var exchangeEthBalanceBefore = await provider.getBalance(exchange.address)
+
+                await expect(exchange.tokenToEthTransferOutput(ethers.utils.parseEther('1'), ethers.utils.parseUnits('20'), futureDeadline, exchange.address)).to.be.revertedWith("exchange:tokenToEthTransferOutput invalid recipient address")
+                await expect(exchange.tokenToEthTransferOutput(ethers.utils.parseEther('0'), ethers.utils.parseUnits('0'), 0, addr1.address)).to.be.revertedWith("exchange:tokenToEthOutput invalid parameters")
+                var tx = await exchange.tokenToEthTransferOutput(ethers.utils.parseEther('1'), ethers.utils.parseUnits('20'), futureDeadline, addr1.address)
+                const receipt = await tx.wait()
+
+                const event = receipt.events.find(event => event.event === 'EthPurchase');
+                const [buyer, tokensSold, ethBought] = event.args;
+
+                expect(buyer).to.equal(owner.address);
+
+                expect(await token.balanceOf(owner.address)).to.equal(recipientTokenBalanceBefore.toBigInt() - tokensSold.toBigInt());
+                expect(await token.balanceOf(exchange.address)).to.equal(exchangeTokenBalanceBefore.toBigInt() + afterFee(tokensSold).toBigInt());
+
+                expect(await provider.getBalance(addr1.address)).to.equal(recipientEthBalanceBefore.toBigInt() + ethBought.toBigInt());
+                expect(await provider.getBalance(exchange.address)).to.equal(exchangeEthBalanceBefore.toBigInt() - ethBought.toBigInt());
+            });
+
+            it("Should execute tokenToEthSwapInputSupportingFeeOnTransferTokens", async function () {
+                await createPools()
+                const tokensSold = afterFee(ONE_TOKEN)
+                const ethBought = pricing.getTokenToEthInputPrice(tokensSold, await getReserves(exchange, token))
+                await expectTokenToEthTrade(() => exchange.tokenToEthSwapInputSupportingFeeOnTransferTokens(ONE_TOKEN, 1, futureDeadline),
+                    owner.address, ONE_TOKEN, tokensSold, ethBought)
+            });
+
+            it("Should execute tokenToEthTransferInputSupportingFeeOnTransferTokens", async function () {
+                await createPools()
+                const tokensSold = afterFee(ONE_TOKEN)
+                const ethBought = pricing.getTokenToEthInputPrice(tokensSold, await getReserves(exchange, token))
+                await expectTokenToEthTrade(() => exchange.tokenToEthTransferInputSupportingFeeOnTransferTokens(ONE_TOKEN, 1, futureDeadline, addr1.address),
+                    addr1.address, ONE_TOKEN, tokensSold, ethBought)
+                await expect(exchange.tokenToEthTransferInputSupportingFeeOnTransferTokens(ONE_TOKEN, ethBought, futureDeadline, addr1.address))
+                    .to.be.revertedWith("exchange:tokenToEthInput too low amount")
+            });
+
+            it("Should execute tokenToTokenSwapInputSupportingFeeOnTransferTokens", async function () {
+                await createPools()
+                await expectTokenToTokenTrade(() => exchange.tokenToTokenSwapInputSupportingFeeOnTransferTokens(ONE_TOKEN, 1, 1, futureDeadline, tokenB.address), owner.address, afterFee(ONE_TOKEN))
+                await expectTokenToTokenTrade(() => exchange.tokenToExchangeSwapInputSupportingFeeOnTransferTokens(ONE_TOKEN, 1, 1, futureDeadline, exchangeB.address), owner.address, afterFee(ONE_TOKEN))
+            });
+
+            it("Should execute tokenToTokenTransferInputSupportingFeeOnTransferTokens", async function () {
+                await createPools()
+                await expectTokenToTokenTrade(() => exchange.tokenToTokenTransferInputSupportingFeeOnTransferTokens(ONE_TOKEN, 1, 1, futureDeadline, addr1.address, tokenB.address), addr1.address, afterFee(ONE_TOKEN))
+                await expectTokenToTokenTrade(() => exchange.tokenToExchangeTransferInputSupportingFeeOnTransferTokens(ONE_TOKEN, 1, 1, futureDeadline, addr1.address, exchangeB.address), addr1.address, afterFee(ONE_TOKEN))
+            });
+
+            it("Should execute the token to token swaps", async function () {
+                await createPools()
+                // Without the SupportingFeeOnTransferTokens functions, the exchange prices the tokens sent, not what it receives.
+                await expectTokenToTokenTrade(() => exchange.tokenToTokenSwapInput(ONE_TOKEN, 1, 1, futureDeadline, tokenB.address), owner.address, ONE_TOKEN)
+                await expectTokenToTokenTrade(() => exchange.tokenToExchangeTransferInput(ONE_TOKEN, 1, 1, futureDeadline, addr1.address, exchangeB.address), addr1.address, ONE_TOKEN)
+
+                const { tokensSold } = pricing.getTokenToTokenOutputPrice(ONE_TOKEN, await getReserves(exchange, token), await getReserves(exchangeB, tokenB))
+                const ownerBalanceBefore = await token.balanceOf(owner.address)
+                const { tokenReserve } = await getReserves(exchange, token)
+                await exchange.tokenToTokenTransferOutput(ONE_TOKEN, MAX, MAX, futureDeadline, addr1.address, tokenB.address)
+                expect(await token.balanceOf(owner.address)).to.equal(ownerBalanceBefore.sub(tokensSold))
+                expect(await token.balanceOf(exchange.address)).to.equal(tokenReserve.add(afterFee(tokensSold)))
+            });
+
+            it("Should swap through the router", async function () {
+                await createPools()
+                if (fee > 0) {
+                    // The router receives less than it forwards to the exchange.
+                    await expect(router.swapExactInput([token.address, tokenB.address], ONE_TOKEN, 1, addr1.address, futureDeadline))
+                        .to.be.revertedWith("exchange:tokenToTokenInput failed to transfer tokens")
+                    await expect(router.swapExactOutput([token.address, ETH], ONE_ETH, MAX, addr1.address, futureDeadline))
+                        .to.be.revertedWith("exchange:tokenToEthOutput failed to transfer tokens")
+                    return
+                }
+                const amounts = await router.getAmountsOut([token.address, tokenB.address], ONE_TOKEN)
+                await router.swapExactInput([token.address, tokenB.address], ONE_TOKEN, 1, addr1.address, futureDeadline)
+                expect(await tokenB.balanceOf(addr1.address)).to.equal(amounts[1])
+
+                const [tokensSold] = await router.getAmountsIn([token.address, ETH], ONE_ETH)
+                const ownerBalanceBefore = await token.balanceOf(owner.address)
+                await router.swapExactOutput([token.address, ETH], ONE_ETH, MAX, addr1.address, futureDeadline)
+                expect(await token.balanceOf(owner.address)).to.equal(ownerBalanceBefore.sub(tokensSold))
+                expect(await token.balanceOf(router.address)).to.equal(0)
+
+                // Selling the tokens right after buying them needs less than quoted: the router resets the allowance it did not use.
+                for (let i = 0; i < 2; i++) {
+                    await router.swapExactOutput([ETH, token.address, tokenB.address], ONE_TOKEN, MAX, addr1.address, futureDeadline, { value: ONE_ETH })
+                    expect(await token.allowance(router.address, exchange.address)).to.equal(0)
+                }
+            });
+
+            it("Should mint liquidity for the Tokens received", async function () {
+                await createPools()
+                const { ethReserve, tokenReserve } = await getReserves(exchange, token)
+                const totalSupply = await exchange.totalSupply()
+                const tokenAmount = ONE_ETH.mul(tokenReserve).div(ethReserve).add(1)
+                const tokensReceived = afterFee(tokenAmount)
+                const liquidityMinted = fee === 0 ? ONE_ETH.mul(totalSupply).div(ethReserve) : tokensReceived.mul(totalSupply).div(tokenReserve)
+
+                await expect(exchange.connect(addr1).addLiquiditySupportingFeeOnTransferTokens(1, MAX, futureDeadline, { value: ONE_ETH }))
+                    .to.be.revertedWith("exchange:addLiquidity failed to transfer tokens")
+                await expect(exchange.addLiquiditySupportingFeeOnTransferTokens(liquidityMinted.add(1), MAX, futureDeadline, { value: ONE_ETH }))
+                    .to.be.revertedWith("exchange:addLiquidity maxTokens or liquidityMinted is too low")
+                await expect(exchange.addLiquiditySupportingFeeOnTransferTokens(1, MAX, futureDeadline, { value: ONE_ETH }))
+                    .to.emit(exchange, "AddLiquidity").withArgs(owner.address, ONE_ETH, tokensReceived)
+                expect(await exchange.balanceOf(owner.address)).to.equal(totalSupply.add(liquidityMinted))
+                expect(await getReserves(exchange, token)).to.deep.equal({ ethReserve: ethReserve.add(ONE_ETH), tokenReserve: tokenReserve.add(tokensReceived) })
+
+                const [ethAmount, tokenAmountOut] = await exchange.getLiquidityValue(liquidityMinted)
+                const ownerBalanceBefore = await token.balanceOf(owner.address)
+                await expect(exchange.removeLiquidity(liquidityMinted, 1, 1, futureDeadline))
+                    .to.emit(exchange, "RemoveLiquidity").withArgs(owner.address, ethAmount, tokenAmountOut)
+                expect(await token.balanceOf(owner.address)).to.equal(ownerBalanceBefore.add(afterFee(tokenAmountOut)))
+            });
+
+            it("Should revert when the Tokens cannot be transferred", async function () {
+                await createPools()
+                const balance = await token.balanceOf(owner.address)
+                await expect(exchange.tokenToEthSwapInput(balance.add(1), 1, futureDeadline))
+                    .to.be.revertedWith("exchange:tokenToEthInput failed to transfer tokens")
+                await expect(exchange.connect(addr1).tokenToEthSwapInputSupportingFeeOnTransferTokens(ONE_TOKEN, 1, futureDeadline))
+                    .to.be.revertedWith("exchange:tokenToEthInput failed to transfer tokens")
+                await expect(exchange.connect(addr1).tokenToTokenSwapInputSupportingFeeOnTransferTokens(ONE_TOKEN, 1, 1, futureDeadline, tokenB.address))
+                    .to.be.revertedWith("exchange:tokenToTokenInput failed to transfer tokens")
+                await expect(exchange.connect(addr1).tokenToEthSwapOutput(ONE_ETH, MAX, futureDeadline))
+                    .to.be.revertedWith("exchange:tokenToEthOutput failed to transfer tokens")
+                await expect(router.connect(addr1).swapExactInput([token.address, ETH], ONE_TOKEN, 1, addr1.address, futureDeadline))
+                    .to.be.revertedWith("router:swapInput failed to transfer tokens")
+            });
         });
-    });
+    }
 });
\ No newline at end of file
@@ -0,0 +1,99 @@
+const { expect } = require("chai");
+
+describe("Uniswap-V1", function () {
+
+    let Exchange;
+    let Factory;
+    let Token;
+    let owner;
+    let addr1;
+    let template;
+    let factory;
+    let token;
+    let otherToken;
+
+    beforeEach(async function () {
+        Exchange = await ethers.getContractFactory("Exchange");
+        Factory = await ethers.getContractFactory("Factory");
+        Token = await ethers.getContractFactory("Token");
+        [owner, addr1] = await ethers.getSigners();
+        template = await Exchange.deploy();
+        await template.deployed();
+        factory = await Factory.deploy(template.address);
+        await factory.deployed();
+        token = await Token.deploy("test token", "test");
+        await token.deployed();
+        otherToken = await Token.deploy("other token", "other");
+        await otherToken.deployed();
+    });
+
+    describe("Factory", function () {
+
+        it("Should check exchange template address", async function () {
+            expect(await factory.exchangeTemplate()).to.equal(template.address)
+            expect(await factory.tokenCount()).to.equal(0)
+        });
+
+        it("Should revert with zero template address", async function () {
+            await expect(Factory.deploy(ethers.constants.AddressZero)).to.be.revertedWith("factory:constructor invalid template address")
+        });
+
+        it("Should create an exchange", async function () {
+            const tx = await factory.connect(addr1).createExchange(token.address)
+            const receipt = await tx.wait()
+
+            const event = receipt.events.find(event => event.event === 'NewExchange');
+            const [tokenAddr, exchangeAddr] = event.args;
+
+            expect(tokenAddr).to.equal(token.address)
+            expect(exchangeAddr).to.not.equal(template.address)
+            expect(await factory.getExchange(token.address)).to.equal(exchangeAddr)
+            expect(await factory.getToken(exchangeAddr)).to.equal(token.address)
+            expect(await factory.getTokenWithId(1)).to.equal(token.address)
+            expect(await factory.tokenCount()).to.equal(1)
+
+            const exchange = Exchange.attach(exchangeAddr)
+            expect(await exchange.tokenAddress()).to.equal(token.address)
+            expect(await exchange.factoryAddress()).to.equal(factory.address)
+            expect(await exchange.symbol()).to.equal(ethers.utils.formatBytes32String("UNIV1"))
+            expect(await exchange.decimals()).to.equal(18)
+        });
+
+        it("Should create one exchange per token", async function () {
+            await factory.createExchange(token.address)
+            await factory.createExchange(otherToken.address)
+
+            const exchangeAddr = await factory.getExchange(token.address)
+            const otherExchangeAddr = await factory.getExchange(otherToken.address)
+
+            expect(exchangeAddr).to.not.equal(otherExchangeAddr)
+            expect(await factory.getTokenWithId(1)).to.equal(token.address)
+            expect(await factory.getTokenWithId(2)).to.equal(otherToken.address)
+            expect(await factory.getToken(otherExchangeAddr)).to.equal(otherToken.address)
+            expect(await factory.tokenCount()).to.equal(2)
+
+            await expect(factory.createExchange(token.address)).to.be.revertedWith("factory:createExchange exchange already exists")
+            await expect(factory.createExchange(ethers.constants.AddressZero)).to.be.revertedWith("factory:createExchange invalid token address")
+        });
+
+        it("Should not setup a created exchange twice", async function () {
+            await factory.createExchange(token.address)
+            const exchange = Exchange.attach(await factory.getExchange(token.address))
+
+            await expect(exchange.setup(otherToken.address)).to.be.revertedWith("exchange:setup factory and token already set")
+        });
+
+        it("Should not setup the template", async function () {
+            await expect(template.setup(token.address)).to.be.revertedWith("exchange:setup template cannot be set up")
+            await factory.createExchange(token.address)
+            expect(await template.tokenAddress()).to.equal(ethers.constants.AddressZero)
+            expect(await template.factoryAddress()).to.equal(ethers.constants.AddressZero)
+        });
+
+        it("Should return zero address for unknown tokens and exchanges", async function () {
+            expect(await factory.getExchange(token.address)).to.equal(ethers.constants.AddressZero)
+            expect(await factory.getToken(addr1.address)).to.equal(ethers.constants.AddressZero)
+            expect(await factory.getTokenWithId(1)).to.equal(ethers.constants.AddressZero)
+        });
+    });
+});
@@ -0,0 +1,193 @@
+const { expect } = require("chai");
+const { deployFactory, deployToken, createPool } = require("./helpers/pools");
+
+describe("Uniswap-V1", function () {
+
+    let owner;
+    let token;
+    let exchange;
+    let borrower;
+    let futureDeadline;
+    const provider = waffle.provider;
+    const TEN_ETH = ethers.utils.parseEther('10')
+    const TWENTY_TOKENS = ethers.utils.parseUnits('20')
+    const ONE_ETH = ethers.utils.parseEther('1')
+    const ONE_TOKEN = ethers.utils.parseUnits('1')
+
+    async function getK(pool) {
+        return (await provider.getBalance(pool.address)).mul(await token.balanceOf(pool.address))
+    }
+
+    beforeEach(async function () {
+        const FlashSwapBorrower = await ethers.getContractFactory("FlashSwapBorrower");
+        [owner] = await ethers.getSigners();
+        token = await deployToken("test")
+        futureDeadline = (await provider.getBlock("latest")).timestamp + 3600;
+        exchange = await createPool(await deployFactory(), token, TEN_ETH, TWENTY_TOKENS)
+        borrower = await FlashSwapBorrower.deploy()
+        await borrower.deployed()
+        await token.mint(borrower.address, ethers.utils.parseUnits('100'))
+        await owner.sendTransaction({ to: borrower.address, value: ethers.utils.parseEther('5') })
+    });
+
+    describe("FlashSwap", function () {
+
+        it("Should lend tokens paid back in tokens with the fee", async function () {
+            // 997 borrowed tokens need 1000 tokens paid back.
+            const borrowed = ONE_TOKEN.mul(997).div(1000)
+            await borrower.setRepayment(0, ONE_TOKEN)
+            const kBefore = await getK(exchange)
+
+            await expect(borrower.borrow(exchange.address, 0, borrowed))
+                .to.emit(exchange, "FlashSwap").withArgs(borrower.address, borrower.address, 0, borrowed, 0, ONE_TOKEN)
+
+            expect(await token.balanceOf(exchange.address)).to.equal(TWENTY_TOKENS.sub(borrowed).add(ONE_TOKEN))
+            expect(await getK(exchange)).to.be.gt(kBefore)
+        });
+
+        it("Should lend ETH paid back in ETH with the fee", async function () {
+            const borrowed = ONE_ETH.mul(997).div(1000)
+            await borrower.setRepayment(ONE_ETH, 0)
+
+            await expect(borrower.borrow(exchange.address, borrowed, 0))
+                .to.emit(exchange, "FlashSwap").withArgs(borrower.address, borrower.address, borrowed, 0, ONE_ETH, 0)
+
+            expect(await provider.getBalance(exchange.address)).to.equal(TEN_ETH.sub(borrowed).add(ONE_ETH))
+        });
+
+        it("Should lend tokens paid back in ETH at the output price", async function () {
+            const ethRepay = await exchange.getEthToTokenOutputPrice(ONE_TOKEN)
+            await borrower.setRepayment(ethRepay, 0)
+
+            await borrower.borrow(exchange.address, 0, ONE_TOKEN)
+
+            expect(await provider.getBalance(exchange.address)).to.equal(TEN_ETH.add(ethRepay))
+            expect(await token.balanceOf(exchange.address)).to.equal(TWENTY_TOKENS.sub(ONE_TOKEN))
+        });
+
+        it("Should revert when under-repaid", async function () {
+            await expect(borrower.borrow(exchange.address, 0, ONE_TOKEN))
+                .to.be.revertedWith("exchange:flashSwap nothing paid back")
+
+            await borrower.setRepayment(0, ONE_TOKEN)
+            await expect(borrower.borrow(exchange.address, 0, ONE_TOKEN))
+                .to.be.revertedWith("exchange:flashSwap invariant violated")
+
+            const borrowed = ONE_TOKEN.mul(997).div(1000)
+            await borrower.setRepayment(0, ONE_TOKEN.sub(1))
+            await expect(borrower.borrow(exchange.address, 0, borrowed))
+                .to.be.revertedWith("exchange:flashSwap invariant violated")
+
+            await borrower.setRepayment(ONE_ETH, 0)
+            await expect(borrower.borrow(exchange.address, ONE_ETH, 0))
+                .to.be.revertedWith("exchange:flashSwap invariant violated")
+
+            const ethRepay = await exchange.getEthToTokenOutputPrice(ONE_TOKEN)
+            await borrower.setRepayment(ethRepay.sub(2), 0)
+            await expect(borrower.borrow(exchange.address, 0, ONE_TOKEN))
+                .to.be.revertedWith("exchange:flashSwap invariant violated")
+        });
+
+        it("Should revert with invalid parameters", async function () {
+            await expect(exchange.flashSwap(0, 0, borrower.address, "0x"))
+                .to.be.revertedWith("exchange:flashSwap invalid parameters")
+            await expect(exchange.flashSwap(1, 0, ethers.constants.AddressZero, "0x"))
+                .to.be.revertedWith("exchange:flashSwap invalid receiver address")
+            await expect(exchange.flashSwap(1, 0, exchange.address, "0x"))
+                .to.be.revertedWith("exchange:flashSwap invalid receiver address")
+            await expect(exchange.flashSwap(TEN_ETH, 0, borrower.address, "0x"))
+                .to.be.revertedWith("exchange:flashSwap insufficient reserves")
+            await expect(exchange.flashSwap(0, TWENTY_TOKENS, borrower.address, "0x"))
+                .to.be.revertedWith("exchange:flashSwap insufficient reserves")
+        });
+
+        it("Should revert on reentrancy into swaps during the callback", async function () {
+            await borrower.setRepayment(0, ethers.utils.parseUnits('2'))
+
+            await borrower.setReentry(exchange.address, ONE_ETH, exchange.interface.encodeFunctionData("ethToTokenSwapInput", [1, futureDeadline]))
+            await expect(borrower.borrow(exchange.address, 0, ONE_TOKEN)).to.be.revertedWith("exchange:lock reentrant call")
+
+            await borrower.setReentry(exchange.address, 0, exchange.interface.encodeFunctionData("tokenToEthSwapInput", [ONE_TOKEN, 1, futureDeadline]))
+            await expect(borrower.borrow(exchange.address, 0, ONE_TOKEN)).to.be.revertedWith("exchange:lock reentrant call")
+
+            await borrower.setReentry(exchange.address, 0, exchange.interface.encodeFunctionData("tokenToEthSwapOutput", [ONE_ETH, TWENTY_TOKENS, futureDeadline]))
+            await expect(borrower.borrow(exchange.address, 0, ONE_TOKEN)).to.be.revertedWith("exchange:lock reentrant call")
+
+            // ETH sent with unknown calldata reaches the fallback function, which buys tokens too.
+            await borrower.setReentry(exchange.address, ONE_ETH, "0x01")
+            await expect(borrower.borrow(exchange.address, 0, ONE_TOKEN)).to.be.revertedWith("exchange:lock reentrant call")
+
+            await borrower.setReentry(exchange.address, 0, exchange.interface.encodeFunctionData("flashSwap", [1, 0, borrower.address, "0x"]))
+            await expect(borrower.borrow(exchange.address, 0, ONE_TOKEN)).to.be.revertedWith("exchange:lock reentrant call")
+        });
+
+        it("Should revert on reentrancy into liquidity functions during the callback", async function () {
+            await borrower.setRepayment(0, ethers.utils.parseUnits('2'))
+
+            await borrower.setReentry(exchange.address, ONE_ETH, exchange.interface.encodeFunctionData("addLiquidity", [1, TWENTY_TOKENS, futureDeadline]))
+            await expect(borrower.borrow(exchange.address, 0, ONE_TOKEN)).to.be.revertedWith("exchange:lock reentrant call")
+
+            await borrower.setReentry(exchange.address, 0, exchange.interface.encodeFunctionData("removeLiquidity", [1, 1, 1, futureDeadline]))
+            await expect(borrower.borrow(exchange.address, 0, ONE_TOKEN)).to.be.revertedWith("exchange:lock reentrant call")
+        });
+
+        it("Should revert on reads of the lent out reserves during the callback", async function () {
+            await borrower.setRepayment(0, ethers.utils.parseUnits('2'))
+
+            await borrower.setReentry(exchange.address, 0, exchange.interface.encodeFunctionData("getLiquidityValue", [TEN_ETH]))
+            await expect(borrower.borrow(exchange.address, 0, TWENTY_TOKENS.sub(1))).to.be.revertedWith("exchange:lock reentrant call")
+
+            await borrower.setReentry(exchange.address, 0, exchange.interface.encodeFunctionData("getCumulativePrices"))
+            await expect(borrower.borrow(exchange.address, 0, ONE_TOKEN)).to.be.revertedWith("exchange:lock reentrant call")
+
+            await borrower.setReentry(exchange.address, 0, exchange.interface.encodeFunctionData("getTokenToEthInputPrice", [ONE_TOKEN]))
+            await expect(borrower.borrow(exchange.address, 0, ONE_TOKEN)).to.be.revertedWith("exchange:lock reentrant call")
+
+            await borrower.setReentry(exchange.address, 0, exchange.interface.encodeFunctionData("getEthToTokenOutputPrice", [ONE_TOKEN]))
+            await expect(borrower.borrow(exchange.address, 0, ONE_TOKEN)).to.be.revertedWith("exchange:lock reentrant call")
+
+            // Outside of a flash swap, the views read the reserves.
+            const [ethAmount, tokenAmount] = await exchange.getLiquidityValue(TEN_ETH)
+            expect(ethAmount).to.equal(TEN_ETH)
+            expect(tokenAmount).to.equal(TWENTY_TOKENS)
+        });
+
+        it("Should arbitrage between two exchanges with a flash swap", async function () {
+            // The token costs 0.5 ETH on exchange and 1 ETH on expensiveExchange, the pool of a second factory.
+            const expensiveExchange = await createPool(await deployFactory(), token, TEN_ETH, ethers.utils.parseUnits('10'))
+            const FlashSwapArbitrageur = await ethers.getContractFactory("FlashSwapArbitrageur");
+            const arbitrageur = await FlashSwapArbitrageur.deploy()
+            await arbitrageur.deployed()
+
+            const tokenAmount = ethers.utils.parseUnits('2')
+            const ethRepay = await exchange.getEthToTokenOutputPrice(tokenAmount)
+            const ethBought = await expensiveExchange.getTokenToEthInputPrice(tokenAmount)
+            const profit = ethBought.sub(ethRepay)
+            expect(profit).to.be.gt(0)
+
+            const kBefore = await getK(exchange)
+            const ownerBalanceBefore = await provider.getBalance(owner.address)
+            const tx = await arbitrageur.arbitrage(exchange.address, expensiveExchange.address, tokenAmount)
+            const receipt = await tx.wait()
+            await expect(tx).to.emit(exchange, "FlashSwap").withArgs(arbitrageur.address, arbitrageur.address, 0, tokenAmount, ethRepay, 0)
+
+            const gas = receipt.gasUsed.mul(receipt.effectiveGasPrice)
+            expect(await provider.getBalance(owner.address)).to.equal(ownerBalanceBefore.add(profit).sub(gas))
+
+            expect(await provider.getBalance(arbitrageur.address)).to.equal(0)
+            expect(await getK(exchange)).to.be.gte(kBefore)
+
+            await expect(arbitrageur.arbitrage(expensiveExchange.address, exchange.address, tokenAmount))
+                .to.be.revertedWith("exchange:tokenToEthInput too low amount")
+        });
+
+        it("Should reject callbacks it did not initiate", async function () {
+            const FlashSwapArbitrageur = await ethers.getContractFactory("FlashSwapArbitrageur");
+            const arbitrageur = await FlashSwapArbitrageur.deploy()
+            await arbitrageur.deployed()
+
+            await expect(exchange.flashSwap(0, ONE_TOKEN, arbitrageur.address, "0x"))
+                .to.be.revertedWith("flashSwapArbitrageur:onFlashSwap unexpected flash swap")
+        });
+    });
+});
@@ -0,0 +1,238 @@
+const fs = require("fs");
+const path = require("path");
+const fc = require("fast-check");
+const { expect } = require("chai");
+const { SWAPS, amount, account, pool, operationSequences, resolve } = require("./helpers/operations");
+const { deployFactory } = require("./helpers/pools");
+
+// Shrunk failing sequences are saved here and replayed by every later run.
+const FIXTURES = path.join(__dirname, "fixtures", "invariants");
+const RUNS = Number(process.env.INVARIANT_RUNS || 20);
+const SEED = process.env.INVARIANT_SEED === undefined ? undefined : Number(process.env.INVARIANT_SEED);
+
+describe("Uniswap-V1", function () {
+
+    let accounts;
+    let pools;
+    let snapshot;
+    let deadline;
+    const MAX = ethers.constants.MaxUint256;
+
+    const operations = operationSequences({ account, pool, amount }, { swap: { recipient: account }, minLength: 1, maxLength: 15 });
+
+    // Reason of a require failure, other errors (panics, out of gas) are rethrown.
+    async function revertReason(promise) {
+        try {
+            await promise;
+        } catch (e) {
+            const match = /reverted with reason string ['"]([^'"]*)['"]/.exec(e.message);
+            if (!match) {
+                throw e;
+            }
+            return match[1];
+        }
+        return null;
+    }
+
+    async function getState() {
+        return Promise.all(pools.map(async ({ exchange, token }) => ({
+            ethReserve: await waffle.provider.getBalance(exchange.address),
+            tokenReserve: await token.balanceOf(exchange.address),
+            totalSupply: await exchange.totalSupply(),
+            liquidity: await Promise.all(accounts.map(account => exchange.balanceOf(account.address)))
+        })));
+    }
+
+    async function checkInvariants(operation, before, after) {
+        for (let i = 0; i < pools.length; i++) {
+            const [b, a] = [before[i], after[i]];
+            if (operation.type !== "removeLiquidity") {
+                expect(a.ethReserve.mul(a.tokenReserve).gte(b.ethReserve.mul(b.tokenReserve)), `k of pool ${i} decreased`).to.be.true;
+            }
+
+            let ethRedeemable = ethers.BigNumber.from(0);
+            let tokensRedeemable = ethers.BigNumber.from(0);
+            for (const liquidity of a.liquidity.filter(liquidity => liquidity.gt(0))) {
+                const [ethAmount, tokenAmount] = await pools[i].exchange.getLiquidityValue(liquidity);
+                ethRedeemable = ethRedeemable.add(ethAmount);
+                tokensRedeemable = tokensRedeemable.add(tokenAmount);
+            }
+            expect(ethRedeemable.lte(a.ethReserve) && tokensRedeemable.lte(a.tokenReserve), `LPs of pool ${i} can redeem more than its reserves`).to.be.true;
+
+            if (operation.type === "swap") {
+                // Whatever leaves the pool is at most the exact price of what came in, fee included.
+                const ethIn = a.ethReserve.sub(b.ethReserve);
+                const tokensIn = a.tokenReserve.sub(b.tokenReserve);
+                if (!ethIn.isZero() || !tokensIn.isZero()) {
+                    const [amountIn, inputReserve, amountOut, outputReserve] = ethIn.gt(0)
+                        ? [ethIn, b.ethReserve, tokensIn.mul(-1), b.tokenReserve]
+                        : [tokensIn, b.tokenReserve, ethIn.mul(-1), b.ethReserve];
+                    expect(amountOut.mul(inputReserve.mul(1000).add(amountIn.mul(997))).lte(amountIn.mul(997).mul(outputReserve)), `pool ${i} rounded in favor of the trader`).to.be.true;
+                }
+            } else if (b.totalSupply.gt(0) && a.totalSupply.gt(0)) {
+                // Adding or removing liquidity never lowers the reserves backing each UNI.
+                expect(a.ethReserve.mul(b.totalSupply).gte(b.ethReserve.mul(a.totalSupply)), `ETH per UNI of pool ${i} decreased`).to.be.true;
+                expect(a.tokenReserve.mul(b.totalSupply).gte(b.tokenReserve.mul(a.totalSupply)), `Tokens per UNI of pool ${i} decreased`).to.be.true;
+            }
+        }
+    }
+
+    async function quote(swap, inputPool, outputPool, amount) {
+        const quoteOf = async () => {
+            if (swap.input === "eth") {
+                return swap.exactInput ? outputPool.exchange.getEthToTokenInputPrice(amount) : outputPool.exchange.getEthToTokenOutputPrice(amount);
+            }
+            if (swap.output === "eth") {
+                return swap.exactInput ? inputPool.exchange.getTokenToEthInputPrice(amount) : inputPool.exchange.getTokenToEthOutputPrice(amount);
+            }
+            return swap.exactInput
+                ? outputPool.exchange.getEthToTokenInputPrice(await inputPool.exchange.getTokenToEthInputPrice(amount))
+                : inputPool.exchange.getTokenToEthOutputPrice(await outputPool.exchange.getEthToTokenOutputPrice(amount));
+        };
+        try {
+            return await quoteOf();
+        } catch (e) {
+            if (!/reverted with reason string ['"]exchange:/.test(e.message)) {
+                throw e;
+            }
+            return null;
+        }
+    }
+
+    // Sends a swap and checks its result against the quote and what the recipient received.
+    async function swap(operation, state) {
+        const swap = SWAPS.find(swap => swap.name === operation.name);
+        const signer = accounts[operation.account];
+        const recipient = swap.transfer ? accounts[operation.recipient].address : signer.address;
+        const inputPool = swap.input === "eth" ? null : pools[operation.pool];
+        const outputPool = swap.output === "eth" ? null : swap.output === "token" ? pools[operation.pool] : pools[1 - operation.pool];
+        const reference = swap.exactInput
+            ? (swap.input === "eth" ? state[operation.pool].ethReserve : state[operation.pool].tokenReserve)
+            : (swap.output === "eth" ? state[operation.pool].ethReserve : state[pools.indexOf(outputPool)].tokenReserve);
+        const amount = resolve(operation.amount, reference);
+        const quoted = await quote(swap, inputPool, outputPool, amount);
+
+        const kind = swap.input === "eth" ? "ethToToken" : swap.output === "eth" ? "tokenToEth" : "tokenToToken";
+        const args = swap.exactInput
+            ? { ethToToken: [1, deadline], tokenToEth: [amount, 1, deadline], tokenToToken: [amount, 1, 1, deadline] }
+            : { ethToToken: [amount, deadline], tokenToEth: [amount, MAX, deadline], tokenToToken: [amount, MAX, MAX, deadline] };
+        const callArgs = [...args[kind]];
+        if (swap.transfer) {
+            callArgs.push(recipient);
+        }
+        if (swap.output === "otherToken") {
+            callArgs.push(swap.byExchange ? outputPool.exchange.address : outputPool.token.address);
+        }
+        if (swap.input === "eth") {
+            callArgs.push({ value: swap.exactInput ? amount : (quoted || ethers.constants.WeiPerEther).mul(2) });
+        }
+        const exchange = (inputPool || outputPool).exchange.connect(signer);
+
+        let result;
+        const reason = await revertReason((async () => { result = await exchange.callStatic[swap.name](...callArgs); })());
+        if (reason !== null) {
+            expect(reason).to.match(/^exchange:/);
+            return;
+        }
+        expect(quoted === null, `${swap.name} succeeded without a quote`).to.be.false;
+        if (swap.exactInput) {
+            expect(result.lte(quoted), `${swap.name} bought ${result} for a quote of ${quoted}`).to.be.true;
+        } else {
+            expect(result.gte(quoted), `${swap.name} sold ${result} for a quote of ${quoted}`).to.be.true;
+        }
+
+        const bought = swap.exactInput ? result : amount;
+        const balanceOf = swap.output === "eth" ? address => waffle.provider.getBalance(address) : address => outputPool.token.balanceOf(address);
+        const recipientBalanceBefore = await balanceOf(recipient);
+        await exchange[swap.name](...callArgs);
+        // ETH bought by the sender itself is blurred by gas.
+        if (swap.output !== "eth" || recipient !== signer.address) {
+            expect(await balanceOf(recipient)).to.equal(recipientBalanceBefore.add(bought));
+        }
+    }
+
+    async function runOperation(operation, state) {
+        if (operation.type === "swap") {
+            return swap(operation, state);
+        }
+        const signer = accounts[operation.account];
+        const { exchange } = pools[operation.pool];
+        const [method, args] = operation.type === "addLiquidity"
+            ? ["addLiquidity", [1, MAX, deadline, { value: resolve(operation.amount, state[operation.pool].ethReserve) }]]
+            : ["removeLiquidity", [resolve(operation.amount, state[operation.pool].liquidity[operation.account]), 1, 1, deadline]];
+        const reason = await revertReason(exchange.connect(signer).callStatic[method](...args));
+        if (reason !== null) {
+            expect(reason).to.match(/^exchange:/);
+            return;
+        }
+        await exchange.connect(signer)[method](...args);
+    }
+
+    async function runOperations(operations) {
+        await network.provider.send("evm_revert", [snapshot]);
+        snapshot = await network.provider.send("evm_snapshot", []);
+        let state = await getState();
+        for (const operation of operations) {
+            await runOperation(operation, state);
+            const next = await getState();
+            await checkInvariants(operation, state, next);
+            state = next;
+        }
+    }
+
+    function saveFixture(details) {
+        fs.mkdirSync(FIXTURES, { recursive: true });
+        const file = path.join(FIXTURES, `seed-${details.seed}.json`);
+        const fixture = {
+            seed: details.seed,
+            path: details.counterexamplePath,
+            error: details.errorInstance ? details.errorInstance.message : String(details.error),
+            operations: details.counterexample[0]
+        };
+        fs.writeFileSync(file, JSON.stringify(fixture, null, 4) + "\n");
+        return file;
+    }
+
+    before(async function () {
+        const Exchange = await ethers.getContractFactory("Exchange");
+        const Token = await ethers.getContractFactory("Token");
+        accounts = (await ethers.getSigners()).slice(0, 3);
+        const factory = await deployFactory();
+        deadline = (await waffle.provider.getBlock("latest")).timestamp + 365 * 24 * 3600;
+        pools = [];
+        for (const [name, ethAmount, tokenAmount] of [["A", '10', '20'], ["B", '5', '50']]) {
+            const token = await Token.deploy(name, name);
+            await token.deployed();
+            await factory.createExchange(token.address);
+            const exchange = Exchange.attach(await factory.getExchange(token.address));
+            for (const account of accounts) {
+                await token.mint(account.address, ethers.utils.parseUnits('1000'));
+                await token.connect(account).approve(exchange.address, MAX);
+            }
+            await exchange.addLiquidity(0, ethers.utils.parseUnits(tokenAmount), deadline, { value: ethers.utils.parseEther(ethAmount) });
+            pools.push({ token, exchange });
+        }
+        snapshot = await network.provider.send("evm_snapshot", []);
+    });
+
+    describe("Invariants", function () {
+
+        this.timeout(0);
+
+        it("Should hold the invariants through random sequences of operations", async function () {
+            const details = await fc.check(fc.asyncProperty(operations, runOperations), { numRuns: RUNS, seed: SEED });
+            if (details.failed) {
+                const file = saveFixture(details);
+                throw new Error(`${fc.defaultReportMessage(details)}\nSaved as ${path.relative(process.cwd(), file)}`);
+            }
+        });
+
+        const fixtures = fs.existsSync(FIXTURES) ? fs.readdirSync(FIXTURES).filter(file => file.endsWith(".json")).sort() : [];
+        for (const file of fixtures) {
+            it(`Should hold the invariants on ${file}`, async function () {
+                const { operations } = JSON.parse(fs.readFileSync(path.join(FIXTURES, file), "utf8"));
+                await runOperations(operations);
+            });
+        }
+    });
+});
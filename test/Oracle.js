@@ -0,0 +1,158 @@
+const { expect } = require("chai");
+const { oracle } = require("../sdk");
+const { deployFactory, deployToken, createPool } = require("./helpers/pools");
+
+describe("Uniswap-V1", function () {
+
+    let owner;
+    let addr1;
+    let token;
+    let exchange;
+    let futureDeadline;
+    const provider = waffle.provider;
+    const PRICE_PRECISION = ethers.constants.WeiPerEther
+    const TEN_ETH = ethers.utils.parseEther('10')
+    const TWENTY_TOKENS = ethers.utils.parseUnits('20')
+
+    async function increaseTime(seconds) {
+        await provider.send("evm_increaseTime", [seconds]);
+        await provider.send("evm_mine", []);
+    }
+
+    async function getBlockTimestamp(tx) {
+        const receipt = await tx.wait()
+        return (await provider.getBlock(receipt.blockNumber)).timestamp
+    }
+
+    beforeEach(async function () {
+        [owner, addr1] = await ethers.getSigners();
+        token = await deployToken("test");
+        exchange = await createPool(await deployFactory(), token, 0, 0);
+        futureDeadline = (await provider.getBlock("latest")).timestamp + 100000;
+    });
+
+    describe("Oracle", function () {
+
+        it("Should not accumulate prices without liquidity", async function () {
+            const [ethPriceCumulative, tokenPriceCumulative] = await exchange.getCumulativePrices()
+            expect(ethPriceCumulative).to.equal(0)
+            expect(tokenPriceCumulative).to.equal(0)
+
+            const timestamp = await getBlockTimestamp(await exchange.addLiquidity(0, TWENTY_TOKENS, futureDeadline, { value: TEN_ETH }))
+            expect(await exchange.ethPriceCumulativeLast()).to.equal(0)
+            expect(await exchange.tokenPriceCumulativeLast()).to.equal(0)
+            expect(await exchange.blockTimestampLast()).to.equal(timestamp)
+        });
+
+        it("Should accumulate the prices of the reserves over time", async function () {
+            const start = await getBlockTimestamp(await exchange.addLiquidity(0, TWENTY_TOKENS, futureDeadline, { value: TEN_ETH }))
+            await increaseTime(100)
+
+            const [ethPriceCumulative, tokenPriceCumulative, blockTimestamp] = await exchange.getCumulativePrices()
+            const timeElapsed = blockTimestamp.toNumber() - start
+            expect(timeElapsed).to.be.gte(100)
+            expect(ethPriceCumulative).to.equal(PRICE_PRECISION.mul(2).mul(timeElapsed))
+            expect(tokenPriceCumulative).to.equal(PRICE_PRECISION.div(2).mul(timeElapsed))
+        });
+
+        it("Should update the accumulators with the reserves before each call", async function () {
+            const start = await getBlockTimestamp(await exchange.addLiquidity(0, TWENTY_TOKENS, futureDeadline, { value: TEN_ETH }))
+            await increaseTime(50)
+
+            const swapTimestamp = await getBlockTimestamp(await exchange.ethToTokenSwapInput(1, futureDeadline, { value: TEN_ETH }))
+            const ethPriceCumulative = PRICE_PRECISION.mul(2).mul(swapTimestamp - start)
+            const tokenPriceCumulative = PRICE_PRECISION.div(2).mul(swapTimestamp - start)
+            expect(await exchange.ethPriceCumulativeLast()).to.equal(ethPriceCumulative)
+            expect(await exchange.tokenPriceCumulativeLast()).to.equal(tokenPriceCumulative)
+            expect(await exchange.blockTimestampLast()).to.equal(swapTimestamp)
+
+            const ethReserve = await provider.getBalance(exchange.address)
+            const tokenReserve = await token.balanceOf(exchange.address)
+            await increaseTime(50)
+
+            const removeTimestamp = await getBlockTimestamp(await exchange.removeLiquidity(TEN_ETH.div(2), 1, 1, futureDeadline))
+            expect(await exchange.ethPriceCumulativeLast()).to.equal(
+                ethPriceCumulative.add(tokenReserve.mul(PRICE_PRECISION).div(ethReserve).mul(removeTimestamp - swapTimestamp))
+            )
+            expect(await exchange.tokenPriceCumulativeLast()).to.equal(
+                tokenPriceCumulative.add(ethReserve.mul(PRICE_PRECISION).div(tokenReserve).mul(removeTimestamp - swapTimestamp))
+            )
+        });
+
+        it("Should compute the time-weighted average price", async function () {
+            await exchange.addLiquidity(0, TWENTY_TOKENS, futureDeadline, { value: TEN_ETH })
+            const older = await oracle.observe(exchange)
+            await increaseTime(3600)
+            const newer = await oracle.observe(exchange)
+
+            const { ethPrice, tokenPrice } = oracle.computeTwap(older, newer)
+            expect(ethPrice).to.equal(PRICE_PRECISION.mul(2))
+            expect(tokenPrice).to.equal(PRICE_PRECISION.div(2))
+
+            expect(() => oracle.computeTwap(newer, older)).to.throw("oracle:computeTwap observations must be in increasing time order")
+        });
+
+        it("Should compute the time-weighted average price across an overflow", async function () {
+            const MAX = ethers.constants.MaxUint256
+            const older = { ethPriceCumulative: MAX.sub(9), tokenPriceCumulative: MAX, timestamp: 100 }
+            const newer = { ethPriceCumulative: 10, tokenPriceCumulative: 19, timestamp: 110 }
+
+            const { ethPrice, tokenPrice } = oracle.computeTwap(older, newer)
+            expect(ethPrice).to.equal(2)
+            expect(tokenPrice).to.equal(2)
+        });
+
+        it("Should barely move the average price with a single block manipulation", async function () {
+            await exchange.addLiquidity(0, TWENTY_TOKENS, futureDeadline, { value: TEN_ETH })
+            const older = await oracle.observe(exchange)
+            await increaseTime(3600)
+
+            // Doubles the spot price of ETH in tokens, right before the observation.
+            await token.connect(addr1).approve(exchange.address, ethers.constants.MaxUint256)
+            await token.mint(addr1.address, ethers.utils.parseUnits('100'))
+            await exchange.connect(addr1).tokenToEthSwapInput(ethers.utils.parseUnits('9'), 1, futureDeadline)
+            const newer = await oracle.observe(exchange)
+
+            const spotPrice = (await token.balanceOf(exchange.address)).mul(PRICE_PRECISION).div(await provider.getBalance(exchange.address))
+            expect(spotPrice).to.be.gt(PRICE_PRECISION.mul(4))
+
+            const { ethPrice } = oracle.computeTwap(older, newer)
+            const deviation = ethPrice.sub(PRICE_PRECISION.mul(2)).mul(10000).div(PRICE_PRECISION.mul(2))
+            expect(deviation).to.be.lt(10)
+        });
+
+        it("Should not move the average price with a donation right before the observation", async function () {
+            await exchange.addLiquidity(0, TWENTY_TOKENS, futureDeadline, { value: TEN_ETH })
+            const older = await oracle.observe(exchange)
+            await increaseTime(3600)
+
+            // Doubles the token balance without a call to the exchange, so the saved reserves do not change.
+            await token.transfer(exchange.address, TWENTY_TOKENS)
+            await owner.sendTransaction({ to: exchange.address, value: TEN_ETH.div(2) })
+            const newer = await oracle.observe(exchange)
+            expect(await exchange.ethReserveLast()).to.equal(TEN_ETH)
+            expect(await exchange.tokenReserveLast()).to.equal(TWENTY_TOKENS)
+
+            const { ethPrice, tokenPrice } = oracle.computeTwap(older, newer)
+            expect(ethPrice).to.equal(PRICE_PRECISION.mul(2))
+            expect(tokenPrice).to.equal(PRICE_PRECISION.div(2))
+        });
+
+        it("Should feed an on-chain consumer", async function () {
+            await exchange.addLiquidity(0, TWENTY_TOKENS, futureDeadline, { value: TEN_ETH })
+            const ExampleTwapOracle = await ethers.getContractFactory("ExampleTwapOracle");
+            const twapOracle = await ExampleTwapOracle.deploy(exchange.address, 3600)
+            await twapOracle.deployed()
+
+            await expect(twapOracle.consultEthToToken(TEN_ETH)).to.be.revertedWith("exampleTwapOracle:consultEthToToken no average price yet")
+            await expect(twapOracle.update()).to.be.revertedWith("exampleTwapOracle:update period not elapsed")
+
+            await increaseTime(3600)
+            await twapOracle.update()
+
+            expect(await twapOracle.ethPriceAverage()).to.equal(PRICE_PRECISION.mul(2))
+            expect(await twapOracle.consultEthToToken(TEN_ETH)).to.equal(TWENTY_TOKENS)
+            expect(await twapOracle.consultTokenToEth(TWENTY_TOKENS)).to.equal(TEN_ETH)
+        });
+    });
+});
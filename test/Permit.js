@@ -0,0 +1,216 @@
+const { expect } = require("chai");
+const { permit } = require("../sdk");
+const { deployFactory } = require("./helpers/pools");
+
+describe("Uniswap-V1", function () {
+
+    let Exchange;
+    let owner;
+    let addr1;
+    let factory;
+    let token;
+    let otherToken;
+    let exchange;
+    let otherExchange;
+    let futureDeadline;
+    const provider = waffle.provider;
+    const TEN_ETH = ethers.utils.parseEther('10')
+    const TWENTY_TOKENS = ethers.utils.parseUnits('20')
+    const ONE_ETH = ethers.utils.parseEther('1')
+    const ONE_TOKEN = ethers.utils.parseUnits('1')
+
+    async function increaseTime(seconds) {
+        await provider.send("evm_increaseTime", [seconds]);
+        await provider.send("evm_mine", []);
+    }
+
+    async function gasCost(tx) {
+        const receipt = await tx.wait()
+        return receipt.gasUsed.mul(receipt.effectiveGasPrice)
+    }
+
+    async function createExchange(tokenContract) {
+        await factory.createExchange(tokenContract.address)
+        const pool = Exchange.attach(await factory.getExchange(tokenContract.address))
+        await tokenContract.mint(owner.address, ethers.utils.parseUnits('1000'))
+        await tokenContract.mint(addr1.address, ethers.utils.parseUnits('1000'))
+        await tokenContract.approve(pool.address, TWENTY_TOKENS)
+        await pool.addLiquidity(0, TWENTY_TOKENS, futureDeadline, { value: TEN_ETH })
+        return pool
+    }
+
+    beforeEach(async function () {
+        Exchange = await ethers.getContractFactory("Exchange");
+        const PermitToken = await ethers.getContractFactory("PermitToken");
+        [owner, addr1] = await ethers.getSigners();
+        factory = await deployFactory();
+        token = await PermitToken.deploy("permit token", "permit");
+        await token.deployed();
+        otherToken = await PermitToken.deploy("other permit token", "other");
+        await otherToken.deployed();
+        futureDeadline = (await provider.getBlock("latest")).timestamp + 3600;
+        exchange = await createExchange(token)
+        otherExchange = await createExchange(otherToken)
+    });
+
+    describe("Permit", function () {
+
+        it("Should approve UNI tokens with a signature", async function () {
+            const { domain } = await permit.buildPermit(exchange, provider, { owner: owner.address, spender: addr1.address, value: ONE_ETH, deadline: futureDeadline })
+            expect(domain.name).to.equal("UNI-V1")
+            expect(await exchange.DOMAIN_SEPARATOR()).to.equal(ethers.utils._TypedDataEncoder.hashDomain(domain))
+
+            const { v, r, s } = await permit.signPermit(owner, exchange, { spender: addr1.address, value: ONE_ETH, deadline: futureDeadline })
+            await expect(exchange.connect(addr1).permit(owner.address, addr1.address, ONE_ETH, futureDeadline, v, r, s))
+                .to.emit(exchange, "Approval").withArgs(owner.address, addr1.address, ONE_ETH)
+
+            expect(await exchange.allowance(owner.address, addr1.address)).to.equal(ONE_ETH)
+            expect(await exchange.nonces(owner.address)).to.equal(1)
+
+            await exchange.connect(addr1).transferFrom(owner.address, addr1.address, ONE_ETH)
+            expect(await exchange.balanceOf(addr1.address)).to.equal(ONE_ETH)
+        });
+
+        it("Should reject expired, replayed and forged UNI permits", async function () {
+            const { v, r, s } = await permit.signPermit(owner, exchange, { spender: addr1.address, value: ONE_ETH, deadline: futureDeadline })
+
+            await expect(exchange.permit(owner.address, addr1.address, ONE_ETH.add(1), futureDeadline, v, r, s))
+                .to.be.revertedWith("exchange:permit invalid signature")
+            await expect(exchange.permit(addr1.address, addr1.address, ONE_ETH, futureDeadline, v, r, s))
+                .to.be.revertedWith("exchange:permit invalid signature")
+
+            await exchange.permit(owner.address, addr1.address, ONE_ETH, futureDeadline, v, r, s)
+            await expect(exchange.permit(owner.address, addr1.address, ONE_ETH, futureDeadline, v, r, s))
+                .to.be.revertedWith("exchange:permit invalid signature")
+
+            const deadline = (await provider.getBlock("latest")).timestamp + 10
+            const expired = await permit.signPermit(owner, exchange, { spender: addr1.address, value: ONE_ETH, deadline })
+            await increaseTime(20)
+            await expect(exchange.permit(owner.address, addr1.address, ONE_ETH, deadline, expired.v, expired.r, expired.s))
+                .to.be.revertedWith("exchange:permit expired")
+            expect(await exchange.nonces(owner.address)).to.equal(1)
+        });
+
+        it("Should remove liquidity with a permit", async function () {
+            const { v, r, s } = await permit.signPermit(owner, exchange, { spender: addr1.address, value: ONE_ETH, deadline: futureDeadline })
+            const ethBalanceBefore = await provider.getBalance(addr1.address)
+            const tokenBalanceBefore = await token.balanceOf(addr1.address)
+
+            const tx = await exchange.connect(addr1).removeLiquidityWithPermit(ONE_ETH, 1, 1, futureDeadline, owner.address, v, r, s)
+            await expect(tx).to.emit(exchange, "RemoveLiquidity").withArgs(addr1.address, ONE_ETH, ethers.utils.parseUnits('2'))
+
+            expect(await exchange.balanceOf(owner.address)).to.equal(TEN_ETH.sub(ONE_ETH))
+            expect(await exchange.totalSupply()).to.equal(TEN_ETH.sub(ONE_ETH))
+            expect(await exchange.allowance(owner.address, addr1.address)).to.equal(0)
+            expect(await provider.getBalance(addr1.address)).to.equal(ethBalanceBefore.add(ONE_ETH).sub(await gasCost(tx)))
+            expect(await token.balanceOf(addr1.address)).to.equal(tokenBalanceBefore.add(ethers.utils.parseUnits('2')))
+
+            await expect(exchange.connect(addr1).removeLiquidityWithPermit(ONE_ETH, 1, 1, futureDeadline, owner.address, v, r, s))
+                .to.be.revertedWith("exchange:permit invalid signature")
+            // Only the spender of the permit can use it.
+            const other = await permit.signPermit(owner, exchange, { spender: addr1.address, value: ONE_ETH, deadline: futureDeadline })
+            await expect(exchange.removeLiquidityWithPermit(ONE_ETH, 1, 1, futureDeadline, owner.address, other.v, other.r, other.s))
+                .to.be.revertedWith("exchange:permit invalid signature")
+        });
+
+        it("Should add liquidity with a token permit", async function () {
+            expect(await token.allowance(addr1.address, exchange.address)).to.equal(0)
+            const { v, r, s } = await permit.signPermit(addr1, token, { spender: exchange.address, value: TWENTY_TOKENS, deadline: futureDeadline })
+
+            await exchange.connect(addr1).addLiquidityWithPermit(1, TWENTY_TOKENS, futureDeadline, v, r, s, { value: ONE_ETH })
+
+            expect(await exchange.balanceOf(addr1.address)).to.equal(ONE_ETH)
+            expect(await token.balanceOf(exchange.address)).to.equal(TWENTY_TOKENS.add(ethers.utils.parseUnits('2')).add(1))
+            expect(await token.allowance(addr1.address, exchange.address)).to.equal(TWENTY_TOKENS.sub(ethers.utils.parseUnits('2')).sub(1))
+        });
+
+        it("Should swap tokens to ETH with a token permit", async function () {
+            const ethBought = await exchange.getTokenToEthInputPrice(ONE_TOKEN)
+            const input = await permit.signPermit(addr1, token, { spender: exchange.address, value: ONE_TOKEN, deadline: futureDeadline })
+            await expect(exchange.connect(addr1).tokenToEthSwapInputWithPermit(ONE_TOKEN, 1, futureDeadline, input.v, input.r, input.s))
+                .to.emit(exchange, "EthPurchase").withArgs(addr1.address, ONE_TOKEN, ethBought)
+            expect(await token.allowance(addr1.address, exchange.address)).to.equal(0)
+
+            const tokensSold = await exchange.getTokenToEthOutputPrice(ONE_ETH.div(10))
+            const output = await permit.signPermit(addr1, token, { spender: exchange.address, value: TWENTY_TOKENS, deadline: futureDeadline })
+            await expect(exchange.connect(addr1).tokenToEthSwapOutputWithPermit(ONE_ETH.div(10), TWENTY_TOKENS, futureDeadline, output.v, output.r, output.s))
+                .to.emit(exchange, "EthPurchase").withArgs(addr1.address, tokensSold, ONE_ETH.div(10))
+            expect(await token.allowance(addr1.address, exchange.address)).to.equal(TWENTY_TOKENS.sub(tokensSold))
+        });
+
+        it("Should swap tokens to tokens with a token permit", async function () {
+            const ethBought = await exchange.getTokenToEthInputPrice(ONE_TOKEN)
+            const tokensBought = await otherExchange.getEthToTokenInputPrice(ethBought)
+            const input = await permit.signPermit(addr1, token, { spender: exchange.address, value: ONE_TOKEN, deadline: futureDeadline })
+            const otherBalanceBefore = await otherToken.balanceOf(addr1.address)
+
+            await exchange.connect(addr1).tokenToTokenSwapInputWithPermit(ONE_TOKEN, 1, 1, futureDeadline, otherToken.address, input.v, input.r, input.s)
+            expect(await otherToken.balanceOf(addr1.address)).to.equal(otherBalanceBefore.add(tokensBought))
+
+            const ethSold = await otherExchange.getEthToTokenOutputPrice(ONE_TOKEN)
+            const tokensSold = await exchange.getTokenToEthOutputPrice(ethSold)
+            const output = await permit.signPermit(addr1, token, { spender: exchange.address, value: TWENTY_TOKENS, deadline: futureDeadline })
+            await expect(exchange.connect(addr1).tokenToTokenSwapOutputWithPermit(ONE_TOKEN, TWENTY_TOKENS, TEN_ETH, futureDeadline, otherToken.address, output.v, output.r, output.s))
+                .to.emit(exchange, "EthPurchase").withArgs(addr1.address, tokensSold, ethSold)
+            expect(await otherToken.balanceOf(addr1.address)).to.equal(otherBalanceBefore.add(tokensBought).add(ONE_TOKEN))
+        });
+
+        it("Should reject expired and replayed token permits", async function () {
+            const { v, r, s } = await permit.signPermit(addr1, token, { spender: exchange.address, value: ONE_TOKEN, deadline: futureDeadline })
+            await exchange.connect(addr1).tokenToEthSwapInputWithPermit(ONE_TOKEN, 1, futureDeadline, v, r, s)
+            await expect(exchange.connect(addr1).tokenToEthSwapInputWithPermit(ONE_TOKEN, 1, futureDeadline, v, r, s))
+                .to.be.revertedWith("ERC20Permit: invalid signature")
+
+            // The signature is bound to the amount it allows.
+            const other = await permit.signPermit(addr1, token, { spender: exchange.address, value: ONE_TOKEN, deadline: futureDeadline })
+            await expect(exchange.connect(addr1).tokenToEthSwapInputWithPermit(ONE_TOKEN.mul(2), 1, futureDeadline, other.v, other.r, other.s))
+                .to.be.revertedWith("ERC20Permit: invalid signature")
+
+            const deadline = (await provider.getBlock("latest")).timestamp + 10
+            const expired = await permit.signPermit(addr1, token, { spender: exchange.address, value: ONE_TOKEN, deadline })
+            await increaseTime(20)
+            await expect(exchange.connect(addr1).tokenToEthSwapInputWithPermit(ONE_TOKEN, 1, deadline, expired.v, expired.r, expired.s))
+                .to.be.revertedWith("ERC20Permit: expired deadline")
+        });
+
+        it("Should not revert when a permit is front-run", async function () {
+            // Anyone can submit a signed permit before the transaction of its owner.
+            const remove = await permit.signPermit(owner, exchange, { spender: addr1.address, value: ONE_ETH, deadline: futureDeadline })
+            await exchange.permit(owner.address, addr1.address, ONE_ETH, futureDeadline, remove.v, remove.r, remove.s)
+            await expect(exchange.connect(addr1).removeLiquidityWithPermit(ONE_ETH, 1, 1, futureDeadline, owner.address, remove.v, remove.r, remove.s))
+                .to.emit(exchange, "RemoveLiquidity").withArgs(addr1.address, ONE_ETH, ethers.utils.parseUnits('2'))
+            expect(await exchange.allowance(owner.address, addr1.address)).to.equal(0)
+
+            const ethBought = await exchange.getTokenToEthInputPrice(ONE_TOKEN)
+            const swap = await permit.signPermit(addr1, token, { spender: exchange.address, value: ONE_TOKEN, deadline: futureDeadline })
+            await token.permit(addr1.address, exchange.address, ONE_TOKEN, futureDeadline, swap.v, swap.r, swap.s)
+            await expect(exchange.connect(addr1).tokenToEthSwapInputWithPermit(ONE_TOKEN, 1, futureDeadline, swap.v, swap.r, swap.s))
+                .to.emit(exchange, "EthPurchase").withArgs(addr1.address, ONE_TOKEN, ethBought)
+            expect(await token.allowance(addr1.address, exchange.address)).to.equal(0)
+        });
+
+        it("Should skip the permit when the allowance covers the amount", async function () {
+            await token.connect(addr1).approve(exchange.address, ONE_TOKEN)
+            const ethBought = await exchange.getTokenToEthInputPrice(ONE_TOKEN)
+            await expect(exchange.connect(addr1).tokenToEthSwapInputWithPermit(ONE_TOKEN, 1, futureDeadline, 0, ethers.constants.HashZero, ethers.constants.HashZero))
+                .to.emit(exchange, "EthPurchase").withArgs(addr1.address, ONE_TOKEN, ethBought)
+            expect(await token.nonces(addr1.address)).to.equal(0)
+
+            await exchange.approve(addr1.address, ONE_ETH)
+            await exchange.connect(addr1).removeLiquidityWithPermit(ONE_ETH, 1, 1, futureDeadline, owner.address, 0, ethers.constants.HashZero, ethers.constants.HashZero)
+            expect(await exchange.nonces(owner.address)).to.equal(0)
+            expect(await exchange.balanceOf(owner.address)).to.equal(TEN_ETH.sub(ONE_ETH))
+        });
+
+        it("Should revert permit swaps of tokens without EIP-2612", async function () {
+            const Token = await ethers.getContractFactory("Token");
+            const plainToken = await Token.deploy("test token", "test");
+            await plainToken.deployed();
+            const plainExchange = await createExchange(plainToken)
+
+            const { v, r, s } = await permit.signPermit(addr1, exchange, { spender: plainExchange.address, value: ONE_TOKEN, deadline: futureDeadline })
+            await expect(plainExchange.connect(addr1).tokenToEthSwapInputWithPermit(ONE_TOKEN, 1, futureDeadline, v, r, s))
+                .to.be.reverted
+        });
+    });
+});
@@ -0,0 +1,170 @@
+const { expect } = require("chai");
+const { deployFactory, deployToken, createPool } = require("./helpers/pools");
+
+describe("Uniswap-V1", function () {
+
+    let owner;
+    let addr1;
+    let feeTo;
+    let factory;
+    let token;
+    let exchange;
+    let futureDeadline;
+    const provider = waffle.provider;
+    const TEN_ETH = ethers.utils.parseEther('10')
+    const TWENTY_TOKENS = ethers.utils.parseUnits('20')
+    const ONE_ETH = ethers.utils.parseEther('1')
+
+    // Same rounding as Exchange.sqrt.
+    function sqrt(y) {
+        let z = BigInt(0)
+        if (y > BigInt(3)) {
+            z = y
+            let x = y / BigInt(2) + BigInt(1)
+            while (x < z) {
+                z = x
+                x = (y / x + x) / BigInt(2)
+            }
+        } else if (y != BigInt(0)) {
+            z = BigInt(1)
+        }
+        return z
+    }
+
+    async function getReserves() {
+        return {
+            ethReserve: (await provider.getBalance(exchange.address)).toBigInt(),
+            tokenReserve: (await token.balanceOf(exchange.address)).toBigInt()
+        }
+    }
+
+    async function expectedProtocolFee() {
+        const { ethReserve, tokenReserve } = await getReserves()
+        const totalSupply = (await exchange.totalSupply()).toBigInt()
+        const rootK = sqrt(ethReserve * tokenReserve)
+        const rootKLast = sqrt((await exchange.kLast()).toBigInt())
+        if (rootK <= rootKLast) {
+            return BigInt(0)
+        }
+        return totalSupply * (rootK - rootKLast) / (rootK * BigInt(5) + rootKLast)
+    }
+
+    async function trade() {
+        await exchange.connect(addr1).ethToTokenSwapInput(1, futureDeadline, { value: ONE_ETH.mul(2) })
+        await exchange.connect(addr1).tokenToEthSwapInput(ethers.utils.parseUnits('3'), 1, futureDeadline)
+    }
+
+    beforeEach(async function () {
+        [owner, addr1, feeTo] = await ethers.getSigners();
+        factory = await deployFactory();
+        token = await deployToken("test");
+        exchange = await createPool(factory, token, 0, 0);
+        await token.mint(addr1.address, ethers.utils.parseUnits('1000'))
+        await token.connect(addr1).approve(exchange.address, ethers.constants.MaxUint256)
+        futureDeadline = (await provider.getBlock("latest")).timestamp + 3600;
+    });
+
+    describe("ProtocolFee", function () {
+
+        it("Should let only the owner set feeTo", async function () {
+            expect(await factory.owner()).to.equal(owner.address)
+            expect(await factory.feeTo()).to.equal(ethers.constants.AddressZero)
+
+            await expect(factory.connect(addr1).setFeeTo(feeTo.address)).to.be.revertedWith("factory:onlyOwner caller is not the owner")
+            await expect(factory.setFeeTo(feeTo.address)).to.emit(factory, "FeeToChanged").withArgs(ethers.constants.AddressZero, feeTo.address)
+            expect(await factory.feeTo()).to.equal(feeTo.address)
+
+            await expect(factory.connect(addr1).transferOwnership(addr1.address)).to.be.revertedWith("factory:onlyOwner caller is not the owner")
+            await expect(factory.transferOwnership(ethers.constants.AddressZero)).to.be.revertedWith("factory:transferOwnership invalid owner address")
+            await expect(factory.transferOwnership(addr1.address)).to.emit(factory, "OwnershipTransferred").withArgs(owner.address, addr1.address)
+
+            await expect(factory.setFeeTo(ethers.constants.AddressZero)).to.be.revertedWith("factory:onlyOwner caller is not the owner")
+            await factory.connect(addr1).setFeeTo(ethers.constants.AddressZero)
+            expect(await factory.feeTo()).to.equal(ethers.constants.AddressZero)
+        });
+
+        it("Should not mint anything while the switch is off", async function () {
+            await exchange.addLiquidity(0, TWENTY_TOKENS, futureDeadline, { value: TEN_ETH })
+            await trade()
+            await exchange.addLiquidity(1, TWENTY_TOKENS, futureDeadline, { value: ONE_ETH })
+            await trade()
+            await exchange.removeLiquidity(ONE_ETH, 1, 1, futureDeadline)
+
+            expect(await exchange.kLast()).to.equal(0)
+            expect(await exchange.balanceOf(feeTo.address)).to.equal(0)
+            expect(await exchange.totalSupply()).to.equal(await exchange.balanceOf(owner.address))
+        });
+
+        it("Should mint the protocol fee on the growth of sqrt(k) when liquidity is added", async function () {
+            await factory.setFeeTo(feeTo.address)
+            await exchange.addLiquidity(0, TWENTY_TOKENS, futureDeadline, { value: TEN_ETH })
+
+            const { ethReserve, tokenReserve } = await getReserves()
+            expect(await exchange.kLast()).to.equal(ethReserve * tokenReserve)
+            expect(await exchange.balanceOf(feeTo.address)).to.equal(0)
+
+            await trade()
+            const fee = await expectedProtocolFee()
+            expect(fee > BigInt(0)).to.be.true
+
+            await expect(exchange.addLiquidity(1, TWENTY_TOKENS, futureDeadline, { value: ONE_ETH }))
+                .to.emit(exchange, "Transfer").withArgs(ethers.constants.AddressZero, feeTo.address, fee)
+            expect(await exchange.balanceOf(feeTo.address)).to.equal(fee)
+
+            const after = await getReserves()
+            expect(await exchange.kLast()).to.equal(after.ethReserve * after.tokenReserve)
+        });
+
+        it("Should mint the protocol fee when liquidity is removed", async function () {
+            await factory.setFeeTo(feeTo.address)
+            await exchange.addLiquidity(0, TWENTY_TOKENS, futureDeadline, { value: TEN_ETH })
+            await trade()
+            const fee = await expectedProtocolFee()
+
+            await expect(exchange.removeLiquidity(ONE_ETH, 1, 1, futureDeadline))
+                .to.emit(exchange, "Transfer").withArgs(ethers.constants.AddressZero, feeTo.address, fee)
+            expect(await exchange.balanceOf(feeTo.address)).to.equal(fee)
+
+            // Nothing traded since the last liquidity event.
+            await exchange.removeLiquidity(ONE_ETH, 1, 1, futureDeadline)
+            expect(await exchange.balanceOf(feeTo.address)).to.equal(fee)
+        });
+
+        it("Should take 1/6 of the growth of sqrt(k)", async function () {
+            await factory.setFeeTo(feeTo.address)
+            await exchange.addLiquidity(0, TWENTY_TOKENS, futureDeadline, { value: TEN_ETH })
+            const rootKLast = sqrt((await exchange.kLast()).toBigInt())
+            for (let i = 0; i < 5; i++) {
+                await trade()
+            }
+            const { ethReserve, tokenReserve } = await getReserves()
+            const rootK = sqrt(ethReserve * tokenReserve)
+
+            await exchange.removeLiquidity(ONE_ETH, 1, 1, futureDeadline)
+
+            // Value of the fee shares, measured in sqrt(k) before the removal.
+            const fee = (await exchange.balanceOf(feeTo.address)).toBigInt()
+            const totalSupply = (await exchange.totalSupply()).toBigInt() + ONE_ETH.toBigInt()
+            const feeValue = rootK * fee / totalSupply
+            const expectedValue = (rootK - rootKLast) / BigInt(6)
+            expect(Number(expectedValue - feeValue)).to.be.within(0, 2)
+        });
+
+        it("Should stop minting once the switch is turned off", async function () {
+            await factory.setFeeTo(feeTo.address)
+            await exchange.addLiquidity(0, TWENTY_TOKENS, futureDeadline, { value: TEN_ETH })
+            await factory.setFeeTo(ethers.constants.AddressZero)
+            await trade()
+
+            await exchange.addLiquidity(1, TWENTY_TOKENS, futureDeadline, { value: ONE_ETH })
+            expect(await exchange.kLast()).to.equal(0)
+            expect(await exchange.balanceOf(feeTo.address)).to.equal(0)
+
+            // Turning it back on only counts the growth from the next liquidity event.
+            await factory.setFeeTo(feeTo.address)
+            await exchange.addLiquidity(1, TWENTY_TOKENS, futureDeadline, { value: ONE_ETH })
+            expect(await exchange.balanceOf(feeTo.address)).to.equal(0)
+            expect(await exchange.kLast()).to.be.gt(0)
+        });
+    });
+});
@@ -0,0 +1,207 @@
+const { expect } = require("chai");
+const { deployFactory, deployToken, createPool } = require("./helpers/pools");
+
+describe("Uniswap-V1", function () {
+
+    let Exchange;
+    let owner;
+    let addr1;
+    let factory;
+    let router;
+    let tokenA;
+    let tokenB;
+    let tokenC;
+    let futureDeadline;
+    const provider = waffle.provider;
+    const ETH = ethers.constants.AddressZero;
+    const TEN_ETH = ethers.utils.parseEther('10')
+    const ONE_ETH = ethers.utils.parseEther('1')
+    const ONE_TOKEN = ethers.utils.parseUnits('1')
+
+    async function gasCost(tx) {
+        const receipt = await tx.wait()
+        return receipt.gasUsed.mul(receipt.effectiveGasPrice)
+    }
+
+    async function expectEmptyRouter() {
+        expect(await provider.getBalance(router.address)).to.equal(0)
+        for (const token of [tokenA, tokenB, tokenC]) {
+            expect(await token.balanceOf(router.address)).to.equal(0)
+            expect(await token.allowance(router.address, await factory.getExchange(token.address))).to.equal(0)
+        }
+    }
+
+    beforeEach(async function () {
+        Exchange = await ethers.getContractFactory("Exchange");
+        const Router = await ethers.getContractFactory("Router");
+        [owner, addr1] = await ethers.getSigners();
+        factory = await deployFactory();
+        router = await Router.deploy(factory.address);
+        await router.deployed();
+        futureDeadline = (await provider.getBlock("latest")).timestamp + 3600;
+        tokenA = await deployToken("A")
+        tokenB = await deployToken("B")
+        tokenC = await deployToken("C")
+        for (const token of [tokenA, tokenB, tokenC]) {
+            await token.approve(router.address, ethers.constants.MaxUint256)
+        }
+        await createPool(factory, tokenA, TEN_ETH, ethers.utils.parseUnits('20'))
+        await createPool(factory, tokenB, TEN_ETH, ethers.utils.parseUnits('10'))
+        await createPool(factory, tokenC, ethers.utils.parseEther('5'), ethers.utils.parseUnits('50'))
+    });
+
+    describe("Router", function () {
+
+        it("Should swap an exact input along one hop", async function () {
+            const exchangeA = Exchange.attach(await factory.getExchange(tokenA.address))
+            const tokensBought = await exchangeA.getEthToTokenInputPrice(ONE_ETH)
+            expect(await router.getAmountsOut([ETH, tokenA.address], ONE_ETH)).to.deep.equal([ONE_ETH, tokensBought])
+
+            await router.swapExactInput([ETH, tokenA.address], ONE_ETH, tokensBought, addr1.address, futureDeadline, { value: ONE_ETH })
+            expect(await tokenA.balanceOf(addr1.address)).to.equal(tokensBought)
+
+            const ethBought = await exchangeA.getTokenToEthInputPrice(ONE_TOKEN)
+            const ethBalanceBefore = await provider.getBalance(addr1.address)
+            await router.swapExactInput([tokenA.address, ETH], ONE_TOKEN, ethBought, addr1.address, futureDeadline)
+            expect(await provider.getBalance(addr1.address)).to.equal(ethBalanceBefore.add(ethBought))
+            await expectEmptyRouter()
+        });
+
+        it("Should swap an exact input along several hops", async function () {
+            const direct = await router.getAmountsOut([tokenA.address, tokenC.address], ONE_TOKEN)
+            const exchangeA = Exchange.attach(await factory.getExchange(tokenA.address))
+            const exchangeC = Exchange.attach(await factory.getExchange(tokenC.address))
+            expect(direct[1]).to.equal(await exchangeC.getEthToTokenInputPrice(await exchangeA.getTokenToEthInputPrice(ONE_TOKEN)))
+
+            const path = [tokenA.address, tokenB.address, tokenC.address]
+            const amounts = await router.getAmountsOut(path, ONE_TOKEN)
+            // Every intermediate hop costs fees.
+            expect(amounts[2]).to.be.lt(direct[1])
+
+            await router.swapExactInput(path, ONE_TOKEN, amounts[2], addr1.address, futureDeadline)
+            const tokensBought = await tokenC.balanceOf(addr1.address)
+            expect(tokensBought).to.be.gte(amounts[2])
+            await expectEmptyRouter()
+
+            const ethPath = [ETH, tokenA.address, tokenB.address, tokenC.address]
+            const ethAmounts = await router.getAmountsOut(ethPath, ONE_ETH)
+            await router.swapExactInput(ethPath, ONE_ETH, ethAmounts[3], addr1.address, futureDeadline, { value: ONE_ETH })
+            expect(await tokenC.balanceOf(addr1.address)).to.be.gte(tokensBought.add(ethAmounts[3]))
+            await expectEmptyRouter()
+        });
+
+        it("Should swap for an exact output along several hops", async function () {
+            const amountOut = ethers.utils.parseUnits('2')
+            const direct = await router.getAmountsIn([tokenA.address, tokenC.address], amountOut)
+            const balanceBefore = await tokenA.balanceOf(owner.address)
+            await router.swapExactOutput([tokenA.address, tokenC.address], amountOut, direct[0], addr1.address, futureDeadline)
+            expect(await tokenC.balanceOf(addr1.address)).to.equal(amountOut)
+            expect(await tokenA.balanceOf(owner.address)).to.equal(balanceBefore.sub(direct[0]))
+
+            const path = [ETH, tokenB.address, tokenC.address]
+            const amounts = await router.getAmountsIn(path, amountOut)
+            const ethBalanceBefore = await provider.getBalance(owner.address)
+            const tokenBBalanceBefore = await tokenB.balanceOf(owner.address)
+            // Extra ETH is refunded.
+            const tx = await router.swapExactOutput(path, amountOut, amounts[0], addr1.address, futureDeadline, { value: TEN_ETH })
+            expect(await tokenC.balanceOf(addr1.address)).to.equal(amountOut.mul(2))
+            expect(await provider.getBalance(owner.address)).to.equal(ethBalanceBefore.sub(amounts[0]).sub(await gasCost(tx)))
+            // Selling B right after buying it needs less than quoted, the rest is refunded.
+            const refund = (await tokenB.balanceOf(owner.address)).sub(tokenBBalanceBefore)
+            expect(refund).to.be.gt(0)
+            expect(refund).to.be.lt(amounts[1])
+            await expectEmptyRouter()
+
+            const ethOut = await router.getAmountsIn([tokenC.address, tokenA.address, ETH], ONE_ETH)
+            const addr1BalanceBefore = await provider.getBalance(addr1.address)
+            await router.swapExactOutput([tokenC.address, tokenA.address, ETH], ONE_ETH, ethOut[0], addr1.address, futureDeadline)
+            expect(await provider.getBalance(addr1.address)).to.equal(addr1BalanceBefore.add(ONE_ETH))
+            await expectEmptyRouter()
+        });
+
+        it("Should split an exact input between parallel paths", async function () {
+            const paths = [[tokenA.address, tokenC.address], [tokenA.address, tokenB.address, tokenC.address]]
+            const amountsIn = [ONE_TOKEN, ONE_TOKEN.div(2)]
+            const first = await router.getAmountsOut(paths[0], amountsIn[0])
+
+            await expect(router.swapExactInputSplit(paths, amountsIn, ethers.utils.parseUnits('100'), addr1.address, futureDeadline))
+                .to.be.revertedWith("router:swapExactInputSplit too low amount")
+
+            const balanceBefore = await tokenA.balanceOf(owner.address)
+            await router.swapExactInputSplit(paths, amountsIn, first[1], addr1.address, futureDeadline)
+            expect(await tokenA.balanceOf(owner.address)).to.equal(balanceBefore.sub(ONE_TOKEN.mul(3).div(2)))
+            expect(await tokenC.balanceOf(addr1.address)).to.be.gt(first[1])
+            await expectEmptyRouter()
+
+            const ethPaths = [[ETH, tokenA.address], [ETH, tokenB.address, tokenA.address]]
+            await expect(router.swapExactInputSplit(ethPaths, [ONE_ETH, ONE_ETH], 1, addr1.address, futureDeadline, { value: ONE_ETH }))
+                .to.be.revertedWith("router:swapExactInputSplit wrong msg.value")
+            await router.swapExactInputSplit(ethPaths, [ONE_ETH, ONE_ETH], 1, addr1.address, futureDeadline, { value: ONE_ETH.mul(2) })
+            await expectEmptyRouter()
+        });
+
+        it("Should split an exact output between parallel paths", async function () {
+            const paths = [[ETH, tokenC.address], [ETH, tokenA.address, tokenC.address]]
+            const amountsOut = [ethers.utils.parseUnits('2'), ONE_TOKEN]
+            const first = await router.getAmountsIn(paths[0], amountsOut[0])
+
+            await expect(router.swapExactOutputSplit(paths, amountsOut, first[0], addr1.address, futureDeadline, { value: TEN_ETH }))
+                .to.be.revertedWith("router:swapExactOutputSplit too high amount")
+
+            const ethBalanceBefore = await provider.getBalance(owner.address)
+            const tx = await router.swapExactOutputSplit(paths, amountsOut, TEN_ETH, addr1.address, futureDeadline, { value: TEN_ETH })
+            expect(await tokenC.balanceOf(addr1.address)).to.equal(ethers.utils.parseUnits('3'))
+            const ethSold = ethBalanceBefore.sub(await provider.getBalance(owner.address)).sub(await gasCost(tx))
+            expect(ethSold).to.be.gt(first[0])
+            await expectEmptyRouter()
+        });
+
+        it("Should reject invalid paths", async function () {
+            await expect(router.getAmountsOut([tokenA.address], ONE_TOKEN)).to.be.revertedWith("router:checkPath invalid path")
+            await expect(router.getAmountsOut([tokenA.address, ETH, tokenC.address], ONE_TOKEN))
+                .to.be.revertedWith("router:checkPath ETH must be the first or last asset")
+            await expect(router.getAmountsOut([tokenA.address, tokenB.address, tokenA.address], ONE_TOKEN))
+                .to.be.revertedWith("router:checkPath repeated asset")
+            await expect(router.getAmountsOut([ETH, tokenA.address, ETH], ONE_ETH))
+                .to.be.revertedWith("router:checkPath repeated asset")
+            await expect(router.getAmountsOut([tokenA.address, addr1.address], ONE_TOKEN))
+                .to.be.revertedWith("router:getExchange no exchange for token")
+            await expect(router.swapExactInputSplit([[tokenA.address, tokenC.address], [tokenA.address, tokenB.address]], [1, 1], 1, addr1.address, futureDeadline))
+                .to.be.revertedWith("router:checkSplit paths must start and end with the same assets")
+            await expect(router.swapExactInputSplit([[tokenA.address, tokenC.address]], [1, 1], 1, addr1.address, futureDeadline))
+                .to.be.revertedWith("router:swapExactInputSplit invalid parameters")
+        });
+
+        it("Should enforce the deadline, the bounds and msg.value", async function () {
+            const path = [tokenA.address, tokenC.address]
+            const amounts = await router.getAmountsOut(path, ONE_TOKEN)
+            const now = (await provider.getBlock("latest")).timestamp
+            await expect(router.swapExactInput(path, ONE_TOKEN, 1, addr1.address, now))
+                .to.be.revertedWith("router:checkSwap expired")
+            await expect(router.swapExactInput(path, ONE_TOKEN, amounts[1].add(1), addr1.address, futureDeadline))
+                .to.be.revertedWith("router:swapExactInput too low amount")
+            await expect(router.swapExactInput(path, 0, 1, addr1.address, futureDeadline))
+                .to.be.revertedWith("router:swapInput invalid amount")
+            await expect(router.swapExactInput(path, ONE_TOKEN, 1, router.address, futureDeadline))
+                .to.be.revertedWith("router:checkSwap invalid recipient address")
+            await expect(router.swapExactInput(path, ONE_TOKEN, 1, addr1.address, futureDeadline, { value: 1 }))
+                .to.be.revertedWith("router:swapExactInput wrong msg.value")
+            await expect(router.swapExactInput([ETH, tokenC.address], ONE_ETH, 1, addr1.address, futureDeadline))
+                .to.be.revertedWith("router:swapExactInput wrong msg.value")
+
+            const amountsIn = await router.getAmountsIn(path, ONE_TOKEN)
+            await expect(router.swapExactOutput(path, ONE_TOKEN, amountsIn[0].sub(1), addr1.address, futureDeadline))
+                .to.be.revertedWith("router:swapExactOutput too high amount")
+            await expect(router.swapExactOutput(path, ONE_TOKEN, amountsIn[0], addr1.address, futureDeadline, { value: 1 }))
+                .to.be.revertedWith("router:refundEth unexpected msg.value")
+            const ethIn = await router.getAmountsIn([ETH, tokenC.address], ONE_TOKEN)
+            await expect(router.swapExactOutput([ETH, tokenC.address], ONE_TOKEN, ethIn[0], addr1.address, futureDeadline, { value: ethIn[0].sub(1) }))
+                .to.be.revertedWith("router:swapOutput too low msg.value")
+        });
+
+        it("Should only accept ETH from exchanges", async function () {
+            await expect(owner.sendTransaction({ to: router.address, value: ONE_ETH }))
+                .to.be.revertedWith("router:receive sender is not an exchange")
+        });
+    });
+});
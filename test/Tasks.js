@@ -0,0 +1,141 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { deployFactory, deployToken } = require("./helpers/pools");
+
+describe("Uniswap-V1", function () {
+
+    let owner;
+    let addr1;
+    let factory;
+    let tokenA;
+    let tokenB;
+    let dir;
+    let manifest;
+    let output;
+    const provider = waffle.provider;
+
+    async function expectRejection(promise, message) {
+        let error;
+        try {
+            await promise
+        } catch (e) {
+            error = e
+        }
+        expect(error, "expected promise to be rejected").to.be.an("error")
+        expect(error.message).to.equal(message)
+    }
+
+    // Run a task with the output captured instead of printed.
+    async function runTask(name, args) {
+        const log = console.log;
+        output = [];
+        console.log = (...values) => output.push(values.join(" "));
+        try {
+            return await hre.run(name, { manifest, ...args });
+        } finally {
+            console.log = log;
+        }
+    }
+
+    beforeEach(async function () {
+        [owner, addr1] = await ethers.getSigners();
+        factory = await deployFactory();
+        tokenA = await deployToken("A")
+        tokenB = await deployToken("B")
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "uniswap-v1-tasks-"));
+        manifest = path.join(dir, "hardhat.json");
+        fs.writeFileSync(manifest, JSON.stringify({ network: "hardhat", factory: factory.address, exchanges: {} }));
+    });
+
+    afterEach(async function () {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    describe("Tasks", function () {
+
+        it("Should create pools and record them in the manifest", async function () {
+            const result = await runTask("pool:create", { token: tokenA.address.toLowerCase(), json: true })
+            expect(result).to.deep.equal({ token: tokenA.address, exchange: await factory.getExchange(tokenA.address) })
+            expect(JSON.parse(output.join("\n"))).to.deep.equal(result)
+            expect(JSON.parse(fs.readFileSync(manifest, "utf8")).exchanges).to.deep.equal({ [tokenA.address]: result.exchange })
+
+            await runTask("pool:create", { token: tokenB.address })
+            const rows = await runTask("pool:list", {})
+            expect(rows.map(row => row.symbol)).to.deep.equal(["A", "B"])
+            expect(rows[1]).to.include({ id: 2, token: tokenB.address, ethReserve: "0.0", tokenReserve: "0.0" })
+            const lines = output[0].split("\n")
+            expect(lines[0]).to.match(/^id\s+token\s+symbol\s+exchange\s+ethReserve\s+tokenReserve$/)
+            expect(lines).to.have.lengthOf(4)
+        });
+
+        it("Should add liquidity, show the pool and remove liquidity", async function () {
+            await runTask("pool:create", { token: tokenA.address })
+            const deposit = await runTask("pool:add-liquidity", { token: tokenA.address, eth: "10", tokens: "20" })
+            expect(deposit).to.include({ symbol: "A", eth: "10.0", tokens: "20.0", liquidityMinted: "10.0" })
+            expect(output[0]).to.contain("liquidityMinted")
+
+            // Later deposits follow the current ratio.
+            await runTask("pool:add-liquidity", { token: tokenA.address, eth: "5" })
+            let info = await runTask("pool:info", { token: tokenA.address, json: true })
+            expect(info).to.include({
+                ethReserve: "15.0",
+                tokenReserve: "30.000000000000000001",
+                tokensPerEth: "2.0",
+                ethPerToken: "0.499999999999999999",
+                totalSupply: "15.0",
+                account: owner.address,
+                share: "100.0%"
+            })
+
+            const withdrawal = await runTask("pool:remove-liquidity", { token: tokenA.address, amount: "3" })
+            expect(withdrawal).to.include({ liquidityBurned: "3.0", eth: "3.0" })
+            await runTask("pool:remove-liquidity", { token: tokenA.address })
+            info = await runTask("pool:info", { token: tokenA.address })
+            expect(info).to.include({ totalSupply: "0.0", ethReserve: "0.0", tokensPerEth: "-", share: "0%" })
+        });
+
+        it("Should swap through every variant", async function () {
+            for (const token of [tokenA, tokenB]) {
+                await runTask("pool:create", { token: token.address })
+                await runTask("pool:add-liquidity", { token: token.address, eth: "10", tokens: "20" })
+            }
+
+            let result = await runTask("swap", { from: "eth", to: tokenA.address, amountIn: "1", json: true })
+            expect(result).to.include({ input: "ETH", amountIn: "1.0", output: "A", recipient: owner.address })
+
+            result = await runTask("swap", { from: "ETH", to: tokenA.address, amountOut: "1", recipient: addr1.address })
+            expect(result).to.include({ amountOut: "1.0", recipient: addr1.address })
+            expect(await tokenA.balanceOf(addr1.address)).to.equal(ethers.utils.parseUnits('1'))
+
+            const ethBefore = await provider.getBalance(addr1.address)
+            result = await runTask("swap", { from: tokenA.address, to: "eth", amountIn: "2", recipient: addr1.address, slippage: 1 })
+            expect(result).to.include({ input: "A", amountIn: "2.0", output: "ETH" })
+            expect(await provider.getBalance(addr1.address)).to.equal(ethBefore.add(ethers.utils.parseEther(result.amountOut)))
+
+            result = await runTask("swap", { from: tokenA.address, to: "eth", amountOut: "0.5" })
+            expect(result.amountOut).to.equal("0.5")
+
+            result = await runTask("swap", { from: tokenA.address, to: tokenB.address, amountIn: "1", recipient: addr1.address })
+            expect(result).to.include({ input: "A", amountIn: "1.0", output: "B" })
+            expect(await tokenB.balanceOf(addr1.address)).to.equal(ethers.utils.parseUnits(result.amountOut))
+
+            result = await runTask("swap", { from: tokenA.address, to: tokenB.address, amountOut: "1" })
+            expect(result).to.include({ output: "B", amountOut: "1.0" })
+        });
+
+        it("Should reject invalid arguments", async function () {
+            await expectRejection(runTask("swap", { from: "eth", to: tokenA.address }), "tasks:swap exactly one of --amount-in and --amount-out must be set")
+            await expectRejection(runTask("swap", { from: "eth", to: "ETH", amountIn: "1" }), "tasks:swap --from and --to must be different assets")
+            await expectRejection(runTask("pool:info", { token: tokenA.address }), `tasks:getExchange no exchange for token ${tokenA.address}`)
+            await expectRejection(runTask("pool:list", { manifest: path.join(dir, "missing.json") }),
+                `tasks:readManifest no deployment manifest at ${path.join(dir, "missing.json")}, run scripts/deploy.js first`)
+            await runTask("pool:create", { token: tokenA.address })
+            await expectRejection(runTask("pool:add-liquidity", { token: tokenA.address, eth: "one" }), "tasks:parseAmount invalid eth one")
+            await expectRejection(runTask("pool:add-liquidity", { token: tokenA.address, eth: "1", slippage: 100 }), "tasks:slippageBps slippage must be a percentage between 0 and 100")
+            await expectRejection(runTask("pool:remove-liquidity", { token: tokenA.address }), "tasks:removeLiquidity nothing to withdraw")
+        });
+    });
+});
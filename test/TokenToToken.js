@@ -0,0 +1,202 @@
+const { expect } = require("chai");
+const { pricing } = require("../sdk");
+const { deployFactory, deployToken, createPool } = require("./helpers/pools");
+
+describe("Uniswap-V1", function () {
+
+    let owner;
+    let addr1;
+    let factory;
+    let tokenA;
+    let tokenB;
+    let exchangeA;
+    let exchangeB;
+    let futureDeadline;
+    const provider = waffle.provider;
+    const ONE_TOKEN = ethers.utils.parseUnits('1')
+    const ONE_ETH = ethers.utils.parseEther('1')
+    const MAX = ethers.constants.MaxUint256
+
+    async function getReserves(exchange, token) {
+        return {
+            ethReserve: await provider.getBalance(exchange.address),
+            tokenReserve: await token.balanceOf(exchange.address)
+        }
+    }
+
+    beforeEach(async function () {
+        [owner, addr1] = await ethers.getSigners();
+        factory = await deployFactory();
+        tokenA = await deployToken("A", ethers.utils.parseUnits('40'));
+        tokenB = await deployToken("B", ethers.utils.parseUnits('100'));
+        futureDeadline = (await provider.getBlock("latest")).timestamp + 3600;
+        exchangeA = await createPool(factory, tokenA, ethers.utils.parseEther('10'), ethers.utils.parseUnits('20'))
+        exchangeB = await createPool(factory, tokenB, ethers.utils.parseEther('5'), ethers.utils.parseUnits('50'))
+    });
+
+    describe("TokenToToken", function () {
+
+        async function expectInputTrade(sendTx, recipient) {
+            const poolA = await getReserves(exchangeA, tokenA)
+            const poolB = await getReserves(exchangeB, tokenB)
+            const { ethBought, tokensBought } = pricing.getTokenToTokenInputPrice(ONE_TOKEN, poolA, poolB)
+            const ownerBalanceBefore = await tokenA.balanceOf(owner.address)
+            const recipientBalanceBefore = await tokenB.balanceOf(recipient)
+
+            const tx = sendTx()
+            await expect(tx).to.emit(exchangeA, "EthPurchase").withArgs(owner.address, ONE_TOKEN, ethBought)
+            await expect(tx).to.emit(exchangeB, "TokenPurchase").withArgs(exchangeA.address, ethBought, tokensBought)
+
+            expect(await tokenA.balanceOf(owner.address)).to.equal(ownerBalanceBefore.sub(ONE_TOKEN))
+            expect(await tokenB.balanceOf(recipient)).to.equal(recipientBalanceBefore.add(tokensBought))
+            expect(await getReserves(exchangeA, tokenA)).to.deep.equal({
+                ethReserve: poolA.ethReserve.sub(ethBought),
+                tokenReserve: poolA.tokenReserve.add(ONE_TOKEN)
+            })
+            expect(await getReserves(exchangeB, tokenB)).to.deep.equal({
+                ethReserve: poolB.ethReserve.add(ethBought),
+                tokenReserve: poolB.tokenReserve.sub(tokensBought)
+            })
+        }
+
+        async function expectOutputTrade(sendTx, recipient) {
+            const poolA = await getReserves(exchangeA, tokenA)
+            const poolB = await getReserves(exchangeB, tokenB)
+            const { ethSold, tokensSold } = pricing.getTokenToTokenOutputPrice(ONE_TOKEN, poolA, poolB)
+            const ownerBalanceBefore = await tokenA.balanceOf(owner.address)
+            const recipientBalanceBefore = await tokenB.balanceOf(recipient)
+
+            const tx = sendTx()
+            await expect(tx).to.emit(exchangeA, "EthPurchase").withArgs(owner.address, tokensSold, ethSold)
+            await expect(tx).to.emit(exchangeB, "TokenPurchase").withArgs(exchangeA.address, ethSold, ONE_TOKEN)
+
+            expect(await tokenA.balanceOf(owner.address)).to.equal(ownerBalanceBefore.sub(tokensSold))
+            expect(await tokenB.balanceOf(recipient)).to.equal(recipientBalanceBefore.add(ONE_TOKEN))
+            expect(await getReserves(exchangeA, tokenA)).to.deep.equal({
+                ethReserve: poolA.ethReserve.sub(ethSold),
+                tokenReserve: poolA.tokenReserve.add(tokensSold)
+            })
+            expect(await getReserves(exchangeB, tokenB)).to.deep.equal({
+                ethReserve: poolB.ethReserve.add(ethSold),
+                tokenReserve: poolB.tokenReserve.sub(ONE_TOKEN)
+            })
+        }
+
+        it("Should return the quoted amounts", async function () {
+            const poolA = await getReserves(exchangeA, tokenA)
+            const poolB = await getReserves(exchangeB, tokenB)
+
+            expect(await exchangeA.callStatic.tokenToTokenSwapInput(ONE_TOKEN, 1, 1, futureDeadline, tokenB.address))
+                .to.equal(pricing.getTokenToTokenInputPrice(ONE_TOKEN, poolA, poolB).tokensBought)
+            expect(await exchangeA.callStatic.tokenToTokenSwapOutput(ONE_TOKEN, MAX, MAX, futureDeadline, tokenB.address))
+                .to.equal(pricing.getTokenToTokenOutputPrice(ONE_TOKEN, poolA, poolB).tokensSold)
+            expect(await exchangeA.callStatic.tokenToExchangeSwapInput(ONE_TOKEN, 1, 1, futureDeadline, exchangeB.address))
+                .to.equal(pricing.getTokenToTokenInputPrice(ONE_TOKEN, poolA, poolB).tokensBought)
+            expect(await exchangeA.callStatic.tokenToExchangeSwapOutput(ONE_TOKEN, MAX, MAX, futureDeadline, exchangeB.address))
+                .to.equal(pricing.getTokenToTokenOutputPrice(ONE_TOKEN, poolA, poolB).tokensSold)
+        });
+
+        it("Should execute tokenToTokenSwapInput", async function () {
+            await expectInputTrade(() => exchangeA.tokenToTokenSwapInput(ONE_TOKEN, 1, 1, futureDeadline, tokenB.address), owner.address)
+        });
+
+        it("Should execute tokenToTokenTransferInput", async function () {
+            await expectInputTrade(() => exchangeA.tokenToTokenTransferInput(ONE_TOKEN, 1, 1, futureDeadline, addr1.address, tokenB.address), addr1.address)
+        });
+
+        it("Should execute tokenToTokenSwapOutput", async function () {
+            await expectOutputTrade(() => exchangeA.tokenToTokenSwapOutput(ONE_TOKEN, MAX, MAX, futureDeadline, tokenB.address), owner.address)
+        });
+
+        it("Should execute tokenToTokenTransferOutput", async function () {
+            await expectOutputTrade(() => exchangeA.tokenToTokenTransferOutput(ONE_TOKEN, MAX, MAX, futureDeadline, addr1.address, tokenB.address), addr1.address)
+        });
+
+        it("Should execute tokenToExchangeSwapInput", async function () {
+            await expectInputTrade(() => exchangeA.tokenToExchangeSwapInput(ONE_TOKEN, 1, 1, futureDeadline, exchangeB.address), owner.address)
+        });
+
+        it("Should execute tokenToExchangeTransferInput", async function () {
+            await expectInputTrade(() => exchangeA.tokenToExchangeTransferInput(ONE_TOKEN, 1, 1, futureDeadline, addr1.address, exchangeB.address), addr1.address)
+        });
+
+        it("Should execute tokenToExchangeSwapOutput", async function () {
+            await expectOutputTrade(() => exchangeA.tokenToExchangeSwapOutput(ONE_TOKEN, MAX, MAX, futureDeadline, exchangeB.address), owner.address)
+        });
+
+        it("Should execute tokenToExchangeTransferOutput", async function () {
+            await expectOutputTrade(() => exchangeA.tokenToExchangeTransferOutput(ONE_TOKEN, MAX, MAX, futureDeadline, addr1.address, exchangeB.address), addr1.address)
+        });
+
+        it("Should revert when the minimum amounts are not met", async function () {
+            const poolA = await getReserves(exchangeA, tokenA)
+            const poolB = await getReserves(exchangeB, tokenB)
+            const { ethBought, tokensBought } = pricing.getTokenToTokenInputPrice(ONE_TOKEN, poolA, poolB)
+
+            await expect(exchangeA.tokenToTokenSwapInput(ONE_TOKEN, 1, ethBought.add(1), futureDeadline, tokenB.address))
+                .to.be.revertedWith("exchange:tokenToTokenInput too low amount")
+            await expect(exchangeA.tokenToExchangeSwapInput(ONE_TOKEN, 1, ethBought.add(1), futureDeadline, exchangeB.address))
+                .to.be.revertedWith("exchange:tokenToTokenInput too low amount")
+            await expect(exchangeA.tokenToTokenSwapInput(ONE_TOKEN, tokensBought.add(1), ethBought, futureDeadline, tokenB.address))
+                .to.be.revertedWith("exchange:ethToTokenInput failed to buy this amount of tokens")
+            await expect(exchangeA.tokenToTokenSwapInput(ONE_TOKEN, 1, 0, futureDeadline, tokenB.address))
+                .to.be.revertedWith("exchange:tokenToTokenInput invalid parameters")
+
+            await exchangeA.tokenToTokenSwapInput(ONE_TOKEN, tokensBought, ethBought, futureDeadline, tokenB.address)
+        });
+
+        it("Should revert when the maximum amounts are exceeded", async function () {
+            const poolA = await getReserves(exchangeA, tokenA)
+            const poolB = await getReserves(exchangeB, tokenB)
+            const { ethSold, tokensSold } = pricing.getTokenToTokenOutputPrice(ONE_TOKEN, poolA, poolB)
+
+            await expect(exchangeA.tokenToTokenSwapOutput(ONE_TOKEN, tokensSold.sub(1), MAX, futureDeadline, tokenB.address))
+                .to.be.revertedWith("exchange:tokenToTokenOutput too high amount")
+            await expect(exchangeA.tokenToTokenSwapOutput(ONE_TOKEN, MAX, ethSold.sub(1), futureDeadline, tokenB.address))
+                .to.be.revertedWith("exchange:tokenToTokenOutput too high amount")
+            await expect(exchangeA.tokenToExchangeSwapOutput(ONE_TOKEN, tokensSold.sub(1), MAX, futureDeadline, exchangeB.address))
+                .to.be.revertedWith("exchange:tokenToTokenOutput too high amount")
+
+            await exchangeA.tokenToTokenSwapOutput(ONE_TOKEN, tokensSold, ethSold, futureDeadline, tokenB.address)
+        });
+
+        it("Should revert when trading with itself", async function () {
+            await expect(exchangeA.tokenToTokenSwapInput(ONE_TOKEN, 1, 1, futureDeadline, tokenA.address))
+                .to.be.revertedWith("exchange:tokenToTokenInput invalid exchange address")
+            await expect(exchangeA.tokenToTokenSwapOutput(ONE_TOKEN, MAX, MAX, futureDeadline, tokenA.address))
+                .to.be.revertedWith("exchange:tokenToTokenOutput invalid exchange address")
+            await expect(exchangeA.tokenToExchangeSwapInput(ONE_TOKEN, 1, 1, futureDeadline, exchangeA.address))
+                .to.be.revertedWith("exchange:tokenToTokenInput invalid exchange address")
+            await expect(exchangeA.tokenToExchangeSwapOutput(ONE_TOKEN, MAX, MAX, futureDeadline, exchangeA.address))
+                .to.be.revertedWith("exchange:tokenToTokenOutput invalid exchange address")
+        });
+
+        it("Should revert with zero addresses", async function () {
+            const ZERO = ethers.constants.AddressZero
+
+            // No exchange is registered for these tokens, so the factory returns the zero address.
+            await expect(exchangeA.tokenToTokenSwapInput(ONE_TOKEN, 1, 1, futureDeadline, ZERO))
+                .to.be.revertedWith("exchange:tokenToTokenInput invalid exchange address")
+            await expect(exchangeA.tokenToTokenTransferOutput(ONE_TOKEN, MAX, MAX, futureDeadline, addr1.address, addr1.address))
+                .to.be.revertedWith("exchange:tokenToTokenOutput invalid exchange address")
+            await expect(exchangeA.tokenToExchangeSwapInput(ONE_TOKEN, 1, 1, futureDeadline, ZERO))
+                .to.be.revertedWith("exchange:tokenToTokenInput invalid exchange address")
+            await expect(exchangeA.tokenToExchangeTransferOutput(ONE_TOKEN, MAX, MAX, futureDeadline, addr1.address, ZERO))
+                .to.be.revertedWith("exchange:tokenToTokenOutput invalid exchange address")
+
+            await expect(exchangeA.tokenToTokenTransferInput(ONE_TOKEN, 1, 1, futureDeadline, ZERO, tokenB.address))
+                .to.be.revertedWith("exchange:ethToTokenTransferInput invalid recipient address")
+            await expect(exchangeA.tokenToTokenTransferOutput(ONE_TOKEN, MAX, MAX, futureDeadline, ZERO, tokenB.address))
+                .to.be.revertedWith("exchange:ethToTokenTransferOutput invalid recipient address")
+        });
+
+        it("Should revert with the exchange as recipient", async function () {
+            await expect(exchangeA.tokenToExchangeTransferInput(ONE_TOKEN, 1, 1, futureDeadline, exchangeA.address, exchangeB.address))
+                .to.be.revertedWith("exchange:tokenToExchangeTransferInput invalid recipient address")
+            await expect(exchangeA.tokenToExchangeTransferOutput(ONE_TOKEN, MAX, MAX, futureDeadline, exchangeA.address, exchangeB.address))
+                .to.be.revertedWith("exchange:tokenToExchangeTransferOutput invalid recipient address")
+            await expect(exchangeA.tokenToTokenTransferInput(ONE_TOKEN, 1, 1, futureDeadline, exchangeB.address, tokenB.address))
+                .to.be.revertedWith("exchange:ethToTokenTransferInput invalid recipient address")
+        });
+    });
+});
@@ -0,0 +1,57 @@
+const fc = require("fast-check");
+
+// Random operations on pools of Exchange, shared by the invariant and conformance suites.
+
+// Every swap of Exchange: the assets it trades, whether the input or the output amount is exact, whether
+// it pays a recipient, and whether it names the exchange rather than the token bought.
+// The WithPermit variants only add an approval to these.
+const SWAPS = [];
+for (const transfer of [false, true]) {
+    const mode = transfer ? "Transfer" : "Swap";
+    for (const [prefix, input, output, byExchange] of [
+        ["ethToToken", "eth", "token", false],
+        ["tokenToEth", "token", "eth", false],
+        ["tokenToToken", "token", "otherToken", false],
+        ["tokenToExchange", "token", "otherToken", true]
+    ]) {
+        const swap = { input, output, transfer, byExchange };
+        SWAPS.push({ ...swap, name: `${prefix}${mode}Input`, exactInput: true });
+        SWAPS.push({ ...swap, name: `${prefix}${mode}Output`, exactInput: false });
+        if (input === "token") {
+            SWAPS.push({ ...swap, name: `${prefix}${mode}InputSupportingFeeOnTransferTokens`, exactInput: true });
+        }
+    }
+}
+
+// Amounts are either absolute, to probe rounding, or relative to the state when the operation runs,
+// so that operations stay meaningful while a sequence shrinks. A permille of 0 probes the checks of zero amounts.
+const amount = fc.oneof(
+    fc.record({ permille: fc.integer({ min: 0, max: 900 }) }),
+    fc.record({ wei: fc.integer({ min: 1, max: 1000000 }) })
+);
+const account = fc.nat({ max: 2 });
+const pool = fc.nat({ max: 1 });
+
+// Sequences of liquidity changes and swaps, each with the fields of common. Swaps also get the fields of swap,
+// and the weighted arbitraries of others are mixed in: swaps weigh 8 and liquidity changes 2 each.
+function operationSequences(common, { swap = {}, others = [], ...constraints } = {}) {
+    return fc.array(fc.oneof(
+        { arbitrary: fc.record({ type: fc.constant("addLiquidity"), ...common }), weight: 2 },
+        { arbitrary: fc.record({ type: fc.constant("removeLiquidity"), ...common }), weight: 2 },
+        { arbitrary: fc.record({ type: fc.constant("swap"), name: fc.constantFrom(...SWAPS.map(swap => swap.name)), ...swap, ...common }), weight: 8 },
+        ...others
+    ), constraints);
+}
+
+function resolve(amount, reference) {
+    return amount.wei === undefined ? ethers.BigNumber.from(reference).mul(amount.permille).div(1000) : ethers.BigNumber.from(amount.wei);
+}
+
+module.exports = {
+    SWAPS,
+    amount,
+    account,
+    pool,
+    operationSequences,
+    resolve
+};
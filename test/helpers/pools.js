@@ -0,0 +1,39 @@
+// Factories and pools of Exchange, shared by the suites that need a funded exchange.
+
+// Deploys an Exchange template and a Factory cloning it.
+async function deployFactory() {
+    const Exchange = await ethers.getContractFactory("Exchange");
+    const Factory = await ethers.getContractFactory("Factory");
+    const template = await Exchange.deploy();
+    await template.deployed();
+    const factory = await Factory.deploy(template.address);
+    await factory.deployed();
+    return factory;
+}
+
+// Deploys a Token named name and mints amount of it to the deployer.
+async function deployToken(name, amount = ethers.utils.parseUnits('1000')) {
+    const Token = await ethers.getContractFactory("Token");
+    const token = await Token.deploy(name, name);
+    await token.deployed();
+    await token.mint(await token.signer.getAddress(), amount);
+    return token;
+}
+
+// Creates the exchange of token, lets it spend every token of the signer of token, and deposits ethAmount and
+// tokenAmount from that signer unless ethAmount is 0.
+async function createPool(factory, token, ethAmount, tokenAmount) {
+    await factory.createExchange(token.address);
+    const exchange = (await ethers.getContractFactory("Exchange")).attach(await factory.getExchange(token.address));
+    await token.approve(exchange.address, ethers.constants.MaxUint256);
+    if (!ethers.BigNumber.from(ethAmount).isZero()) {
+        await exchange.addLiquidity(0, tokenAmount, ethers.constants.MaxUint256, { value: ethAmount });
+    }
+    return exchange;
+}
+
+module.exports = {
+    deployFactory,
+    deployToken,
+    createPool
+};
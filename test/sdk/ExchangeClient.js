@@ -0,0 +1,164 @@
+const { expect } = require("chai");
+const { ExchangeClient, FactoryClient, minimumAmount, maximumAmount } = require("../../sdk");
+const { deployFactory } = require("../helpers/pools");
+
+describe("SDK", function () {
+
+    let Token;
+    let owner;
+    let addr1;
+    let factory;
+    let token;
+    let otherToken;
+    let client;
+    let otherClient;
+    const TEN_ETH = ethers.utils.parseEther('10')
+    const TEN_TOKENS = ethers.utils.parseUnits('10')
+    const ONE_ETH = ethers.utils.parseEther('1')
+    const ONE_TOKEN = ethers.utils.parseUnits('1')
+    const provider = waffle.provider;
+
+    async function expectRejection(promise, message) {
+        let error;
+        try {
+            await promise
+        } catch (e) {
+            error = e
+        }
+        expect(error, "expected promise to be rejected").to.be.an("error")
+        expect(error.message).to.equal(message)
+    }
+
+    beforeEach(async function () {
+        Token = await ethers.getContractFactory("Token");
+        [owner, addr1] = await ethers.getSigners();
+        const factoryContract = await deployFactory();
+        token = await Token.deploy("test token", "test");
+        await token.deployed();
+        otherToken = await Token.deploy("other token", "other");
+        await otherToken.deployed();
+        await token.mint(owner.address, TEN_TOKENS.mul(10));
+        await otherToken.mint(owner.address, TEN_TOKENS.mul(10));
+
+        factory = new FactoryClient(factoryContract.address, owner, { slippageBps: 100 });
+        client = await factory.createExchange(token.address);
+        otherClient = await factory.createExchange(otherToken.address);
+        await (await client.addLiquidity({ ethAmount: TEN_ETH, tokenAmount: TEN_TOKENS })).wait();
+        await (await otherClient.addLiquidity({ ethAmount: TEN_ETH, tokenAmount: TEN_TOKENS.mul(2) })).wait();
+    });
+
+    describe("ExchangeClient", function () {
+
+        it("Should apply the slippage tolerance", async function () {
+            expect(minimumAmount(10000, 50)).to.equal(9950)
+            expect(maximumAmount(10000, 50)).to.equal(10050)
+            expect(() => new ExchangeClient(client.address, owner, { slippageBps: 10000 })).to.throw("exchangeClient:constructor invalid slippage tolerance")
+        });
+
+        it("Should read reserves and token address", async function () {
+            const { ethReserve, tokenReserve } = await client.getReserves()
+            expect(ethReserve).to.equal(TEN_ETH)
+            expect(tokenReserve).to.equal(TEN_TOKENS)
+            expect(await client.tokenAddress()).to.equal(token.address)
+            expect(await client.getDeadline()).to.equal((await provider.getBlock("latest")).timestamp + 1200)
+        });
+
+        it("Should quote with bounds", async function () {
+            const quote = await client.quoteEthToTokenInput(ONE_ETH)
+            expect(quote.tokensBought).to.equal(await client.contract.getEthToTokenInputPrice(ONE_ETH))
+            expect(quote.minTokens).to.equal(quote.tokensBought.mul(9900).div(10000))
+
+            const outputQuote = await client.quoteTokenToEthOutput(ONE_ETH)
+            expect(outputQuote.tokensSold).to.equal(await client.contract.getTokenToEthOutputPrice(ONE_ETH))
+            expect(outputQuote.maxTokens).to.equal(outputQuote.tokensSold.mul(10100).div(10000))
+        });
+
+        it("Should swap ETH to tokens with exact input", async function () {
+            const { tokensBought } = await client.quoteEthToTokenInput(ONE_ETH)
+            const balanceBefore = await token.balanceOf(owner.address)
+
+            await expect(client.ethToToken({ ethSold: ONE_ETH }))
+                .to.emit(client.contract, "TokenPurchase").withArgs(owner.address, ONE_ETH, tokensBought)
+            expect(await token.balanceOf(owner.address)).to.equal(balanceBefore.add(tokensBought))
+        });
+
+        it("Should transfer ETH to tokens with exact output", async function () {
+            const { ethSold } = await client.quoteEthToTokenOutput(ONE_TOKEN)
+
+            await expect(client.ethToToken({ tokensBought: ONE_TOKEN, recipient: addr1.address }))
+                .to.emit(client.contract, "TokenPurchase").withArgs(owner.address, ethSold, ONE_TOKEN)
+            expect(await token.balanceOf(addr1.address)).to.equal(ONE_TOKEN)
+            expect(await provider.getBalance(client.address)).to.equal(TEN_ETH.add(ethSold))
+        });
+
+        it("Should approve and swap tokens to ETH with exact input", async function () {
+            await token.approve(client.address, 0)
+            const { ethBought } = await client.quoteTokenToEthInput(ONE_TOKEN)
+
+            await expect(client.tokenToEth({ tokensSold: ONE_TOKEN }))
+                .to.emit(client.contract, "EthPurchase").withArgs(owner.address, ONE_TOKEN, ethBought)
+            expect(await token.allowance(owner.address, client.address)).to.equal(0)
+        });
+
+        it("Should transfer tokens to ETH with exact output", async function () {
+            const { tokensSold } = await client.quoteTokenToEthOutput(ONE_ETH)
+            const balanceBefore = await provider.getBalance(addr1.address)
+
+            await expect(client.tokenToEth({ ethBought: ONE_ETH, recipient: addr1.address }))
+                .to.emit(client.contract, "EthPurchase").withArgs(owner.address, tokensSold, ONE_ETH)
+            expect(await provider.getBalance(addr1.address)).to.equal(balanceBefore.add(ONE_ETH))
+        });
+
+        it("Should swap tokens to tokens with exact input", async function () {
+            const { tokensBought } = await client.quoteTokenToTokenInput(ONE_TOKEN, otherClient)
+            const balanceBefore = await otherToken.balanceOf(owner.address)
+
+            await (await client.tokenToToken({ outputExchange: otherClient, tokensSold: ONE_TOKEN })).wait()
+            expect(await otherToken.balanceOf(owner.address)).to.equal(balanceBefore.add(tokensBought))
+        });
+
+        it("Should transfer tokens to tokens with exact output", async function () {
+            const { tokensSold } = await client.quoteTokenToTokenOutput(ONE_TOKEN, otherClient)
+            const balanceBefore = await token.balanceOf(owner.address)
+
+            await (await client.tokenToToken({ outputExchange: otherClient, tokensBought: ONE_TOKEN, recipient: addr1.address })).wait()
+            expect(await otherToken.balanceOf(addr1.address)).to.equal(ONE_TOKEN)
+            expect(await token.balanceOf(owner.address)).to.equal(balanceBefore.sub(tokensSold))
+        });
+
+        it("Should add and remove liquidity at the current ratio", async function () {
+            await (await client.addLiquidity({ ethAmount: ONE_ETH })).wait()
+            expect(await client.contract.balanceOf(owner.address)).to.equal(TEN_ETH.add(ONE_ETH))
+
+            await expect(client.removeLiquidity({ amount: ONE_ETH }))
+                .to.emit(client.contract, "RemoveLiquidity").withArgs(owner.address, ONE_ETH, ONE_TOKEN)
+        });
+
+        it("Should reset a leftover allowance before approving tokens like USDT", async function () {
+            const NoReturnToken = await ethers.getContractFactory("NoReturnToken");
+            const usdt = await NoReturnToken.deploy("tether", "usdt")
+            await usdt.deployed()
+            await usdt.mint(owner.address, TEN_TOKENS.mul(10))
+            const usdtClient = await factory.createExchange(usdt.address)
+            await (await usdtClient.addLiquidity({ ethAmount: TEN_ETH, tokenAmount: TEN_TOKENS })).wait()
+
+            // Deposits spend less than the approved maxTokens, which includes the slippage tolerance.
+            await (await usdtClient.addLiquidity({ ethAmount: ONE_ETH })).wait()
+            const leftover = await usdt.allowance(owner.address, usdtClient.address)
+            expect(leftover).to.be.gt(0)
+
+            await (await usdtClient.addLiquidity({ ethAmount: ONE_ETH.mul(2) })).wait()
+            expect(await usdtClient.contract.balanceOf(owner.address)).to.equal(TEN_ETH.add(ONE_ETH.mul(3)))
+            expect(await usdt.allowance(owner.address, usdtClient.address)).to.be.gt(0)
+            expect(await usdtClient.approveIfNeeded(1)).to.equal(null)
+        });
+
+        it("Should reject invalid calls", async function () {
+            const readOnly = new ExchangeClient(client.address, provider)
+
+            await expectRejection(readOnly.ethToToken({ ethSold: ONE_ETH }), "exchangeClient:ethToToken a signer is required to send transactions")
+            await expectRejection(client.ethToToken({ ethSold: ONE_ETH, tokensBought: ONE_TOKEN }), "exchangeClient:ethToToken exactly one of the input and output amounts must be set")
+            await expectRejection(client.tokenToEth({}), "exchangeClient:tokenToEth exactly one of the input and output amounts must be set")
+        });
+    });
+});
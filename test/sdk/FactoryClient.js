@@ -0,0 +1,56 @@
+const { expect } = require("chai");
+const { FactoryClient } = require("../../sdk");
+const { deployFactory } = require("../helpers/pools");
+
+describe("SDK", function () {
+
+    let factory;
+    let token;
+    let otherToken;
+
+    async function expectRejection(promise, message) {
+        let error;
+        try {
+            await promise
+        } catch (e) {
+            error = e
+        }
+        expect(error, "expected promise to be rejected").to.be.an("error")
+        expect(error.message).to.equal(message)
+    }
+
+    beforeEach(async function () {
+        const Token = await ethers.getContractFactory("Token");
+        const [owner] = await ethers.getSigners();
+        const factoryContract = await deployFactory();
+        token = await Token.deploy("test token", "test");
+        await token.deployed();
+        otherToken = await Token.deploy("other token", "other");
+        await otherToken.deployed();
+        factory = new FactoryClient(factoryContract.address, owner, { slippageBps: 25, ttl: 5 });
+    });
+
+    describe("FactoryClient", function () {
+
+        it("Should resolve exchanges by token address", async function () {
+            expect(await factory.getExchange(token.address)).to.equal(null)
+            expect(await factory.tokenCount()).to.equal(0)
+
+            const client = await factory.createExchange(token.address)
+
+            expect(await factory.getExchange(token.address)).to.equal(client.address)
+            expect(await factory.getToken(client.address)).to.equal(token.address)
+            expect(await factory.tokenCount()).to.equal(1)
+            expect(await client.tokenAddress()).to.equal(token.address)
+            expect(client.slippageBps).to.equal(25)
+            expect(client.ttl).to.equal(5)
+        });
+
+        it("Should reject tokens without exchange", async function () {
+            await factory.createExchange(token.address)
+
+            expect(await factory.getToken(otherToken.address)).to.equal(null)
+            await expectRejection(factory.getExchangeClient(otherToken.address), `factoryClient:getExchangeClient no exchange for token ${otherToken.address}`)
+        });
+    });
+});
@@ -0,0 +1,316 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { Indexer, JsonStore } = require("../../sdk");
+const { deployFactory, deployToken, createPool } = require("../helpers/pools");
+
+describe("SDK", function () {
+
+    let owner;
+    let addr1;
+    let factory;
+    let router;
+    let tokenA;
+    let tokenB;
+    let exchangeA;
+    let exchangeB;
+    let borrower;
+    let dir;
+    const provider = waffle.provider;
+    const ETH = ethers.constants.AddressZero;
+    const ONE_ETH = ethers.utils.parseEther('1')
+    const ONE_TOKEN = ethers.utils.parseUnits('1')
+    const HOUR = 3600;
+
+    async function deadline() {
+        return (await provider.getBlock("latest")).timestamp + HOUR;
+    }
+
+    async function nextHour() {
+        const { timestamp } = await provider.getBlock("latest");
+        await provider.send("evm_setNextBlockTimestamp", [timestamp - (timestamp % HOUR) + HOUR]);
+    }
+
+    // Creates an empty exchange, which owner and addr1 can trade on directly and through the router.
+    async function createTradedPool(name) {
+        const token = await deployToken(name);
+        const exchange = await createPool(factory, token, 0, 0);
+        await token.mint(addr1.address, ethers.utils.parseUnits('1000'))
+        await token.connect(addr1).approve(exchange.address, ethers.constants.MaxUint256)
+        for (const account of [owner, addr1]) {
+            await token.connect(account).approve(router.address, ethers.constants.MaxUint256)
+        }
+        return [token, exchange]
+    }
+
+    // Every kind of event, spread over three hours.
+    async function tradeHistory() {
+        await exchangeA.addLiquidity(0, ethers.utils.parseUnits('20'), await deadline(), { value: ethers.utils.parseEther('10') })
+        await exchangeB.addLiquidity(0, ethers.utils.parseUnits('10'), await deadline(), { value: ethers.utils.parseEther('10') })
+        await exchangeA.connect(addr1).addLiquidity(1, ethers.utils.parseUnits('3'), await deadline(), { value: ONE_ETH })
+        await exchangeA.ethToTokenSwapInput(1, await deadline(), { value: ONE_ETH })
+
+        await nextHour()
+        await exchangeA.connect(addr1).tokenToEthTransferInput(ONE_TOKEN, 1, await deadline(), owner.address)
+        await exchangeA.tokenToTokenSwapInput(ethers.utils.parseUnits('2'), 1, 1, await deadline(), tokenB.address)
+        await exchangeA.tokenToTokenTransferOutput(ONE_TOKEN, ethers.utils.parseUnits('10'), ethers.utils.parseEther('2'), await deadline(), addr1.address, tokenB.address)
+
+        await nextHour()
+        await router.swapExactInput([ETH, tokenA.address, tokenB.address], ONE_ETH, 1, owner.address, await deadline(), { value: ONE_ETH })
+        await borrower.setRepayment(0, ONE_TOKEN.mul(1000).div(997).add(1))
+        await borrower.borrow(exchangeB.address, 0, ONE_TOKEN)
+        await exchangeA.connect(addr1).removeLiquidity(await exchangeA.balanceOf(addr1.address), 1, 1, await deadline())
+    }
+
+    async function expectOnChainReserves(indexer) {
+        for (const { exchange, token, ethReserve, tokenReserve } of indexer.getExchanges()) {
+            expect(ethReserve).to.equal(await provider.getBalance(exchange))
+            expect(tokenReserve).to.equal(await (await ethers.getContractAt("Token", token)).balanceOf(exchange))
+        }
+    }
+
+    beforeEach(async function () {
+        const Router = await ethers.getContractFactory("Router");
+        const FlashSwapBorrower = await ethers.getContractFactory("FlashSwapBorrower");
+        [owner, addr1] = await ethers.getSigners();
+        factory = await deployFactory();
+        router = await Router.deploy(factory.address);
+        await router.deployed();
+        [tokenA, exchangeA] = await createTradedPool("A");
+        [tokenB, exchangeB] = await createTradedPool("B");
+        borrower = await FlashSwapBorrower.deploy()
+        await tokenB.mint(borrower.address, ONE_TOKEN)
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "uniswap-v1-indexer-"));
+    });
+
+    afterEach(async function () {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    describe("Indexer", function () {
+
+        it("Should rebuild the reserves of every exchange from the events", async function () {
+            await tradeHistory()
+            const indexer = new Indexer(factory.address.toLowerCase(), provider, { batchSize: 7 })
+            expect(await indexer.sync()).to.equal(await provider.getBlockNumber())
+
+            expect(indexer.getExchanges().map(({ exchange, token }) => [exchange, token])).to.deep.equal([
+                [exchangeA.address, tokenA.address],
+                [exchangeB.address, tokenB.address]
+            ])
+            await expectOnChainReserves(indexer)
+            const history = indexer.getReserveHistory(exchangeA.address)
+            expect(history).to.have.lengthOf(9)
+            expect(history[0]).to.include({ timestamp: (await provider.getBlock(history[0].blockNumber)).timestamp })
+            expect(history[0].ethReserve).to.equal(ethers.utils.parseEther('10'))
+            expect(history[0].tokenReserve).to.equal(ethers.utils.parseUnits('20'))
+            expect(indexer.getReserveHistory(exchangeA.address, { from: history[8].timestamp })).to.have.lengthOf(1)
+            expect(() => indexer.getTrades(tokenA.address)).to.throw(`indexer:getTrades unknown exchange ${tokenA.address}`)
+        });
+
+        it("Should read the reserves from the chain for fee on transfer tokens and direct transfers", async function () {
+            const FeeOnTransferToken = await ethers.getContractFactory("FeeOnTransferToken");
+            const token = await FeeOnTransferToken.deploy("fee", "fee")
+            await token.deployed()
+            await token.mint(owner.address, ethers.utils.parseUnits('1000'))
+            const exchange = await createPool(factory, token, 0, 0)
+
+            // The events report the amounts sent, of which the exchange receives 99%.
+            await exchange.addLiquidity(0, ethers.utils.parseUnits('20'), await deadline(), { value: ethers.utils.parseEther('10') })
+            await exchange.tokenToEthSwapInput(ONE_TOKEN, 1, await deadline())
+            await token.transfer(exchange.address, ONE_TOKEN)
+            await owner.sendTransaction({ to: exchange.address, value: ONE_ETH })
+            await exchange.ethToTokenSwapInput(1, await deadline(), { value: ONE_ETH })
+
+            const indexer = new Indexer(factory.address, provider)
+            await indexer.sync()
+            await expectOnChainReserves(indexer)
+            const history = indexer.getReserveHistory(exchange.address)
+            expect(history).to.have.lengthOf(3)
+            for (const { blockNumber, ethReserve, tokenReserve } of history) {
+                expect(ethReserve).to.equal(await provider.getBalance(exchange.address, blockNumber))
+                expect(tokenReserve).to.equal(await token.balanceOf(exchange.address, { blockTag: blockNumber }))
+            }
+            expect(history[0].tokenReserve).to.equal(ethers.utils.parseUnits('19.8'))
+        });
+
+        it("Should only read the events of the exchanges, addressBatchSize exchanges per request", async function () {
+            await tradeHistory()
+            const requests = []
+            const send = provider.send
+            provider.send = function (method, params) {
+                if (method === "eth_getLogs" && Array.isArray(params[0].address)) {
+                    requests.push(params[0])
+                }
+                return send.apply(this, arguments)
+            }
+            // A single batch for the whole history, whatever the number of blocks before it.
+            const fromBlock = (await factory.deployTransaction.wait()).blockNumber + 1
+            const indexer = new Indexer(factory.address, provider, { fromBlock, addressBatchSize: 1 })
+            try {
+                await indexer.sync()
+                await exchangeB.ethToTokenSwapInput(1, await deadline(), { value: ONE_ETH })
+                await indexer.sync()
+            } finally {
+                provider.send = send
+            }
+
+            // The exchanges created by the first batch are read in it, each batch reads the exchanges known before it.
+            expect(requests.map(({ address }) => address)).to.deep.equal([
+                [exchangeA.address], [exchangeB.address],
+                [exchangeA.address], [exchangeB.address]
+            ])
+            expect(indexer.getTrades(exchangeB.address)).to.have.lengthOf(4)
+            await expectOnChainReserves(indexer)
+            expect(() => new Indexer(factory.address, provider, { addressBatchSize: -1 })).to.throw("indexer:constructor invalid addressBatchSize")
+        });
+
+        it("Should decode the two legs of token to token trades", async function () {
+            await tradeHistory()
+            const indexer = new Indexer(factory.address, provider)
+            await indexer.sync()
+
+            const tradesA = indexer.getTrades(exchangeA.address)
+            const tradesB = indexer.getTrades(exchangeB.address)
+            expect(tradesA.map(trade => trade.type)).to.deep.equal(["ethToToken", "tokenToEth", "tokenToEth", "tokenToEth", "ethToToken", "tokenToEth"])
+            expect(tradesB.map(trade => trade.type)).to.deep.equal(["ethToToken", "ethToToken", "ethToToken"])
+
+            // tokenToTokenSwapInput: EthPurchase on A is the token to ETH leg, TokenPurchase on B has A as buyer.
+            const [inputLeg, outputLeg] = [tradesA[2], tradesB[0]]
+            expect(inputLeg.transactionHash).to.equal(outputLeg.transactionHash)
+            expect(inputLeg.tokenAmount).to.equal(ethers.utils.parseUnits('2').toString())
+            expect(outputLeg.trader).to.equal(owner.address)
+            expect(outputLeg.route).to.deep.equal(inputLeg.route)
+            expect(inputLeg.route).to.deep.equal({
+                inputExchange: exchangeA.address,
+                outputExchange: exchangeB.address,
+                inputToken: tokenA.address,
+                outputToken: tokenB.address,
+                tokensSold: inputLeg.tokenAmount,
+                ethAmount: inputLeg.ethAmount,
+                tokensBought: outputLeg.tokenAmount
+            })
+            expect(outputLeg.ethAmount).to.equal(inputLeg.ethAmount)
+
+            // tokenToTokenTransferOutput bought exactly one B for addr1.
+            expect(tradesB[1].route.tokensBought).to.equal(ONE_TOKEN.toString())
+            expect(tradesB[1].trader).to.equal(owner.address)
+
+            // Multi-hop router trade: the router is the trader of both legs.
+            expect(tradesA[5].route.outputExchange).to.equal(exchangeB.address)
+            expect(tradesB[2].trader).to.equal(router.address)
+
+            // Plain trades are not paired.
+            expect(tradesA[0].route).to.equal(null)
+            expect(tradesA[1]).to.include({ trader: addr1.address, tokenAmount: ONE_TOKEN.toString(), route: null })
+        });
+
+        it("Should compute volumes, fees and liquidity flows", async function () {
+            await tradeHistory()
+            const indexer = new Indexer(factory.address, provider)
+            await indexer.sync()
+
+            const trades = indexer.getTrades(exchangeB.address)
+            const volume = indexer.getVolume(exchangeB.address)
+            expect(volume.trades).to.equal(3)
+            expect(volume.ethVolume).to.equal(trades.reduce((total, trade) => total.add(trade.ethAmount), ethers.constants.Zero))
+            expect(volume.tokenVolume).to.equal(trades.reduce((total, trade) => total.add(trade.tokenAmount), ethers.constants.Zero))
+
+            // B only sold tokens for ETH, and was paid back tokens by the flash swap.
+            const fees = indexer.getFees(exchangeB.address)
+            expect(fees.ethFees).to.equal(trades.reduce((total, trade) => total.add(ethers.BigNumber.from(trade.ethAmount).mul(3).div(1000)), ethers.constants.Zero))
+            expect(fees.tokenFees).to.equal(ONE_TOKEN.mul(1000).div(997).add(1).mul(3).div(1000))
+
+            const flows = indexer.getLiquidityFlows(exchangeA.address)
+            expect(Object.keys(flows)).to.deep.equal([owner.address, addr1.address])
+            expect(flows[owner.address].ethDeposited).to.equal(ethers.utils.parseEther('10'))
+            expect(flows[owner.address].liquidityMinted).to.equal(ethers.utils.parseEther('10'))
+            expect(flows[owner.address].liquidityBurned).to.equal(0)
+            expect(flows[addr1.address].ethDeposited).to.equal(ONE_ETH)
+            expect(flows[addr1.address].tokensDeposited).to.equal(ethers.utils.parseUnits('2').add(1))
+            expect(flows[addr1.address].liquidityMinted).to.equal(ONE_ETH)
+            expect(flows[addr1.address].liquidityBurned).to.equal(ONE_ETH)
+            expect(flows[addr1.address].ethWithdrawn).to.be.gt(0)
+            expect(indexer.getLiquidityEvents({ provider: addr1.address }).map(record => record.type)).to.deep.equal(["add", "remove"])
+        });
+
+        it("Should build hourly candles", async function () {
+            await tradeHistory()
+            const indexer = new Indexer(factory.address, provider)
+            await indexer.sync()
+
+            const candles = indexer.getCandles(exchangeA.address, HOUR)
+            expect(candles).to.have.lengthOf(3)
+            expect(candles.map(candle => candle.trades)).to.deep.equal([1, 3, 2])
+            expect(candles[1].timestamp).to.equal(candles[0].timestamp + HOUR)
+            expect(candles[1].open).to.equal(candles[0].close)
+            for (const candle of candles) {
+                expect(candle.high.gte(candle.open) && candle.high.gte(candle.close)).to.be.true
+                expect(candle.low.lte(candle.open) && candle.low.lte(candle.close)).to.be.true
+            }
+            // The first deposit sets the price of 1 A to 0.5 ETH.
+            expect(candles[0].open).to.equal(ethers.utils.parseEther('0.5'))
+            const { ethReserve, tokenReserve } = indexer.getExchanges()[0]
+            expect(candles[2].close).to.equal(ethReserve.mul(ethers.constants.WeiPerEther).div(tokenReserve))
+            expect(candles[0].ethVolume).to.equal(ONE_ETH)
+
+            expect(indexer.getCandles(exchangeA.address, HOUR, { from: candles[1].timestamp })).to.have.lengthOf(2)
+            expect(() => indexer.getCandles(exchangeA.address, 0)).to.throw("indexer:getCandles invalid interval")
+        });
+
+        it("Should persist to a JSON store and resume", async function () {
+            const file = path.join(dir, "index.json")
+            await exchangeA.addLiquidity(0, ethers.utils.parseUnits('20'), await deadline(), { value: ethers.utils.parseEther('10') })
+            let indexer = new Indexer(factory.address, provider, { store: new JsonStore(file) })
+            const lastBlock = await indexer.sync()
+            expect(JSON.parse(fs.readFileSync(file, "utf8")).lastBlock).to.equal(lastBlock)
+
+            await exchangeA.ethToTokenSwapInput(1, await deadline(), { value: ONE_ETH })
+            indexer = new Indexer(factory.address, provider, { store: new JsonStore(file) })
+            await indexer.sync()
+            expect(indexer.getTrades(exchangeA.address)).to.have.lengthOf(1)
+            expect(indexer.getLiquidityEvents()).to.have.lengthOf(1)
+            await expectOnChainReserves(indexer)
+
+            const other = new Indexer(router.address, provider, { store: new JsonStore(file) })
+            let error
+            await other.sync().catch(e => { error = e })
+            expect(error.message).to.equal("indexer:load store belongs to another factory or version")
+        });
+
+        it("Should start from a later block with the reserves at that block", async function () {
+            await exchangeA.addLiquidity(0, ethers.utils.parseUnits('20'), await deadline(), { value: ethers.utils.parseEther('10') })
+            const fromBlock = (await provider.getBlockNumber()) + 1
+            await exchangeA.ethToTokenSwapInput(1, await deadline(), { value: ONE_ETH })
+
+            const indexer = new Indexer(factory.address, provider, { fromBlock })
+            await indexer.sync()
+            expect(indexer.getLiquidityEvents()).to.have.lengthOf(0)
+            expect(indexer.getTrades(exchangeA.address)).to.have.lengthOf(1)
+            await expectOnChainReserves(indexer)
+        });
+
+        it("Should follow new blocks until stopped", async function () {
+            const indexer = new Indexer(factory.address, provider, { pollInterval: 10 })
+            const synced = block => new Promise(resolve => {
+                const listener = lastBlock => {
+                    if (lastBlock >= block) {
+                        indexer.off("sync", listener)
+                        resolve()
+                    }
+                }
+                indexer.on("sync", listener)
+            })
+            indexer.start()
+            const tx = await exchangeA.addLiquidity(0, ethers.utils.parseUnits('20'), await deadline(), { value: ethers.utils.parseEther('10') })
+            await synced((await tx.wait()).blockNumber)
+            await indexer.stop()
+            expect(indexer.getLiquidityEvents({ exchange: exchangeA.address })).to.have.lengthOf(1)
+
+            await exchangeA.ethToTokenSwapInput(1, await deadline(), { value: ONE_ETH })
+            await new Promise(resolve => setTimeout(resolve, 50))
+            expect(indexer.getTrades(exchangeA.address)).to.have.lengthOf(0)
+        });
+    });
+});
@@ -0,0 +1,111 @@
+const { expect } = require("chai");
+const { PathFinder } = require("../../sdk");
+const { deployFactory, deployToken, createPool } = require("../helpers/pools");
+
+describe("SDK", function () {
+
+    let owner;
+    let addr1;
+    let factory;
+    let router;
+    let finder;
+    let tokenA;
+    let tokenB;
+    let tokenC;
+    let tokenD;
+    let futureDeadline;
+    const provider = waffle.provider;
+    const ETH = ethers.constants.AddressZero;
+    const TEN_ETH = ethers.utils.parseEther('10')
+    const ONE_ETH = ethers.utils.parseEther('1')
+    const ONE_TOKEN = ethers.utils.parseUnits('1')
+
+    beforeEach(async function () {
+        const Router = await ethers.getContractFactory("Router");
+        [owner, addr1] = await ethers.getSigners();
+        factory = await deployFactory();
+        router = await Router.deploy(factory.address);
+        await router.deployed();
+        futureDeadline = (await provider.getBlock("latest")).timestamp + 3600;
+        tokenA = await deployToken("A")
+        tokenB = await deployToken("B")
+        tokenC = await deployToken("C")
+        tokenD = await deployToken("D")
+        for (const token of [tokenA, tokenB, tokenC, tokenD]) {
+            await token.approve(router.address, ethers.constants.MaxUint256)
+        }
+        await createPool(factory, tokenA, TEN_ETH, ethers.utils.parseUnits('20'))
+        await createPool(factory, tokenB, TEN_ETH, ethers.utils.parseUnits('10'))
+        await createPool(factory, tokenC, ethers.utils.parseEther('5'), ethers.utils.parseUnits('50'))
+        await createPool(factory, tokenD, ethers.constants.Zero, ethers.constants.Zero)
+        finder = new PathFinder(router.address, provider, { slippageBps: 100, ttl: 60 })
+    });
+
+    describe("PathFinder", function () {
+
+        it("Should enumerate the pools with liquidity and the paths between them", async function () {
+            const pools = await finder.getPools()
+            expect([...pools.keys()]).to.deep.equal([tokenA.address, tokenB.address, tokenC.address])
+            expect(pools.get(tokenA.address).exchange).to.equal(await factory.getExchange(tokenA.address))
+            expect(pools.get(tokenA.address).ethReserve).to.equal(TEN_ETH)
+
+            expect(finder.getPaths(pools, tokenA.address, tokenC.address)).to.deep.equal([
+                [tokenA.address, tokenC.address],
+                [tokenA.address, tokenB.address, tokenC.address]
+            ])
+            expect(finder.getPaths(pools, ETH, tokenC.address)).to.have.lengthOf(5)
+            expect(new PathFinder(router.address, provider, { maxHops: 1 }).getPaths(pools, ETH, tokenC.address)).to.deep.equal([[ETH, tokenC.address]])
+            expect(finder.getPaths(pools, tokenA.address, tokenD.address)).to.deep.equal([])
+            expect(finder.getPaths(pools, ETH, ETH)).to.deep.equal([])
+            expect(() => new PathFinder(router.address, provider, { maxHops: 0 })).to.throw("pathFinder:constructor invalid maxHops")
+        });
+
+        it("Should find the best route for an exact input and execute it", async function () {
+            const route = await finder.findBestExactInput(tokenA.address.toLowerCase(), tokenC.address, ONE_TOKEN, addr1.address)
+            expect(route.path).to.deep.equal([tokenA.address, tokenC.address])
+            expect(route.amountOut).to.equal((await router.getAmountsOut(route.path, ONE_TOKEN))[1])
+            expect(route.minAmountOut).to.equal(route.amountOut.mul(99).div(100))
+            expect(route.transaction.to).to.equal(router.address)
+            expect(route.transaction.value).to.equal(0)
+
+            await owner.sendTransaction(route.transaction)
+            expect(await tokenC.balanceOf(addr1.address)).to.equal(route.amountOut)
+        });
+
+        it("Should quote multi-hop exact inputs exactly", async function () {
+            finder.getPaths = () => [[ETH, tokenA.address, tokenB.address, tokenC.address]]
+            const route = await finder.findBestExactInput(ETH, tokenC.address, ONE_ETH, addr1.address)
+            // Better than the quote of the router, which ignores the second trade on the exchanges of A and B.
+            expect(route.amountOut).to.be.gt((await router.getAmountsOut(route.path, ONE_ETH))[3])
+            expect(route.transaction.value).to.equal(ONE_ETH)
+
+            await owner.sendTransaction(route.transaction)
+            expect(await tokenC.balanceOf(addr1.address)).to.equal(route.amountOut)
+        });
+
+        it("Should find the best route for an exact output and execute it", async function () {
+            const route = await finder.findBestExactOutput(ETH, tokenC.address, ONE_TOKEN, addr1.address)
+            expect(route.path).to.deep.equal([ETH, tokenC.address])
+            expect(route.amounts).to.deep.equal(await router.getAmountsIn(route.path, ONE_TOKEN))
+            expect(route.maxAmountIn).to.equal(route.amountIn.mul(101).div(100))
+            expect(route.transaction.value).to.equal(route.maxAmountIn)
+
+            await owner.sendTransaction(route.transaction)
+            expect(await tokenC.balanceOf(addr1.address)).to.equal(ONE_TOKEN)
+            expect(await provider.getBalance(router.address)).to.equal(0)
+
+            const ethRoute = await finder.findBestExactOutput(tokenB.address, ETH, ONE_ETH, addr1.address)
+            expect(ethRoute.path).to.deep.equal([tokenB.address, ETH])
+            const balanceBefore = await tokenB.balanceOf(owner.address)
+            await owner.sendTransaction(ethRoute.transaction)
+            expect(await tokenB.balanceOf(owner.address)).to.equal(balanceBefore.sub(ethRoute.amountIn))
+        });
+
+        it("Should return null without route", async function () {
+            expect(await finder.findBestExactInput(tokenA.address, tokenD.address, ONE_TOKEN, addr1.address)).to.equal(null)
+            expect(await finder.findBestExactOutput(ETH, tokenD.address, ONE_TOKEN, addr1.address)).to.equal(null)
+            // More than the reserve of C.
+            expect(await finder.findBestExactOutput(ETH, tokenC.address, ethers.utils.parseUnits('50'), addr1.address)).to.equal(null)
+        });
+    });
+});
@@ -0,0 +1,598 @@
+const fc = require("fast-check");
+const { expect } = require("chai");
+const { Simulator, ArbitrageAgent, permit } = require("../../sdk");
+const { SWAPS, amount, account, pool, operationSequences, resolve } = require("../helpers/operations");
+const { deployFactory } = require("../helpers/pools");
+
+const RUNS = Number(process.env.CONFORMANCE_RUNS || 10);
+const SEED = process.env.CONFORMANCE_SEED === undefined ? undefined : Number(process.env.CONFORMANCE_SEED);
+
+describe("SDK", function () {
+
+    let accounts;
+    let factory;
+    let tokens;
+    let exchanges;
+    let borrower;
+    let chainId;
+    let snapshot;
+    let simulator;
+    let simulated;
+    const provider = waffle.provider;
+    const MAX = ethers.constants.MaxUint256;
+    const WAD = ethers.constants.WeiPerEther;
+    const ONE = ethers.BigNumber.from(1);
+    const ONE_ETH = ethers.utils.parseEther('1');
+    const ONE_TOKEN = ethers.utils.parseUnits('1');
+    const INITIAL_TOKENS = ethers.utils.parseUnits('1000');
+    const BORROWER_ETH = ethers.utils.parseEther('10');
+    // Token D has no exchange.
+    const NAMES = ["A", "B", "C", "D"];
+    // The last account does not approve the exchanges, so that it needs an approval or a permit to sell Tokens.
+    const APPROVERS = 2;
+
+    // Mirrors FlashSwapBorrower, without reentry: it pays back the repayment set last.
+    function createBorrower(simulator) {
+        let [ethRepay, tokenRepay] = [ethers.constants.Zero, ethers.constants.Zero];
+        const receiver = simulator.createFlashSwapReceiver({
+            address: borrower.address,
+            onFlashSwap: (receiver, { caller }) => {
+                if (tokenRepay.gt(0)) {
+                    simulator.getToken(simulator.getExchangeAt(caller).tokenAddress()).transfer(caller, tokenRepay, { from: receiver.address });
+                }
+                if (ethRepay.gt(0) && !simulator.transferEth(receiver.address, caller, ethRepay)) {
+                    throw new Error("flashSwapBorrower:onFlashSwap failed to send eth");
+                }
+            }
+        });
+        return {
+            address: receiver.address,
+            setRepayment(ethAmount, tokenAmount) {
+                [ethRepay, tokenRepay] = [ethAmount, tokenAmount];
+            },
+            borrow(exchange, ethAmount, tokenAmount) {
+                return simulator.getExchangeAt(exchange).flashSwap(ethAmount, tokenAmount, receiver.address, "0x", { from: receiver.address });
+            }
+        };
+    }
+
+    // Like the factory, tokens and borrower deployed in before, funded the same way.
+    function createSimulation(timestamp) {
+        const simulator = new Simulator({ timestamp, chainId });
+        const owner = accounts[0].address;
+        const simulatedFactory = simulator.createFactory({ address: factory.address, owner });
+        const simulatedTokens = tokens.map((token, i) => simulator.createToken({ address: token.address, name: NAMES[i] }));
+        const simulatedExchanges = exchanges.map((exchange, i) =>
+            simulator.getExchangeAt(simulatedFactory.createExchange(tokens[i].address, { from: owner })));
+        for (const account of accounts) {
+            simulator.setBalance(account.address, ethers.utils.parseEther('10000'));
+            for (let i = 0; i < tokens.length; i++) {
+                simulatedTokens[i].mint(account.address, INITIAL_TOKENS);
+                if (i < exchanges.length && accounts.indexOf(account) < APPROVERS) {
+                    simulatedTokens[i].approve(simulatedExchanges[i].address, MAX, { from: account.address });
+                }
+            }
+        }
+        const simulatedBorrower = createBorrower(simulator);
+        simulator.setBalance(borrower.address, BORROWER_ETH);
+        for (const token of simulatedTokens) {
+            token.mint(borrower.address, INITIAL_TOKENS);
+        }
+        return { simulator, factory: simulatedFactory, tokens: simulatedTokens, exchanges: simulatedExchanges, borrower: simulatedBorrower };
+    }
+
+    before(async function () {
+        const Exchange = await ethers.getContractFactory("Exchange");
+        const PermitToken = await ethers.getContractFactory("PermitToken");
+        const FlashSwapBorrower = await ethers.getContractFactory("FlashSwapBorrower");
+        accounts = (await ethers.getSigners()).slice(0, 3);
+        ({ chainId } = await provider.getNetwork());
+        factory = await deployFactory();
+        borrower = await FlashSwapBorrower.deploy();
+        await borrower.deployed();
+        await accounts[0].sendTransaction({ to: borrower.address, value: BORROWER_ETH });
+        tokens = [];
+        exchanges = [];
+        for (const name of NAMES) {
+            const token = await PermitToken.deploy(name, name);
+            await token.deployed();
+            if (name !== "D") {
+                await factory.createExchange(token.address);
+                exchanges.push(Exchange.attach(await factory.getExchange(token.address)));
+            }
+            for (const account of accounts) {
+                await token.mint(account.address, INITIAL_TOKENS);
+                if (name !== "D" && accounts.indexOf(account) < APPROVERS) {
+                    await token.connect(account).approve(exchanges[exchanges.length - 1].address, MAX);
+                }
+            }
+            await token.mint(borrower.address, INITIAL_TOKENS);
+            tokens.push(token);
+        }
+        snapshot = await network.provider.send("evm_snapshot", []);
+    });
+
+    beforeEach(async function () {
+        await network.provider.send("evm_revert", [snapshot]);
+        snapshot = await network.provider.send("evm_snapshot", []);
+        ({ simulator, ...simulated } = createSimulation((await provider.getBlock("latest")).timestamp));
+    });
+
+    describe("Simulator", function () {
+
+        function addLiquidity(exchange, ethAmount, tokenAmount) {
+            return exchange.addLiquidity(0, tokenAmount, simulator.timestamp, { from: accounts[0].address, value: ethAmount });
+        }
+
+        it("Should create exchanges at the addresses of the factory", async function () {
+            for (let i = 0; i < exchanges.length; i++) {
+                expect(simulated.exchanges[i].address).to.equal(exchanges[i].address);
+                expect(simulated.factory.getExchange(tokens[i].address)).to.equal(exchanges[i].address);
+                expect(simulated.factory.getToken(exchanges[i].address)).to.equal(tokens[i].address);
+                expect(simulated.factory.getTokenWithId(i + 1)).to.equal(await factory.getTokenWithId(i + 1));
+            }
+            expect(simulated.factory.getExchange(tokens[3].address)).to.equal(ethers.constants.AddressZero);
+            expect(() => simulated.factory.createExchange(tokens[0].address, { from: accounts[1].address }))
+                .to.throw("factory:createExchange exchange already exists");
+        });
+
+        it("Should price and trade like the contract", async function () {
+            const [exchange, other] = simulated.exchanges;
+            addLiquidity(exchange, ethers.utils.parseEther('10'), ethers.utils.parseUnits('20'));
+            addLiquidity(other, ethers.utils.parseEther('5'), ethers.utils.parseUnits('50'));
+            const trader = { from: accounts[1].address };
+
+            const tokensBought = exchange.getEthToTokenInputPrice(ONE_ETH);
+            // 20 * 0.997 / (10 + 0.997)
+            expect(tokensBought).to.equal(ethers.BigNumber.from('1813221787760298263'));
+            expect(exchange.ethToTokenSwapInput(tokensBought, simulator.timestamp, { ...trader, value: ONE_ETH })).to.equal(tokensBought);
+            expect(exchange.getReserves()).to.deep.equal({ ethReserve: ethers.utils.parseEther('11'), tokenReserve: ethers.utils.parseUnits('20').sub(tokensBought) });
+
+            const ethSold = other.getEthToTokenOutputPrice(ONE_TOKEN);
+            const tokensSold = exchange.getTokenToEthOutputPrice(ethSold);
+            expect(exchange.tokenToTokenSwapOutput(ONE_TOKEN, tokensSold, ethSold, simulator.timestamp, tokens[1].address, trader)).to.equal(tokensSold);
+            expect(simulated.tokens[1].balanceOf(trader.from)).to.equal(INITIAL_TOKENS.add(ONE_TOKEN));
+            expect(simulator.getBalance(other.address)).to.equal(ethers.utils.parseEther('5').add(ethSold));
+
+            expect(() => exchange.tokenToEthSwapInput(ONE_TOKEN, MAX, simulator.timestamp, trader)).to.throw("exchange:tokenToEthInput too low amount");
+            expect(() => exchange.tokenToEthSwapOutput(ONE_ETH, 1, simulator.timestamp, trader)).to.throw("exchange:tokenToEthOutput too high amount");
+            expect(() => exchange.ethToTokenSwapInput(1, simulator.timestamp - 1, { ...trader, value: ONE_ETH })).to.throw("exchange:ethToTokenInput invalid parameters");
+            expect(() => exchange.ethToTokenSwapOutput(ONE_TOKEN, simulator.timestamp, { ...trader, value: 1 })).to.throw("panic:0x11");
+            expect(() => exchange.tokenToExchangeSwapInput(ONE_TOKEN, 1, 1, simulator.timestamp, exchange.address, trader)).to.throw("exchange:tokenToTokenInput invalid exchange address");
+            expect(() => exchange.removeLiquidity(ONE_ETH, 1, 1, simulator.timestamp, trader)).to.throw("exchange:removeLiquidity amount exceeds balance");
+        });
+
+        it("Should revert every change of a failing call", async function () {
+            const [exchange] = simulated.exchanges;
+            addLiquidity(exchange, ethers.utils.parseEther('10'), ethers.utils.parseUnits('20'));
+            const trader = accounts[1].address;
+            simulated.tokens[0].approve(exchange.address, 0, { from: trader });
+            const before = simulator.snapshot();
+            simulator.increaseTime(60);
+
+            // The ETH is sent before the tokens are pulled, and the accumulators were updated.
+            expect(() => exchange.tokenToEthSwapOutput(ONE_ETH, MAX, simulator.timestamp, { from: trader }))
+                .to.throw("exchange:tokenToEthOutput failed to transfer tokens");
+            expect(simulator.getBalance(exchange.address)).to.equal(ethers.utils.parseEther('10'));
+            expect(simulator.getBalance(trader)).to.equal(ethers.utils.parseEther('10000'));
+            expect(exchange.blockTimestampLast()).to.equal(before.timestamp);
+            expect(() => exchange.ethToTokenSwapInput(1, simulator.timestamp, { from: trader, value: ethers.utils.parseEther('10001') }))
+                .to.throw("simulator:call insufficient funds");
+
+            exchange.ethToTokenSwapInput(1, simulator.timestamp, { from: trader, value: ONE_ETH });
+            expect(exchange.ethPriceCumulativeLast()).to.equal(ethers.utils.parseUnits('2').mul(60));
+            simulator.revert(before);
+            expect(simulator.timestamp).to.equal(before.timestamp);
+            expect(simulator.getBalance(exchange.address)).to.equal(ethers.utils.parseEther('10'));
+            expect(exchange.ethPriceCumulativeLast()).to.equal(0);
+        });
+
+        it("Should lend with flash swaps and revert the calls back into the exchange", async function () {
+            const [exchange] = simulated.exchanges;
+            addLiquidity(exchange, ethers.utils.parseEther('10'), ethers.utils.parseUnits('20'));
+            const from = accounts[1].address;
+
+            // 997 borrowed tokens need 1000 tokens paid back.
+            const borrowed = ONE_TOKEN.mul(997).div(1000);
+            const receiver = simulator.createFlashSwapReceiver({
+                onFlashSwap: (receiver, { caller, sender, tokenAmount }) => {
+                    expect([caller, sender, tokenAmount]).to.deep.equal([exchange.address, from, borrowed]);
+                    simulated.tokens[0].transfer(caller, ONE_TOKEN, { from: receiver.address });
+                }
+            });
+            simulated.tokens[0].mint(receiver.address, ONE_TOKEN.sub(borrowed));
+            exchange.flashSwap(0, borrowed, receiver.address, "0x", { from });
+            expect(exchange.getReserves().tokenReserve).to.equal(ethers.utils.parseUnits('20').add(ONE_TOKEN).sub(borrowed));
+            expect(() => exchange.flashSwap(0, borrowed, receiver.address, "0x", { from })).to.throw("ERC20: transfer amount exceeds balance");
+
+            const reentrant = simulator.createFlashSwapReceiver({
+                onFlashSwap: (receiver, { caller, ethAmount }) =>
+                    simulator.getExchangeAt(caller).ethToTokenSwapInput(1, simulator.timestamp, { from: receiver.address, value: ethAmount })
+            });
+            expect(() => exchange.flashSwap(ONE_ETH, 0, reentrant.address, "0x", { from })).to.throw("exchange:lock reentrant call");
+            const reader = simulator.createFlashSwapReceiver({
+                onFlashSwap: (receiver, { caller }) => simulator.getExchangeAt(caller).getLiquidityValue(1)
+            });
+            expect(() => exchange.flashSwap(ONE_ETH, 0, reader.address, "0x", { from })).to.throw("exchange:lock reentrant call");
+            expect(() => exchange.flashSwap(ONE_ETH, 0, from, "0x", { from })).to.throw("simulator:getFlashSwapReceiverAt no flash swap receiver");
+            expect(exchange.ethToTokenSwapInput(1, simulator.timestamp, { from, value: ONE_ETH })).to.be.gt(0);
+        });
+
+        it("Should trade a pool back to the external price with the arbitrage agent", async function () {
+            const [exchange] = simulated.exchanges;
+            addLiquidity(exchange, ethers.utils.parseEther('10'), ethers.utils.parseUnits('20'));
+            const agent = new ArbitrageAgent(exchange, accounts[1].address);
+            const spotPrice = () => exchange.getReserves().ethReserve.mul(WAD).div(exchange.getReserves().tokenReserve);
+
+            // Tokens cost 0.5 ETH in the pool and 1 ETH outside: the agent buys until the pool charges 1 ETH.
+            const valueBefore = agent.getValue(WAD);
+            const trade = agent.act(WAD);
+            expect(trade.method).to.equal("ethToTokenSwapInput");
+            expect(trade.profit).to.be.gt(0);
+            expect(agent.getValue(WAD)).to.equal(valueBefore.add(trade.profit));
+            expect(exchange.getEthToTokenOutputPrice(ONE_TOKEN.div(1000))).to.be.closeTo(ONE_ETH.div(1000), ONE_ETH.div(1000000));
+            expect(agent.getTrade(WAD)).to.equal(null);
+
+            // Within the fee of the external price, trading loses money.
+            expect(agent.getTrade(spotPrice().mul(1002).div(1000))).to.equal(null);
+            expect(agent.getTrade(spotPrice().mul(998).div(1000))).to.equal(null);
+
+            const sale = agent.act(WAD.div(4));
+            expect(sale.method).to.equal("tokenToEthSwapInput");
+            expect(sale.profit).to.be.gt(0);
+            expect(spotPrice()).to.be.closeTo(WAD.div(4), WAD.div(100));
+            expect(() => agent.getTrade(0)).to.throw("arbitrageAgent:getTrade invalid price");
+        });
+
+        it("Should backtest the arbitrage agent on a price feed", async function () {
+            const [exchange] = simulated.exchanges;
+            addLiquidity(exchange, ethers.utils.parseEther('10'), ethers.utils.parseUnits('20'));
+            const agent = new ArbitrageAgent(exchange, accounts[1].address, { minProfit: ethers.utils.parseEther('0.001') });
+            const start = simulator.timestamp;
+            const feed = [0.5, 0.6, 0.8, 0.7, 0.4, 0.45, 0.3, 0.5].map((price, i) => ({
+                timestamp: start + (i + 1) * 3600,
+                price: ethers.utils.parseEther(String(price))
+            }));
+
+            const steps = agent.run(feed);
+            expect(steps.map(step => step.trade && step.trade.method)).to.deep.equal([
+                null, "ethToTokenSwapInput", "ethToTokenSwapInput", "tokenToEthSwapInput",
+                "tokenToEthSwapInput", "ethToTokenSwapInput", "tokenToEthSwapInput", "ethToTokenSwapInput"
+            ]);
+            let k = ethers.utils.parseEther('10').mul(ethers.utils.parseUnits('20'));
+            for (const step of steps) {
+                const spotPrice = step.ethReserve.mul(WAD).div(step.tokenReserve);
+                expect(spotPrice.sub(step.price).abs().mul(1000).div(step.price)).to.be.lte(3);
+                // The fees paid by the agent stay in the pool.
+                const nextK = step.ethReserve.mul(step.tokenReserve);
+                expect(nextK).to.be.gte(k);
+                k = nextK;
+            }
+            expect(simulator.timestamp).to.equal(feed[feed.length - 1].timestamp);
+            expect(exchange.blockTimestampLast()).to.equal(simulator.timestamp);
+            expect(() => agent.run([{ timestamp: start, price: WAD }])).to.throw("simulator:setTimestamp timestamp is before the current one");
+        });
+
+        describe("Conformance", function () {
+
+            this.timeout(0);
+
+            // Limits are loose, exactly the quote, or 1 wei short of it. Pool 2 has no liquidity at first. Recipients 3, 4
+            // and 5 are the exchange called, the other exchange and the zero address, and target 3 is the token without an exchange.
+            // Functions with a WithPermit variant are called through it with a permit of owner, or signed by another account if invalid.
+            const recipient = fc.oneof({ arbitrary: account, weight: 4 }, fc.integer({ min: 3, max: 5 }));
+            const common = {
+                account,
+                owner: account,
+                pool: fc.oneof({ arbitrary: pool, weight: 4 }, fc.constant(2)),
+                amount,
+                limit: fc.oneof({ arbitrary: fc.constant("loose"), weight: 4 }, { arbitrary: fc.constant("exact"), weight: 2 }, fc.constantFrom("short", "shortEth")),
+                deadline: fc.oneof({ arbitrary: fc.constant("future"), weight: 8 }, fc.constantFrom("now", "past")),
+                permit: fc.oneof({ arbitrary: fc.constant("none"), weight: 4 }, fc.constantFrom("valid", "invalid")),
+                wait: fc.oneof(fc.integer({ min: 1, max: 60 }), fc.integer({ min: 1, max: 1000000 }))
+            };
+            const operations = operationSequences(common, {
+                swap: {
+                    recipient,
+                    target: fc.oneof({ arbitrary: fc.nat({ max: 2 }), weight: 4 }, fc.constant(3))
+                },
+                others: [
+                    { arbitrary: fc.record({ type: fc.constant("approve"), max: fc.boolean(), ...common }), weight: 1 },
+                    { arbitrary: fc.record({ type: fc.constant("setFeeTo"), feeTo: fc.nat({ max: 3 }), ...common }), weight: 1 },
+                    {
+                        arbitrary: fc.record({ type: fc.constant("share"), method: fc.constantFrom("transfer", "transferFrom", "approve", "permit"), recipient, max: fc.boolean(), ...common }),
+                        weight: 2
+                    },
+                    {
+                        arbitrary: fc.record({ type: fc.constant("flashSwap"), borrow: fc.constantFrom("eth", "token", "both"), repay: fc.constantFrom("fee", "principal", "none"), ...common }),
+                        weight: 2
+                    }
+                ],
+                minLength: 5,
+                maxLength: 30,
+                size: "max"
+            });
+
+            // Pools A and B start with liquidity, C is left for the operations to fill.
+            const SETUP = [
+                { type: "addLiquidity", account: 0, pool: 0, amount: { permille: 1000 }, limit: "loose", deadline: "future", permit: "none", wait: 1 },
+                { type: "addLiquidity", account: 1, pool: 1, amount: { permille: 500 }, limit: "loose", deadline: "future", permit: "none", wait: 1 }
+            ];
+
+            // Quote of the simulation, or null if it throws.
+            function quote(callback) {
+                try {
+                    return callback();
+                } catch (e) {
+                    return null;
+                }
+            }
+
+            // Bound on an amount: loose, the quote, or the quote moved by 1 wei so that the call fails,
+            // by being 1 for a minimum, -1 for a maximum, or 0 for the bound that stays exact.
+            function bound(operation, quoted, loose, by) {
+                if (quoted === null || operation.limit === "loose") {
+                    return loose;
+                }
+                return operation.limit === "exact" ? quoted : quoted.add(by);
+            }
+
+            // Exchange functions with a WithPermit variant, and the index of the argument the permit approves.
+            const PERMIT_VALUES = { addLiquidity: 1, removeLiquidity: 0, tokenToEthSwapInput: 0, tokenToEthSwapOutput: 1, tokenToTokenSwapInput: 0, tokenToTokenSwapOutput: 1 };
+
+            function deadlineOf(operation) {
+                return { future: simulator.timestamp + 3600, now: simulator.timestamp, past: simulator.timestamp - 1 }[operation.deadline];
+            }
+
+            // Arguments v, r and s of a permit of accounts[owner], signed by another account if the permit of operation is invalid.
+            async function signPermit(contract, operation, owner, spender, value, deadline) {
+                const signer = accounts[operation.permit === "invalid" ? (owner + 1) % accounts.length : owner];
+                const address = accounts[owner].address;
+                const { domain, types, message } = await permit.buildPermit(contract.address, provider, { owner: address, spender, value, deadline, nonce: contract.nonces(address) });
+                const { v, r, s } = ethers.utils.splitSignature(await signer._signTypedData(domain, types, message));
+                return [v, r, s];
+            }
+
+            // Calls the WithPermit variant of the function of call instead, if operation has a permit.
+            async function withPermit(operation, call) {
+                if (operation.permit === "none" || call.contract !== "exchange" || !(call.method in PERMIT_VALUES)) {
+                    return call;
+                }
+                const exchange = simulated.exchanges[call.index];
+                const value = call.args[PERMIT_VALUES[call.method]];
+                const args = call.method === "removeLiquidity"
+                    ? [...call.args, accounts[operation.owner].address, ...await signPermit(exchange, operation, operation.owner, call.from, value, deadlineOf(operation))]
+                    : [...call.args, ...await signPermit(simulated.tokens[call.index], operation, operation.account, exchange.address, value, deadlineOf(operation))];
+                return { ...call, method: `${call.method}WithPermit`, args };
+            }
+
+            // Builds the call of an operation from the state of the simulation, which the chain has too.
+            async function build(operation) {
+                const from = accounts[operation.account].address;
+                const deadline = deadlineOf(operation);
+                const exchange = simulated.exchanges[operation.pool];
+                const { ethReserve, tokenReserve } = exchange.getReserves();
+                if (operation.type === "setFeeTo") {
+                    const feeTo = operation.feeTo < 3 ? accounts[operation.feeTo].address : ethers.constants.AddressZero;
+                    return { contract: "factory", method: "setFeeTo", args: [feeTo], overrides: {}, from };
+                }
+                if (operation.type === "approve") {
+                    const value = operation.max ? MAX : resolve(operation.amount, simulated.tokens[operation.pool].balanceOf(from));
+                    return { contract: "token", index: operation.pool, method: "approve", args: [exchange.address, value], overrides: {}, from };
+                }
+                if (operation.type === "flashSwap") {
+                    const ethAmount = operation.borrow === "token" ? ethers.constants.Zero : resolve(operation.amount, ethReserve);
+                    const tokenAmount = operation.borrow === "eth" ? ethers.constants.Zero : resolve(operation.amount, tokenReserve);
+                    const repay = amount => ({ fee: amount.mul(1000).div(997).add(1), principal: amount, none: ethers.constants.Zero })[operation.repay];
+                    return { contract: "borrower", method: "borrow", args: [exchange.address, ethAmount, tokenAmount], repayment: [repay(ethAmount), repay(tokenAmount)], overrides: {}, from };
+                }
+                const call = { contract: "exchange", index: operation.pool, overrides: {}, from, deadline: operation.deadline };
+                if (operation.type === "share") {
+                    const owner = accounts[operation.owner].address;
+                    const to = [...accounts.map(account => account.address), exchange.address, simulated.exchanges[(operation.pool + 1) % 3].address, ethers.constants.AddressZero][operation.recipient];
+                    if (operation.method === "transfer") {
+                        return { ...call, method: "transfer", args: [to, resolve(operation.amount, exchange.balanceOf(from))] };
+                    }
+                    if (operation.method === "transferFrom") {
+                        return { ...call, method: "transferFrom", args: [owner, to, resolve(operation.amount, exchange.balanceOf(owner))] };
+                    }
+                    const value = operation.max ? MAX : resolve(operation.amount, exchange.balanceOf(operation.method === "approve" ? from : owner));
+                    if (operation.method === "approve") {
+                        return { ...call, method: "approve", args: [to, value] };
+                    }
+                    return { ...call, method: "permit", args: [owner, to, value, deadline, ...await signPermit(exchange, operation, operation.owner, to, value, deadline)] };
+                }
+                if (operation.type === "addLiquidity") {
+                    const value = resolve(operation.amount, ethReserve.isZero() ? ethers.utils.parseEther('10') : ethReserve);
+                    const totalSupply = exchange.totalSupply();
+                    if (totalSupply.isZero()) {
+                        return { ...call, method: "addLiquidity", args: [0, value.mul(operation.pool + 2), deadline], overrides: { value } };
+                    }
+                    const liquidity = ethReserve.isZero() ? null : value.mul(totalSupply).div(ethReserve);
+                    const tokenAmount = ethReserve.isZero() ? null : value.mul(tokenReserve).div(ethReserve).add(1);
+                    return {
+                        ...call,
+                        method: "addLiquidity",
+                        args: [bound(operation, liquidity, ONE, 1), bound(operation, tokenAmount, MAX, -1), deadline],
+                        overrides: { value }
+                    };
+                }
+                if (operation.type === "removeLiquidity") {
+                    const liquidity = resolve(operation.amount, exchange.balanceOf(operation.permit === "none" ? from : accounts[operation.owner].address));
+                    const value = quote(() => exchange.getLiquidityValue(liquidity));
+                    return {
+                        ...call,
+                        method: "removeLiquidity",
+                        args: [liquidity, bound(operation, value && value[0], ONE, 1), bound(operation, value && value[1], ONE, 1), deadline]
+                    };
+                }
+
+                const swap = SWAPS.find(swap => swap.name === operation.name);
+                const other = operation.target < 3 ? simulated.exchanges[operation.target] : null;
+                const output = swap.output === "token" ? exchange : other;
+                const recipient = [...accounts.map(account => account.address), exchange.address, other ? other.address : exchange.address, ethers.constants.AddressZero][operation.recipient];
+                const reserveOf = (reserve, fallback) => reserve.isZero() ? fallback : reserve;
+                let args;
+                if (swap.input === "eth") {
+                    if (swap.exactInput) {
+                        const ethSold = resolve(operation.amount, reserveOf(ethReserve, ONE_ETH));
+                        args = [bound(operation, quote(() => exchange.getEthToTokenInputPrice(ethSold)), ONE, 1), deadline];
+                        call.overrides = { value: ethSold };
+                    } else {
+                        const tokensBought = resolve(operation.amount, reserveOf(tokenReserve, ONE_TOKEN));
+                        const ethSold = quote(() => exchange.getEthToTokenOutputPrice(tokensBought));
+                        args = [tokensBought, deadline];
+                        call.overrides = { value: bound(operation, ethSold, ethSold ? ethSold.mul(2) : ONE_ETH, -1) };
+                    }
+                } else if (swap.output === "eth") {
+                    if (swap.exactInput) {
+                        const tokensSold = resolve(operation.amount, reserveOf(tokenReserve, ONE_TOKEN));
+                        args = [tokensSold, bound(operation, quote(() => exchange.getTokenToEthInputPrice(tokensSold)), ONE, 1), deadline];
+                    } else {
+                        const ethBought = resolve(operation.amount, reserveOf(ethReserve, ONE_ETH));
+                        args = [ethBought, bound(operation, quote(() => exchange.getTokenToEthOutputPrice(ethBought)), MAX, -1), deadline];
+                    }
+                } else {
+                    const shortEth = operation.limit === "shortEth";
+                    if (swap.exactInput) {
+                        const tokensSold = resolve(operation.amount, reserveOf(tokenReserve, ONE_TOKEN));
+                        const ethBought = quote(() => exchange.getTokenToEthInputPrice(tokensSold));
+                        const tokensBought = output && ethBought && quote(() => output.getEthToTokenInputPrice(ethBought));
+                        args = [tokensSold, bound(operation, tokensBought, ONE, shortEth ? 0 : 1), bound(operation, ethBought, ONE, shortEth ? 1 : 0), deadline];
+                    } else {
+                        const tokensBought = resolve(operation.amount, output ? reserveOf(output.getReserves().tokenReserve, ONE_TOKEN) : ONE_TOKEN);
+                        const ethSold = output && quote(() => output.getEthToTokenOutputPrice(tokensBought));
+                        const tokensSold = ethSold && quote(() => exchange.getTokenToEthOutputPrice(ethSold));
+                        args = [tokensBought, bound(operation, tokensSold, MAX, shortEth ? 0 : -1), bound(operation, ethSold, MAX, shortEth ? -1 : 0), deadline];
+                    }
+                }
+                if (swap.transfer) {
+                    args.push(recipient);
+                }
+                if (swap.output === "otherToken") {
+                    args.push(swap.byExchange ? (other ? other.address : ethers.constants.AddressZero) : tokens[operation.target].address);
+                }
+                return { ...call, method: swap.name, args };
+            }
+
+            // Reason of a revert, as the simulation reports it.
+            function reasonOf(e) {
+                const reason = /reverted with reason string ['"]([^'"]*)['"]/.exec(e.message);
+                if (reason) {
+                    return reason[1];
+                }
+                const panic = /reverted with panic code (0x[0-9a-f]+)/.exec(e.message);
+                if (panic) {
+                    return `panic:${panic[1]}`;
+                }
+                throw e;
+            }
+
+            async function getState() {
+                const holders = [...accounts.map(account => account.address), ...exchanges.map(exchange => exchange.address), borrower.address];
+                return {
+                    feeTo: await factory.feeTo(),
+                    borrowerEth: (await provider.getBalance(borrower.address)).toString(),
+                    exchanges: await Promise.all(exchanges.map(async exchange => ({
+                        ethReserve: (await provider.getBalance(exchange.address)).toString(),
+                        totalSupply: (await exchange.totalSupply()).toString(),
+                        kLast: (await exchange.kLast()).toString(),
+                        ethPriceCumulativeLast: (await exchange.ethPriceCumulativeLast()).toString(),
+                        tokenPriceCumulativeLast: (await exchange.tokenPriceCumulativeLast()).toString(),
+                        blockTimestampLast: (await exchange.blockTimestampLast()).toString(),
+                        ethReserveLast: (await exchange.ethReserveLast()).toString(),
+                        tokenReserveLast: (await exchange.tokenReserveLast()).toString(),
+                        liquidity: (await Promise.all(holders.map(holder => exchange.balanceOf(holder)))).map(String),
+                        allowances: await Promise.all(accounts.map(async account =>
+                            (await Promise.all(holders.map(holder => exchange.allowance(account.address, holder)))).map(String))),
+                        nonces: (await Promise.all(accounts.map(account => exchange.nonces(account.address)))).map(String)
+                    }))),
+                    balances: await Promise.all(tokens.map(async token => (await Promise.all(holders.map(holder => token.balanceOf(holder)))).map(String))),
+                    allowances: await Promise.all(exchanges.map(async (exchange, i) =>
+                        (await Promise.all(accounts.map(account => tokens[i].allowance(account.address, exchange.address)))).map(String))),
+                    nonces: await Promise.all(tokens.map(async token => (await Promise.all(accounts.map(account => token.nonces(account.address)))).map(String)))
+                };
+            }
+
+            function getSimulatedState() {
+                const holders = [...accounts.map(account => account.address), ...exchanges.map(exchange => exchange.address), borrower.address];
+                return {
+                    feeTo: simulated.factory.feeTo(),
+                    borrowerEth: simulator.getBalance(borrower.address).toString(),
+                    exchanges: simulated.exchanges.map(exchange => ({
+                        ethReserve: simulator.getBalance(exchange.address).toString(),
+                        totalSupply: exchange.totalSupply().toString(),
+                        kLast: exchange.kLast().toString(),
+                        ethPriceCumulativeLast: exchange.ethPriceCumulativeLast().toString(),
+                        tokenPriceCumulativeLast: exchange.tokenPriceCumulativeLast().toString(),
+                        blockTimestampLast: exchange.blockTimestampLast().toString(),
+                        ethReserveLast: exchange.ethReserveLast().toString(),
+                        tokenReserveLast: exchange.tokenReserveLast().toString(),
+                        liquidity: holders.map(holder => exchange.balanceOf(holder).toString()),
+                        allowances: accounts.map(account => holders.map(holder => exchange.allowance(account.address, holder).toString())),
+                        nonces: accounts.map(account => exchange.nonces(account.address).toString())
+                    })),
+                    balances: simulated.tokens.map(token => holders.map(holder => token.balanceOf(holder).toString())),
+                    allowances: simulated.exchanges.map((exchange, i) =>
+                        accounts.map(account => simulated.tokens[i].allowance(account.address, exchange.address).toString())),
+                    nonces: simulated.tokens.map(token => accounts.map(account => token.nonces(account.address).toString()))
+                };
+            }
+
+            // Runs an operation on the simulation and on the chain, in a block with the same timestamp.
+            async function runOperation(operation) {
+                simulator.increaseTime(operation.wait);
+                const call = await withPermit(operation, await build(operation));
+                if (call.repayment) {
+                    // The borrower is told the repayment in a block of its own, a second before the flash swap.
+                    await network.provider.send("evm_setNextBlockTimestamp", [simulator.timestamp]);
+                    await borrower.setRepayment(...call.repayment);
+                    simulated.borrower.setRepayment(...call.repayment);
+                    simulator.increaseTime(1);
+                }
+                await network.provider.send("evm_setNextBlockTimestamp", [simulator.timestamp]);
+                const simulatedContract = {
+                    factory: simulated.factory,
+                    borrower: simulated.borrower,
+                    exchange: simulated.exchanges[call.index],
+                    token: simulated.tokens[call.index]
+                }[call.contract];
+                const deployed = { factory, borrower, exchange: exchanges[call.index], token: tokens[call.index] }[call.contract].connect(accounts[operation.account]);
+
+                let expected = null;
+                let result;
+                try {
+                    result = simulatedContract[call.method](...call.args, { ...call.overrides, from: call.from });
+                } catch (e) {
+                    expected = e.message;
+                }
+                // Calls run in the latest block rather than the next one, so only results that do not depend on time are compared.
+                const returned = call.deadline === "future" && expected === null ? await deployed.callStatic[call.method](...call.args, call.overrides) : null;
+                let reason = null;
+                try {
+                    await deployed[call.method](...call.args, call.overrides);
+                } catch (e) {
+                    reason = reasonOf(e);
+                }
+                expect(reason, `${call.method}(${call.args.join(", ")})`).to.equal(expected);
+                if (returned !== null && result !== undefined) {
+                    expect(String(returned), `${call.method}(${call.args.join(", ")})`).to.equal(String(result));
+                }
+                expect(getSimulatedState(), `state after ${call.method}(${call.args.join(", ")})`).to.deep.equal(await getState());
+            }
+
+            async function runOperations(operations) {
+                await network.provider.send("evm_revert", [snapshot]);
+                snapshot = await network.provider.send("evm_snapshot", []);
+                ({ simulator, ...simulated } = createSimulation((await provider.getBlock("latest")).timestamp));
+                for (const operation of [...SETUP, ...operations]) {
+                    await runOperation(operation);
+                }
+            }
+
+            it("Should reach the state of the contracts through random sequences of operations", async function () {
+                await fc.assert(fc.asyncProperty(operations, runOperations), { numRuns: RUNS, seed: SEED });
+            });
+        });
+    });
+});
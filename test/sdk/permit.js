@@ -0,0 +1,70 @@
+const { expect } = require("chai");
+const { permit } = require("../../sdk");
+const { deployFactory } = require("../helpers/pools");
+
+describe("SDK", function () {
+
+    let owner;
+    let addr1;
+    let token;
+    let exchange;
+    const provider = waffle.provider;
+    const ONE_TOKEN = ethers.utils.parseUnits('1')
+
+    beforeEach(async function () {
+        const Exchange = await ethers.getContractFactory("Exchange");
+        const PermitToken = await ethers.getContractFactory("PermitToken");
+        [owner, addr1] = await ethers.getSigners();
+        const factory = await deployFactory();
+        token = await PermitToken.deploy("permit token", "permit");
+        await token.deployed();
+        await factory.createExchange(token.address)
+        exchange = Exchange.attach(await factory.getExchange(token.address))
+    });
+
+    describe("permit", function () {
+
+        it("Should build the permit payload", async function () {
+            const { domain, types, message } = await permit.buildPermit(token.address, provider, {
+                owner: owner.address, spender: addr1.address, value: ONE_TOKEN, deadline: 1000
+            })
+
+            expect(domain).to.deep.equal({
+                name: "permit token",
+                version: "1",
+                chainId: (await provider.getNetwork()).chainId,
+                verifyingContract: token.address
+            })
+            expect(types).to.equal(permit.PERMIT_TYPES)
+            expect(message.owner).to.equal(owner.address)
+            expect(message.spender).to.equal(addr1.address)
+            expect(message.value).to.equal(ONE_TOKEN)
+            expect(message.nonce).to.equal(0)
+            expect(message.deadline).to.equal(1000)
+            expect(ethers.utils._TypedDataEncoder.hashDomain(domain)).to.equal(await token.DOMAIN_SEPARATOR())
+        });
+
+        it("Should read the bytes32 name of an exchange and accept overrides", async function () {
+            const { domain } = await permit.buildPermit(exchange.address, provider, {
+                owner: owner.address, spender: addr1.address, value: 1, deadline: 1000
+            })
+            expect(domain.name).to.equal("UNI-V1")
+
+            const { domain: overridden, message } = await permit.buildPermit(exchange, provider, {
+                owner: owner.address, spender: addr1.address, value: 1, deadline: 1000, nonce: 7
+            }, { name: "other", version: "2" })
+            expect(overridden.name).to.equal("other")
+            expect(overridden.version).to.equal("2")
+            expect(message.nonce).to.equal(7)
+        });
+
+        it("Should sign a permit the token accepts", async function () {
+            const signed = await permit.signPermit(owner, token, { spender: addr1.address, value: ONE_TOKEN, deadline: ethers.constants.MaxUint256 })
+            expect(signed.owner).to.equal(owner.address)
+
+            await token.permit(signed.owner, signed.spender, signed.value, signed.deadline, signed.v, signed.r, signed.s)
+            expect(await token.allowance(owner.address, addr1.address)).to.equal(ONE_TOKEN)
+            expect(await token.nonces(owner.address)).to.equal(1)
+        });
+    });
+});
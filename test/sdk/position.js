@@ -0,0 +1,182 @@
+const { expect } = require("chai");
+const { position, Indexer } = require("../../sdk");
+const { deployFactory, deployToken, createPool } = require("../helpers/pools");
+
+describe("SDK", function () {
+
+    let owner;
+    let addr1;
+    let factory;
+    let token;
+    let exchange;
+    let futureDeadline;
+    const provider = waffle.provider;
+    const WAD = ethers.constants.WeiPerEther;
+    const TEN_ETH = ethers.utils.parseEther('10')
+    const TWENTY_TOKENS = ethers.utils.parseUnits('20')
+    const ONE_ETH = ethers.utils.parseEther('1')
+
+    // Same rounding as Exchange.sqrt.
+    function sqrt(y) {
+        let z = BigInt(0)
+        if (y > BigInt(3)) {
+            z = y
+            let x = y / BigInt(2) + BigInt(1)
+            while (x < z) {
+                z = x
+                x = (y / x + x) / BigInt(2)
+            }
+        } else if (y != BigInt(0)) {
+            z = BigInt(1)
+        }
+        return z
+    }
+
+    function expectClose(actual, expected, tolerance) {
+        const difference = ethers.BigNumber.from(actual).sub(expected).abs()
+        expect(difference.lte(tolerance), `${actual} is not within ${tolerance} of ${expected}`).to.be.true
+    }
+
+    async function getReserves() {
+        return {
+            ethReserve: await provider.getBalance(exchange.address),
+            tokenReserve: await token.balanceOf(exchange.address)
+        }
+    }
+
+    // Price of 1 token in ETH, as a fixed point number with 18 decimals.
+    async function getPrice() {
+        const { ethReserve, tokenReserve } = await getReserves()
+        return ethReserve.mul(WAD).div(tokenReserve)
+    }
+
+    async function getK() {
+        const { ethReserve, tokenReserve } = await getReserves()
+        return ethReserve.toBigInt() * tokenReserve.toBigInt()
+    }
+
+    beforeEach(async function () {
+        [owner, addr1] = await ethers.getSigners();
+        factory = await deployFactory();
+        token = await deployToken("test");
+        exchange = await createPool(factory, token, 0, 0);
+        await token.mint(addr1.address, ethers.utils.parseUnits('1000'))
+        await token.connect(addr1).approve(exchange.address, ethers.constants.MaxUint256)
+        futureDeadline = (await provider.getBlock("latest")).timestamp + 3600;
+    });
+
+    describe("position", function () {
+
+        it("Should value liquidity like removeLiquidity", async function () {
+            await exchange.addLiquidity(0, TWENTY_TOKENS, futureDeadline, { value: TEN_ETH })
+            await exchange.connect(addr1).ethToTokenSwapInput(1, futureDeadline, { value: ONE_ETH })
+            const pool = { ...(await getReserves()), totalSupply: await exchange.totalSupply() }
+
+            const value = position.getLiquidityValue(ONE_ETH, pool)
+            const [ethAmount, tokenAmount] = await exchange.getLiquidityValue(ONE_ETH)
+            expect(value).to.deep.equal({ ethAmount, tokenAmount })
+            expect(await exchange.callStatic.removeLiquidity(ONE_ETH, 1, 1, futureDeadline)).to.deep.equal([ethAmount, tokenAmount])
+            expect(ethAmount).to.equal(ONE_ETH.mul(11).div(10))
+
+            await expect(exchange.getLiquidityValue(0)).to.be.revertedWith("exchange:getLiquidityValue invalid amount")
+            await expect(exchange.getLiquidityValue(pool.totalSupply.add(1))).to.be.revertedWith("exchange:getLiquidityValue invalid amount")
+            expect(() => position.getLiquidityValue(pool.totalSupply.add(1), pool)).to.throw("position:getLiquidityValue invalid parameters")
+        });
+
+        it("Should include the pending protocol fee in the value of liquidity", async function () {
+            await factory.setFeeTo(addr1.address)
+            await exchange.addLiquidity(0, TWENTY_TOKENS, futureDeadline, { value: TEN_ETH })
+            for (let i = 0; i < 3; i++) {
+                await exchange.connect(addr1).ethToTokenSwapInput(1, futureDeadline, { value: ONE_ETH.mul(3) })
+                await exchange.connect(addr1).tokenToEthSwapInput(ethers.utils.parseUnits('5'), 1, futureDeadline)
+            }
+            const pool = { ...(await getReserves()), totalSupply: await exchange.totalSupply() }
+            const [ethAmount, tokenAmount] = await exchange.getLiquidityValue(ONE_ETH)
+            expect(await exchange.callStatic.removeLiquidity(ONE_ETH, 1, 1, futureDeadline)).to.deep.equal([ethAmount, tokenAmount])
+            expect(ethAmount).to.be.lt(position.getLiquidityValue(ONE_ETH, pool).ethAmount)
+        });
+
+        it("Should compute the closed form impermanent loss", async function () {
+            expect(position.getImpermanentLoss(WAD, WAD)).to.equal(0)
+            // 2 * sqrt(4) / (1 + 4) - 1 = -0.2, both ways.
+            expect(position.getImpermanentLoss(WAD, WAD.mul(4))).to.equal(WAD.div(-5))
+            expect(position.getImpermanentLoss(WAD.mul(4), WAD)).to.equal(WAD.div(-5))
+            // 2 * sqrt(2) / 3 - 1
+            expectClose(position.getImpermanentLoss(WAD, WAD.mul(2)), ethers.utils.parseEther('-0.057190958417936634'), 1)
+            expect(() => position.getImpermanentLoss(0, WAD)).to.throw("position:getImpermanentLoss invalid parameters")
+        });
+
+        it("Should split the PnL of a single provider into impermanent loss and fees", async function () {
+            await exchange.addLiquidity(0, TWENTY_TOKENS, futureDeadline, { value: TEN_ETH })
+            const entryPrice = await getPrice()
+            const entryK = await getK()
+            await exchange.connect(addr1).ethToTokenSwapInput(1, futureDeadline, { value: ONE_ETH.mul(5) })
+            await exchange.connect(addr1).tokenToEthSwapInput(ethers.utils.parseUnits('2'), 1, futureDeadline)
+            await exchange.connect(addr1).ethToTokenSwapInput(1, futureDeadline, { value: ONE_ETH.mul(4) })
+
+            const result = await position.getPosition(exchange, owner.address)
+            const { ethReserve, tokenReserve } = await getReserves()
+            expect(result.liquidity).to.equal(TEN_ETH)
+            expect(result.ethAmount).to.equal(ethReserve)
+            expect(result.tokenAmount).to.equal(tokenReserve)
+            expect(result.value).to.equal(ethReserve.mul(2))
+            expect(result.holdValue).to.equal(TEN_ETH.add(TWENTY_TOKENS.mul(ethReserve).div(tokenReserve)))
+            expect(result.pnl).to.equal(result.impermanentLoss.add(result.feeIncome))
+
+            // Without fees the position would be worth 2 * sqrt(k) * sqrt(price), and the fees made sqrt(k) grow.
+            const lossRatio = result.impermanentLoss.mul(WAD).div(result.holdValue)
+            expectClose(lossRatio, position.getImpermanentLoss(entryPrice, await getPrice()), 1e6)
+            const rootKGrowth = ethers.BigNumber.from(sqrt(await getK() * WAD.toBigInt() * WAD.toBigInt() / entryK))
+            expectClose(result.feeGrowth, rootKGrowth, 1e6)
+            expectClose(result.feeIncome, result.value.sub(result.value.mul(WAD).div(rootKGrowth)), 1e6)
+            expect(result.feeIncome).to.be.gt(0)
+            expect(result.impermanentLoss).to.be.lt(0)
+        });
+
+        it("Should attribute a round trip to fees", async function () {
+            await exchange.addLiquidity(0, TWENTY_TOKENS, futureDeadline, { value: TEN_ETH })
+            const tokensBought = await exchange.getEthToTokenInputPrice(ONE_ETH)
+            await exchange.connect(addr1).ethToTokenSwapInput(1, futureDeadline, { value: ONE_ETH })
+            await exchange.connect(addr1).tokenToEthSwapInput(tokensBought, 1, futureDeadline)
+
+            // The trader paid 0.3% twice, which stayed in the pool: ETH reserve grew and the price is almost back.
+            const result = await position.getPosition(exchange, owner.address)
+            expect(result.ethAmount).to.be.gt(TEN_ETH)
+            expectClose(result.impermanentLoss, 0, ethers.utils.parseEther('0.00001'))
+            expectClose(result.feeIncome, result.pnl, ethers.utils.parseEther('0.00001'))
+            expectClose(result.feeIncome, result.ethAmount.sub(TEN_ETH), ethers.utils.parseEther('0.00001'))
+        });
+
+        it("Should follow the deposits and withdrawals of every provider", async function () {
+            await exchange.addLiquidity(0, TWENTY_TOKENS, futureDeadline, { value: TEN_ETH })
+            await exchange.connect(addr1).ethToTokenSwapInput(1, futureDeadline, { value: ONE_ETH.mul(2) })
+            const entryPrice = await getPrice()
+            await exchange.connect(addr1).addLiquidity(1, TWENTY_TOKENS, futureDeadline, { value: ONE_ETH.mul(4) })
+            const minted = await exchange.balanceOf(addr1.address)
+            await exchange.connect(addr1).removeLiquidity(minted.div(2), 1, 1, futureDeadline)
+            await exchange.connect(owner).tokenToEthSwapInput(ethers.utils.parseUnits('6'), 1, futureDeadline)
+
+            const result = await position.getPosition(exchange, addr1.address)
+            expect(result.events.map(event => event.type)).to.deep.equal(["add", "remove"])
+            expect(result.liquidity).to.equal(await exchange.balanceOf(addr1.address))
+            expectClose(result.ethDeposited, ONE_ETH.mul(2), 1)
+            const [ethAmount, tokenAmount] = await exchange.getLiquidityValue(result.liquidity)
+            expect(result.ethAmount).to.equal(ethAmount)
+            expect(result.tokenAmount).to.equal(tokenAmount)
+            // Measured from the price at which addr1 entered, not the first deposit.
+            expectClose(result.impermanentLoss.mul(WAD).div(result.holdValue), position.getImpermanentLoss(entryPrice, await getPrice()), 1e9)
+
+            // The events of the indexer give the same result.
+            const indexer = new Indexer(factory.address, provider)
+            await indexer.sync()
+            const events = indexer.getLiquidityEvents({ exchange: exchange.address, provider: addr1.address })
+            const { ethReserve, tokenReserve } = await getReserves()
+            const expected = { ...result }
+            delete expected.events
+            expect(position.analyzePosition(events, { ethAmount, tokenAmount, ethReserve, tokenReserve })).to.deep.equal(expected)
+
+            expect(() => position.analyzePosition([{ type: "remove", ethAmount: 1, tokenAmount: 1, liquidity: 1 }], { ethAmount, tokenAmount, ethReserve, tokenReserve }))
+                .to.throw("position:analyzePosition withdrawals exceed deposits")
+        });
+    });
+});
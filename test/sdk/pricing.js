@@ -0,0 +1,187 @@
+const { expect } = require("chai");
+const { pricing } = require("../../sdk");
+const { deployFactory, deployToken, createPool } = require("../helpers/pools");
+
+describe("SDK", function () {
+
+    const ROUNDS = 20;
+    const AMOUNTS_PER_ROUND = 3;
+    // Set PRICING_SEED to replay a failing run.
+    const SEED = Number(process.env.PRICING_SEED || 20220401);
+
+    let factory;
+
+    // mulberry32, so that every run of the fuzzer is reproducible from its seed.
+    function createRandom(seed) {
+        let state = seed >>> 0;
+        return function () {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    function randomInt(random, min, max) {
+        return min + Math.floor(random() * (max - min + 1));
+    }
+
+    // Amount with a uniformly distributed number of digits between minDigits and maxDigits.
+    function randomAmount(random, minDigits, maxDigits) {
+        const digits = randomInt(random, minDigits, maxDigits);
+        let amount = String(randomInt(random, 1, 9));
+        for (let i = 1; i < digits; i++) {
+            amount += String(randomInt(random, 0, 9));
+        }
+        return ethers.BigNumber.from(amount);
+    }
+
+    // Amount in [1, max - 1].
+    function randomBelow(random, max) {
+        const amount = max.mul(Math.floor(random() * 1e9)).div(1e9);
+        if (amount.lt(1)) {
+            return ethers.BigNumber.from(1);
+        }
+        return amount.gte(max) ? max.sub(1) : amount;
+    }
+
+    async function expectSameResult(quote, call) {
+        let expected = null;
+        try {
+            expected = quote();
+        } catch (e) {
+            expected = null;
+        }
+        if (expected === null) {
+            let reverted = false;
+            try {
+                await call();
+            } catch (e) {
+                reverted = true;
+            }
+            expect(reverted, "contract should revert when the quote fails").to.equal(true);
+            return;
+        }
+        expect(await call()).to.equal(expected);
+    }
+
+    async function createRandomPool(random) {
+        const token = await deployToken("test", ethers.constants.MaxUint256.div(2));
+        const ethReserve = randomAmount(random, 10, 20);
+        const tokenReserve = randomAmount(random, 4, 30);
+        const exchange = await createPool(factory, token, ethReserve, tokenReserve);
+        return { exchange, token, pool: { ethReserve, tokenReserve } };
+    }
+
+    beforeEach(async function () {
+        factory = await deployFactory();
+    });
+
+    describe("pricing", function () {
+
+        it("Should price known trades", async function () {
+            // 1 ETH into a 10 ETH / 10 token pool: 997 * 10 / (10000 + 997).
+            expect(pricing.getInputPrice(ethers.utils.parseEther('1'), ethers.utils.parseEther('10'), ethers.utils.parseEther('10')))
+                .to.equal(ethers.BigNumber.from("906610893880149131"))
+            // Buying back the same amount costs more than 1 ETH, and the + 1 rounds against the buyer.
+            expect(pricing.getOutputPrice(ethers.utils.parseEther('1'), ethers.utils.parseEther('10'), ethers.utils.parseEther('10')))
+                .to.equal(ethers.BigNumber.from("1114454474534715257"))
+            expect(pricing.getInputPrice(0, 1, 1)).to.equal(0)
+        });
+
+        it("Should reject trades the contract rejects", async function () {
+            expect(() => pricing.getInputPrice(1, 0, 1)).to.throw("pricing:getInputPrice invalid parameters")
+            expect(() => pricing.getOutputPrice(1, 1, 0)).to.throw("pricing:getOutputPrice invalid parameters")
+            expect(() => pricing.getOutputPrice(10, 1, 10)).to.throw("pricing:getOutputPrice outputAmount exceeds outputReserve")
+        });
+
+        it("Should compute spot price, effective price and price impact", async function () {
+            const ONE = ethers.utils.parseEther('1')
+            const TEN = ethers.utils.parseEther('10')
+
+            expect(pricing.getSpotPrice(TEN, TEN.mul(2))).to.equal(ONE.mul(2))
+            expect(pricing.getEffectivePrice(ONE, ONE.div(2))).to.equal(ONE.div(2))
+
+            const outputAmount = pricing.getInputPrice(ONE, TEN, TEN)
+            expect(pricing.getPriceImpact(ONE, TEN, TEN)).to.equal(ONE.sub(outputAmount))
+
+            // A tiny trade only pays the 0.3% fee, plus the rounding of the output.
+            const impact = pricing.getPriceImpact(1000000, TEN, TEN)
+            expect(impact).to.be.gte(ethers.utils.parseEther('0.003'))
+            expect(impact).to.be.lt(ethers.utils.parseEther('0.0031'))
+        });
+
+        it("Should compute the break-even output of a round trip", async function () {
+            const ONE = ethers.utils.parseEther('1')
+            const TEN = ethers.utils.parseEther('10')
+
+            const outputAmount = pricing.getInputPrice(ONE, TEN, TEN)
+            const breakEven = pricing.getBreakEvenOutput(ONE, TEN, TEN)
+
+            // The fees paid twice make the round trip lose money.
+            expect(breakEven).to.be.gt(outputAmount)
+            expect(pricing.getInputPrice(breakEven, TEN.sub(outputAmount), TEN.add(ONE))).to.be.gte(ONE)
+            expect(pricing.getInputPrice(breakEven.sub(1), TEN.sub(outputAmount), TEN.add(ONE))).to.be.lt(ONE)
+        });
+
+        it("Should match the contract views wei-for-wei on random reserves", async function () {
+            const random = createRandom(SEED);
+
+            for (let round = 0; round < ROUNDS; round++) {
+                const { exchange, pool } = await createRandomPool(random);
+
+                for (let i = 0; i < AMOUNTS_PER_ROUND; i++) {
+                    const ethSold = randomAmount(random, 1, pool.ethReserve.toString().length + 1);
+                    const tokensSold = randomAmount(random, 1, pool.tokenReserve.toString().length + 1);
+                    const tokensBought = randomBelow(random, pool.tokenReserve);
+                    const ethBought = randomBelow(random, pool.ethReserve);
+
+                    await expectSameResult(
+                        () => pricing.getEthToTokenInputPrice(ethSold, pool),
+                        () => exchange.getEthToTokenInputPrice(ethSold)
+                    );
+                    await expectSameResult(
+                        () => pricing.getEthToTokenOutputPrice(tokensBought, pool),
+                        () => exchange.getEthToTokenOutputPrice(tokensBought)
+                    );
+                    await expectSameResult(
+                        () => pricing.getTokenToEthInputPrice(tokensSold, pool),
+                        () => exchange.getTokenToEthInputPrice(tokensSold)
+                    );
+                    await expectSameResult(
+                        () => pricing.getTokenToEthOutputPrice(ethBought, pool),
+                        () => exchange.getTokenToEthOutputPrice(ethBought)
+                    );
+                }
+            }
+        });
+
+        it("Should match tokenToTokenInput and tokenToTokenOutput wei-for-wei on random reserves", async function () {
+            const random = createRandom(SEED + 1);
+
+            for (let round = 0; round < ROUNDS; round++) {
+                const input = await createRandomPool(random);
+                const output = await createRandomPool(random);
+
+                for (let i = 0; i < AMOUNTS_PER_ROUND; i++) {
+                    const tokensSold = randomAmount(random, 1, input.pool.tokenReserve.toString().length + 1);
+                    const tokensBought = randomBelow(random, output.pool.tokenReserve);
+
+                    await expectSameResult(
+                        () => {
+                            const quote = pricing.getTokenToTokenInputPrice(tokensSold, input.pool, output.pool);
+                            // Both legs revert when they buy nothing.
+                            return quote.ethBought.isZero() || quote.tokensBought.isZero() ? null : quote.tokensBought;
+                        },
+                        () => input.exchange.callStatic.tokenToTokenSwapInput(tokensSold, 1, 1, ethers.constants.MaxUint256, output.token.address)
+                    );
+                    await expectSameResult(
+                        () => pricing.getTokenToTokenOutputPrice(tokensBought, input.pool, output.pool).tokensSold,
+                        () => input.exchange.callStatic.tokenToTokenSwapOutput(tokensBought, ethers.constants.MaxUint256, ethers.constants.MaxUint256, ethers.constants.MaxUint256, output.token.address)
+                    );
+                }
+            }
+        });
+    });
+});